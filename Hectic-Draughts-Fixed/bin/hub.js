@@ -0,0 +1,443 @@
+#!/usr/bin/env node
+/**
+ * Hub protocol engine runner for the Grandmaster AI
+ * - Speaks the Hub protocol (version 2) over stdin/stdout, so the engine can be
+ *   used from draughts GUIs and tournament managers
+ * - The search runs in a worker thread; "stop" reaches it through a shared flag
+ *
+ * Supported commands: hub, init, new-game, pos, level, go, stop, ping,
+ * ponder-hit, set-param, quit. Besides pos=... and start, "pos" also accepts
+ * fen=... with a FEN string. The "variant" parameter switches the rules to any
+ * variant of src/engine/variants.js; positions then list the squares of that board.
+ *
+ * Usage: node bin/hub.js [--debug]   (--debug copies engine logs to stderr)
+ * @author codewithheck
+ */
+
+import { Worker, isMainThread, parentPort, workerData } from 'node:worker_threads';
+import { createInterface } from 'node:readline';
+import {
+    Game, GrandmasterAI, createMessageHandler, PIECE, VARIANTS, DEFAULT_VARIANT,
+    getVariant, getSquareNumbers
+} from '../src/engine/index.js';
+
+const ENGINE_INFO = {
+    name: 'Hectic',
+    version: '2.0',
+    author: 'codewithheck',
+    country: '?'
+};
+
+const DEFAULT_LEVEL = 3;
+
+// Share of the remaining time spent on one move when the GUI sends a clock
+const DEFAULT_MOVES_TO_GO = 30;
+
+const HUB_PIECES = {
+    w: PIECE.WHITE,
+    b: PIECE.BLACK,
+    W: PIECE.WHITE_KING,
+    B: PIECE.BLACK_KING
+};
+
+/**
+ * Worker side: a GrandmasterAI answering the regular worker protocol
+ */
+function runSearchWorker() {
+    const post = (message) => parentPort.postMessage(message);
+    const ai = new GrandmasterAI({
+        onMessage: post,
+        stopFlag: new Int32Array(workerData.stopBuffer)
+    });
+    const handleMessage = createMessageHandler(ai, post);
+    parentPort.on('message', handleMessage);
+}
+
+/**
+ * Main thread: reads Hub commands and drives the search worker
+ */
+function runHub() {
+    const debug = process.argv.includes('--debug');
+    const engine = new HubEngine(line => process.stdout.write(line + '\n'), debug);
+    const input = createInterface({ input: process.stdin, terminal: false });
+
+    input.on('line', line => engine.handleLine(line));
+    input.on('close', () => engine.quit());
+}
+
+class HubEngine {
+    constructor(send, debug = false) {
+        this.send = send;
+        this.debug = debug;
+
+        this.stopBuffer = new SharedArrayBuffer(4);
+        this.stopFlag = new Int32Array(this.stopBuffer);
+        this.worker = new Worker(new URL(import.meta.url), { workerData: { stopBuffer: this.stopBuffer } });
+        this.worker.on('message', message => this.handleWorkerMessage(message));
+        this.worker.on('error', error => this.log(`Search worker error: ${error.message}`));
+
+        this.variant = DEFAULT_VARIANT;
+        this.game = new Game(this.variant);
+        this.moveHistory = [];
+        this.level = DEFAULT_LEVEL;
+        this.limits = {};
+        this.search = null; // { infinite, stopped, move }
+        this.requestId = 0;
+    }
+
+    log(message) {
+        if (this.debug) process.stderr.write(`[hub] ${message}\n`);
+    }
+
+    handleLine(line) {
+        const { command, args } = parseHubLine(line);
+        if (!command) return;
+        this.log(`< ${line}`);
+
+        try {
+            switch (command) {
+                case 'hub':
+                    this.send(formatHubLine('id', ENGINE_INFO));
+                    this.send(formatHubLine('param', { name: 'level', value: this.level, type: 'int', min: 1, max: 6 }));
+                    this.send(formatHubLine('param', {
+                        name: 'variant', value: this.variant.id, type: 'enum', values: Object.keys(VARIANTS).join(' ')
+                    }));
+                    this.send('wait');
+                    break;
+
+                case 'init':
+                    this.worker.postMessage({ type: 'setDifficulty', data: { level: this.level } });
+                    this.send('ready');
+                    break;
+
+                case 'new-game':
+                    this.worker.postMessage({ type: 'newGame' });
+                    break;
+
+                case 'set-param':
+                    if (args.name === 'level') {
+                        this.level = Math.max(1, Math.min(6, parseInt(args.value, 10) || DEFAULT_LEVEL));
+                        this.worker.postMessage({ type: 'setDifficulty', data: { level: this.level } });
+                    } else if (args.name === 'variant') {
+                        this.setVariant(args.value);
+                    }
+                    break;
+
+                case 'pos':
+                    this.setPosition(args);
+                    break;
+
+                case 'level':
+                    this.setLimits(args);
+                    break;
+
+                case 'go':
+                    this.startSearch(args);
+                    break;
+
+                case 'stop':
+                    this.stopSearch();
+                    break;
+
+                case 'ponder-hit':
+                    // Pondering searches until stopped; finish it as a regular move
+                    if (this.search) this.search.infinite = false;
+                    if (this.search && this.search.move) this.finishSearch();
+                    break;
+
+                case 'ping':
+                    this.send('pong');
+                    break;
+
+                case 'quit':
+                    this.quit();
+                    break;
+
+                default:
+                    this.log(`Unknown command: ${command}`);
+            }
+        } catch (error) {
+            process.stderr.write(`error: ${error.message}\n`);
+        }
+    }
+
+    /**
+     * Switches the rules; the game goes back to the starting position
+     * @param {string} id - Variant id
+     */
+    setVariant(id) {
+        this.variant = getVariant(id);
+        this.game = new Game(this.variant);
+        this.moveHistory = [];
+        this.worker.postMessage({ type: 'setVariant', data: { variant: this.variant } });
+    }
+
+    /**
+     * Sets up the position from pos=..., fen=... or start, then plays moves=...
+     * @param {Object} args - Command arguments
+     */
+    setPosition(args) {
+        const game = new Game(this.variant);
+
+        if (args.pos) {
+            if (!game.loadFEN(hubPositionToFEN(args.pos, game.boardSize))) {
+                throw new Error(`Invalid position: ${args.pos}`);
+            }
+        } else if (args.fen) {
+            if (!game.loadFEN(args.fen)) {
+                throw new Error(`Invalid FEN: ${args.fen}`);
+            }
+        }
+
+        const moveHistory = [];
+        (args.moves || '').split(/\s+/).filter(Boolean).forEach(text => {
+            const move = resolveHubMove(game, text);
+            moveHistory.push(game.getMoveNotation(move));
+            game.makeMove(move);
+        });
+
+        this.game = game;
+        this.moveHistory = moveHistory;
+    }
+
+    /**
+     * Stores search limits; times are given in seconds
+     * @param {Object} args - Command arguments
+     */
+    setLimits(args) {
+        const seconds = value => Math.max(0, parseFloat(value) * 1000);
+        const limits = {};
+
+        if (args.depth) limits.depth = parseInt(args.depth, 10);
+        if (args['move-time']) limits.moveTime = seconds(args['move-time']);
+        if (args.infinite !== undefined) limits.infinite = true;
+        if (args.time) {
+            limits.timeLeft = seconds(args.time);
+            limits.increment = args.inc ? seconds(args.inc) : 0;
+            limits.movesToGo = args.moves ? parseInt(args.moves, 10) : DEFAULT_MOVES_TO_GO;
+        }
+
+        this.limits = limits;
+    }
+
+    /**
+     * Converts the stored limits to the search limits of getBestMove
+     * @param {boolean} infinite - Whether the search runs until stopped
+     * @returns {Object} Search limits
+     */
+    getSearchLimits(infinite) {
+        if (infinite || this.limits.infinite) {
+            return { infinite: true };
+        }
+
+        const limits = {};
+        if (this.limits.depth) limits.depth = this.limits.depth;
+        if (this.limits.moveTime) limits.moveTime = this.limits.moveTime;
+
+        if (this.limits.timeLeft !== undefined && !limits.moveTime) {
+            const { timeLeft, increment, movesToGo } = this.limits;
+            const share = timeLeft / Math.max(1, movesToGo) + increment * 0.8;
+            limits.moveTime = Math.max(10, Math.min(share, timeLeft * 0.5));
+        }
+        return limits;
+    }
+
+    startSearch(args) {
+        if (this.search) {
+            throw new Error('Search already running');
+        }
+        if (this.game.getLegalMoves().length === 0) {
+            throw new Error('No legal moves in this position');
+        }
+
+        const infinite = args.ponder !== undefined || args.analyze !== undefined;
+        this.search = { infinite, stopped: false, move: null, requestId: ++this.requestId };
+
+        this.worker.postMessage({
+            type: 'getMove',
+            requestId: this.search.requestId,
+            data: {
+                position: {
+                    pieces: this.game.pieces,
+                    currentPlayer: this.game.currentPlayer,
+                    drawCounters: this.game.getDrawCounters()
+                },
+                moveHistoryNotations: this.moveHistory,
+                limits: this.getSearchLimits(infinite)
+            }
+        });
+    }
+
+    stopSearch() {
+        if (!this.search) return;
+
+        this.search.stopped = true;
+        Atomics.store(this.stopFlag, 0, this.search.requestId);
+        if (this.search.move) this.finishSearch();
+    }
+
+    handleWorkerMessage(message) {
+        switch (message.type) {
+            case 'evaluation':
+                if (this.search) this.send(formatInfo(message.data, this.game.boardSize));
+                break;
+
+            case 'moveResult':
+                if (!this.search || message.requestId !== this.search.requestId) break;
+                if (message.error) {
+                    process.stderr.write(`error: ${message.error}\n`);
+                    this.search = null;
+                    break;
+                }
+                this.search.move = message.data.move;
+
+                // Infinite searches report their move only once stopped
+                if (!this.search.infinite || this.search.stopped) this.finishSearch();
+                break;
+
+            case 'log':
+                this.log(message.data.message);
+                break;
+        }
+    }
+
+    finishSearch() {
+        const move = this.search.move;
+        this.search = null;
+        this.send(formatHubLine('done', { move: move ? formatHubMove(move, this.game.boardSize) : null }));
+    }
+
+    quit() {
+        Atomics.store(this.stopFlag, 0, this.requestId);
+        this.worker.terminate().then(() => process.exit(0));
+    }
+}
+
+// Protocol helpers
+
+/**
+ * Splits a Hub line into its command and name=value arguments.
+ * Values may be quoted; arguments without a value are stored as empty strings.
+ * @param {string} line - Input line
+ * @returns {Object} Command and arguments
+ */
+function parseHubLine(line) {
+    const pattern = /([^\s=]+)(?:=(?:"([^"]*)"|(\S*)))?/g;
+    const args = {};
+    let command = null;
+    let match;
+
+    while ((match = pattern.exec(line)) !== null) {
+        if (command === null) {
+            command = match[1];
+            continue;
+        }
+        args[match[1]] = match[2] ?? match[3] ?? '';
+    }
+
+    return { command, args };
+}
+
+function formatHubLine(command, values) {
+    const fields = Object.entries(values)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([name, value]) => {
+            const text = String(value);
+            return /[\s"]/.test(text) ? `${name}="${text.replace(/"/g, '')}"` : `${name}=${text}`;
+        });
+    return [command, ...fields].join(' ');
+}
+
+function formatInfo(evaluation, boardSize) {
+    return formatHubLine('info', {
+        depth: evaluation.depth,
+        score: (evaluation.score / 100).toFixed(2),
+        nodes: evaluation.nodes,
+        time: (evaluation.time / 1000).toFixed(3),
+        nps: evaluation.nps,
+        pv: (evaluation.pv || []).map(move => formatHubMove(move, boardSize)).join(' ')
+    });
+}
+
+function getSquareNumber(pos, boardSize) {
+    return getSquareNumbers(boardSize)[pos.row * boardSize + pos.col];
+}
+
+/**
+ * Formats a move in Hub notation: "32-28", or "from x to x captured..." for captures
+ * @param {Object} move - Move with from, to and captures
+ * @param {number} boardSize - Squares along each side of the board
+ * @returns {string} Hub move
+ */
+function formatHubMove(move, boardSize) {
+    const getNumber = pos => getSquareNumber(pos, boardSize);
+    const from = getNumber(move.from);
+    const to = getNumber(move.to);
+
+    if (!move.captures || move.captures.length === 0) {
+        return `${from}-${to}`;
+    }
+    return [from, to, ...move.captures.map(getNumber)].join('x');
+}
+
+/**
+ * Finds the legal move matching a Hub move
+ * @param {Game} game - Game in the position the move is played from
+ * @param {string} text - Hub move
+ * @returns {Object} Legal move
+ * @throws {Error} If the move is illegal or ambiguous
+ */
+function resolveHubMove(game, text) {
+    const [from, to, ...captured] = text.split(/[-x]/).map(n => parseInt(n, 10));
+    const capturedKey = [...captured].sort((a, b) => a - b).join(',');
+    const getNumber = pos => getSquareNumber(pos, game.boardSize);
+
+    const candidates = game.getLegalMoves().filter(move => {
+        if (getNumber(move.from) !== from || getNumber(move.to) !== to) return false;
+        if (captured.length === 0) return true;
+
+        const key = move.captures.map(getNumber).sort((a, b) => a - b).join(',');
+        return key === capturedKey;
+    });
+
+    if (candidates.length === 0) {
+        throw new Error(`Illegal move: ${text}`);
+    }
+    if (candidates.length > 1 && captured.length === 0 && text.includes('x')) {
+        throw new Error(`Ambiguous move: ${text}`);
+    }
+    return candidates[0];
+}
+
+/**
+ * Converts a Hub position (side to move followed by every square: 50 on 10x10, 32 on 8x8) to FEN
+ * @param {string} text - e.g. "Wbbbbbbbbbbbbbbbbbbbbeeeeeeeeeewwwwwwwwwwwwwwwwwwww"
+ * @param {number} boardSize - Squares along each side of the board
+ * @returns {string} FEN string
+ */
+function hubPositionToFEN(text, boardSize) {
+    const squareCount = boardSize * boardSize / 2;
+    if (!new RegExp(`^[WB][wbWBe]{${squareCount}}$`).test(text)) {
+        throw new Error(`Invalid position: ${text}`);
+    }
+
+    const white = [];
+    const black = [];
+    for (let square = 1; square <= squareCount; square++) {
+        const piece = HUB_PIECES[text[square]];
+        if (!piece) continue;
+
+        const isKing = piece === PIECE.WHITE_KING || piece === PIECE.BLACK_KING;
+        const isWhite = piece === PIECE.WHITE || piece === PIECE.WHITE_KING;
+        (isWhite ? white : black).push(isKing ? `${square}K` : `${square}`);
+    }
+
+    const side = text[0] === 'W' ? 'W' : 'B';
+    return `${side}:W${white.join(',')}:B${black.join(',')}`;
+}
+
+if (isMainThread) {
+    runHub();
+} else {
+    runSearchWorker();
+}
@@ -0,0 +1,419 @@
+#!/usr/bin/env node
+/**
+ * Engine-vs-engine match runner
+ * - Plays N games between two engine configurations or two difficulty levels
+ * - Every start position is played twice, once with each engine as White
+ * - Writes every game to a PDN file and reports W/D/L with an Elo difference
+ *
+ * An engine is given as a difficulty level (1-6) or as a JSON config file:
+ *   {
+ *     "name": "eval-v2",
+ *     "level": 4,
+ *     "engine": "../old/src/engine/index.js",   // optional, another copy of the engine
+ *     "params": { "MAX_DEPTH": { "4": 8 } },     // optional, merged into AI_PARAMS
+ *     "limits": { "moveTime": 500 }              // optional, per-move search limits
+ *   }
+ * Relative engine paths are resolved from the config file.
+ * --variant plays the match under other rules (see src/engine/variants.js); start
+ * positions must then be positions of that variant.
+ *
+ * Usage: node bin/match.js --engine1 <level|config.json> --engine2 <level|config.json>
+ *            [--games 20] [--positions file.pdn|file.txt] [--out match.pdn]
+ *            [--move-time ms] [--depth n] [--max-moves 150] [--variant id] [--debug]
+ * @author codewithheck
+ */
+
+import { Worker, isMainThread, parentPort, workerData } from 'node:worker_threads';
+import { readFileSync, writeFileSync, appendFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import {
+    Game, GAME_STATE, PLAYER, PDN_RESULT, parsePDN, loadPDNGame, generatePDN, getPDNResult,
+    DEFAULT_VARIANT, getVariant
+} from '../src/engine/index.js';
+
+const DEFAULT_ENGINE = fileURLToPath(new URL('../src/engine/index.js', import.meta.url));
+
+const DEFAULT_OPTIONS = {
+    games: 20,
+    positions: null,
+    out: 'match.pdn',
+    moveTime: null,
+    depth: null,
+    maxMoves: 150,
+    variant: DEFAULT_VARIANT,
+    debug: false
+};
+
+// z-value of the 95% confidence interval
+const CONFIDENCE_Z = 1.96;
+
+/**
+ * Worker side: loads an engine copy, applies the parameter overrides and
+ * answers the regular worker protocol
+ */
+async function runEngineWorker() {
+    const { engine, params } = workerData;
+    const { GrandmasterAI, createMessageHandler, AI_PARAMS } = await import(pathToFileURL(engine).href);
+
+    if (params) {
+        mergeParams(AI_PARAMS, params);
+    }
+
+    const post = (message) => parentPort.postMessage(message);
+    const ai = new GrandmasterAI({ onMessage: post });
+    const handleMessage = createMessageHandler(ai, post);
+    parentPort.on('message', handleMessage);
+    post({ type: 'loaded' });
+}
+
+/**
+ * Deep-merges parameter overrides into AI_PARAMS
+ * @param {Object} target - Parameter object to change
+ * @param {Object} overrides - Values to apply
+ */
+function mergeParams(target, overrides) {
+    Object.entries(overrides).forEach(([key, value]) => {
+        if (value && typeof value === 'object' && !Array.isArray(value) &&
+            target[key] && typeof target[key] === 'object') {
+            mergeParams(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    });
+}
+
+/**
+ * One engine of the match, running in its own worker thread
+ */
+class MatchEngine {
+    constructor(config, variant, debug = false) {
+        this.config = config;
+        this.variant = variant;
+        this.name = config.name;
+        this.debug = debug;
+        this.pending = new Map();
+        this.requestId = 0;
+
+        this.worker = new Worker(new URL(import.meta.url), {
+            workerData: { engine: config.engine, params: config.params }
+        });
+        this.ready = new Promise((resolveReady, rejectReady) => {
+            this.worker.once('error', rejectReady);
+            this.worker.on('message', message => {
+                if (message.type === 'loaded') resolveReady();
+                this.handleMessage(message);
+            });
+        });
+    }
+
+    handleMessage(message) {
+        if (message.type === 'log') {
+            if (this.debug) process.stderr.write(`[${this.name}] ${message.data.message}\n`);
+            return;
+        }
+
+        const request = this.pending.get(message.requestId);
+        if (!request) return;
+
+        this.pending.delete(message.requestId);
+        if (message.error) {
+            request.reject(new Error(message.error));
+        } else {
+            request.resolve(message.data);
+        }
+    }
+
+    request(type, data) {
+        const requestId = ++this.requestId;
+        return new Promise((resolveRequest, rejectRequest) => {
+            this.pending.set(requestId, { resolve: resolveRequest, reject: rejectRequest });
+            this.worker.postMessage({ type, requestId, data });
+        });
+    }
+
+    async init() {
+        await this.ready;
+        await this.request('setDifficulty', { level: this.config.level });
+        // Engines start on international rules; older engine copies know no other
+        if (this.variant.id !== DEFAULT_VARIANT.id) {
+            await this.request('setVariant', { variant: this.variant });
+        }
+    }
+
+    newGame() {
+        this.worker.postMessage({ type: 'newGame' });
+    }
+
+    /**
+     * Asks the engine for its move
+     * @param {Game} game - Game in the current position
+     * @returns {Promise<Object>} Move chosen by the engine, and whether it resigns instead ({move, resign})
+     */
+    getMove(game) {
+        return this.request('getMove', {
+            position: {
+                pieces: game.pieces,
+                currentPlayer: game.currentPlayer,
+                drawCounters: game.getDrawCounters()
+            },
+            moveHistoryNotations: game.moveHistory.map(record => record.notation),
+            limits: this.config.limits
+        });
+    }
+
+    terminate() {
+        return this.worker.terminate();
+    }
+}
+
+/**
+ * Plays one game
+ * @param {MatchEngine} white - Engine playing White
+ * @param {MatchEngine} black - Engine playing Black
+ * @param {string} startFEN - Starting position
+ * @param {number} maxMoves - Moves after which the game is adjudicated a draw
+ * @param {Object} variant - Rule variant
+ * @returns {Promise<Object>} Move records, PDN result and how the game ended
+ */
+async function playGame(white, black, startFEN, maxMoves, variant) {
+    const game = new Game(variant);
+    if (!game.loadFEN(startFEN)) {
+        throw new Error(`Invalid start position: ${startFEN}`);
+    }
+    game.updateGameState();
+
+    white.newGame();
+    black.newGame();
+
+    while (game.gameState === GAME_STATE.ONGOING) {
+        if (game.moveHistory.length >= maxMoves * 2) {
+            return { moves: game.moveHistory, result: PDN_RESULT.DRAW, termination: 'move limit' };
+        }
+
+        const engine = game.currentPlayer === PLAYER.WHITE ? white : black;
+        const loser = game.currentPlayer === PLAYER.WHITE ? PDN_RESULT.BLACK_WIN : PDN_RESULT.WHITE_WIN;
+
+        let move, resign;
+        try {
+            ({ move, resign } = await engine.getMove(game));
+        } catch (error) {
+            return { moves: game.moveHistory, result: loser, termination: `${engine.name} error: ${error.message}` };
+        }
+
+        if (resign) {
+            return { moves: game.moveHistory, result: loser, termination: `${engine.name} resigned` };
+        }
+
+        if (!move || !game.makeMove(move)) {
+            return { moves: game.moveHistory, result: loser, termination: `${engine.name} played an illegal move` };
+        }
+    }
+
+    return { moves: game.moveHistory, result: getPDNResult(game.gameState), termination: 'normal' };
+}
+
+/**
+ * Estimates the Elo difference from a match score
+ * @param {number} wins - Games won by the first engine
+ * @param {number} draws - Drawn games
+ * @param {number} losses - Games lost by the first engine
+ * @returns {Object} Elo difference and the bounds of its 95% confidence interval
+ */
+function estimateElo(wins, draws, losses) {
+    const games = wins + draws + losses;
+    if (games === 0) {
+        return { elo: 0, low: -Infinity, high: Infinity };
+    }
+
+    const score = (wins + draws / 2) / games;
+
+    // Standard deviation of a single game result around the mean score
+    const variance = (wins * (1 - score) ** 2 + draws * (0.5 - score) ** 2 + losses * score ** 2) / games;
+    const margin = CONFIDENCE_Z * Math.sqrt(variance / games);
+
+    return {
+        elo: scoreToElo(score),
+        low: scoreToElo(score - margin),
+        high: scoreToElo(score + margin)
+    };
+}
+
+function scoreToElo(score) {
+    if (score <= 0) return -Infinity;
+    if (score >= 1) return Infinity;
+    return -400 * Math.log10(1 / score - 1);
+}
+
+function formatElo(value) {
+    if (!Number.isFinite(value)) return value > 0 ? '+inf' : '-inf';
+    return `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+}
+
+/**
+ * Builds an engine config from a level or a JSON config file
+ * @param {string} spec - Level number or path to a config file
+ * @param {string} fallbackName - Name used when the config has none
+ * @param {Object} options - Match options providing default search limits
+ * @returns {Object} Engine config
+ */
+function loadEngineConfig(spec, fallbackName, options) {
+    let config;
+
+    if (/^\d+$/.test(spec)) {
+        config = { name: `Level ${spec}`, level: parseInt(spec, 10) };
+    } else {
+        const path = resolve(spec);
+        config = JSON.parse(readFileSync(path, 'utf8'));
+        if (config.engine) {
+            config.engine = resolve(dirname(path), config.engine);
+        }
+    }
+
+    const limits = { ...config.limits };
+    if (options.moveTime && !limits.moveTime) limits.moveTime = options.moveTime;
+    if (options.depth && !limits.depth) limits.depth = options.depth;
+
+    return {
+        name: config.name || fallbackName,
+        level: config.level || 3,
+        engine: config.engine || DEFAULT_ENGINE,
+        params: config.params || null,
+        limits
+    };
+}
+
+/**
+ * Reads the start positions: the final position of every game in a PDN file
+ * (so opening lines can be given as short games), or one FEN per line
+ * @param {string|null} path - Positions file
+ * @param {Object} variant - Rule variant of the match
+ * @returns {string[]} Start positions as FEN
+ * @throws {Error} If a position is invalid or a PDN game is of another variant
+ */
+function loadStartPositions(path, variant) {
+    if (!path) {
+        return [new Game(variant).getFEN()];
+    }
+
+    const text = readFileSync(path, 'utf8');
+
+    if (/^\s*\[/.test(text) || /\d+\.\s*\d/.test(text)) {
+        return parsePDN(text).map(pdnGame => {
+            const loaded = loadPDNGame(pdnGame, new Game(variant));
+            if (loaded.game.getVariant().id !== variant.id) {
+                throw new Error(`${path} holds ${loaded.game.getVariant().name} games, not ${variant.name}`);
+            }
+            return loaded.moves.length > 0 ? loaded.moves[loaded.moves.length - 1].fen : loaded.startFEN;
+        });
+    }
+
+    return text.split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(fen => {
+            const game = new Game(variant);
+            if (!game.loadFEN(fen)) {
+                throw new Error(`Invalid FEN in ${path}: ${fen}`);
+            }
+            return game.getFEN();
+        });
+}
+
+function parseArguments(argv) {
+    const options = { ...DEFAULT_OPTIONS };
+    const numeric = { '--games': 'games', '--move-time': 'moveTime', '--depth': 'depth', '--max-moves': 'maxMoves' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (numeric[arg]) {
+            options[numeric[arg]] = parseInt(argv[++i], 10);
+        } else if (arg === '--engine1' || arg === '--engine2' || arg === '--positions' || arg === '--out') {
+            options[arg.slice(2)] = argv[++i];
+        } else if (arg === '--variant') {
+            options.variant = getVariant(argv[++i]);
+        } else if (arg === '--debug') {
+            options.debug = true;
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    if (!options.engine1 || !options.engine2) {
+        throw new Error('Both --engine1 and --engine2 are required');
+    }
+    return options;
+}
+
+/**
+ * Main thread: runs the match and prints the results
+ */
+async function runMatch() {
+    const options = parseArguments(process.argv.slice(2));
+    const configs = [
+        loadEngineConfig(options.engine1, 'Engine 1', options),
+        loadEngineConfig(options.engine2, 'Engine 2', options)
+    ];
+    if (configs[0].name === configs[1].name) {
+        configs[0].name += ' (1)';
+        configs[1].name += ' (2)';
+    }
+
+    const positions = loadStartPositions(options.positions, options.variant);
+    const engines = configs.map(config => new MatchEngine(config, options.variant, options.debug));
+    await Promise.all(engines.map(engine => engine.init()));
+
+    writeFileSync(options.out, '');
+    const score = { wins: 0, draws: 0, losses: 0 };
+    const [first, second] = engines;
+
+    console.log(`${first.name} vs ${second.name}: ${options.games} games, ` +
+        `${positions.length} start position(s), games written to ${options.out}`);
+
+    for (let round = 0; round < options.games; round++) {
+        // Each position is played twice in a row with the colours swapped
+        const startFEN = positions[Math.floor(round / 2) % positions.length];
+        const firstIsWhite = round % 2 === 0;
+        const white = firstIsWhite ? first : second;
+        const black = firstIsWhite ? second : first;
+
+        const { moves, result, termination } = await playGame(white, black, startFEN, options.maxMoves, options.variant);
+
+        const headers = { Event: 'Engine match', Round: String(round + 1), White: white.name, Black: black.name };
+        if (termination !== 'normal') headers.Termination = termination;
+        appendFileSync(options.out, generatePDN(moves, { variant: options.variant, startFEN, result, headers }) + '\n');
+
+        if (result === PDN_RESULT.DRAW) {
+            score.draws++;
+        } else if ((result === PDN_RESULT.WHITE_WIN) === firstIsWhite) {
+            score.wins++;
+        } else {
+            score.losses++;
+        }
+
+        console.log(`Game ${round + 1}: ${white.name} - ${black.name} ${result}` +
+            `${termination !== 'normal' ? ` (${termination})` : ''}, ${Math.ceil(moves.length / 2)} moves. ` +
+            `Score ${first.name}: +${score.wins} =${score.draws} -${score.losses}`);
+    }
+
+    const { elo, low, high } = estimateElo(score.wins, score.draws, score.losses);
+    const played = score.wins + score.draws + score.losses;
+    const points = score.wins + score.draws / 2;
+
+    console.log('');
+    console.log(`${first.name} vs ${second.name}`);
+    console.log(`W/D/L: ${score.wins}/${score.draws}/${score.losses}, ` +
+        `score ${points}/${played} (${(played ? points / played * 100 : 0).toFixed(1)}%)`);
+    console.log(`Elo difference: ${formatElo(elo)} (95% interval ${formatElo(low)} to ${formatElo(high)})`);
+
+    await Promise.all(engines.map(engine => engine.terminate()));
+}
+
+if (isMainThread) {
+    runMatch().catch(error => {
+        process.stderr.write(`error: ${error.message}\n`);
+        process.exit(1);
+    });
+} else {
+    runEngineWorker();
+}
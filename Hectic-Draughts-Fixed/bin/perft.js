@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+/**
+ * Perft command-line tool
+ * - Counts leaf nodes to a depth with the Game generator, the AI generator or both
+ * - In compare mode (the default) walks both generators node by node and prints
+ *   the first position where they differ
+ * - --suite checks the known perft values and exits with status 1 on a mismatch
+ *
+ * - --variant picks the rules (international, brazilian, russian, pool, english, frisian);
+ *   without a FEN the variant's starting position is used
+ *
+ * Usage: node bin/perft.js [FEN] [--depth 5] [--generator compare|game|ai]
+ *            [--variant international] [--divide] [--suite] [--no-max-capture]
+ * @author codewithheck
+ */
+
+import {
+    PERFT_SUITE, perftGame, perftAI, divide, comparePerft
+} from '../src/engine/perft.js';
+import { Game, QUIET_LOGGER, getVariant, getInitialFEN } from '../src/engine/index.js';
+
+const print = (line = '') => process.stdout.write(line + '\n');
+
+function parseArguments(argv) {
+    const options = {
+        fen: null, depth: null, generator: 'compare', divide: false, suite: false,
+        variant: 'international', maxCapture: undefined,
+        logger: QUIET_LOGGER // Invalid FENs are reported by the perft functions
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--depth') {
+            options.depth = parseInt(argv[++i], 10);
+        } else if (arg === '--generator') {
+            options.generator = argv[++i];
+        } else if (arg === '--divide') {
+            options.divide = true;
+        } else if (arg === '--suite') {
+            options.suite = true;
+        } else if (arg === '--variant') {
+            options.variant = argv[++i];
+        } else if (arg === '--no-max-capture') {
+            options.maxCapture = false;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown argument: ${arg}`);
+        } else {
+            options.fen = arg;
+        }
+    }
+
+    if (!['compare', 'game', 'ai'].includes(options.generator)) {
+        throw new Error(`Unknown generator: ${options.generator}`);
+    }
+    options.variant = getVariant(options.variant);
+    options.fen = options.fen || getInitialFEN(options.variant);
+    return options;
+}
+
+function formatTime(start) {
+    return `${((Date.now() - start) / 1000).toFixed(2)}s`;
+}
+
+/**
+ * Finds the known perft values of a position
+ * @param {string} fen - Position
+ * @param {Object} variant - Rule variant
+ * @returns {Array|null} Known counts or null
+ */
+function getKnownCounts(fen, variant) {
+    const canonical = (text) => {
+        const game = new Game(variant, { logger: QUIET_LOGGER });
+        return game.loadFEN(text) ? game.getFEN() : null;
+    };
+    const target = canonical(fen);
+    const entry = PERFT_SUITE.find(test =>
+        getVariant(test.variant) === variant && canonical(test.fen) === target
+    );
+    return entry ? entry.counts : null;
+}
+
+function printDivergence(divergence) {
+    print(`First divergence after: ${divergence.line.join(' ') || '(start position)'}`);
+    print(`  position: ${divergence.fen}`);
+
+    if (divergence.type === 'moves') {
+        print(`  moves only in Game: ${divergence.onlyGame.join(' ') || '-'}`);
+        print(`  moves only in AI:   ${divergence.onlyAI.join(' ') || '-'}`);
+    } else {
+        print('  positions differ after the last move');
+        print(`  Game: ${divergence.gameFEN}`);
+        print(`  AI:   ${divergence.aiFEN}`);
+    }
+}
+
+/**
+ * Runs perft on one position
+ * @returns {boolean} True if the generators agree and match the known values
+ */
+function runPosition(fen, depth, options) {
+    const known = options.maxCapture === undefined ? getKnownCounts(fen, options.variant) : null;
+    let ok = true;
+
+    for (let d = 1; d <= depth; d++) {
+        const start = Date.now();
+        const expected = known && known[d - 1];
+        let nodes;
+        let line;
+
+        if (options.generator === 'compare') {
+            const result = comparePerft(fen, d, options);
+            if (result.divergence) {
+                print(`depth ${d}: generators differ`);
+                printDivergence(result.divergence);
+                return false;
+            }
+            nodes = result.nodes;
+            line = `depth ${d}: ${nodes} nodes (Game and AI agree)`;
+        } else {
+            nodes = options.generator === 'game' ? perftGame(fen, d, options) : perftAI(fen, d, options);
+            line = `depth ${d}: ${nodes} nodes`;
+        }
+
+        if (expected !== undefined && expected !== null) {
+            line += nodes === expected ? ', as expected' : `, EXPECTED ${expected}`;
+            ok = ok && nodes === expected;
+        }
+        print(`${line} [${formatTime(start)}]`);
+    }
+
+    if (options.divide) {
+        const generator = options.generator === 'ai' ? 'ai' : 'game';
+        print('');
+        divide(fen, depth, generator, options).forEach(({ move, nodes }) => print(`${move}: ${nodes}`));
+    }
+
+    return ok;
+}
+
+function runSuite(maxDepth, options) {
+    let failures = 0;
+
+    PERFT_SUITE.forEach(test => {
+        const depth = Math.min(test.counts.length, maxDepth);
+        print(`${test.name} (${test.fen})`);
+        const variant = getVariant(test.variant);
+        if (!runPosition(test.fen, depth, { ...options, variant, divide: false })) {
+            failures++;
+        }
+        print('');
+    });
+
+    print(failures === 0 ? 'All perft tests passed' : `${failures} perft test(s) failed`);
+    return failures === 0;
+}
+
+function main() {
+    const options = parseArguments(process.argv.slice(2));
+    const ok = options.suite ?
+        runSuite(options.depth || 5, options) :
+        runPosition(options.fen, options.depth || 4, options);
+    process.exitCode = ok ? 0 : 1;
+}
+
+try {
+    main();
+} catch (error) {
+    process.stderr.write(`error: ${error.message}\n`);
+    process.exitCode = 1;
+}
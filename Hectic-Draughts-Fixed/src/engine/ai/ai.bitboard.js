@@ -0,0 +1,346 @@
+/**
+ * AI Bitboard Module - 50-square bitboard positions for the search
+ * - Bit s (0-49) is the s-th playable square in row-major order (row * 5 + col / 2);
+ *   squares 0-24 live in the low word and 25-49 in the high word of each pair
+ * - A position holds three pairs: white pieces, black pieces and the kings of both sides
+ * - Neighbour tables replace coordinate arithmetic in move generation
+ * - 8x8 boards use the top-left corner of the 10x10 layout; each board size has its own
+ *   geometry (neighbour tables, promotion row), which positions carry with their rules
+ * - toBitboard and toPieces convert from and to the array form at the worker boundary
+ * @module ai.bitboard
+ */
+
+import { BOARD_SIZE, PIECE, PLAYER, DIRECTIONS, isDarkSquare } from '../constants.js';
+import { DEFAULT_VARIANT } from '../variants.js';
+import { pieceKeyHi, pieceKeyLo } from '../zobrist.js';
+
+export const SQUARE_COUNT = 50;
+const HALF = 25;
+const PIECE_TYPES = 5;
+
+// Direction indexes follow DIRECTIONS.KING_MOVES: up-left, up-right, down-left, down-right,
+// then DIRECTIONS.ORTHOGONAL: up, down, left, right (Frisian captures only)
+export const DIRECTION_COUNT = 4;
+export const LINE_DIRECTION_COUNT = 8;
+export const WHITE_DIRECTIONS = [0, 1];
+export const BLACK_DIRECTIONS = [2, 3];
+export const KING_DIRECTIONS = [0, 1, 2, 3];
+export const LINE_DIRECTIONS = [0, 1, 2, 3, 4, 5, 6, 7];
+
+// Board coordinates of every square, shared by all generated moves
+export const SQUARE_ROW = new Int8Array(SQUARE_COUNT);
+export const SQUARE_COL = new Int8Array(SQUARE_COUNT);
+export const SQUARE_COORDS = [];
+
+// Square of every board index (row * 10 + col), -1 for light squares
+const BOARD_INDEX = new Int8Array(BOARD_SIZE * BOARD_SIZE).fill(-1);
+
+// Single-bit masks; exactly one of the two is non-zero for every square
+export const BIT_LO = new Int32Array(SQUARE_COUNT);
+export const BIT_HI = new Int32Array(SQUARE_COUNT);
+
+// Geometry of each board size, built on first use
+const GEOMETRIES = new Map();
+
+// Zobrist keys by square and piece, taken from the shared tables
+const KEY_HI = new Int32Array(SQUARE_COUNT * PIECE_TYPES);
+const KEY_LO = new Int32Array(SQUARE_COUNT * PIECE_TYPES);
+
+(function initializeTables() {
+    for (let row = 0; row < BOARD_SIZE; row++) {
+        for (let col = 0; col < BOARD_SIZE; col++) {
+            if (!isDarkSquare(row, col)) continue;
+            const square = row * 5 + (col >> 1);
+            SQUARE_ROW[square] = row;
+            SQUARE_COL[square] = col;
+            SQUARE_COORDS[square] = Object.freeze({ row, col });
+            BOARD_INDEX[row * BOARD_SIZE + col] = square;
+            BIT_LO[square] = square < HALF ? 1 << square : 0;
+            BIT_HI[square] = square < HALF ? 0 : 1 << (square - HALF);
+            for (let piece = 0; piece < PIECE_TYPES; piece++) {
+                KEY_HI[square * PIECE_TYPES + piece] = pieceKeyHi(row, col, piece);
+                KEY_LO[square * PIECE_TYPES + piece] = pieceKeyLo(row, col, piece);
+            }
+        }
+    }
+})();
+
+/**
+ * Gets the geometry of a board size:
+ * - neighbour[direction * 50 + square]: next square in that direction, -1 off the board
+ * - adjacentLo/Hi: the diagonal neighbours of every square as a bitboard pair;
+ *   lineAdjacentLo/Hi add the orthogonal ones
+ * - boardLo/Hi: the squares on the board
+ * @param {number} [boardSize] - Squares along each side, 8 or 10
+ * @returns {Object} Frozen geometry
+ */
+export function getGeometry(boardSize = BOARD_SIZE) {
+    let geometry = GEOMETRIES.get(boardSize);
+    if (geometry) return geometry;
+    
+    const neighbour = new Int8Array(LINE_DIRECTION_COUNT * SQUARE_COUNT).fill(-1);
+    const adjacentLo = new Int32Array(SQUARE_COUNT);
+    const adjacentHi = new Int32Array(SQUARE_COUNT);
+    const lineAdjacentLo = new Int32Array(SQUARE_COUNT);
+    const lineAdjacentHi = new Int32Array(SQUARE_COUNT);
+    const inside = (row, col) => row >= 0 && row < boardSize && col >= 0 && col < boardSize;
+    let boardLo = 0;
+    let boardHi = 0;
+    
+    [...DIRECTIONS.KING_MOVES, ...DIRECTIONS.ORTHOGONAL].forEach((dir, d) => {
+        for (let square = 0; square < SQUARE_COUNT; square++) {
+            if (!inside(SQUARE_ROW[square], SQUARE_COL[square])) continue;
+            const row = SQUARE_ROW[square] + dir.dy;
+            const col = SQUARE_COL[square] + dir.dx;
+            const next = inside(row, col) ? BOARD_INDEX[row * BOARD_SIZE + col] : -1;
+            neighbour[d * SQUARE_COUNT + square] = next;
+            if (next < 0) continue;
+            if (d < DIRECTION_COUNT) {
+                adjacentLo[square] |= BIT_LO[next];
+                adjacentHi[square] |= BIT_HI[next];
+            }
+            lineAdjacentLo[square] |= BIT_LO[next];
+            lineAdjacentHi[square] |= BIT_HI[next];
+        }
+    });
+    
+    for (let square = 0; square < SQUARE_COUNT; square++) {
+        if (inside(SQUARE_ROW[square], SQUARE_COL[square])) {
+            boardLo |= BIT_LO[square];
+            boardHi |= BIT_HI[square];
+        }
+    }
+    
+    geometry = Object.freeze({
+        boardSize,
+        lastRow: boardSize - 1,
+        neighbour,
+        adjacentLo,
+        adjacentHi,
+        lineAdjacentLo,
+        lineAdjacentHi,
+        boardLo,
+        boardHi
+    });
+    GEOMETRIES.set(boardSize, geometry);
+    return geometry;
+}
+
+/**
+ * Square of a board coordinate
+ * @param {number} row - Board row
+ * @param {number} col - Board column
+ * @returns {number} Square 0-49, or -1 for light or off-board squares
+ */
+export function getSquare(row, col) {
+    if (row < 0 || row >= BOARD_SIZE || col < 0 || col >= BOARD_SIZE) return -1;
+    return BOARD_INDEX[row * BOARD_SIZE + col];
+}
+
+/**
+ * Tests a square in a bitboard pair
+ * @param {number} lo - Low word
+ * @param {number} hi - High word
+ * @param {number} square - Square 0-49
+ * @returns {boolean}
+ */
+export function hasSquare(lo, hi, square) {
+    return ((lo & BIT_LO[square]) | (hi & BIT_HI[square])) !== 0;
+}
+
+/**
+ * Number of set bits in a word
+ * @param {number} word - 32-bit word
+ * @returns {number}
+ */
+export function countBits(word) {
+    word -= (word >>> 1) & 0x55555555;
+    word = (word & 0x33333333) + ((word >>> 2) & 0x33333333);
+    return (((word + (word >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+}
+
+/**
+ * Lists the squares of a bitboard pair in ascending (row-major) order
+ * @param {number} lo - Low word
+ * @param {number} hi - High word
+ * @returns {Array<number>} Squares 0-49
+ */
+export function getSquares(lo, hi) {
+    const squares = [];
+    while (lo !== 0) {
+        const bit = lo & -lo;
+        squares.push(31 - Math.clz32(bit));
+        lo ^= bit;
+    }
+    while (hi !== 0) {
+        const bit = hi & -hi;
+        squares.push(HALF + 31 - Math.clz32(bit));
+        hi ^= bit;
+    }
+    return squares;
+}
+
+/**
+ * Gets the piece on a square
+ * @param {Object} position - Bitboard position
+ * @param {number} square - Square 0-49
+ * @returns {number} PIECE value
+ */
+export function pieceOn(position, square) {
+    const lo = BIT_LO[square];
+    const hi = BIT_HI[square];
+    const king = ((position.kingsLo & lo) | (position.kingsHi & hi)) !== 0;
+    if (((position.whiteLo & lo) | (position.whiteHi & hi)) !== 0) {
+        return king ? PIECE.WHITE_KING : PIECE.WHITE;
+    }
+    if (((position.blackLo & lo) | (position.blackHi & hi)) !== 0) {
+        return king ? PIECE.BLACK_KING : PIECE.BLACK;
+    }
+    return PIECE.NONE;
+}
+
+/**
+ * Gets the piece on a board coordinate
+ * @param {Object} position - Bitboard position
+ * @param {number} row - Board row
+ * @param {number} col - Board column
+ * @returns {number} PIECE value, PIECE.NONE for light or off-board squares
+ */
+export function pieceAt(position, row, col) {
+    const square = getSquare(row, col);
+    return square < 0 ? PIECE.NONE : pieceOn(position, square);
+}
+
+/**
+ * Removes the piece on a square in place, updating the board key
+ * @param {Object} position - Bitboard position
+ * @param {number} square - Square 0-49
+ * @param {number} piece - The piece on that square
+ */
+export function clearSquare(position, square, piece) {
+    const lo = ~BIT_LO[square];
+    const hi = ~BIT_HI[square];
+    position.whiteLo &= lo;
+    position.whiteHi &= hi;
+    position.blackLo &= lo;
+    position.blackHi &= hi;
+    position.kingsLo &= lo;
+    position.kingsHi &= hi;
+    position.keyHi ^= KEY_HI[square * PIECE_TYPES + piece];
+    position.keyLo ^= KEY_LO[square * PIECE_TYPES + piece];
+}
+
+/**
+ * Puts a piece on an empty square in place, updating the board key
+ * @param {Object} position - Bitboard position
+ * @param {number} square - Square 0-49
+ * @param {number} piece - PIECE value
+ */
+export function fillSquare(position, square, piece) {
+    if (piece === PIECE.NONE) return;
+    const lo = BIT_LO[square];
+    const hi = BIT_HI[square];
+    if (piece === PIECE.WHITE || piece === PIECE.WHITE_KING) {
+        position.whiteLo |= lo;
+        position.whiteHi |= hi;
+    } else {
+        position.blackLo |= lo;
+        position.blackHi |= hi;
+    }
+    if (piece === PIECE.WHITE_KING || piece === PIECE.BLACK_KING) {
+        position.kingsLo |= lo;
+        position.kingsHi |= hi;
+    }
+    position.keyHi ^= KEY_HI[square * PIECE_TYPES + piece];
+    position.keyLo ^= KEY_LO[square * PIECE_TYPES + piece];
+}
+
+/**
+ * Copies a position with one square changed
+ * @param {Object} position - Bitboard position
+ * @param {number} square - Square 0-49
+ * @param {number} piece - New PIECE value, PIECE.NONE to empty the square
+ * @returns {Object} New position with the same side to move
+ */
+export function withPiece(position, square, piece) {
+    const copy = { ...position };
+    if (copy.keyHi === undefined) {
+        const key = computeKey(copy);
+        copy.keyHi = key.hi;
+        copy.keyLo = key.lo;
+    }
+    clearSquare(copy, square, pieceOn(position, square));
+    fillSquare(copy, square, piece);
+    return copy;
+}
+
+/**
+ * Computes the Zobrist board key from scratch; equals computeBoardKey of the array form
+ * @param {Object} position - Bitboard position
+ * @returns {Object} Key halves { hi, lo }
+ */
+export function computeKey(position) {
+    let hi = 0;
+    let lo = 0;
+    for (let square = 0; square < SQUARE_COUNT; square++) {
+        const piece = pieceOn(position, square);
+        if (piece !== PIECE.NONE) {
+            hi ^= KEY_HI[square * PIECE_TYPES + piece];
+            lo ^= KEY_LO[square * PIECE_TYPES + piece];
+        }
+    }
+    return { hi, lo };
+}
+
+/**
+ * Converts an array position to a bitboard position
+ * @param {Object} position - Position with pieces (boardSize x boardSize array) and currentPlayer
+ * @param {Object} [rules] - Rule variant, see variants.js; sets the board size
+ * @returns {Object} Bitboard position with the board key, its rules and geometry
+ */
+export function toBitboard(position, rules = DEFAULT_VARIANT) {
+    const geometry = getGeometry(rules.boardSize);
+    const board = {
+        whiteLo: 0, whiteHi: 0,
+        blackLo: 0, blackHi: 0,
+        kingsLo: 0, kingsHi: 0,
+        currentPlayer: position.currentPlayer,
+        history: position.history || [],
+        keyHi: 0,
+        keyLo: 0,
+        rules,
+        geometry
+    };
+    for (let square = 0; square < SQUARE_COUNT; square++) {
+        if (!hasSquare(geometry.boardLo, geometry.boardHi, square)) continue;
+        fillSquare(board, square, position.pieces[SQUARE_ROW[square]][SQUARE_COL[square]]);
+    }
+    return board;
+}
+
+/**
+ * Converts a bitboard position back to the array form
+ * @param {Object} position - Bitboard position
+ * @returns {Object} Position with pieces and currentPlayer
+ */
+export function toPieces(position) {
+    const { boardSize, boardLo, boardHi } = position.geometry;
+    const pieces = Array.from({ length: boardSize }, () => Array(boardSize).fill(PIECE.NONE));
+    for (let square = 0; square < SQUARE_COUNT; square++) {
+        if (!hasSquare(boardLo, boardHi, square)) continue;
+        pieces[SQUARE_ROW[square]][SQUARE_COL[square]] = pieceOn(position, square);
+    }
+    return { pieces, currentPlayer: position.currentPlayer };
+}
+
+/**
+ * Bitboard pair of a player's pieces
+ * @param {Object} position - Bitboard position
+ * @param {number} player - PLAYER value
+ * @returns {Array<number>} [lo, hi]
+ */
+export function getPlayerBits(position, player) {
+    return player === PLAYER.WHITE ?
+        [position.whiteLo, position.whiteHi] :
+        [position.blackLo, position.blackHi];
+}
@@ -0,0 +1,199 @@
+/**
+ * Opening Book Module - Book moves by position for the search
+ * - Built from the opening lines of data/openings.json: every line is replayed with
+ *   the AI move generator, so positions are found by Zobrist key and lines that
+ *   transpose into each other share their moves
+ * - A move's weight is the number of games it was played in when the book holds
+ *   them (see utils/book-editor.js), otherwise the number of book lines playing it
+ * - Entries keep the line they come from, for the opening explorer (utils/opening-book.js)
+ * @module ai.book
+ */
+
+import { Game } from '../game.js';
+import { getSquareNumbers } from '../constants.js';
+import { DEFAULT_VARIANT } from '../variants.js';
+import { getPositionKey } from '../zobrist.js';
+import { toBitboard } from './ai.bitboard.js';
+import { generateMoves, makeMove, ensureBoardKey } from './ai.utils.js';
+import { isSameMove } from './ai.move-ordering.js';
+
+function getKey(position) {
+    ensureBoardKey(position);
+    return getPositionKey(position.keyHi, position.keyLo, position.currentPlayer);
+}
+
+// Moves of a book line, stored as a string or as move objects, as {notation, games, ...}
+function getLineMoves(node) {
+    const moves = node.moves;
+    if (!moves) return [];
+    if (Array.isArray(moves)) {
+        return moves
+            .map(move => typeof move === 'string' ? { notation: move } : move)
+            .filter(move => move.notation);
+    }
+    return moves.split(' ').filter(move => move.trim()).map(notation => ({ notation }));
+}
+
+/**
+ * Creates an opening book for the search
+ * @param {Object} bookData - Book in the data/openings.json format ({openings: [...]})
+ * @param {Object} [rules] - Rule variant the lines are played in
+ * @returns {Object} Opening book interface
+ * @throws {Error} If none of the lines can be played, e.g. lines written for other rules.
+ *   Lines with an illegal move are left out, see skippedLines
+ */
+export function createOpeningBook(bookData, rules = DEFAULT_VARIANT) {
+    const entries = new Map(); // Position key -> [{move, notation, weight, lines, stats, line}]
+    const numbers = getSquareNumbers(rules.boardSize);
+    const getNumber = pos => numbers[pos.row * rules.boardSize + pos.col];
+    const countedPaths = new Set(); // Move sequences whose game counts were added
+    let skippedLines = 0;
+
+    function findMove(position, notation) {
+        const squares = notation.split(/[-x:]/).map(n => parseInt(n, 10));
+        const from = squares[0];
+        const to = squares[squares.length - 1];
+        return generateMoves(position).find(move =>
+            getNumber(move.from) === from && getNumber(move.to) === to
+        ) || null;
+    }
+
+    /*
+     * Lines repeat the moves they share with other lines, each carrying the same game
+     * count, so a count is added once per move sequence; moves reached by different
+     * sequences (transpositions) add up
+     */
+    function addMove(position, move, lineMove, path, line) {
+        const key = getKey(position);
+        if (!entries.has(key)) entries.set(key, []);
+
+        const moves = entries.get(key);
+        let entry = moves.find(e => isSameMove(e.move, move));
+        if (!entry) {
+            entry = { move, notation: lineMove.notation, weight: 0, lines: 0, stats: null, line };
+            moves.push(entry);
+        }
+        entry.lines++;
+        if (line.depth < entry.line.depth) {
+            entry.line = line;
+        }
+
+        if (!(lineMove.games > 0)) {
+            entry.weight++;
+        } else if (!countedPaths.has(path)) {
+            countedPaths.add(path);
+            entry.weight += lineMove.games;
+            entry.stats = entry.stats || { games: 0, whiteWins: 0, draws: 0, blackWins: 0 };
+            entry.stats.games += lineMove.games;
+            entry.stats.whiteWins += lineMove.whiteWins || 0;
+            entry.stats.draws += lineMove.draws || 0;
+            entry.stats.blackWins += lineMove.blackWins || 0;
+        }
+    }
+
+    /*
+     * Variations either continue their parent line or repeat it up to where they branch
+     * off, so a line starting with the parent's first move is replayed from the parent's start
+     */
+    function addLine(node, start, parentMoves, opening, depth) {
+        const lineMoves = getLineMoves(node);
+        const repeatsParent = parentMoves.length > 0 && lineMoves[0]?.notation === parentMoves[0].notation;
+
+        let position = repeatsParent ? start.from : start.to;
+        const startOfLine = position;
+        // Moves from the initial position to the start of the line
+        const startOfPath = repeatsParent ? start.path : [...start.path, ...parentMoves.map(m => m.notation)];
+        // A line with an illegal move is skipped as a whole, with its variations
+        const positions = [];
+        const moves = [];
+        for (const lineMove of lineMoves) {
+            const move = findMove(position, lineMove.notation);
+            if (!move) {
+                skippedLines++;
+                return;
+            }
+            positions.push(position);
+            moves.push(move);
+            position = makeMove(position, move);
+        }
+
+        const path = [...startOfPath];
+        lineMoves.forEach((lineMove, i) => {
+            path.push(lineMove.notation);
+            addMove(positions[i], moves[i], lineMove, path.join(' '), { node, opening, depth });
+        });
+
+        const next = { from: startOfLine, to: position, path: startOfPath };
+        for (const variation of [...(node.variations || []), ...(node.subvariations || [])]) {
+            addLine(variation, next, lineMoves, opening, depth + 1);
+        }
+    }
+
+    const game = new Game(rules);
+    const initial = toBitboard({ pieces: game.pieces, currentPlayer: game.currentPlayer }, rules);
+    for (const opening of bookData.openings || []) {
+        addLine(opening, { from: initial, to: initial, path: [] }, [], opening, 0);
+    }
+
+    if (entries.size === 0) {
+        throw new Error(`Opening book has no playable lines (${skippedLines} skipped)`);
+    }
+
+    // Most played first
+    for (const moves of entries.values()) {
+        moves.sort((a, b) => b.weight - a.weight);
+    }
+
+    /**
+     * Gets the book moves of a position
+     * @param {Object} position - Bitboard position
+     * @returns {Array} Entries, most played first, with the move, its notation and weight,
+     *   the number of book lines playing it, its game statistics ({games, whiteWins, draws,
+     *   blackWins}, null unless the book holds games) and the least nested line playing it
+     *   ({node, opening, depth})
+     */
+    function getMoves(position) {
+        return entries.get(getKey(position)) || [];
+    }
+
+    /**
+     * Chooses a book move. Without randomization the most played move is chosen;
+     * otherwise, as often as the randomization says, a move is drawn by weight.
+     * @param {Object} position - Bitboard position
+     * @param {number} [randomization] - 0 to 1, see AI_PARAMS.OPENING_BOOK.RANDOMIZATION
+     * @param {Function} [random] - Returns a number in [0, 1)
+     * @returns {Object|null} Move, or null if the position is not in the book
+     */
+    function getMove(position, randomization = 0, random = Math.random) {
+        const moves = getMoves(position);
+        if (moves.length === 0) return null;
+        if (moves.length === 1 || random() >= randomization) return moves[0].move;
+
+        const total = moves.reduce((sum, entry) => sum + entry.weight, 0);
+        let pick = random() * total;
+        for (const entry of moves) {
+            pick -= entry.weight;
+            if (pick < 0) return entry.move;
+        }
+        return moves[moves.length - 1].move;
+    }
+
+    /**
+     * Checks whether the book plays a move in a position
+     * @param {Object} position - Bitboard position
+     * @param {Object} move - Move
+     * @returns {boolean}
+     */
+    function isBookMove(position, move) {
+        return getMoves(position).some(entry => isSameMove(entry.move, move));
+    }
+
+    return {
+        variantId: rules.id,
+        getMoves,
+        getMove,
+        isBookMove,
+        size: () => entries.size,
+        skippedLines: () => skippedLines
+    };
+}
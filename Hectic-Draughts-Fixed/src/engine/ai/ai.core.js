@@ -1,12 +1,16 @@
 /**
  * AI Core Module - Main orchestrator for the Grandmaster AI
- * Combines all modules into a cohesive, ruthless draughts engine
+ * Combines all modules into a cohesive, ruthless draughts engine.
+ * Import-safe: nothing runs at load time and all output goes through the onMessage sink.
  * @module ai.core
  */
 
 import { AI_PARAMS } from './ai.params.js';
+import { DEFAULT_VARIANT, getVariant } from '../variants.js';
 import { createTranspositionTable, createEvaluationCache } from './ai.tt.js';
-import { getBestMove, negamax, quiescenceSearch } from './ai.search.js';
+import { createOpeningBook } from './ai.book.js';
+import { getBestMove, analyzePosition, negamax, quiescenceSearch, probeTablebase } from './ai.search.js';
+import { TABLEBASE_RESULT, getPositionEndgameLimit } from './ai.tablebase.js';
 import { 
     evaluatePosition, 
     evaluateMaterial,
@@ -50,6 +54,7 @@ import {
     evaluateBreakthroughPotential,
     detectPinsAndSkewers
 } from './ai.tactics.js';
+import { toBitboard, toPieces, pieceAt } from './ai.bitboard.js';
 import { 
     makeMove, 
     generateMoves, 
@@ -73,11 +78,26 @@ import {
  * GrandmasterAI - The main AI class that orchestrates all modules
  */
 export class GrandmasterAI {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.onMessage] - Receives {type, data} log and evaluation messages
+     * @param {Int32Array} [options.stopFlag] - Shared flag, so another thread can stop a search that
+     *   never yields: a first element of at least searchId, and not 0, stops the search
+     */
+    constructor(options = {}) {
+        this.onMessage = options.onMessage || (() => {});
+        this.stopFlag = options.stopFlag || null;
+        
+        // Request id of the running search; a stop for an earlier request leaves it running
+        this.searchId = 0;
+        
         // Core components
         this.cache = createTranspositionTable();
-        this.evalCache = new Map();  // Use a regular Map instead of createEvaluationCache
-        this.heatmapCache = new Map();
+        this.evalCache = createEvaluationCache(AI_PARAMS.CACHE.EVAL_CACHE_SIZE);
+        this.heatmapCache = createEvaluationCache(AI_PARAMS.CACHE.HEATMAP_CACHE_SIZE);
+        
+        // Rule variant of the positions to search
+        this.variant = DEFAULT_VARIANT;
         
         // Search state
         this.level = 3;
@@ -85,13 +105,27 @@ export class GrandmasterAI {
         this.searchAborted = false;
         this.maxRecursionDepth = 60;
         this.positionHistory = [];
+        this.lastScore = null;
+        
+        // Move limit of the root's king ending and the plies played in it, see toSearchRoot
+        this.rootEndgame = { limit: 0, plies: 0 };
+        
+        // Consecutive moves played in a hopeless position, and whether the last one was
+        // a tablebase loss, see shouldResign
+        this.hopelessMoves = 0;
+        this.tablebaseLoss = false;
         
         // Move ordering tables
         this.killerMoves = Array(100).fill(null).map(() => [null, null]);
         this.historyTable = new Map();
         
-        // Opening book (optional)
+        // Running analysis (see analyze) and the number of analyses requested
+        this.analysis = null;
+        this.analysisCount = 0;
+        
+        // Opening book and endgame tablebase (optional)
         this.openingBook = null;
+        this.tablebase = null;
         
         // Statistics
         this.statistics = {
@@ -104,10 +138,35 @@ export class GrandmasterAI {
         // Set initial difficulty
         this.setDifficulty(this.level);
         
-        postMessage({
-            type: 'log',
-            data: { message: 'GrandmasterAI initialized - Ready for ruthless play!' }
-        });
+        this.log('GrandmasterAI initialized - Ready for ruthless play!');
+    }
+    
+    /**
+     * Sends a message to the sink
+     * @param {string} type - Message type, e.g. 'log' or 'evaluation'
+     * @param {Object} data - Message payload
+     */
+    emit(type, data) {
+        this.onMessage({ type, data });
+    }
+    
+    /**
+     * Checks whether another thread asked the search to stop
+     * @returns {boolean}
+     */
+    isStopRequested() {
+        if (this.stopFlag === null) return false;
+        const stop = Atomics.load(this.stopFlag, 0);
+        return stop !== 0 && stop >= this.searchId;
+    }
+    
+    /**
+     * Sends a log message to the sink
+     * @param {string} message - Log text
+     * @param {Object} [details] - Extra fields sent along with the message
+     */
+    log(message, details = {}) {
+        this.emit('log', { message, ...details });
     }
     
     /**
@@ -121,13 +180,9 @@ export class GrandmasterAI {
         this.heatmapCache.clear();
         this.quiescenceDepth = AI_PARAMS.QUIESCENCE_DEPTH[this.level] || 4;
         
-        postMessage({
-            type: 'log',
-            data: { 
-                message: `AI difficulty set to level ${this.level} (${this.getDifficultyName()})`,
-                depth: AI_PARAMS.MAX_DEPTH[this.level],
-                time: AI_PARAMS.ITERATIVE_DEEPENING.TIME_ALLOCATION[this.level]
-            }
+        this.log(`AI difficulty set to level ${this.level} (${this.getDifficultyName()})`, {
+            depth: AI_PARAMS.MAX_DEPTH[this.level],
+            time: AI_PARAMS.ITERATIVE_DEEPENING.TIME_ALLOCATION[this.level]
         });
     }
     
@@ -149,34 +204,37 @@ export class GrandmasterAI {
     
     /**
      * Main method to get the best move
-     * @param {Object} position - Current position
+     * The search runs on bitboards; the position is converted once here
+     * @param {Object} position - Current position ({pieces: array of the variant's board size,
+     *   currentPlayer, drawCounters}, see toSearchRoot)
      * @param {Array} moveHistoryNotations - Move history
+     * @param {Object} [limits] - Search limits (depth, moveTime, infinite), see getBestMove
      * @returns {Promise<Object>} Best move
      */
-    async getMove(position, moveHistoryNotations) {
+    async getMove(position, moveHistoryNotations, limits = {}) {
+        await this.stopAnalysis();
         const startTime = Date.now();
         
-        postMessage({
-            type: 'log',
-            data: { message: `${this.getDifficultyName()} AI analyzing position...` }
-        });
+        this.log(`${this.getDifficultyName()} AI analyzing position...`);
         
         // Reset search state
         this.nodeCount = 0;
         this.searchAborted = false;
         
-        // Clean up caches periodically
-        if (this.evalCache.size > 50000) {
-            this.evalCache.clear();
-            this.heatmapCache.clear();
-        }
-        
         if (this.historyTable.size > 100000) {
             clearHistoryTable(this.historyTable);
         }
         
         // Get the best move using search
-        const bestMove = await getBestMove(this, position, moveHistoryNotations);
+        const bitboard = this.toSearchRoot(position);
+        const bestMove = await getBestMove(this, bitboard, moveHistoryNotations, limits);
+        
+        // Analysis is not play, so only played moves count towards resigning
+        if (!limits.infinite) {
+            const score = this.lastScore ?? evaluatePosition(this, bitboard);
+            this.hopelessMoves = score <= AI_PARAMS.ADJUDICATION.RESIGN_SCORE ? this.hopelessMoves + 1 : 0;
+            this.tablebaseLoss = probeTablebase(this, bitboard)?.result === TABLEBASE_RESULT.LOSS;
+        }
         
         // Update statistics
         const timeTaken = Date.now() - startTime;
@@ -185,35 +243,144 @@ export class GrandmasterAI {
         
         // Log cache performance
         const cacheStats = this.cache.getStats();
-        postMessage({
-            type: 'log',
-            data: { 
-                message: `Cache performance: ${cacheStats.hitRate} hit rate, ${cacheStats.fillRate} full`
-            }
-        });
+        this.log(`Cache performance: ${cacheStats.hitRate} hit rate, ${cacheStats.fillRate} full`);
         
         return bestMove;
     }
     
+    /**
+     * Analyses a position until stopped or replaced by another analysis, reporting the
+     * best lines of every depth in 'analysis' messages (see analyzePosition)
+     * @param {Object} position - Position ({pieces, currentPlayer, drawCounters}, see toSearchRoot)
+     * @param {Object} [options] - {lines, depth, requestId}, see analyzePosition
+     * @returns {Promise<Array|null>} Lines of the last finished depth, or null if another
+     *   analysis was requested before this one started
+     */
+    async analyze(position, options = {}) {
+        const count = ++this.analysisCount;
+        await this.endAnalysis();
+        if (count !== this.analysisCount) return null;
+        
+        const bitboard = this.toSearchRoot(position);
+        this.analysis = analyzePosition(this, bitboard, options);
+        try {
+            return await this.analysis;
+        } finally {
+            this.analysis = null;
+        }
+    }
+    
+    /**
+     * Stops the running analysis; analyses requested but not started yet do not start
+     * @returns {Promise<void>} Resolves once the analysis has stopped
+     */
+    async stopAnalysis() {
+        this.analysisCount++;
+        await this.endAnalysis();
+    }
+    
+    // Aborts the running analysis and waits for it to return
+    async endAnalysis() {
+        if (!this.analysis) return;
+        this.searchAborted = true;
+        await this.analysis.catch(() => {});
+    }
+    
+    /**
+     * Converts the root position of a search to a bitboard, taking the count of its king
+     * ending from the game's draw counters when given; the tablebase holds wins to the
+     * 16-move and 5-move limits with it
+     * @param {Object} position - Position ({pieces, currentPlayer, drawCounters}), drawCounters
+     *   optional, see Game.getDrawCounters
+     * @returns {Object} Bitboard position
+     */
+    toSearchRoot(position) {
+        const bitboard = toBitboard(position, this.variant);
+        const limit = getPositionEndgameLimit(bitboard);
+        const counters = position.drawCounters;
+        this.rootEndgame = {
+            limit,
+            plies: counters && counters.endgameLimit === limit ? counters.endgameMoves : 0
+        };
+        return bitboard;
+    }
+    
+    /**
+     * Checks whether the AI should resign rather than play on: the last move was played
+     * in a tablebase loss, or, from RESIGN_MIN_LEVEL up, the last RESIGN_MOVES moves it
+     * played all scored at or below RESIGN_SCORE
+     * @returns {boolean}
+     */
+    shouldResign() {
+        const { RESIGN_ENABLED, RESIGN_MOVES, RESIGN_MIN_LEVEL } = AI_PARAMS.ADJUDICATION;
+        if (!RESIGN_ENABLED) return false;
+        return this.tablebaseLoss || (this.level >= RESIGN_MIN_LEVEL && this.hopelessMoves >= RESIGN_MOVES);
+    }
+    
+    /**
+     * Decides on a draw offer with a short search; the more pieces are left,
+     * the worse the AI must stand to accept
+     * @param {Object} position - Current position ({pieces, currentPlayer, drawCounters}, see toSearchRoot)
+     * @param {Array} moveHistoryNotations - Move history
+     * @param {number} [player] - Side the AI plays, by default the side to move
+     * @returns {Promise<Object>} {accept, score, phase}; score is from the AI's side
+     */
+    async respondToDrawOffer(position, moveHistoryNotations, player = position.currentPlayer) {
+        const { DRAW_ACCEPT_SCORE, DRAW_SEARCH_TIME } = AI_PARAMS.ADJUDICATION;
+        await this.stopAnalysis();
+        const bitboard = this.toSearchRoot(position);
+        
+        await getBestMove(this, bitboard, moveHistoryNotations, { moveTime: DRAW_SEARCH_TIME });
+        let score = this.lastScore ?? evaluatePosition(this, bitboard);
+        if (player !== position.currentPlayer) {
+            score = -score;
+        }
+        
+        const phase = getGamePhase(bitboard);
+        const accept = score <= DRAW_ACCEPT_SCORE[phase];
+        this.log(`Draw offer ${accept ? 'accepted' : 'declined'} (score ${score.toFixed(2)}, ${phase})`);
+        return { accept, score, phase };
+    }
+    
+    /**
+     * Sets the rule variant of the following searches; the caches are cleared since
+     * the same board may have other moves and values under other rules
+     * @param {string|Object} variant - Rule variant id or rules object, see getVariant
+     */
+    setVariant(variant) {
+        this.variant = getVariant(variant);
+        this.cache.clear();
+        this.evalCache.clear();
+        this.heatmapCache.clear();
+        clearHistoryTable(this.historyTable);
+        this.log(`Rule variant set to ${this.variant.name}`);
+    }
+    
     /**
      * Aborts the current search
      */
     abortSearch() {
         this.searchAborted = true;
-        postMessage({
-            type: 'log',
-            data: { message: 'Search aborted by request' }
-        });
+        this.log('Search aborted by request');
     }
     
     /**
      * Sets the opening book
-     * @param {Object} book - Opening book instance
+     * @param {Object|null} book - Opening book from createOpeningBook, used in its own variant only
      */
     setOpeningBook(book) {
         this.openingBook = book;
     }
     
+    /**
+     * Sets the endgame tablebase
+     * @param {Object|null} tablebase - Tablebase from loadTablebase or generateTablebase,
+     *   probed under international rules only, not with the majority rule switched off
+     */
+    setTablebase(tablebase) {
+        this.tablebase = tablebase;
+    }
+    
     /**
      * Gets AI statistics
      * @returns {Object} Statistics
@@ -234,15 +401,14 @@ export class GrandmasterAI {
      */
     resetForNewGame() {
         this.positionHistory = [];
+        this.hopelessMoves = 0;
+        this.tablebaseLoss = false;
         this.statistics.gamesPlayed++;
         
         // Clear killer moves for new game
         this.killerMoves = Array(100).fill(null).map(() => [null, null]);
         
-        postMessage({
-            type: 'log',
-            data: { message: 'AI reset for new game' }
-        });
+        this.log('AI reset for new game');
     }
     
     // Bind all module functions to this instance
@@ -257,8 +423,8 @@ export class GrandmasterAI {
     // Evaluation functions
     evaluatePosition = (position) => evaluatePosition(this, position);
     evaluateMaterial = evaluateMaterial;
-    evaluateMobilityDifferential = (position) => evaluateMobilityDifferential(this, position);
-    evaluateTacticalThreats = (position, pieces) => evaluateTacticalThreats(this, position, pieces);
+    evaluateMobilityDifferential = (position, sideMoves) => evaluateMobilityDifferential(this, position, sideMoves);
+    evaluateTacticalThreats = (position, pieces, sideMoves) => evaluateTacticalThreats(this, position, pieces, sideMoves);
     evaluateStrategicControl = evaluateStrategicControl;
     getThreatHeatmap = getThreatHeatmap;
     getFormationScore = getFormationScore;
@@ -313,73 +479,135 @@ export class GrandmasterAI {
     getPieceCounts = getPieceCounts;
     hasCaptures = hasCaptures;
     getGamePhase = getGamePhase;
+    
+    // Bitboard functions
+    toBitboard = toBitboard;
+    toPieces = toPieces;
+    pieceAt = pieceAt;
 }
 
-// Worker message handler
-const ai = new GrandmasterAI();
-
-self.onmessage = async (event) => {
-    const { type, requestId, data } = event.data;
-    
-    try {
-        switch (type) {
-            case 'initialize':
-                postMessage({ 
-                    type: 'initialized',
-                    data: { 
-                        version: '2.0',
-                        features: ['ruthless', 'modular', 'grandmaster']
+/**
+ * Creates the handler for worker-protocol requests
+ * ({type, requestId, data} in, {type, requestId, data|error} out). Request ids of searches
+ * rise; storing one in the shared stop flag (see initialize) stops every search up to it
+ * @param {GrandmasterAI} ai - AI instance answering the requests
+ * @param {Function} post - Sends a reply message
+ * @returns {Function} Async handler taking the request message
+ */
+export function createMessageHandler(ai, post) {
+    return async (message) => {
+        const { type, requestId, data } = message;
+        
+        try {
+            switch (type) {
+                case 'initialize':
+                    if (data && data.stopBuffer) {
+                        ai.stopFlag = new Int32Array(data.stopBuffer);
                     }
-                });
-                break;
-                
-            case 'setDifficulty':
-                ai.setDifficulty(data.level);
-                postMessage({
-                    type: 'difficultySet',
-                    requestId,
-                    data: { level: ai.level, name: ai.getDifficultyName() }
-                });
-                break;
-                
-            case 'getMove':
-                const move = await ai.getMove(data.position, data.moveHistoryNotations);
-                postMessage({
-                    type: 'moveResult',
-                    requestId,
-                    data: { move }
-                });
-                break;
+                    post({ 
+                        type: 'initialized',
+                        data: { 
+                            version: '2.0',
+                            features: ['ruthless', 'modular', 'grandmaster']
+                        }
+                    });
+                    break;
+                    
+                case 'setDifficulty':
+                    ai.setDifficulty(data.level);
+                    post({
+                        type: 'difficultySet',
+                        requestId,
+                        data: { level: ai.level, name: ai.getDifficultyName() }
+                    });
+                    break;
+                    
+                case 'setVariant':
+                    ai.setVariant(data.variant);
+                    post({
+                        type: 'variantSet',
+                        requestId,
+                        data: { variant: ai.variant.id }
+                    });
+                    break;
+                    
+                case 'setOpeningBook':
+                    // A book without lines (all deleted in the editor) means no book
+                    ai.setOpeningBook(data.book?.openings?.length ? createOpeningBook(data.book) : null);
+                    post({
+                        type: 'openingBookSet',
+                        requestId,
+                        data: { positions: ai.openingBook ? ai.openingBook.size() : 0 }
+                    });
+                    break;
+                    
+                case 'getMove': {
+                    ai.searchId = requestId;
+                    const move = await ai.getMove(data.position, data.moveHistoryNotations, data.limits);
+                    post({
+                        type: 'moveResult',
+                        requestId,
+                        data: { move, resign: ai.shouldResign() }
+                    });
+                    break;
+                }
                 
-            case 'abort':
-                ai.abortSearch();
-                break;
+                case 'analyze': {
+                    ai.searchId = requestId;
+                    const lines = await ai.analyze(data.position, { lines: data.lines, depth: data.depth, requestId });
+                    post({
+                        type: 'analysisResult',
+                        requestId,
+                        data: { lines }
+                    });
+                    break;
+                }
                 
-            case 'newGame':
-                ai.resetForNewGame();
-                break;
+                case 'stopAnalysis':
+                    await ai.stopAnalysis();
+                    break;
                 
-            case 'getStats':
-                postMessage({
-                    type: 'statistics',
-                    requestId,
-                    data: ai.getStatistics()
-                });
-                break;
-                
-            default:
-                postMessage({
-                    type: 'error',
-                    requestId,
-                    error: `Unknown message type: ${type}`
-                });
+                case 'offerDraw': {
+                    ai.searchId = requestId;
+                    const response = await ai.respondToDrawOffer(data.position, data.moveHistoryNotations, data.player);
+                    post({
+                        type: 'drawResponse',
+                        requestId,
+                        data: response
+                    });
+                    break;
+                }
+                    
+                case 'abort':
+                    ai.abortSearch();
+                    break;
+                    
+                case 'newGame':
+                    ai.resetForNewGame();
+                    break;
+                    
+                case 'getStats':
+                    post({
+                        type: 'statistics',
+                        requestId,
+                        data: ai.getStatistics()
+                    });
+                    break;
+                    
+                default:
+                    post({
+                        type: 'error',
+                        requestId,
+                        error: `Unknown message type: ${type}`
+                    });
+            }
+        } catch (error) {
+            console.error('AI Error:', error);
+            post({
+                type: 'moveResult',
+                requestId,
+                error: error.message
+            });
         }
-    } catch (error) {
-        console.error('AI Error:', error);
-        postMessage({
-            type: 'moveResult',
-            requestId,
-            error: error.message
-        });
-    }
-};
\ No newline at end of file
+    };
+}
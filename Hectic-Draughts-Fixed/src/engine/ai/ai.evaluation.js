@@ -11,8 +11,21 @@ import {
     getGamePhase,
     isPieceOfCurrentPlayer,
     isPlayerPiece,
-    isValidSquare 
+    isValidSquare,
+    ensureBoardKey
 } from './ai.utils.js';
+import {
+    SQUARE_COUNT,
+    KING_DIRECTIONS,
+    SQUARE_ROW,
+    SQUARE_COL,
+    getSquare,
+    hasSquare,
+    getSquares,
+    pieceOn,
+    pieceAt
+} from './ai.bitboard.js';
+import { getPositionKey } from '../zobrist.js';
 
 // Piece base values
 const PIECE_VALUES = {
@@ -20,6 +33,10 @@ const PIECE_VALUES = {
     KING: 450
 };
 
+// Formation grid: rows -1..10 and columns -2..13, so the neighbours the
+// formation checks look at never wrap onto another square
+const FORMATION_GRID_SIZE = 12 * 16;
+
 // Positional value tables (pre-flipped: index [row][col] for both WHITE and BLACK)
 const MAN_PST = [
     [  0,  30,   0,  30,   0,  30,   0,  30,   0,  30],
@@ -54,8 +71,9 @@ export function evaluatePosition(ai, position) {
     const cacheKey = ai.cache.generateKey(position);
     
     // Check evaluation cache
-    if (ai.evalCache.has(cacheKey)) {
-        return ai.evalCache.get(cacheKey);
+    const cachedScore = ai.evalCache.lookup(cacheKey);
+    if (cachedScore !== undefined) {
+        return cachedScore;
     }
 
     let score = 0;
@@ -69,25 +87,17 @@ export function evaluatePosition(ai, position) {
     };
 
     // First pass: collect pieces and basic material
-    for (let r = 0; r < BOARD_SIZE; r++) {
-        for (let c = 0; c < BOARD_SIZE; c++) {
-            const piece = position.pieces[r][c];
-            if (piece === PIECE.NONE) continue;
-            
-            const pieceInfo = { row: r, col: c, piece: piece };
-            const isWhite = piece === PIECE.WHITE || piece === PIECE.WHITE_KING;
-            const isKing = piece === PIECE.WHITE_KING || piece === PIECE.BLACK_KING;
-            
-            if (isWhite) {
-                pieces.white.push(pieceInfo);
-                if (isKing) pieces.whiteKings++;
-                else pieces.whiteMen++;
-            } else {
-                pieces.black.push(pieceInfo);
-                if (isKing) pieces.blackKings++;
-                else pieces.blackMen++;
-            }
-        }
+    for (const square of getSquares(position.whiteLo, position.whiteHi)) {
+        const piece = pieceOn(position, square);
+        pieces.white.push({ row: SQUARE_ROW[square], col: SQUARE_COL[square], piece: piece });
+        if (piece === PIECE.WHITE_KING) pieces.whiteKings++;
+        else pieces.whiteMen++;
+    }
+    for (const square of getSquares(position.blackLo, position.blackHi)) {
+        const piece = pieceOn(position, square);
+        pieces.black.push({ row: SQUARE_ROW[square], col: SQUARE_COL[square], piece: piece });
+        if (piece === PIECE.BLACK_KING) pieces.blackKings++;
+        else pieces.blackMen++;
     }
 
     // Check for won positions
@@ -103,16 +113,17 @@ export function evaluatePosition(ai, position) {
 
     // Positional evaluation with piece square tables
     pieces.white.forEach(p => {
-        score += evaluatePiecePosition(p, true, gamePhase);
+        score += evaluatePiecePosition(p, true, gamePhase, position.geometry.lastRow);
     });
     
     pieces.black.forEach(p => {
-        score -= evaluatePiecePosition(p, false, gamePhase);
+        score -= evaluatePiecePosition(p, false, gamePhase, position.geometry.lastRow);
     });
 
     // Advanced evaluations
-    const mobility = evaluateMobilityDifferential(ai, position);
-    const threats = evaluateTacticalThreats(ai, position, pieces);
+    const sideMoves = generateSideMoves(ai, position);
+    const mobility = evaluateMobilityDifferential(ai, position, sideMoves);
+    const threats = evaluateTacticalThreats(ai, position, pieces, sideMoves);
     const control = evaluateStrategicControl(position, gamePhase, pieces);
     const formations = evaluateFormations(position, pieces);
     
@@ -142,7 +153,7 @@ export function evaluatePosition(ai, position) {
     const finalScore = position.currentPlayer === PLAYER.WHITE ? score : -score;
     
     // Cache the evaluation
-    ai.evalCache.set(cacheKey, finalScore);
+    ai.evalCache.store(cacheKey, finalScore);
     
     return finalScore;
 }
@@ -151,7 +162,7 @@ export function evaluatePosition(ai, position) {
  * Evaluates a single piece's positional value
  * PATCHED: Use [row][col] for both sides (pre-flipped PSTs)
  */
-function evaluatePiecePosition(pieceInfo, isWhite, gamePhase) {
+function evaluatePiecePosition(pieceInfo, isWhite, gamePhase, lastRow) {
     const row = pieceInfo.row;
     const col = pieceInfo.col;
     const piece = pieceInfo.piece;
@@ -166,44 +177,53 @@ function evaluatePiecePosition(pieceInfo, isWhite, gamePhase) {
         score += MAN_PST[row][col];
         // Advancement bonus for men
         if (isWhite) {
-            score += (9 - row) * 3; // Closer to promotion (row 0)
+            score += (lastRow - row) * 3; // Closer to promotion (row 0)
             if (row <= 2) score += 20; // Near promotion
             if (row === 1) score += 30; // One move from promotion
         } else {
-            score += row * 3; // Closer to promotion (row 9)
-            if (row >= 7) score += 20;
-            if (row === 8) score += 30;
+            score += row * 3; // Closer to promotion (last row)
+            if (row >= lastRow - 2) score += 20;
+            if (row === lastRow - 1) score += 30;
         }
     }
     
     // King activity in endgame
     if (isKing && gamePhase === 'endgame') {
         // Centralization bonus
-        const centerDist = Math.abs(row - 4.5) + Math.abs(col - 4.5);
+        const centerDist = Math.abs(row - lastRow / 2) + Math.abs(col - lastRow / 2);
         score += (15 - centerDist) * 2;
     }
     
     // Edge penalty for men
-    if (!isKing && (row === 0 || row === 9 || col === 0 || col === 9)) {
+    if (!isKing && (row === 0 || row === lastRow || col === 0 || col === lastRow)) {
         score -= 5;
     }
     
     return score;
 }
 
+/**
+ * Generates the moves of both sides, whoever is to move.
+ * Shared by the mobility, threat and fork terms of one evaluation.
+ */
+export function generateSideMoves(ai, position) {
+    return {
+        [PLAYER.WHITE]: ai.generateMoves({ ...position, currentPlayer: PLAYER.WHITE }),
+        [PLAYER.BLACK]: ai.generateMoves({ ...position, currentPlayer: PLAYER.BLACK })
+    };
+}
+
 /**
  * Evaluates mobility differential
  */
-export function evaluateMobilityDifferential(ai, position) {
+export function evaluateMobilityDifferential(ai, position, sideMoves = generateSideMoves(ai, position)) {
+    const opponent = position.currentPlayer === PLAYER.WHITE ? PLAYER.BLACK : PLAYER.WHITE;
+    
     // Our mobility
-    const ourMoves = ai.generateMoves(position).length;
+    const ourMoves = sideMoves[position.currentPlayer].length;
     
-    // Opponent mobility (switch sides)
-    const oppPosition = {
-        pieces: position.pieces,
-        currentPlayer: position.currentPlayer === PLAYER.WHITE ? PLAYER.BLACK : PLAYER.WHITE
-    };
-    const theirMoves = ai.generateMoves(oppPosition).length;
+    // Opponent mobility
+    const theirMoves = sideMoves[opponent].length;
     
     let score = (ourMoves - theirMoves) * 5;
     
@@ -218,12 +238,16 @@ export function evaluateMobilityDifferential(ai, position) {
 /**
  * Evaluates tactical threats and hanging pieces
  */
-export function evaluateTacticalThreats(ai, position, pieces) {
+export function evaluateTacticalThreats(ai, position, pieces, sideMoves = generateSideMoves(ai, position)) {
     let score = 0;
     
+    // Captures are mandatory, so a side's moves are its captures whenever it has any
+    const whiteCaptures = getCaptures(sideMoves[PLAYER.WHITE]);
+    const blackCaptures = getCaptures(sideMoves[PLAYER.BLACK]);
+    
     // Check white threats on black pieces
     pieces.black.forEach(target => {
-        const attackers = countAttackersOn(ai, position, target, PLAYER.WHITE);
+        const attackers = countAttackersOn(whiteCaptures, target);
         const defenders = countDefendersOf(ai, position, target, PLAYER.BLACK);
         
         if (attackers > defenders) {
@@ -234,7 +258,7 @@ export function evaluateTacticalThreats(ai, position, pieces) {
     
     // Check black threats on white pieces
     pieces.white.forEach(target => {
-        const attackers = countAttackersOn(ai, position, target, PLAYER.BLACK);
+        const attackers = countAttackersOn(blackCaptures, target);
         const defenders = countDefendersOf(ai, position, target, PLAYER.WHITE);
         
         if (attackers > defenders) {
@@ -244,8 +268,8 @@ export function evaluateTacticalThreats(ai, position, pieces) {
     });
     
     // Fork detection
-    score += detectForks(ai, position, pieces.white, PLAYER.WHITE) * 40;
-    score -= detectForks(ai, position, pieces.black, PLAYER.BLACK) * 40;
+    score += detectForks(whiteCaptures) * 40;
+    score -= detectForks(blackCaptures) * 40;
     
     return score;
 }
@@ -265,7 +289,7 @@ export function evaluateStrategicControl(position, gamePhase, pieces) {
     ];
     
     keySquares.forEach(sq => {
-        const piece = position.pieces[sq.r][sq.c];
+        const piece = pieceAt(position, sq.r, sq.c);
         if (piece !== PIECE.NONE) {
             const isWhite = piece === PIECE.WHITE || piece === PIECE.WHITE_KING;
             const controlValue = sq.value * (gamePhase === 'middlegame' ? 1.5 : 1);
@@ -274,12 +298,13 @@ export function evaluateStrategicControl(position, gamePhase, pieces) {
     });
     
     // Control of opponent's back rank
-    for (let c = 0; c < BOARD_SIZE; c++) {
-        if (position.pieces[0][c] === PIECE.WHITE || position.pieces[0][c] === PIECE.WHITE_KING) {
+    const lastRow = position.geometry.lastRow;
+    for (let c = 0; c <= lastRow; c++) {
+        if (pieceAt(position, 0, c) === PIECE.WHITE || pieceAt(position, 0, c) === PIECE.WHITE_KING) {
             score += 20; // White controls black's back rank (row 0)
         }
-        if (position.pieces[9][c] === PIECE.BLACK || position.pieces[9][c] === PIECE.BLACK_KING) {
-            score -= 20; // Black controls white's back rank (row 9)
+        if (pieceAt(position, lastRow, c) === PIECE.BLACK || pieceAt(position, lastRow, c) === PIECE.BLACK_KING) {
+            score -= 20; // Black controls white's back rank (last row)
         }
     }
     
@@ -303,30 +328,31 @@ function evaluateFormations(position, pieces) {
  */
 export function getFormationScore(pieces) {
     let score = 0;
-    const positions = new Set(pieces.map(p => `${p.row},${p.col}`));
+    const positions = new Uint8Array(FORMATION_GRID_SIZE);
+    pieces.forEach(p => { positions[formationKey(p.row, p.col)] = 1; });
     
     for (const piece of pieces) {
         const row = piece.row;
         const col = piece.col;
         
         // Triangle formation (very strong)
-        if (positions.has(`${row + 1},${col - 1}`) && 
-            positions.has(`${row + 1},${col + 1}`)) {
+        if (positions[formationKey(row + 1, col - 1)] && 
+            positions[formationKey(row + 1, col + 1)]) {
             score += 15;
         }
         
         // Chain formation
         let chainLength = 1;
         let r = row + 1, c = col + 1;
-        while (positions.has(`${r},${c}`)) {
+        while (positions[formationKey(r, c)]) {
             chainLength++;
             r++; c++;
         }
         if (chainLength >= 3) score += chainLength * 8;
         
         // Phalanx (side by side)
-        if (positions.has(`${row},${col + 2}`) || 
-            positions.has(`${row},${col - 2}`)) {
+        if (positions[formationKey(row, col + 2)] || 
+            positions[formationKey(row, col - 2)]) {
             score += 5;
         }
         
@@ -342,15 +368,13 @@ export function getFormationScore(pieces) {
  * Generates threat heatmaps for both sides
  */
 export function getThreatHeatmap(position, enemyPieces, cacheKey) {
-    const heat = Array.from({ length: BOARD_SIZE }, () => Array(BOARD_SIZE).fill(0));
+    const heat = [];
+    for (let r = 0; r < BOARD_SIZE; r++) {
+        heat.push(new Int16Array(BOARD_SIZE));
+    }
     
     for (const enemy of enemyPieces) {
-        const threats = getThreatenedSquares(position, enemy);
-        threats.forEach((threat) => {
-            if (isValidSquare(threat.row, threat.col)) {
-                heat[threat.row][threat.col] += threat.value;
-            }
-        });
+        addThreatenedSquares(heat, position, enemy);
     }
     
     return heat;
@@ -358,12 +382,21 @@ export function getThreatHeatmap(position, enemyPieces, cacheKey) {
 
 /**
  * Generates threat maps for evaluation
+ * Cached by board key: the maps do not depend on the side to move
  */
 function generateThreatMaps(ai, position, pieces) {
+    ensureBoardKey(position);
+    const boardKey = getPositionKey(position.keyHi, position.keyLo, PLAYER.WHITE);
+    
+    const cached = ai.heatmapCache.lookup(boardKey);
+    if (cached) return cached;
+    
     const whiteHeat = getThreatHeatmap(position, pieces.white, 'white_heat');
     const blackHeat = getThreatHeatmap(position, pieces.black, 'black_heat');
     
-    return { whiteHeat: whiteHeat, blackHeat: blackHeat };
+    const threatMaps = { whiteHeat: whiteHeat, blackHeat: blackHeat };
+    ai.heatmapCache.store(boardKey, threatMaps);
+    return threatMaps;
 }
 
 /**
@@ -459,9 +492,9 @@ export function simulateOpponentPlan(position, opponentMoves) {
     
     for (const move of opponentMoves) {
         // Promotion threat
-        const piece = position.pieces[move.from.row][move.from.col];
+        const piece = pieceAt(position, move.from.row, move.from.col);
         if ((piece === PIECE.WHITE && move.to.row === 0) || 
-            (piece === PIECE.BLACK && move.to.row === 9)) {
+            (piece === PIECE.BLACK && move.to.row === position.geometry.lastRow)) {
             maxThreat += 50;
         }
         
@@ -490,14 +523,7 @@ function getPhaseWeights(gamePhase) {
     return weights[gamePhase];
 }
 
-function countAttackersOn(ai, position, target, attackingPlayer) {
-    // Switch to attacking player's perspective
-    const attackPos = {
-        pieces: position.pieces,
-        currentPlayer: attackingPlayer
-    };
-    
-    const captures = ai.getAvailableCaptures(attackPos);
+function countAttackersOn(captures, target) {
     return captures.filter(move => 
         move.captures.some(cap => cap.row === target.row && cap.col === target.col)
     ).length;
@@ -514,7 +540,7 @@ function countDefendersOf(ai, position, target, defendingPlayer) {
         const r = target.row + dir.dy;
         const c = target.col + dir.dx;
         if (isValidSquare(r, c)) {
-            const piece = position.pieces[r][c];
+            const piece = pieceAt(position, r, c);
             if (isPlayerPiece(piece, defendingPlayer)) {
                 defenders++;
             }
@@ -524,6 +550,13 @@ function countDefendersOf(ai, position, target, defendingPlayer) {
     return defenders;
 }
 
+/**
+ * Index of a square in the formation grid
+ */
+function formationKey(row, col) {
+    return (row + 1) * 16 + col + 2;
+}
+
 function countProtectors(positions, row, col) {
     let count = 0;
     const dirs = [
@@ -532,7 +565,7 @@ function countProtectors(positions, row, col) {
     ];
     
     for (const dir of dirs) {
-        if (positions.has(`${row + dir.dy},${col + dir.dx}`)) {
+        if (positions[formationKey(row + dir.dy, col + dir.dx)]) {
             count++;
         }
     }
@@ -540,18 +573,15 @@ function countProtectors(positions, row, col) {
     return count;
 }
 
-function detectForks(ai, position, pieces, player) {
+function getCaptures(moves) {
+    return moves.length > 0 && moves[0].captures.length > 0 ? moves : [];
+}
+
+function detectForks(captures) {
     let forkCount = 0;
     
-    // Simulate each piece's captures
-    const testPos = {
-        pieces: position.pieces,
-        currentPlayer: player
-    };
-    const moves = ai.generateMoves(testPos);
-    
-    for (const move of moves) {
-        if (move.captures && move.captures.length >= 2) {
+    for (const move of captures) {
+        if (move.captures.length >= 2) {
             forkCount++;
         }
     }
@@ -559,65 +589,38 @@ function detectForks(ai, position, pieces, player) {
     return forkCount;
 }
 
-function getThreatenedSquares(position, piece) {
-    const threats = [];
+function addThreatenedSquares(heat, position, piece) {
     const isKing = piece.piece === PIECE.WHITE_KING || piece.piece === PIECE.BLACK_KING;
-    const row = piece.row;
-    const col = piece.col;
-    
-    const dirs = [
-        { dy: -1, dx: -1 }, { dy: -1, dx: 1 },
-        { dy: 1, dx: -1 }, { dy: 1, dx: 1 }
-    ];
+    const square = getSquare(piece.row, piece.col);
+    const occupiedLo = position.whiteLo | position.blackLo;
+    const occupiedHi = position.whiteHi | position.blackHi;
+    const neighbour = position.geometry.neighbour;
     
-    for (const dir of dirs) {
+    for (const d of KING_DIRECTIONS) {
+        let target = neighbour[d * SQUARE_COUNT + square];
+        
         if (isKing) {
             // King threatens along diagonals
-            let r = row + dir.dy;
-            let c = col + dir.dx;
-            let distance = 1;
-            
-            while (isValidSquare(r, c) && distance <= 7) {
-                threats.push({ 
-                    row: r, 
-                    col: c, 
-                    value: Math.max(5 - distance, 1) 
-                });
+            for (let distance = 1; target >= 0 && distance <= 7; distance++) {
+                heat[SQUARE_ROW[target]][SQUARE_COL[target]] += Math.max(5 - distance, 1);
                 
-                if (position.pieces[r][c] !== PIECE.NONE) break;
+                if (hasSquare(occupiedLo, occupiedHi, target)) break;
                 
-                r += dir.dy;
-                c += dir.dx;
-                distance++;
+                target = neighbour[d * SQUARE_COUNT + target];
             }
-        } else {
+        } else if (target >= 0) {
             // Man threatens adjacent squares
-            const r = row + dir.dy;
-            const c = col + dir.dx;
-            if (isValidSquare(r, c)) {
-                threats.push({ row: r, col: c, value: 3 });
-            }
+            heat[SQUARE_ROW[target]][SQUARE_COL[target]] += 3;
         }
     }
-    
-    return threats;
 }
 
 /**
  * Gets material-only evaluation
  */
 export function evaluateMaterial(position) {
-    let score = 0;
-    for (let r = 0; r < BOARD_SIZE; r++) {
-        for (let c = 0; c < BOARD_SIZE; c++) {
-            const piece = position.pieces[r][c];
-            switch (piece) {
-                case PIECE.WHITE: score += PIECE_VALUES.MAN; break;
-                case PIECE.WHITE_KING: score += PIECE_VALUES.KING; break;
-                case PIECE.BLACK: score -= PIECE_VALUES.MAN; break;
-                case PIECE.BLACK_KING: score -= PIECE_VALUES.KING; break;
-            }
-        }
-    }
-    return score;
+    const counts = getPieceCounts(position);
+    const white = counts[PLAYER.WHITE];
+    const black = counts[PLAYER.BLACK];
+    return (white.men - black.men) * PIECE_VALUES.MAN + (white.kings - black.kings) * PIECE_VALUES.KING;
 }
@@ -5,7 +5,8 @@
  */
 
 import { PIECE, PLAYER } from '../constants.js';
-import { makeMove, generateMoves, shouldPromote } from './ai.utils.js';
+import { makeMove, generateMoves, shouldPromote, countTotalPieces } from './ai.utils.js';
+import { pieceAt } from './ai.bitboard.js';
 import { staticExchangeEvaluation, isMoveReallySafe, isProtected } from './ai.safety.js';
 import { countCaptureValue } from './ai.tactics.js';
 import { evaluateMaterial } from './ai.evaluation.js';
@@ -19,11 +20,12 @@ import { evaluateMaterial } from './ai.evaluation.js';
  * @returns {Array} Ordered moves
  */
 export function orderMoves(moves, position, ply, ai) {
+    const ttEntry = ai.cache.lookup(ai.cache.generateKey(position), 0, -Infinity, Infinity);
+    
     moves.forEach(move => {
         let score = 0;
         
         // 1. Hash move (best move from transposition table)
-        const ttEntry = ai.cache.lookup(ai.cache.generateKey(position), 0, -Infinity, Infinity);
         if (ttEntry && ttEntry.bestMove && isSameMove(move, ttEntry.bestMove)) {
             score += 10000;
         }
@@ -31,7 +33,7 @@ export function orderMoves(moves, position, ply, ai) {
         // 2. Captures ordered by MVV-LVA (Most Valuable Victim - Least Valuable Attacker)
         if (move.captures && move.captures.length > 0) {
             const captureValue = countCaptureValue(position, move);
-            const attackerValue = getPieceValue(position.pieces[move.from.row][move.from.col]);
+            const attackerValue = getPieceValue(pieceAt(position, move.from.row, move.from.col));
             score += 1000 + captureValue - attackerValue / 10;
             
             // Bonus for multiple captures
@@ -53,8 +55,8 @@ export function orderMoves(moves, position, ply, ai) {
         score += Math.min(historyScore, 400);
         
         // 5. Promotion moves
-        const piece = position.pieces[move.from.row][move.from.col];
-        if (shouldPromote(piece, move.to.row)) {
+        const piece = pieceAt(position, move.from.row, move.from.col);
+        if (move.crowned || shouldPromote(piece, move.to.row, position.geometry.lastRow)) {
             score += 700;
             
             // Extra bonus for promotion with capture
@@ -134,7 +136,8 @@ export function orderMovesAtRoot(moves, position, ai) {
         }
         
         // Opening book bonus
-        if (ai.openingBook && ai.openingBook.isBookMove(position, move)) {
+        if (ai.openingBook && ai.openingBook.variantId === ai.variant.id &&
+            ai.openingBook.isBookMove(position, move)) {
             score += 300;
         }
         
@@ -196,7 +199,7 @@ export function updateHistory(move, depth, historyTable) {
  * @returns {number} Quick evaluation score
  */
 export function quickEvaluateMove(position, move, ai) {
-    const piece = position.pieces[move.from.row][move.from.col];
+    const piece = pieceAt(position, move.from.row, move.from.col);
     const isCapture = move.captures && move.captures.length > 0;
     
     // Apply the move
@@ -227,7 +230,7 @@ export function quickEvaluateMove(position, move, ai) {
     }
     
     // Promotion potential
-    const distToPromotion = getPromotionDistance(piece, move.to.row);
+    const distToPromotion = getPromotionDistance(piece, move.to.row, position.geometry.lastRow);
     if (distToPromotion <= 2 && !isKing(piece)) {
         score += (3 - distToPromotion) * 40;
     }
@@ -322,20 +325,10 @@ function isKing(piece) {
     return piece === PIECE.WHITE_KING || piece === PIECE.BLACK_KING;
 }
 
-function getPromotionDistance(piece, row) {
+function getPromotionDistance(piece, row, lastRow) {
     if (isKing(piece)) return Infinity;
     
     const isWhite = piece === PIECE.WHITE;
-    const promotionRow = isWhite ? 0 : 9;
+    const promotionRow = isWhite ? 0 : lastRow;
     return Math.abs(row - promotionRow);
-}
-
-function countTotalPieces(position) {
-    let count = 0;
-    for (let r = 0; r < 10; r++) {
-        for (let c = 0; c < 10; c++) {
-            if (position.pieces[r][c] !== PIECE.NONE) count++;
-        }
-    }
-    return count;
 }
\ No newline at end of file
@@ -58,6 +58,8 @@ export const AI_PARAMS = {
     // Transposition table cache settings
     CACHE: {
         MAX_SIZE: 2000000,          // Maximum entries
+        EVAL_CACHE_SIZE: 100000,    // Evaluations kept by position
+        HEATMAP_CACHE_SIZE: 20000,  // Threat maps kept by board (two 10x10 arrays each)
         CLEANUP_THRESHOLD: 0.9,     // Cleanup when 90% full
         CLEANUP_PERCENTAGE: 0.3,    // Remove 30% on cleanup
         
@@ -186,13 +188,23 @@ export const AI_PARAMS = {
         }
     },
     
+    // Endgame tablebase (see ai.tablebase.js)
+    TABLEBASE: {
+        ENABLED: true,
+        WIN_SCORE: 9000             // Score of a tablebase win, less its distance in plies
+    },
+    
     // Time management
     TIME_MANAGEMENT: {
         PANIC_THRESHOLD: 0.1,       // 10% time left
         CRITICAL_THRESHOLD: 0.2,    // 20% time left
         MOVE_OVERHEAD: 50,          // Milliseconds overhead
         ENDGAME_EXTENSION: 1.5,     // Time multiplier in endgame
-        TACTICAL_EXTENSION: 2.0     // Time multiplier for tactics
+        TACTICAL_EXTENSION: 2.0,    // Time multiplier for tactics
+        MOVES_TO_GO: 30,            // Moves the clock must last when no period ends
+        PANIC_FACTOR: 0.5,          // Share of the usual time below PANIC_THRESHOLD
+        CRITICAL_FACTOR: 0.75,      // Share of the usual time below CRITICAL_THRESHOLD
+        MAX_CLOCK_SHARE: 0.5        // Never more than this share of the time left
     },
     
     // Personality settings for ruthless play
@@ -223,12 +235,26 @@ export const AI_PARAMS = {
         }
     },
     
+    // Draw offers and resignation
+    ADJUDICATION: {
+        DRAW_ACCEPT_SCORE: {        // Accept a draw at or below this score
+            opening: -150,          // Only when clearly worse
+            middlegame: -50,
+            endgame: 30             // Near-equal endings are drawn anyway
+        },
+        DRAW_SEARCH_TIME: 1000,     // Milliseconds to consider a draw offer
+        RESIGN_ENABLED: true,
+        RESIGN_SCORE: -1500,        // Score of a hopeless position
+        RESIGN_MOVES: 8,            // Consecutive hopeless moves before resigning
+        RESIGN_MIN_LEVEL: 3         // Lower levels misjudge too often; they only resign tablebase losses
+    },
+    
     // Debug and logging
     DEBUG: {
         LOG_SEARCH: false,          // Log search progress
         LOG_EVALUATION: false,      // Log evaluation details
         LOG_CACHE_STATS: true,      // Log cache performance
         LOG_TIME_MANAGEMENT: true,  // Log time usage
-        NODE_COUNT_INTERVAL: 2048   // How often to check time
+        NODE_COUNT_INTERVAL: 256    // Nodes between time and stop checks, a few milliseconds
     }
 };
\ No newline at end of file
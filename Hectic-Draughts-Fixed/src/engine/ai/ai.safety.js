@@ -14,6 +14,7 @@ import {
     getAvailableCaptures,
     getPieceCapturesFrom
 } from './ai.utils.js';
+import { getSquare, pieceAt, withPiece } from './ai.bitboard.js';
 
 /**
  * Comprehensive move safety check - ensures move doesn't lose material
@@ -44,7 +45,7 @@ export function isMoveReallySafe(ai, position, move) {
     if (!movingPieceCanBeCaptured) return true;
     
     // Check if we have adequate defense
-    const ourPiece = position.pieces[move.from.row][move.from.col];
+    const ourPiece = pieceAt(position, move.from.row, move.from.col);
     const pieceValue = getPieceValue(ourPiece);
     
     // See if the piece is defended after the move
@@ -73,7 +74,7 @@ export function staticExchangeEvaluation(ai, position, move) {
     // Initial material gain from captures
     let gain = 0;
     move.captures.forEach(cap => {
-        gain += getPieceValue(position.pieces[cap.row][cap.col]);
+        gain += getPieceValue(pieceAt(position, cap.row, cap.col));
     });
     
     // Simulate the exchange
@@ -92,7 +93,7 @@ export function staticExchangeEvaluation(ai, position, move) {
     let bestRecaptureValue = Infinity;
     
     for (const recap of recaptures) {
-        const attackerValue = getPieceValue(afterMove.pieces[recap.from.row][recap.from.col]);
+        const attackerValue = getPieceValue(pieceAt(afterMove, recap.from.row, recap.from.col));
         if (attackerValue < bestRecaptureValue) {
             bestRecaptureValue = attackerValue;
             bestRecapture = recap;
@@ -101,7 +102,7 @@ export function staticExchangeEvaluation(ai, position, move) {
     
     if (bestRecapture) {
         // Subtract the value of our piece that gets captured
-        const ourPieceValue = getPieceValue(position.pieces[move.from.row][move.from.col]);
+        const ourPieceValue = getPieceValue(pieceAt(position, move.from.row, move.from.col));
         gain -= ourPieceValue;
         
         // Recursively evaluate the continuation
@@ -134,7 +135,7 @@ export function isProtected(ai, position, row, col, player = position.currentPla
         const c = col + dir.dx;
         if (!isValidSquare(r, c)) continue;
         
-        const neighbor = position.pieces[r][c];
+        const neighbor = pieceAt(position, r, c);
         if (isPlayerPiece(neighbor, player)) {
             protectors++;
         } else if (isPlayerPiece(neighbor, opponent)) {
@@ -177,7 +178,7 @@ export function countDefenders(ai, position, row, col, player = position.current
         const c = col + dir.dx;
         if (!isValidSquare(r, c)) continue;
         
-        const piece = position.pieces[r][c];
+        const piece = pieceAt(position, r, c);
         if (isPlayerPiece(piece, player)) {
             // Check if this piece actually defends (can recapture)
             if (canDefend(position, { row: r, col: c }, { row, col })) {
@@ -202,31 +203,18 @@ export function countDefenders(ai, position, row, col, player = position.current
  * @returns {number} Number of attackers
  */
 export function countAttackers(ai, position, row, col, attackingPlayer) {
-    let attackers = 0;
-    
-    // Create a dummy piece at the target square to check captures
-    const testPosition = {
-        ...position,
-        currentPlayer: attackingPlayer
-    };
-    
-    // Temporarily place an opponent piece at the target square
-    const originalPiece = testPosition.pieces[row][col];
+    // Place an opponent piece at the target square, on a copy, to check captures
     const dummyPiece = attackingPlayer === PLAYER.WHITE ? PIECE.BLACK : PIECE.WHITE;
-    testPosition.pieces[row][col] = dummyPiece;
+    const testPosition = withPiece(position, getSquare(row, col), dummyPiece);
+    testPosition.currentPlayer = attackingPlayer;
     
     // Get all captures in this position
     const captures = getAvailableCaptures(testPosition);
     
     // Count how many can capture our dummy piece
-    attackers = captures.filter(move =>
+    return captures.filter(move =>
         move.captures.some(cap => cap.row === row && cap.col === col)
     ).length;
-    
-    // Restore original piece
-    testPosition.pieces[row][col] = originalPiece;
-    
-    return attackers;
 }
 
 /**
@@ -265,7 +253,7 @@ export function canSafelyAdvance(ai, position, from, to) {
  * @returns {number} Vulnerability score (0 = safe, positive = vulnerable)
  */
 export function evaluatePieceVulnerability(ai, position, row, col) {
-    const piece = position.pieces[row][col];
+    const piece = pieceAt(position, row, col);
     if (piece === PIECE.NONE) return 0;
     
     const player = piece === PIECE.WHITE || piece === PIECE.WHITE_KING ? 
@@ -308,7 +296,7 @@ export function evaluatePieceVulnerability(ai, position, row, col) {
  * @returns {Array} Array of safe destination squares
  */
 export function findSafeSquares(ai, position, row, col) {
-    const piece = position.pieces[row][col];
+    const piece = pieceAt(position, row, col);
     if (piece === PIECE.NONE) return [];
     
     const isKing = piece === PIECE.WHITE_KING || piece === PIECE.BLACK_KING;
@@ -324,7 +312,7 @@ export function findSafeSquares(ai, position, row, col) {
             let r = row + dir.dy;
             let c = col + dir.dx;
             
-            while (isValidSquare(r, c) && position.pieces[r][c] === PIECE.NONE) {
+            while (isValidSquare(r, c) && pieceAt(position, r, c) === PIECE.NONE) {
                 const testMove = { 
                     from: { row, col }, 
                     to: { row: r, col: c }, 
@@ -343,7 +331,7 @@ export function findSafeSquares(ai, position, row, col) {
             const r = row + dir.dy;
             const c = col + dir.dx;
             
-            if (isValidSquare(r, c) && position.pieces[r][c] === PIECE.NONE) {
+            if (isValidSquare(r, c) && pieceAt(position, r, c) === PIECE.NONE) {
                 const testMove = { 
                     from: { row, col }, 
                     to: { row: r, col: c }, 
@@ -393,7 +381,7 @@ function countLongRangeAttackers(position, row, col, attackingPlayer) {
         let distance = 1;
         
         while (isValidSquare(r, c) && distance <= 8) {
-            const piece = position.pieces[r][c];
+            const piece = pieceAt(position, r, c);
             
             if (piece !== PIECE.NONE) {
                 // Check if it's an enemy king
@@ -402,7 +390,7 @@ function countLongRangeAttackers(position, row, col, attackingPlayer) {
                     // Check if there's a landing square
                     const landR = row - dir.dy;
                     const landC = col - dir.dx;
-                    if (isValidSquare(landR, landC) && position.pieces[landR][landC] === PIECE.NONE) {
+                    if (isValidSquare(landR, landC) && pieceAt(position, landR, landC) === PIECE.NONE) {
                         count++;
                     }
                 }
@@ -428,7 +416,7 @@ function countLongRangeDefenders(position, row, col, player) {
         let c = col + dir.dx;
         
         while (isValidSquare(r, c)) {
-            const piece = position.pieces[r][c];
+            const piece = pieceAt(position, r, c);
             
             if (piece !== PIECE.NONE) {
                 // Check if it's a friendly king
@@ -449,7 +437,7 @@ function countLongRangeDefenders(position, row, col, player) {
 
 function evaluateExchange(ai, position, row, col) {
     // Simplified exchange evaluation
-    const piece = position.pieces[row][col];
+    const piece = pieceAt(position, row, col);
     if (piece === PIECE.NONE) return 0;
     
     const player = piece === PIECE.WHITE || piece === PIECE.WHITE_KING ? 
@@ -476,7 +464,7 @@ function evaluateBestRecapture(ai, position, row, col) {
     
     for (const recap of recaptures) {
         const gain = recap.captures.reduce((sum, cap) => 
-            sum + getPieceValue(position.pieces[cap.row][cap.col]), 0);
+            sum + getPieceValue(pieceAt(position, cap.row, cap.col)), 0);
         maxGain = Math.max(maxGain, gain);
     }
     
@@ -17,24 +17,41 @@ import {
     orderMovesAtRoot, 
     updateKillerMoves, 
     updateHistory,
-    quickEvaluateMove 
+    quickEvaluateMove,
+    isSameMove
 } from './ai.move-ordering.js';
 import { isMoveReallySafe } from './ai.safety.js';
 import { evaluateCaptureSequence, countCaptureValue } from './ai.tactics.js';
 import { evaluatePosition } from './ai.evaluation.js';
+import { TABLEBASE_RESULT, getPositionEndgameLimit } from './ai.tablebase.js';
+
+// Depth cap for searches limited only by time or by a stop request
+const MAX_SEARCH_DEPTH = 64;
 
 /**
- * Main search function - finds the best move for the current position
+ * Main search function - finds the best move for the current position.
+ * Leaves the score of the search in ai.lastScore, null for book, forced and only moves;
+ * tablebase positions are not searched but get the score of their result. Infinite
+ * searches take none of these shortcuts.
  * @param {Object} ai - AI instance
  * @param {Object} position - Current position
  * @param {Array} moveHistoryNotations - Move history for opening book
+ * @param {Object} [limits] - Search limits overriding the level settings
+ * @param {number} [limits.depth] - Fixed search depth
+ * @param {number} [limits.moveTime] - Time for this move in ms
+ * @param {boolean} [limits.infinite] - Search until stopped
+ * @param {number} [limits.timeLeft] - Time on the game clock in ms; caps the time of the level
+ * @param {number} [limits.increment] - Time given back to the clock after the move
+ * @param {number} [limits.movesToGo] - Moves until the next time control
+ * @param {number} [limits.periodTime] - Time the current period started with
  * @returns {Object|null} Best move found
  */
-export async function getBestMove(ai, position, moveHistoryNotations) {
+export async function getBestMove(ai, position, moveHistoryNotations, limits = {}) {
     const startTime = Date.now();
     ai.nodeCount = 0;
     ai.searchAborted = false;
     ai.positionHistory = [];
+    ai.lastScore = null;
     
     // Clear old killer moves for new search
     ai.killerMoves = Array(100).fill(null).map(() => [null, null]);
@@ -46,22 +63,26 @@ export async function getBestMove(ai, position, moveHistoryNotations) {
         return null; // No legal moves
     }
     
-    if (moves.length === 1) {
-        postMessage({
-            type: 'log',
-            data: { message: 'Only one legal move available' }
-        });
-        return moves[0];
-    }
-    
-    // Quick tactical scan for forced moves
-    const tacticalResult = quickTacticalScan(ai, position, moves);
-    if (tacticalResult.forced) {
-        postMessage({
-            type: 'log',
-            data: { message: `Forced tactical move: ${getMoveNotation(tacticalResult.move)}` }
-        });
-        return tacticalResult.move;
+    // Shortcuts to a move without a search; infinite searches run until stopped and
+    // report their score as they go, so they always search
+    if (!limits.infinite) {
+        if (moves.length === 1) {
+            ai.log('Only one legal move available');
+            return moves[0];
+        }
+        
+        // Tablebase positions are played perfectly without a search
+        const tablebaseMove = getTablebaseMove(ai, position, startTime);
+        if (tablebaseMove) {
+            return tablebaseMove;
+        }
+        
+        // Quick tactical scan for forced moves
+        const tacticalResult = quickTacticalScan(ai, position, moves);
+        if (tacticalResult.forced) {
+            ai.log(`Forced tactical move: ${getMoveNotation(tacticalResult.move)}`);
+            return tacticalResult.move;
+        }
     }
     
     // Time allocation
@@ -71,19 +92,28 @@ export async function getBestMove(ai, position, moveHistoryNotations) {
     
     // Adaptive depth based on position complexity
     let maxDepth = AI_PARAMS.MAX_DEPTH[ai.level] || 6;
-    if (moves.length <= 3) {
+    
+    // Explicit limits replace the level settings
+    if (limits.infinite || limits.depth || limits.moveTime) {
+        maxDepth = limits.depth || MAX_SEARCH_DEPTH;
+        timeLimit = limits.moveTime || Infinity;
+    } else if (moves.length <= 3) {
         maxDepth += 1; // Search deeper in forcing positions
         timeLimit *= 1.5;
     }
     
-    // Check opening book
-    if (ai.openingBook && moveNumber < 20) {
-        const bookMove = ai.openingBook.getMove(position, moveHistoryNotations);
+    // A game clock caps the time of the level
+    if (limits.timeLeft !== undefined && !limits.infinite) {
+        timeLimit = Math.min(timeLimit, allocateClockTime(ai, position, limits));
+    }
+    
+    // Check opening book; found by position, so transpositions into book lines hit too
+    const book = AI_PARAMS.OPENING_BOOK;
+    if (ai.openingBook && book.ENABLED && !limits.infinite &&
+        ai.openingBook.variantId === ai.variant.id && moveNumber < book.MAX_DEPTH) {
+        const bookMove = ai.openingBook.getMove(position, book.RANDOMIZATION[ai.level] ?? 0);
         if (bookMove) {
-            postMessage({
-                type: 'log',
-                data: { message: `Playing book move: ${getMoveNotation(bookMove)}` }
-            });
+            ai.log(`Playing book move: ${getMoveNotation(bookMove)}`);
             return bookMove;
         }
     }
@@ -113,10 +143,7 @@ export async function getBestMove(ai, position, moveHistoryNotations) {
         
         // Re-search if aspiration window failed
         if (result.score <= alpha || result.score >= beta) {
-            postMessage({
-                type: 'log',
-                data: { message: `Aspiration window failed at depth ${depth}, re-searching...` }
-            });
+            ai.log(`Aspiration window failed at depth ${depth}, re-searching...`);
             
             const retry = await searchBestMove(ai, position, depth, -Infinity, Infinity, startTime, timeLimit);
             if (retry.move) {
@@ -135,23 +162,20 @@ export async function getBestMove(ai, position, moveHistoryNotations) {
             lastScore = bestScore;
             
             // Send evaluation update
-            postMessage({
-                type: 'evaluation',
-                data: {
-                    score: bestScore,
-                    depth: depth,
-                    nodes: ai.nodeCount,
-                    bestMove: getMoveNotation(bestMove),
-                    nps: Math.floor(ai.nodeCount / ((Date.now() - startTime) / 1000))
-                }
+            const elapsed = Date.now() - startTime;
+            ai.emit('evaluation', {
+                score: bestScore,
+                depth: depth,
+                nodes: ai.nodeCount,
+                time: elapsed,
+                bestMove: getMoveNotation(bestMove),
+                pv: extractPrincipalVariation(ai, position, bestMove, depth),
+                nps: Math.floor(ai.nodeCount / (elapsed / 1000))
             });
             
             // Early exit conditions
-            if (Math.abs(bestScore) > 5000) {
-                postMessage({
-                    type: 'log',
-                    data: { message: 'Winning position found!' }
-                });
+            if (Math.abs(bestScore) > 5000 && !limits.infinite) {
+                ai.log('Winning position found!');
                 break;
             }
             
@@ -164,10 +188,7 @@ export async function getBestMove(ai, position, moveHistoryNotations) {
     
     // Final safety check
     if (!isMoveReallySafe(ai, position, bestMove)) {
-        postMessage({
-            type: 'log',
-            data: { message: 'Best move appears unsafe, finding alternative...' }
-        });
+        ai.log('Best move appears unsafe, finding alternative...');
         
         const safeMoves = moves.filter(m => isMoveReallySafe(ai, position, m));
         if (safeMoves.length > 0) {
@@ -176,19 +197,206 @@ export async function getBestMove(ai, position, moveHistoryNotations) {
         }
     }
     
+    if (Number.isFinite(bestScore)) {
+        ai.lastScore = bestScore;
+    }
+    
     const timeTaken = Date.now() - startTime;
-    postMessage({
-        type: 'log',
-        data: { 
-            message: `AI chose: ${getMoveNotation(bestMove)}, ` +
-                    `Score: ${bestScore.toFixed(2)}, Time: ${timeTaken}ms, ` +
-                    `Nodes: ${ai.nodeCount}, NPS: ${Math.floor(ai.nodeCount / (timeTaken / 1000))}`
-        }
-    });
+    ai.log(`AI chose: ${getMoveNotation(bestMove)}, ` +
+        `Score: ${bestScore.toFixed(2)}, Time: ${timeTaken}ms, ` +
+        `Nodes: ${ai.nodeCount}, NPS: ${Math.floor(ai.nodeCount / (timeTaken / 1000))}`);
     
     return bestMove;
 }
 
+/**
+ * Analyses a position until stopped: iterative deepening that searches the best line,
+ * then the best line among the other moves and so on (multi-PV), and reports the lines
+ * of every finished depth in an 'analysis' message
+ * @param {Object} ai - AI instance
+ * @param {Object} position - Position to analyse
+ * @param {Object} [options]
+ * @param {number} [options.lines] - Number of lines to report
+ * @param {number} [options.depth] - Depth to stop at
+ * @param {number} [options.requestId] - Sent along with the reports
+ * @returns {Promise<Array>} Lines of the last finished depth, best first
+ */
+export async function analyzePosition(ai, position, { lines = 3, depth: maxDepth = MAX_SEARCH_DEPTH, requestId } = {}) {
+    const startTime = Date.now();
+    ai.nodeCount = 0;
+    ai.searchAborted = false;
+    ai.killerMoves = Array(100).fill(null).map(() => [null, null]);
+    
+    const moves = generateMoves(position);
+    const report = (depth, results) => {
+        const elapsed = Date.now() - startTime;
+        ai.emit('analysis', {
+            requestId,
+            depth,
+            lines: results,
+            nodes: ai.nodeCount,
+            time: elapsed,
+            nps: Math.floor(ai.nodeCount / (Math.max(elapsed, 1) / 1000))
+        });
+    };
+    
+    if (moves.length === 0) {
+        report(0, []);
+        return [];
+    }
+    
+    // Tablebase positions are known to the end
+    const tablebaseLines = getTablebaseLines(ai, position, moves);
+    if (tablebaseLines) {
+        const results = tablebaseLines.slice(0, lines);
+        report(0, results);
+        return results;
+    }
+    
+    let results = [];
+    for (let depth = 1; depth <= maxDepth; depth++) {
+        const depthResults = [];
+        let remaining = moves;
+        
+        while (depthResults.length < lines && remaining.length > 0) {
+            const result = await searchBestMove(ai, position, depth, -Infinity, Infinity, startTime, Infinity, remaining);
+            if (result.timeout || ai.searchAborted) {
+                return results;
+            }
+            
+            depthResults.push({
+                move: getMoveNotation(result.move),
+                score: result.score,
+                depth,
+                pv: extractPrincipalVariation(ai, position, result.move, depth)
+            });
+            remaining = remaining.filter(move => !isSameMove(move, result.move));
+        }
+        
+        // Later searches can score above earlier ones (reductions, stored bounds)
+        results = depthResults.sort((a, b) => b.score - a.score);
+        report(depth, results);
+    }
+    
+    return results;
+}
+
+/**
+ * Looks up a position in the endgame tablebase
+ * @param {Object} ai - AI instance
+ * @param {Object} position - Position
+ * @param {number} [ply] - Plies from the root
+ * @returns {Object|null} {result, distance} for the side to move, or null if the
+ *   position is not in the tablebase
+ */
+export function probeTablebase(ai, position, ply = 0) {
+    if (!ai.tablebase || !AI_PARAMS.TABLEBASE.ENABLED ||
+        countTotalPieces(position) > ai.tablebase.maxPieces) {
+        return null;
+    }
+    return ai.tablebase.probe(position, getEndgamePlies(ai, position, ply));
+}
+
+/*
+ * Plies played in the king ending of a position, for the 16-move and 5-move limits: the
+ * root's ending goes on while the limit stays the same, other endings count from the position
+ */
+function getEndgamePlies(ai, position, ply) {
+    const limit = getPositionEndgameLimit(position);
+    return limit > 0 && limit === ai.rootEndgame.limit ? ai.rootEndgame.plies + ply : 0;
+}
+
+/**
+ * Score of a tablebase result: wins sooner and losses later score higher
+ * @param {Object} entry - Tablebase result ({result, distance})
+ * @param {number} ply - Plies from the root
+ * @returns {number} Score for the side to move
+ */
+function getTablebaseScore(entry, ply) {
+    const score = AI_PARAMS.TABLEBASE.WIN_SCORE - ply - entry.distance;
+    if (entry.result === TABLEBASE_RESULT.WIN) return score;
+    if (entry.result === TABLEBASE_RESULT.LOSS) return -score;
+    return 0;
+}
+
+/**
+ * Lines of a tablebase position, one per move, each followed by tablebase moves to the end
+ * @param {Object} ai - AI instance
+ * @param {Object} position - Position
+ * @param {Array} moves - Legal moves of the position
+ * @returns {Array|null} Lines as reported by analyzePosition, best first, or null if the
+ *   position or one of its successors is not in the tablebase
+ */
+function getTablebaseLines(ai, position, moves) {
+    if (!probeTablebase(ai, position)) return null;
+    
+    const lines = [];
+    for (const move of moves) {
+        const next = makeMove(position, move);
+        
+        // A side without pieces or moves has lost
+        let entry = { result: TABLEBASE_RESULT.LOSS, distance: 0 };
+        if (generateMoves(next).length > 0) {
+            entry = probeTablebase(ai, next, 1);
+            if (!entry) return null;
+        }
+        
+        // Won and lost lines are played out; drawn ones would go on forever
+        const pv = [move];
+        let current = next;
+        let best = entry.result === TABLEBASE_RESULT.DRAW ? null :
+            ai.tablebase.getBestMove(current, getEndgamePlies(ai, current, 1));
+        while (best && best.result !== TABLEBASE_RESULT.DRAW) {
+            pv.push(best.move);
+            current = makeMove(current, best.move);
+            best = ai.tablebase.getBestMove(current, getEndgamePlies(ai, current, pv.length));
+        }
+        
+        const tablebase = {
+            result: entry.result === TABLEBASE_RESULT.WIN ? TABLEBASE_RESULT.LOSS :
+                entry.result === TABLEBASE_RESULT.LOSS ? TABLEBASE_RESULT.WIN : TABLEBASE_RESULT.DRAW,
+            distance: entry.result === TABLEBASE_RESULT.DRAW ? 0 : entry.distance + 1
+        };
+        lines.push({
+            move: getMoveNotation(move),
+            score: getTablebaseScore(tablebase, 0),
+            depth: 0,
+            pv,
+            tablebase
+        });
+    }
+    return lines.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Picks the tablebase move of the root position and reports its result
+ * @param {Object} ai - AI instance
+ * @param {Object} position - Root position
+ * @param {number} startTime - Search start time
+ * @returns {Object|null} Move, or null if the position is not in the tablebase
+ */
+function getTablebaseMove(ai, position, startTime) {
+    if (!probeTablebase(ai, position)) return null;
+
+    const best = ai.tablebase.getBestMove(position, getEndgamePlies(ai, position, 0));
+    if (!best) return null;
+
+    const tablebase = { result: best.result, distance: best.distance };
+    ai.lastScore = getTablebaseScore(tablebase, 0);
+    ai.emit('evaluation', {
+        score: ai.lastScore,
+        depth: 0,
+        nodes: 0,
+        time: Date.now() - startTime,
+        bestMove: getMoveNotation(best.move),
+        pv: [best.move],
+        nps: 0,
+        tablebase
+    });
+    ai.log(`Tablebase move: ${getMoveNotation(best.move)} (${best.result}, ${best.distance} plies)`);
+    return best.move;
+}
+
 /**
  * Searches for the best move at a given depth
  * @param {Object} ai - AI instance
@@ -198,17 +406,23 @@ export async function getBestMove(ai, position, moveHistoryNotations) {
  * @param {number} beta - Beta bound
  * @param {number} startTime - Search start time
  * @param {number} timeLimit - Time limit in ms
+ * @param {Array} [rootMoves] - Moves to choose from, all legal moves by default
  * @returns {Object} Best move and score
  */
-async function searchBestMove(ai, position, depth, alpha, beta, startTime, timeLimit) {
+async function searchBestMove(ai, position, depth, alpha, beta, startTime, timeLimit, rootMoves = generateMoves(position)) {
     let bestMove = null;
     let bestScore = -Infinity;
     
-    const moves = orderMovesAtRoot(generateMoves(position), position, ai);
+    const moves = orderMovesAtRoot(rootMoves, position, ai);
     
     for (let i = 0; i < moves.length; i++) {
         const move = moves[i];
         
+        // A search without a time limit lets the worker take in stop requests between moves
+        if (timeLimit === Infinity) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        
         // Time check
         if (Date.now() - startTime > timeLimit || ai.searchAborted) {
             return { move: bestMove || moves[0], score: bestScore, timeout: true };
@@ -250,6 +464,34 @@ async function searchBestMove(ai, position, depth, alpha, beta, startTime, timeL
     return { move: bestMove || moves[0], score: bestScore, timeout: false };
 }
 
+/**
+ * Follows the transposition table from the root to build the principal variation
+ * @param {Object} ai - AI instance
+ * @param {Object} position - Root position
+ * @param {Object} bestMove - Best root move
+ * @param {number} maxLength - Maximum number of moves
+ * @returns {Array} Moves of the principal variation, starting with bestMove
+ */
+export function extractPrincipalVariation(ai, position, bestMove, maxLength) {
+    const pv = [];
+    const seen = new Set();
+    let current = position;
+    let move = bestMove;
+    
+    while (move && pv.length < maxLength) {
+        pv.push(move);
+        seen.add(ai.cache.generateKey(current));
+        current = makeMove(current, move);
+        
+        // Stop at repetitions and at moves that are not legal here (key collisions)
+        if (seen.has(ai.cache.generateKey(current))) break;
+        const stored = ai.cache.getBestMove(current);
+        move = stored && generateMoves(current).find(m => isSameMove(m, stored));
+    }
+    
+    return pv;
+}
+
 /**
  * Negamax search with alpha-beta pruning
  * @param {Object} ai - AI instance
@@ -271,18 +513,22 @@ export function negamax(ai, position, depth, alpha, beta, startTime, timeLimit,
         return evaluatePosition(ai, position);
     }
     
-    // Time check
-    if (ai.nodeCount % 2048 === 0 && Date.now() - startTime > timeLimit) {
-        ai.searchAborted = true;
+    if (isSearchStopped(ai, startTime, timeLimit)) {
         return 0;
     }
     
     // Repetition detection
     const key = ai.cache.generateKey(position);
-    if (position.history && position.history.filter(k => k === key).length >= 2) {
+    if (position.history && countOccurrences(position.history, key) >= 2) {
         return -50; // Slight penalty for repetition
     }
     
+    // Tablebase positions have an exact score
+    const tablebaseEntry = probeTablebase(ai, position, ply);
+    if (tablebaseEntry) {
+        return getTablebaseScore(tablebaseEntry, ply);
+    }
+    
     // Terminal node or depth limit
     if (depth <= 0) {
         return quiescenceSearch(ai, position, alpha, beta, ai.quiescenceDepth, startTime, timeLimit, recursionDepth);
@@ -305,12 +551,12 @@ export function negamax(ai, position, depth, alpha, beta, startTime, timeLimit,
         depth += 1;
     }
     
-    // Null Move Pruning
-    if (depth >= 3 && recursionDepth > 0 && moves.length > 5 && !hasCaptures(position)) {
+    // Null Move Pruning (not with an open window: -Infinity + 1 collapses the null window
+    // and would return an infinite bound)
+    if (depth >= 3 && recursionDepth > 0 && moves.length > 5 && isFinite(beta) && !hasCaptures(position)) {
         const nullPos = {
-            pieces: position.pieces,
-            currentPlayer: position.currentPlayer === 1 ? 2 : 1,
-            history: position.history
+            ...position,
+            currentPlayer: position.currentPlayer === 1 ? 2 : 1
         };
         
         const R = depth > 6 ? 3 : 2;
@@ -354,6 +600,11 @@ export function negamax(ai, position, depth, alpha, beta, startTime, timeLimit,
             }
         }
         
+        // A stopped search unwinds without storing its unfinished result
+        if (ai.searchAborted) {
+            return 0;
+        }
+        
         if (score > bestScore) {
             bestScore = score;
             bestMove = move;
@@ -382,6 +633,21 @@ export function negamax(ai, position, depth, alpha, beta, startTime, timeLimit,
     return bestScore;
 }
 
+/**
+ * Checks the time and stop requests every NODE_COUNT_INTERVAL nodes, counted by negamax
+ * and the quiescence search alike; once stopped, the search stays stopped
+ * @param {Object} ai - AI instance
+ * @param {number} startTime - Search start time
+ * @param {number} timeLimit - Time limit
+ * @returns {boolean} Whether the search must return at once
+ */
+function isSearchStopped(ai, startTime, timeLimit) {
+    if (ai.nodeCount % AI_PARAMS.DEBUG.NODE_COUNT_INTERVAL === 0 && (Date.now() - startTime > timeLimit || ai.isStopRequested())) {
+        ai.searchAborted = true;
+    }
+    return ai.searchAborted;
+}
+
 /**
  * Quiescence search to handle tactical positions
  * @param {Object} ai - AI instance
@@ -397,6 +663,10 @@ export function negamax(ai, position, depth, alpha, beta, startTime, timeLimit,
 export function quiescenceSearch(ai, position, alpha, beta, depth, startTime, timeLimit, recursionDepth) {
     ai.nodeCount++;
     
+    if (isSearchStopped(ai, startTime, timeLimit)) {
+        return 0;
+    }
+    
     if (depth <= 0 || recursionDepth > ai.maxRecursionDepth + 10) {
         return evaluatePosition(ai, position);
     }
@@ -521,6 +791,35 @@ function allocateTime(ai, position, moveNumber, baseTime) {
     return Math.min(time * multiplier, baseTime * 3);
 }
 
+/**
+ * Allocates the share of the game clock the current move may use
+ * @param {Object} ai - AI instance
+ * @param {Object} position - Current position
+ * @param {Object} limits - Clock limits (timeLeft, increment, movesToGo, periodTime)
+ * @returns {number} Time to use in milliseconds
+ */
+function allocateClockTime(ai, position, limits) {
+    const {
+        MOVES_TO_GO, PANIC_THRESHOLD, CRITICAL_THRESHOLD, PANIC_FACTOR, CRITICAL_FACTOR,
+        MAX_CLOCK_SHARE, MOVE_OVERHEAD
+    } = AI_PARAMS.TIME_MANAGEMENT;
+    const { timeLeft, increment = 0, movesToGo = MOVES_TO_GO, periodTime = timeLeft } = limits;
+    
+    let time = timeLeft / Math.max(1, movesToGo) + increment * 0.8;
+    
+    // Play faster as the clock runs down
+    const timeRatio = periodTime > 0 ? timeLeft / periodTime : 0;
+    if (timeRatio < PANIC_THRESHOLD) {
+        time *= PANIC_FACTOR;
+        ai.log(`Time trouble: ${Math.round(timeLeft)}ms left`);
+    } else if (timeRatio < CRITICAL_THRESHOLD) {
+        time *= CRITICAL_FACTOR;
+    }
+    
+    time = Math.min(time, timeLeft * MAX_CLOCK_SHARE) - MOVE_OVERHEAD;
+    return Math.max(10, time);
+}
+
 // Helper functions
 
 function hasCaptures(position) {
@@ -529,4 +828,12 @@ function hasCaptures(position) {
 
 function givesCheck(position) {
     return getAvailableCaptures(position).length > 0;
+}
+
+function countOccurrences(keys, key) {
+    let count = 0;
+    for (let i = 0; i < keys.length; i++) {
+        if (keys[i] === key) count++;
+    }
+    return count;
 }
\ No newline at end of file
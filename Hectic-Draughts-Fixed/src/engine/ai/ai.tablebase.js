@@ -0,0 +1,599 @@
+/**
+ * Endgame Tablebase Module - Perfect play for positions with few pieces
+ * - One table per material balance (white men, white kings, black men, black kings), holding
+ *   every placement of those pieces with White to move; positions with Black to move are
+ *   probed with the board turned round (square s becomes 49 - s) and the colours swapped
+ * - Tables are built by retrograde analysis: positions without moves are lost, and results
+ *   are passed back to the positions that lead to them, level by level, so every result
+ *   comes with its distance in plies to the end of the game. Captures and promotions lead
+ *   into smaller tables, which are built first.
+ * - A table entry is one byte: 0 for a draw, otherwise the distance plus one; odd distances
+ *   are wins for the side to move and even ones losses
+ * - Results follow the draw rules of Game: a win that takes longer than the 16 or 5 moves of
+ *   its king ending, or than 25 king moves in other king-only endings, is a draw. The count
+ *   is taken to start at the position, and probes pass the plies already played in the
+ *   ending. A line that leaves the ending for another one before it ends is still held to
+ *   the first ending's limit, so a few such wins are given as draws.
+ * - International rules (10x10, flying kings, majority capture) only: positions under other
+ *   rules, e.g. with the majority rule switched off, are not probed
+ * @module ai.tablebase
+ */
+
+import { PLAYER, DRAW_RULES, getEndgameLimit } from '../constants.js';
+import { DEFAULT_VARIANT } from '../variants.js';
+import {
+    SQUARE_COUNT, BIT_LO, BIT_HI, getGeometry, getSquares, countBits, hasSquare, getSquare
+} from './ai.bitboard.js';
+import { generateMoves, makeMove } from './ai.utils.js';
+
+export const TABLEBASE_RESULT = {
+    WIN: 'win',
+    DRAW: 'draw',
+    LOSS: 'loss'
+};
+
+const MAGIC = 'HDTB';
+const FORMAT_VERSION = 1;
+const HEADER_SIZE = 8;
+const CLASS_HEADER_SIZE = 8;
+
+// Men cannot stand on their promotion row: white men use squares 5-49, black men 0-44
+const MAN_SQUARES = 45;
+const WHITE_MAN_OFFSET = 5;
+const MAX_DISTANCE = 254;
+const NO_DISTANCE = 255;
+
+// BINOMIAL[n * 6 + k] = n choose k, for the piece counts of a table
+const MAX_PIECES = 5;
+const BINOMIAL = new Float64Array((SQUARE_COUNT + 1) * (MAX_PIECES + 1));
+for (let n = 0; n <= SQUARE_COUNT; n++) {
+    BINOMIAL[n * (MAX_PIECES + 1)] = 1;
+    for (let k = 1; k <= MAX_PIECES; k++) {
+        BINOMIAL[n * (MAX_PIECES + 1) + k] = n === 0 ? 0 :
+            BINOMIAL[(n - 1) * (MAX_PIECES + 1) + k - 1] + BINOMIAL[(n - 1) * (MAX_PIECES + 1) + k];
+    }
+}
+
+function binomial(n, k) {
+    return BINOMIAL[n * (MAX_PIECES + 1) + k];
+}
+
+// Rules the tables are built with, and the flags that change the moves of a position
+const TABLE_RULES = DEFAULT_VARIANT;
+const MOVE_FLAGS = [
+    'boardSize', 'menCaptureBackwards', 'flyingKings', 'majorityCapture', 'capturePriority',
+    'promoteDuringCapture', 'orthogonalCaptures'
+];
+
+// capturePriority is a list, so flags are compared as strings
+function hasTableRules(rules) {
+    return MOVE_FLAGS.every(flag => String(rules[flag]) === String(TABLE_RULES[flag]));
+}
+
+/*
+ * Material balances are written as "wm wk bm bk", e.g. "0301" for three white kings
+ * against one black king with White to move
+ */
+function getClassId(material) {
+    return material.join('');
+}
+
+function getClassSize([wm, wk, bm, bk]) {
+    return binomial(MAN_SQUARES, wm) * binomial(SQUARE_COUNT, wk) *
+        binomial(MAN_SQUARES, bm) * binomial(SQUARE_COUNT, bk);
+}
+
+// Rank of an ascending set of squares among all sets of its size
+function rankSquares(squares, offset) {
+    let rank = 0;
+    for (let i = 0; i < squares.length; i++) {
+        rank += binomial(squares[i] - offset, i + 1);
+    }
+    return rank;
+}
+
+// Inverse of rankSquares
+function unrankSquares(rank, count, offset, squares) {
+    squares.length = count;
+    for (let i = count - 1; i >= 0; i--) {
+        let square = i;
+        while (binomial(square + 1, i + 1) <= rank) square++;
+        rank -= binomial(square, i + 1);
+        squares[i] = square + offset;
+    }
+    return squares;
+}
+
+// Index of a placement in the table of its material; square lists must be ascending
+function getIndex(whiteMen, whiteKings, blackMen, blackKings) {
+    let index = rankSquares(whiteMen, WHITE_MAN_OFFSET);
+    index = index * binomial(SQUARE_COUNT, whiteKings.length) + rankSquares(whiteKings, 0);
+    index = index * binomial(MAN_SQUARES, blackMen.length) + rankSquares(blackMen, 0);
+    return index * binomial(SQUARE_COUNT, blackKings.length) + rankSquares(blackKings, 0);
+}
+
+const ascending = (a, b) => a - b;
+const rotate = squares => squares.map(square => SQUARE_COUNT - 1 - square).sort(ascending);
+
+/*
+ * Plies a win may take in a table before a draw rule ends the game, counted from the
+ * start of the ending
+ */
+function getPlyLimit([wm, wk, bm, bk]) {
+    const limit = getEndgameLimit({ men: wm, kings: wk }, { men: bm, kings: bk });
+    if (limit > 0) return limit * 2;
+    return wm + bm === 0 ? DRAW_RULES.KING_MOVES * 2 : MAX_DISTANCE;
+}
+
+/**
+ * Move limit of the king ending of a position, see getEndgameLimit in constants.js
+ * @param {Object} position - Bitboard position
+ * @returns {number} Moves each player may make in the ending, 0 if no limit applies
+ */
+export function getPositionEndgameLimit(position) {
+    const { whiteLo, whiteHi, blackLo, blackHi, kingsLo, kingsHi } = position;
+    const whiteKings = countBits(whiteLo & kingsLo) + countBits(whiteHi & kingsHi);
+    const blackKings = countBits(blackLo & kingsLo) + countBits(blackHi & kingsHi);
+    return getEndgameLimit(
+        { men: countBits(whiteLo) + countBits(whiteHi) - whiteKings, kings: whiteKings },
+        { men: countBits(blackLo) + countBits(blackHi) - blackKings, kings: blackKings }
+    );
+}
+
+/**
+ * Splits a bitboard position into the square lists of its table, with the side to move
+ * as White
+ * @param {Object} position - Bitboard position
+ * @returns {Object} {material, whiteMen, whiteKings, blackMen, blackKings}
+ */
+function normalize(position) {
+    const { whiteLo, whiteHi, blackLo, blackHi, kingsLo, kingsHi } = position;
+    let whiteMen = getSquares(whiteLo & ~kingsLo, whiteHi & ~kingsHi);
+    let whiteKings = getSquares(whiteLo & kingsLo, whiteHi & kingsHi);
+    let blackMen = getSquares(blackLo & ~kingsLo, blackHi & ~kingsHi);
+    let blackKings = getSquares(blackLo & kingsLo, blackHi & kingsHi);
+
+    if (position.currentPlayer === PLAYER.BLACK) {
+        [whiteMen, whiteKings, blackMen, blackKings] =
+            [rotate(blackMen), rotate(blackKings), rotate(whiteMen), rotate(whiteKings)];
+    }
+    return {
+        material: [whiteMen.length, whiteKings.length, blackMen.length, blackKings.length],
+        whiteMen, whiteKings, blackMen, blackKings
+    };
+}
+
+/**
+ * Converts a table entry to a result
+ * @param {number} value - Table entry
+ * @returns {Object} {result, distance}; distance in plies, 0 for draws
+ */
+function toResult(value) {
+    if (value === 0) return { result: TABLEBASE_RESULT.DRAW, distance: 0 };
+    const distance = value - 1;
+    return {
+        result: distance % 2 === 1 ? TABLEBASE_RESULT.WIN : TABLEBASE_RESULT.LOSS,
+        distance
+    };
+}
+
+/**
+ * Lists the material balances of the tables in the order they are built: fewer pieces
+ * first, and among the same number of pieces fewer men, so every capture and promotion
+ * leads into a table that is already there
+ * @param {number} maxPieces - Largest number of pieces on the board, 2-5
+ * @param {number} [maxPiecesWithMen] - Largest number of pieces for tables with men;
+ *   larger tables hold kings only
+ * @returns {Array<Array<number>>} Material balances [wm, wk, bm, bk]
+ */
+export function getTablebaseClasses(maxPieces, maxPiecesWithMen = maxPieces) {
+    if (maxPieces < 2 || maxPieces > MAX_PIECES) {
+        throw new Error(`Tablebases hold 2 to ${MAX_PIECES} pieces, not ${maxPieces}`);
+    }
+
+    const classes = [];
+    for (let total = 2; total <= maxPieces; total++) {
+        for (let white = 1; white < total; white++) {
+            const black = total - white;
+            for (let wm = 0; wm <= white; wm++) {
+                for (let bm = 0; bm <= black; bm++) {
+                    if (wm + bm > 0 && total > maxPiecesWithMen) continue;
+                    classes.push([wm, white - wm, bm, black - bm]);
+                }
+            }
+        }
+    }
+
+    const men = ([wm, , bm]) => wm + bm;
+    const pieces = material => material.reduce((sum, count) => sum + count, 0);
+    return classes.sort((a, b) => pieces(a) - pieces(b) || men(a) - men(b));
+}
+
+/**
+ * Creates a tablebase interface over its tables
+ * @param {Map<string, Uint8Array>} tables - Table of every material balance
+ * @returns {Object} Tablebase interface
+ */
+function createTablebase(tables) {
+    let maxPieces = 0;
+    for (const id of tables.keys()) {
+        const pieces = [...id].reduce((sum, count) => sum + Number(count), 0);
+        maxPieces = Math.max(maxPieces, pieces);
+    }
+
+    /**
+     * Looks up a position
+     * @param {Object} position - Bitboard position
+     * @param {number} [endgamePlies] - Plies already played in the king ending on the
+     *   board, as counted by Game for the 16-move and 5-move rules
+     * @returns {Object|null} {result, distance} for the side to move, distance in plies
+     *   to the end of the game; null if the position is not in the tablebase
+     */
+    function probe(position, endgamePlies = 0) {
+        if (position.rules && !hasTableRules(position.rules)) return null;
+        const pieces = countBits(position.whiteLo | position.blackLo) +
+            countBits(position.whiteHi | position.blackHi);
+        if (pieces > maxPieces) return null;
+
+        const { material, whiteMen, whiteKings, blackMen, blackKings } = normalize(position);
+        const table = tables.get(getClassId(material));
+        if (!table) return null;
+        const entry = toResult(table[getIndex(whiteMen, whiteKings, blackMen, blackKings)]);
+
+        // The table allows the whole ending; the rest of it may be too short now
+        const limit = getEndgameLimit(
+            { men: material[0], kings: material[1] }, { men: material[2], kings: material[3] }
+        );
+        if (limit > 0 && entry.distance > limit * 2 - endgamePlies) {
+            return { result: TABLEBASE_RESULT.DRAW, distance: 0 };
+        }
+        return entry;
+    }
+
+    /**
+     * Finds the tablebase move of a position: the fastest win, otherwise a draw, otherwise
+     * the slowest loss
+     * @param {Object} position - Bitboard position
+     * @param {number} [endgamePlies] - Plies already played in the king ending, see probe
+     * @returns {Object|null} {move, result, distance} for the side to move, or null if the
+     *   position or one of its successors is not in the tablebase
+     */
+    function getBestMove(position, endgamePlies = 0) {
+        const current = probe(position, endgamePlies);
+        if (!current) return null;
+
+        // As in Game, the count goes on while the limit stays the same
+        const limit = getPositionEndgameLimit(position);
+
+        let best = null;
+        let bestRank = -Infinity;
+        for (const move of generateMoves(position)) {
+            const next = makeMove(position, move);
+            const opponentPieces = next.currentPlayer === PLAYER.WHITE ?
+                countBits(next.whiteLo) + countBits(next.whiteHi) :
+                countBits(next.blackLo) + countBits(next.blackHi);
+            const plies = getPositionEndgameLimit(next) === limit ? endgamePlies + 1 : 0;
+            const reply = opponentPieces === 0 ? { result: TABLEBASE_RESULT.LOSS, distance: 0 } : probe(next, plies);
+            if (!reply) return null;
+
+            // Ranks wins by speed above draws above losses by length
+            let rank = 0;
+            if (reply.result === TABLEBASE_RESULT.LOSS) rank = 1000 - reply.distance;
+            if (reply.result === TABLEBASE_RESULT.WIN) rank = -1000 + reply.distance;
+            if (rank > bestRank) {
+                bestRank = rank;
+                best = { move, ...current };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Writes the tablebase in its binary format
+     * @returns {Uint8Array} "HDTB", version, table count, then the material and size of
+     *   every table followed by the tables themselves
+     */
+    function serialize() {
+        const entries = [...tables.entries()];
+        const dataSize = entries.reduce((sum, [, table]) => sum + table.length, 0);
+        const bytes = new Uint8Array(HEADER_SIZE + entries.length * CLASS_HEADER_SIZE + dataSize);
+        const view = new DataView(bytes.buffer);
+
+        [...MAGIC].forEach((char, i) => { bytes[i] = char.charCodeAt(0); });
+        bytes[4] = FORMAT_VERSION;
+        view.setUint16(6, entries.length, true);
+
+        let header = HEADER_SIZE;
+        let offset = HEADER_SIZE + entries.length * CLASS_HEADER_SIZE;
+        for (const [id, table] of entries) {
+            [...id].forEach((count, i) => { bytes[header + i] = Number(count); });
+            view.setUint32(header + 4, table.length, true);
+            bytes.set(table, offset);
+            header += CLASS_HEADER_SIZE;
+            offset += table.length;
+        }
+        return bytes;
+    }
+
+    return {
+        maxPieces,
+        probe,
+        getBestMove,
+        serialize,
+        hasMaterial: material => tables.has(getClassId(material)),
+        size: () => [...tables.values()].reduce((sum, table) => sum + table.length, 0)
+    };
+}
+
+/**
+ * Loads a tablebase from its binary format, see serialize
+ * @param {ArrayBuffer|Uint8Array} buffer - Tablebase file
+ * @returns {Object} Tablebase interface
+ * @throws {Error} If the data is not a tablebase of this version
+ */
+export function loadTablebase(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const magic = String.fromCharCode(...bytes.subarray(0, 4));
+    if (bytes.length < HEADER_SIZE || magic !== MAGIC) {
+        throw new Error('Not a tablebase file');
+    }
+    if (bytes[4] !== FORMAT_VERSION) {
+        throw new Error(`Unsupported tablebase version: ${bytes[4]}`);
+    }
+
+    const tables = new Map();
+    const count = view.getUint16(6, true);
+    let offset = HEADER_SIZE + count * CLASS_HEADER_SIZE;
+    for (let i = 0; i < count; i++) {
+        const header = HEADER_SIZE + i * CLASS_HEADER_SIZE;
+        const material = [...bytes.subarray(header, header + 4)];
+        const size = view.getUint32(header + 4, true);
+        if (size !== getClassSize(material) || offset + size > bytes.length) {
+            throw new Error(`Corrupt tablebase table: ${getClassId(material)}`);
+        }
+        tables.set(getClassId(material), bytes.subarray(offset, offset + size));
+        offset += size;
+    }
+    return createTablebase(tables);
+}
+
+/**
+ * Builds the tables of one material balance together with the balance of the other side
+ * to move, since quiet moves lead from one into the other
+ * @param {Array<Array<number>>} materials - The balance and its colour-swapped balance
+ *   (once for a symmetric balance)
+ * @param {Map<string, Uint8Array>} tables - Finished tables, for captures and promotions
+ * @returns {Array<Uint8Array>} Tables of the balances
+ */
+function buildTables(materials, tables) {
+    const rules = TABLE_RULES;
+    const geometry = getGeometry(rules.boardSize);
+    const neighbour = geometry.neighbour;
+    const sizes = materials.map(getClassSize);
+    const offsets = [0, sizes[0]];
+    const total = sizes.reduce((sum, size) => sum + size, 0);
+    const other = materials.length === 2 ? [1, 0] : [0];
+    // Both balances have the same limit; results past it stay draws
+    const maxLevel = Math.min(getPlyLimit(materials[0]), MAX_DISTANCE);
+
+    const values = new Uint8Array(total);
+    const done = new Uint8Array(total);
+    const quiet = new Uint8Array(total);      // Positions with quiet moves only (no captures)
+    const remaining = new Uint16Array(total); // Moves not yet known to lose
+    const bestWin = new Uint8Array(total).fill(NO_DISTANCE);
+    const worstLoss = new Uint8Array(total);
+    const levels = Array.from({ length: MAX_DISTANCE + 1 }, () => []);
+
+    const squares = [[], [], [], []];
+    const position = {
+        whiteLo: 0, whiteHi: 0, blackLo: 0, blackHi: 0, kingsLo: 0, kingsHi: 0,
+        currentPlayer: PLAYER.WHITE, history: [], keyHi: 0, keyLo: 0, rules, geometry
+    };
+
+    // Sets up the position of an index, false if pieces share a square
+    function setPosition(material, index) {
+        let rest = index;
+        const counts = [
+            binomial(SQUARE_COUNT, material[3]),
+            binomial(MAN_SQUARES, material[2]),
+            binomial(SQUARE_COUNT, material[1])
+        ];
+        unrankSquares(rest % counts[0], material[3], 0, squares[3]);
+        rest = Math.floor(rest / counts[0]);
+        unrankSquares(rest % counts[1], material[2], 0, squares[2]);
+        rest = Math.floor(rest / counts[1]);
+        unrankSquares(rest % counts[2], material[1], 0, squares[1]);
+        rest = Math.floor(rest / counts[2]);
+        unrankSquares(rest, material[0], WHITE_MAN_OFFSET, squares[0]);
+
+        position.whiteLo = position.whiteHi = position.blackLo = position.blackHi = 0;
+        position.kingsLo = position.kingsHi = 0;
+        for (let type = 0; type < 4; type++) {
+            for (const square of squares[type]) {
+                const lo = BIT_LO[square];
+                const hi = BIT_HI[square];
+                if (((position.whiteLo | position.blackLo) & lo) | ((position.whiteHi | position.blackHi) & hi)) {
+                    return false;
+                }
+                if (type < 2) {
+                    position.whiteLo |= lo;
+                    position.whiteHi |= hi;
+                } else {
+                    position.blackLo |= lo;
+                    position.blackHi |= hi;
+                }
+                if (type % 2 === 1) {
+                    position.kingsLo |= lo;
+                    position.kingsHi |= hi;
+                }
+            }
+        }
+        return true;
+    }
+
+    function schedule(entry, distance) {
+        if (distance > maxLevel && maxLevel < MAX_DISTANCE) return;
+        if (distance > MAX_DISTANCE) {
+            throw new Error(`Tablebase distance over ${MAX_DISTANCE} plies`);
+        }
+        levels[distance].push(entry);
+    }
+
+    // Looks at every move once: captures and promotions are settled from the finished tables
+    for (let c = 0; c < materials.length; c++) {
+        for (let index = 0; index < sizes[c]; index++) {
+            if (!setPosition(materials[c], index)) continue;
+            const entry = offsets[c] + index;
+            const moves = generateMoves(position);
+            let quietMoves = 0;
+            let drawn = false;
+
+            for (const move of moves) {
+                if (move.captures.length === 0 && !(move.to.row === 0 && !hasSquare(position.kingsLo, position.kingsHi,
+                    getSquare(move.from.row, move.from.col)))) {
+                    quietMoves++;
+                    continue;
+                }
+
+                const next = makeMove(position, move);
+                let reply;
+                if ((next.blackLo | next.blackHi) === 0) {
+                    reply = 1; // No pieces left: lost in 0
+                } else {
+                    const { material, whiteMen, whiteKings, blackMen, blackKings } = normalize(next);
+                    const table = tables.get(getClassId(material));
+                    if (!table) {
+                        throw new Error(`Tablebase table ${getClassId(material)} is needed first`);
+                    }
+                    reply = table[getIndex(whiteMen, whiteKings, blackMen, blackKings)];
+                }
+
+                const { result, distance } = toResult(reply);
+                if (result === TABLEBASE_RESULT.LOSS) {
+                    bestWin[entry] = Math.min(bestWin[entry], distance + 1);
+                } else if (result === TABLEBASE_RESULT.WIN) {
+                    worstLoss[entry] = Math.max(worstLoss[entry], distance + 1);
+                } else {
+                    drawn = true;
+                }
+            }
+
+            done[entry] = 0;
+            quiet[entry] = moves.length > 0 && moves[0].captures.length === 0 ? 1 : 0;
+            // A move that does not lose keeps the position from being lost
+            remaining[entry] = quietMoves + (drawn || bestWin[entry] !== NO_DISTANCE ? 1 : 0);
+            if (bestWin[entry] !== NO_DISTANCE) schedule(entry, bestWin[entry]);
+            if (remaining[entry] === 0) schedule(entry, worstLoss[entry]);
+        }
+    }
+
+    const predecessors = [];
+    const moved = [[], [], [], []];
+
+    /*
+     * Lists the positions, as entries of the other table, where the opponent's last move
+     * was a quiet move leading to the current position (set up in squares); their men
+     * step back and their kings slide back along the diagonals
+     */
+    function findPredecessors(c) {
+        predecessors.length = 0;
+        const target = other[c];
+        const occupiedLo = position.whiteLo | position.blackLo;
+        const occupiedHi = position.whiteHi | position.blackHi;
+
+        for (let type = 2; type < 4; type++) {
+            const isKing = type === 3;
+            for (let i = 0; i < squares[type].length; i++) {
+                const square = squares[type][i];
+                for (let d = 0; d < 4; d++) {
+                    if (!isKing && d >= 2) break; // Black men came from the row above
+                    let from = neighbour[d * SQUARE_COUNT + square];
+                    while (from >= 0 && !hasSquare(occupiedLo, occupiedHi, from)) {
+                        for (let t = 0; t < 4; t++) moved[t] = squares[t];
+                        moved[type] = squares[type].map((s, j) => j === i ? from : s);
+                        // The opponent moved, so its pieces become White's in its table
+                        const index = getIndex(
+                            rotate(moved[2]), rotate(moved[3]), rotate(moved[0]), rotate(moved[1])
+                        );
+                        predecessors.push(offsets[target] + index);
+                        if (!isKing) break;
+                        from = neighbour[d * SQUARE_COUNT + from];
+                    }
+                }
+            }
+        }
+        return predecessors;
+    }
+
+    // Settles positions level by level and passes each result back to its predecessors
+    for (let level = 0; level <= maxLevel; level++) {
+        const entries = levels[level];
+        for (let e = 0; e < entries.length; e++) {
+            const entry = entries[e];
+            if (done[entry]) continue;
+
+            let isWin;
+            if (bestWin[entry] === level) {
+                isWin = true;
+            } else if (remaining[entry] === 0 && worstLoss[entry] === level) {
+                isWin = false;
+            } else {
+                continue;
+            }
+            done[entry] = 1;
+            values[entry] = level + 1;
+
+            const c = entry < offsets[1] || materials.length === 1 ? 0 : 1;
+            setPosition(materials[c], entry - offsets[c]);
+            for (const predecessor of findPredecessors(c)) {
+                if (done[predecessor] || !quiet[predecessor]) continue;
+                if (!isWin) {
+                    if (level + 1 < bestWin[predecessor]) {
+                        bestWin[predecessor] = level + 1;
+                        schedule(predecessor, level + 1);
+                    }
+                } else {
+                    worstLoss[predecessor] = Math.max(worstLoss[predecessor], level + 1);
+                    if (--remaining[predecessor] === 0) schedule(predecessor, worstLoss[predecessor]);
+                }
+            }
+        }
+        levels[level] = null;
+    }
+
+    return materials.map((material, c) => values.slice(offsets[c], offsets[c] + sizes[c]));
+}
+
+/**
+ * Generates a tablebase by retrograde analysis
+ * @param {Object} [options]
+ * @param {number} [options.maxPieces] - Largest number of pieces on the board, 2-5
+ * @param {number} [options.maxPiecesWithMen] - Largest number of pieces for tables with
+ *   men; larger tables hold kings only
+ * @param {Function} [options.onProgress] - Called after every table with
+ *   {material, positions, done, total}
+ * @returns {Object} Tablebase interface
+ */
+export function generateTablebase({ maxPieces = 4, maxPiecesWithMen = maxPieces, onProgress } = {}) {
+    const classes = getTablebaseClasses(maxPieces, maxPiecesWithMen);
+    const tables = new Map();
+    let finished = 0;
+
+    for (const material of classes) {
+        const id = getClassId(material);
+        if (tables.has(id)) continue;
+
+        const swapped = [material[2], material[3], material[0], material[1]];
+        const materials = getClassId(swapped) === id ? [material] : [material, swapped];
+        const built = buildTables(materials, tables);
+        materials.forEach((m, i) => {
+            tables.set(getClassId(m), built[i]);
+            finished++;
+            if (onProgress) {
+                onProgress({ material: m, positions: built[i].length, done: finished, total: classes.length });
+            }
+        });
+    }
+    return createTablebase(tables);
+}
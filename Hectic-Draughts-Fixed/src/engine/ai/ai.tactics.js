@@ -14,6 +14,7 @@ import {
     isPlayerPiece,
     shouldPromote
 } from './ai.utils.js';
+import { getSquare, pieceAt, withPiece } from './ai.bitboard.js';
 
 /**
  * Evaluates a capture sequence with deep analysis
@@ -32,8 +33,8 @@ export function evaluateCaptureSequence(ai, position, move) {
     value += move.captures.length * 20;
     
     // Check if we get promoted after capture
-    const movingPiece = position.pieces[move.from.row][move.from.col];
-    if (shouldPromote(movingPiece, move.to.row)) {
+    const movingPiece = pieceAt(position, move.from.row, move.from.col);
+    if (move.crowned || shouldPromote(movingPiece, move.to.row, position.geometry.lastRow)) {
         value += 250; // Promotion bonus
     }
     
@@ -89,7 +90,7 @@ export function countCaptureValue(position, move) {
     if (!move.captures || move.captures.length === 0) return 0;
     
     return move.captures.reduce((total, cap) => {
-        const piece = position.pieces[cap.row][cap.col];
+        const piece = pieceAt(position, cap.row, cap.col);
         return total + getPieceValue(piece);
     }, 0);
 }
@@ -166,8 +167,8 @@ export function findTacticalShots(ai, position) {
         }
         
         // Check for promotion tactics
-        const piece = position.pieces[move.from.row][move.from.col];
-        if (shouldPromote(piece, move.to.row)) {
+        const piece = pieceAt(position, move.from.row, move.from.col);
+        if (move.crowned || shouldPromote(piece, move.to.row, position.geometry.lastRow)) {
             tacticalValue += 200;
             
             // Promotion with capture is extra strong
@@ -252,7 +253,7 @@ export function findCombinations(ai, position, depth = 6) {
  */
 export function evaluateBreakthroughPotential(ai, position, piece) {
     const { row, col } = piece;
-    const pieceType = position.pieces[row][col];
+    const pieceType = pieceAt(position, row, col);
     
     if (pieceType === PIECE.NONE) return 0;
     
@@ -262,8 +263,8 @@ export function evaluateBreakthroughPotential(ai, position, piece) {
     if (isKing) return 0; // Kings don't need breakthrough
     
     let score = 0;
-    // PATCH: For "White moves up", promotionRow is 0; Black moves down, promotionRow is 9.
-    const promotionRow = isWhite ? 0 : 9;
+    // PATCH: For "White moves up", promotionRow is 0; Black moves down, promotionRow is the last row.
+    const promotionRow = isWhite ? 0 : position.geometry.lastRow;
     const distance = Math.abs(row - promotionRow);
     
     // Base score inversely proportional to distance
@@ -275,10 +276,10 @@ export function evaluateBreakthroughPotential(ai, position, piece) {
     let obstacles = 0;
     let r = row + direction;
     
-    while (r !== promotionRow && r >= 0 && r < BOARD_SIZE) {
+    while (r !== promotionRow && r >= 0 && r <= position.geometry.lastRow) {
         // Check if any enemy pieces block the path
-        for (let c = 0; c < BOARD_SIZE; c++) {
-            const p = position.pieces[r][c];
+        for (let c = 0; c <= position.geometry.lastRow; c++) {
+            const p = pieceAt(position, r, c);
             if (p !== PIECE.NONE && isPlayerPiece(p, isWhite ? PLAYER.BLACK : PLAYER.WHITE)) {
                 obstacles++;
             }
@@ -311,12 +312,12 @@ export function detectPinsAndSkewers(ai, position) {
     // Check each friendly piece
     for (let r = 0; r < BOARD_SIZE; r++) {
         for (let c = 0; c < BOARD_SIZE; c++) {
-            const piece = position.pieces[r][c];
+            const piece = pieceAt(position, r, c);
             if (!isPlayerPiece(piece, player)) continue;
             
             // Check if removing this piece exposes another
-            const testPos = { ...position };
-            testPos.pieces[r][c] = PIECE.NONE;
+            // Work on a copy: the position's board (and its cached key) must not change
+            const testPos = withPiece(position, getSquare(r, c), PIECE.NONE);
             testPos.currentPlayer = opponent;
             
             const captures = getAvailableCaptures(testPos);
@@ -330,7 +331,7 @@ export function detectPinsAndSkewers(ai, position) {
                 if (exposedPieces.length > 0) {
                     const pinnedValue = getPieceValue(piece);
                     const exposedValue = Math.max(...exposedPieces.map(ep => 
-                        getPieceValue(position.pieces[ep.row][ep.col])
+                        getPieceValue(pieceAt(position, ep.row, ep.col))
                     ));
                     
                     if (exposedValue > pinnedValue) {
@@ -373,10 +374,10 @@ function evaluateCapturePositional(position, move) {
     bonus += mobility * 2;
     
     // Bonus for captures near promotion
-    const piece = position.pieces[move.from.row][move.from.col];
+    const piece = pieceAt(position, move.from.row, move.from.col);
     const isWhite = piece === PIECE.WHITE || piece === PIECE.WHITE_KING;
-    // PATCH: For "White moves up", promotionRow is 0; Black moves down, promotionRow is 9.
-    const promotionRow = isWhite ? 0 : 9;
+    // PATCH: For "White moves up", promotionRow is 0; Black moves down, promotionRow is the last row.
+    const promotionRow = isWhite ? 0 : position.geometry.lastRow;
     const distanceToPromotion = Math.abs(move.to.row - promotionRow);
     
     if (distanceToPromotion <= 2) {
@@ -404,10 +405,10 @@ function createsDiscoveredAttack(ai, position, move) {
 }
 
 function isSacrificialBreakthrough(ai, position, move) {
-    const piece = position.pieces[move.from.row][move.from.col];
+    const piece = pieceAt(position, move.from.row, move.from.col);
     const isWhite = piece === PIECE.WHITE || piece === PIECE.WHITE_KING;
-    // PATCH: For "White moves up", promotionRow is 0; Black moves down, promotionRow is 9.
-    const promotionRow = isWhite ? 0 : 9;
+    // PATCH: For "White moves up", promotionRow is 0; Black moves down, promotionRow is the last row.
+    const promotionRow = isWhite ? 0 : position.geometry.lastRow;
     
     // Check if move gets us very close to promotion
     if (Math.abs(move.to.row - promotionRow) <= 1) {
@@ -430,8 +431,8 @@ function isSacrificialBreakthrough(ai, position, move) {
                 // Check if we have a promotion threat
                 const ourMoves = generateMoves(afterCapture);
                 const hasPromotion = ourMoves.some(m => {
-                    const p = afterCapture.pieces[m.from.row][m.from.col];
-                    return shouldPromote(p, m.to.row);
+                    const p = pieceAt(afterCapture, m.from.row, m.from.col);
+                    return m.crowned || shouldPromote(p, m.to.row, afterCapture.geometry.lastRow);
                 });
                 
                 if (hasPromotion) return true;
@@ -492,7 +493,7 @@ function countExposedPieces(position, player) {
     
     for (let r = 0; r < BOARD_SIZE; r++) {
         for (let c = 0; c < BOARD_SIZE; c++) {
-            const piece = position.pieces[r][c];
+            const piece = pieceAt(position, r, c);
             if (isPlayerPiece(piece, player)) {
                 // Simple check - is piece undefended and attackable?
                 const hasDefender = hasAdjacentDefender(position, r, c, player);
@@ -516,7 +517,7 @@ function hasAdjacentDefender(position, row, col, player) {
         const c = col + dir.dx;
         
         if (isValidSquare(r, c)) {
-            const neighbor = position.pieces[r][c];
+            const neighbor = pieceAt(position, r, c);
             if (isPlayerPiece(neighbor, player)) {
                 return true;
             }
@@ -3,8 +3,9 @@
  * @module ai.tt
  */
 
-import { BOARD_SIZE, isDarkSquare } from '../constants.js';
 import { AI_PARAMS } from './ai.params.js';
+import { getPositionKey } from '../zobrist.js';
+import { ensureBoardKey } from './ai.utils.js';
 
 /**
  * Creates a high-performance transposition table
@@ -18,24 +19,17 @@ export function createTranspositionTable(maxSize = 2000000) {
     let stores = 0;
     
     /**
-     * Generates a unique key for a position
-     * Uses only dark squares for efficiency
+     * Generates the key of a position: its Zobrist key folded to a 53-bit number.
+     * Positions made by makeMove carry their board key; others get one computed here.
      */
     function generateKey(position) {
-        let key = '';
-        for (let r = 0; r < BOARD_SIZE; r++) {
-            for (let c = 0; c < BOARD_SIZE; c++) {
-                if (isDarkSquare(r, c)) {
-                    key += position.pieces[r][c];
-                }
-            }
-        }
-        return key + position.currentPlayer;
+        ensureBoardKey(position);
+        return getPositionKey(position.keyHi, position.keyLo, position.currentPlayer);
     }
     
     /**
      * Stores an entry in the table
-     * @param {string} key - Position key
+     * @param {number} key - Position key
      * @param {number} depth - Search depth
      * @param {number} value - Position value
      * @param {number} type - Entry type (EXACT, LOWER_BOUND, UPPER_BOUND)
@@ -68,7 +62,7 @@ export function createTranspositionTable(maxSize = 2000000) {
     
     /**
      * Looks up a position in the table
-     * @param {string} key - Position key
+     * @param {number} key - Position key
      * @param {number} depth - Minimum required depth
      * @param {number} alpha - Alpha bound
      * @param {number} beta - Beta bound
@@ -202,7 +196,10 @@ export function createTranspositionTable(maxSize = 2000000) {
 
 /**
  * Creates a smaller evaluation cache for position evaluations
- * Separate from main TT to avoid pollution
+ * Separate from main TT to avoid pollution; the oldest entry makes way once it is full,
+ * so long analyses stay within maxSize entries
+ * @param {number} maxSize - Maximum number of entries
+ * @returns {Object} Cache interface (store, lookup, clear, size)
  */
 export function createEvaluationCache(maxSize = 100000) {
     const cache = new Map();
@@ -1,47 +1,100 @@
 /**
  * AI Utilities Module - Core functions for move generation and board operations
  * Extracted and enhanced from the original GrandmasterAI
+ * Positions are the bitboard positions of ai.bitboard; move generation follows
+ * the rule variant they carry (position.rules) on their board geometry (position.geometry)
  * @module ai.utils
  */
 
-import { BOARD_SIZE, PIECE, PLAYER, DIRECTIONS, isDarkSquare } from '../constants.js';
+import { BOARD_SIZE, PIECE, PLAYER } from '../constants.js';
+import { selectCaptures } from '../variants.js';
+import {
+    SQUARE_COUNT,
+    WHITE_DIRECTIONS,
+    BLACK_DIRECTIONS,
+    KING_DIRECTIONS,
+    LINE_DIRECTIONS,
+    SQUARE_COORDS,
+    SQUARE_ROW,
+    BIT_LO,
+    BIT_HI,
+    getSquare,
+    hasSquare,
+    countBits,
+    getSquares,
+    getPlayerBits,
+    pieceOn,
+    pieceAt,
+    clearSquare,
+    fillSquare,
+    computeKey
+} from './ai.bitboard.js';
 
 /**
  * Makes a move on the position and returns new position
- * @param {Object} position - Current position
+ * The Zobrist board key (keyHi, keyLo) is updated incrementally
+ * @param {Object} position - Current bitboard position
  * @param {Object} move - Move to make
  * @returns {Object} New position after move
  */
 export function makeMove(position, move) {
+    ensureBoardKey(position);
+    
     const newPosition = {
-        pieces: position.pieces.map(row => [...row]),
+        whiteLo: position.whiteLo,
+        whiteHi: position.whiteHi,
+        blackLo: position.blackLo,
+        blackHi: position.blackHi,
+        kingsLo: position.kingsLo,
+        kingsHi: position.kingsHi,
         currentPlayer: position.currentPlayer === PLAYER.WHITE ? PLAYER.BLACK : PLAYER.WHITE,
-        history: position.history || []
+        history: position.history || [],
+        keyHi: position.keyHi,
+        keyLo: position.keyLo,
+        rules: position.rules,
+        geometry: position.geometry
     };
     
-    const piece = newPosition.pieces[move.from.row][move.from.col];
-    newPosition.pieces[move.from.row][move.from.col] = PIECE.NONE;
-    newPosition.pieces[move.to.row][move.to.col] = piece;
+    const from = getSquare(move.from.row, move.from.col);
+    const to = getSquare(move.to.row, move.to.col);
+    const piece = pieceOn(position, from);
+    clearSquare(newPosition, from, piece);
     
     // Handle captures
     if (move.captures) {
-        move.captures.forEach(cap => {
-            newPosition.pieces[cap.row][cap.col] = PIECE.NONE;
-        });
+        for (const cap of move.captures) {
+            const square = getSquare(cap.row, cap.col);
+            clearSquare(newPosition, square, pieceOn(position, square));
+        }
     }
     
-    // Handle promotion
-    if (shouldPromote(piece, move.to.row)) {
-        newPosition.pieces[move.to.row][move.to.col] = 
-            piece === PIECE.WHITE ? PIECE.WHITE_KING : PIECE.BLACK_KING;
+    // Handle promotion, including a man crowned during the capture
+    let finalPiece = piece;
+    if (move.crowned || shouldPromote(piece, move.to.row, position.geometry.lastRow)) {
+        finalPiece = piece === PIECE.WHITE ? PIECE.WHITE_KING : PIECE.BLACK_KING;
     }
+    fillSquare(newPosition, to, finalPiece);
     
     return newPosition;
 }
 
+/**
+ * Adds the Zobrist board key to a position that does not have one yet
+ * @param {Object} position - Bitboard position, gets keyHi and keyLo
+ * @returns {Object} The same position
+ */
+export function ensureBoardKey(position) {
+    if (position.keyHi === undefined) {
+        const key = computeKey(position);
+        position.keyHi = key.hi;
+        position.keyLo = key.lo;
+    }
+    return position;
+}
+
 /**
  * Generates all legal moves for the current position
- * @param {Object} position - Current position
+ * @param {Object} position - Current bitboard position
  * @returns {Array} Array of legal moves
  */
 export function generateMoves(position) {
@@ -49,224 +102,220 @@ export function generateMoves(position) {
     if (captures.length > 0) return captures;
     
     const normalMoves = [];
-    for (let r = 0; r < BOARD_SIZE; r++) {
-        for (let c = 0; c < BOARD_SIZE; c++) {
-            if (isPieceOfCurrentPlayer(position.pieces[r][c], position.currentPlayer)) {
-                addNormalMovesForPiece(normalMoves, position, r, c);
-            }
-        }
+    const [lo, hi] = getPlayerBits(position, position.currentPlayer);
+    for (const square of getSquares(lo, hi)) {
+        addNormalMovesForPiece(normalMoves, position, square);
     }
     return normalMoves;
 }
 
 /**
  * Gets all available captures for current player
- * @param {Object} position - Current position
+ * @param {Object} position - Current bitboard position
  * @returns {Array} Array of capture moves
  */
 export function getAvailableCaptures(position) {
-    let allCaptures = [];
+    const allCaptures = [];
+    const { rules, geometry } = position;
+    const [lo, hi] = getPlayerBits(position, position.currentPlayer);
+    const [enemyLo, enemyHi] = getPlayerBits(position, position.currentPlayer === PLAYER.WHITE ? PLAYER.BLACK : PLAYER.WHITE);
+    const adjacentLo = rules.orthogonalCaptures ? geometry.lineAdjacentLo : geometry.adjacentLo;
+    const adjacentHi = rules.orthogonalCaptures ? geometry.lineAdjacentHi : geometry.adjacentHi;
     
-    for (let r = 0; r < BOARD_SIZE; r++) {
-        for (let c = 0; c < BOARD_SIZE; c++) {
-            if (isPieceOfCurrentPlayer(position.pieces[r][c], position.currentPlayer)) {
-                findCaptureSequences(
-                    allCaptures, 
-                    position.pieces, 
-                    {row: r, col: c}, 
-                    [], 
-                    [],
-                    new Set(),
-                    position.currentPlayer
-                );
-            }
-        }
+    for (const square of getSquares(lo, hi)) {
+        // Only a flying king captures from a distance; other pieces need an enemy piece next to them
+        if (((adjacentLo[square] & enemyLo) | (adjacentHi[square] & enemyHi)) === 0 &&
+            !(rules.flyingKings && hasSquare(position.kingsLo, position.kingsHi, square))) continue;
+        findCaptureSequences(allCaptures, position, square);
     }
     
-    // In draughts, if captures exist, we must take the maximum
-    if (allCaptures.length > 0) {
-        allCaptures.sort((a, b) => b.captures.length - a.captures.length);
-        const maxLength = allCaptures[0].captures.length;
-        return allCaptures.filter(move => move.captures.length === maxLength);
-    }
-    
-    return [];
+    // The majority rule and its tie-breaks, exactly as Game applies them
+    return selectCaptures(allCaptures, rules, pos => pieceAt(position, pos.row, pos.col));
 }
 
 /**
- * Recursively finds all capture sequences from a position
+ * Finds all capture sequences of the piece on a square, whichever side is to move.
+ * As in Game, captured pieces stay on the board until the sequence ends (Turkish
+ * strike rule): they cannot be jumped twice and block the way, while the start
+ * square may be crossed or landed on again.
+ * @param {Array} sequences - Receives the capture moves
+ * @param {Object} position - Bitboard position
+ * @param {number} square - Square 0-49 of the capturing piece
  */
-export function findCaptureSequences(sequences, pieces, currentPos, path, capturedSoFar, visitedPositions, currentPlayer, recursionDepth = 0) {
-    if (recursionDepth > 20) return;
+export function findCaptureSequences(sequences, position, square) {
+    const piece = pieceOn(position, square);
+    if (piece === PIECE.NONE) return;
     
-    const posKey = `${currentPos.row},${currentPos.col}`;
-    if (visitedPositions.has(posKey)) return;
+    const { rules, geometry } = position;
+    const isWhite = piece === PIECE.WHITE || piece === PIECE.WHITE_KING;
+    const isKing = piece === PIECE.WHITE_KING || piece === PIECE.BLACK_KING;
+    const directions = getCaptureDirections(rules, isKing, isWhite);
+    const isFlying = isKing && rules.flyingKings;
+    const enemyLo = isWhite ? position.blackLo : position.whiteLo;
+    const enemyHi = isWhite ? position.blackHi : position.whiteHi;
+    const occupiedLo = position.whiteLo | position.blackLo;
+    const occupiedHi = position.whiteHi | position.blackHi;
     
-    visitedPositions.add(posKey);
+    // Most pieces cannot capture at all: settle that before building any sequence
+    if (!canJump(geometry.neighbour, square, directions, isFlying, enemyLo, enemyHi, occupiedLo, occupiedHi)) return;
     
-    let foundJump = false;
-    const piece = pieces[currentPos.row][currentPos.col];
-    const isKing = piece === PIECE.WHITE_KING || piece === PIECE.BLACK_KING;
-    const dirs = DIRECTIONS.KING_MOVES;
-
-    for (const dir of dirs) {
-        if (isKing) {
-            // Flying king captures
-            let checkRow = currentPos.row + dir.dy;
-            let checkCol = currentPos.col + dir.dx;
-            let enemyPos = null;
-            
-            while (isValidSquare(checkRow, checkCol)) {
-                const checkPiece = pieces[checkRow][checkCol];
-                
-                if (checkPiece !== PIECE.NONE) {
-                    if (isOpponentPiece(checkPiece, currentPlayer)) {
-                        enemyPos = { row: checkRow, col: checkCol };
-                        break;
-                    } else {
-                        break; // Blocked by own piece
-                    }
-                }
-                
-                checkRow += dir.dy;
-                checkCol += dir.dx;
-            }
-            
-            if (enemyPos && !capturedSoFar.some(p => p.row === enemyPos.row && p.col === enemyPos.col)) {
-                // Check landing squares
-                let landRow = enemyPos.row + dir.dy;
-                let landCol = enemyPos.col + dir.dx;
-                
-                while (isValidSquare(landRow, landCol) && pieces[landRow][landCol] === PIECE.NONE) {
-                    foundJump = true;
-                    
-                    // Make the capture on a copy
-                    const newPieces = pieces.map(row => [...row]);
-                    newPieces[currentPos.row][currentPos.col] = PIECE.NONE;
-                    newPieces[enemyPos.row][enemyPos.col] = PIECE.NONE;
-                    newPieces[landRow][landCol] = piece;
-                    
-                    const newVisitedPositions = new Set(visitedPositions);
-                    findCaptureSequences(
-                        sequences, 
-                        newPieces, 
-                        { row: landRow, col: landCol }, 
-                        [...path, currentPos], 
-                        [...capturedSoFar, enemyPos],
-                        newVisitedPositions,
-                        currentPlayer,
-                        recursionDepth + 1
-                    );
-                    
-                    landRow += dir.dy;
-                    landCol += dir.dx;
-                }
-            }
-        } else {
-            // Regular piece captures (men)
-            const jumpOverPos = { row: currentPos.row + dir.dy, col: currentPos.col + dir.dx };
-            const landPos = { row: currentPos.row + 2 * dir.dy, col: currentPos.col + 2 * dir.dx };
+    const state = {
+        start: square,
+        isKing,
+        isFlying,
+        directions,
+        neighbour: geometry.neighbour,
+        // Row where a man is crowned mid-capture, -1 where the variant does not allow it
+        crowningRow: !isKing && rules.promoteDuringCapture ? (isWhite ? 0 : geometry.lastRow) : -1,
+        kingDirections: getCaptureDirections(rules, true, isWhite),
+        crowned: false,
+        flyingKings: rules.flyingKings,
+        enemyLo,
+        enemyHi,
+        // The capturing piece leaves its square, so the sequence may cross it
+        occupiedLo: occupiedLo & ~BIT_LO[square],
+        occupiedHi: occupiedHi & ~BIT_HI[square],
+        captured: []
+    };
+    
+    extendCapture(sequences, state, square);
+}
 
-            if (isValidSquare(landPos.row, landPos.col) && 
-                pieces[landPos.row][landPos.col] === PIECE.NONE && 
-                isOpponentPiece(pieces[jumpOverPos.row][jumpOverPos.col], currentPlayer)) {
-                
-                const alreadyCaptured = capturedSoFar.some(p => 
-                    p.row === jumpOverPos.row && p.col === jumpOverPos.col);
-                
-                if (!alreadyCaptured) {
-                    foundJump = true;
-                    
-                    const newPieces = pieces.map(row => [...row]);
-                    newPieces[currentPos.row][currentPos.col] = PIECE.NONE;
-                    newPieces[jumpOverPos.row][jumpOverPos.col] = PIECE.NONE;
-                    newPieces[landPos.row][landPos.col] = piece;
+/**
+ * Directions a piece captures in under a rule variant
+ */
+function getCaptureDirections(rules, isKing, isWhite) {
+    if (rules.orthogonalCaptures) return LINE_DIRECTIONS;
+    if (isKing || rules.menCaptureBackwards) return KING_DIRECTIONS;
+    return isWhite ? WHITE_DIRECTIONS : BLACK_DIRECTIONS;
+}
 
-                    const newVisitedPositions = new Set(visitedPositions);
-                    findCaptureSequences(
-                        sequences, 
-                        newPieces, 
-                        landPos, 
-                        [...path, currentPos], 
-                        [...capturedSoFar, jumpOverPos],
-                        newVisitedPositions,
-                        currentPlayer,
-                        recursionDepth + 1
-                    );
-                }
+/**
+ * Checks whether a piece has at least one jump from a square
+ */
+function canJump(neighbour, square, directions, isFlying, enemyLo, enemyHi, occupiedLo, occupiedHi) {
+    for (let i = 0; i < directions.length; i++) {
+        const base = directions[i] * SQUARE_COUNT;
+        let over = neighbour[base + square];
+        if (isFlying) {
+            while (over >= 0 && !hasSquare(occupiedLo, occupiedHi, over)) {
+                over = neighbour[base + over];
             }
         }
+        if (over < 0 || !hasSquare(enemyLo, enemyHi, over)) continue;
+        
+        const land = neighbour[base + over];
+        if (land >= 0 && !hasSquare(occupiedLo, occupiedHi, land)) return true;
     }
-
-    // If no more jumps found, record the sequence
-    if (!foundJump && capturedSoFar.length > 0) {
-        sequences.push({ 
-            from: path[0] || currentPos, 
-            to: currentPos, 
-            captures: capturedSoFar 
-        });
-    }
-    
-    visitedPositions.delete(posKey);
+    return false;
 }
 
 /**
- * Adds normal (non-capture) moves for a piece
- * PATCHED: Defensive against bad currentPlayer, logs error/warning for debugging.
+ * Depth-first search over the jumps available from a square
  */
-export function addNormalMovesForPiece(moves, position, r, c) {
-    const piece = position.pieces[r][c];
-    const isKing = piece === PIECE.WHITE_KING || piece === PIECE.BLACK_KING;
-
-    if (isKing) {
-        // Flying king movement
-        const dirs = DIRECTIONS.KING_MOVES;
-        for (const d of dirs) {
-            let nr = r + d.dy;
-            let nc = c + d.dx;
-            while (isValidSquare(nr, nc) && position.pieces[nr][nc] === PIECE.NONE && isDarkSquare(nr, nc)) {
-                moves.push({
-                    from: { row: r, col: c },
-                    to: { row: nr, col: nc },
-                    captures: []
-                });
-                nr += d.dy;
-                nc += d.dx;
+function extendCapture(sequences, state, square) {
+    const neighbour = state.neighbour;
+    const directions = state.directions;
+    let foundJump = false;
+    
+    for (let i = 0; i < directions.length; i++) {
+        const base = directions[i] * SQUARE_COUNT;
+        let over = neighbour[base + square];
+        
+        // Flying king: slide over empty squares up to the first piece
+        if (state.isFlying) {
+            while (over >= 0 && !hasSquare(state.occupiedLo, state.occupiedHi, over)) {
+                over = neighbour[base + over];
             }
         }
-    } else {
-        // PATCH: Defensive directional lookup with fallback and debug log
-        let dirs;
-        if (position.currentPlayer === PLAYER.WHITE) {
-            dirs = DIRECTIONS.WHITE_MOVES;
-        } else if (position.currentPlayer === PLAYER.BLACK) {
-            dirs = DIRECTIONS.BLACK_MOVES;
-        } else {
-            // Fallback: try to infer based on piece color (should NOT happen!)
-            if (piece === PIECE.WHITE) {
-                dirs = DIRECTIONS.WHITE_MOVES;
-            } else if (piece === PIECE.BLACK) {
-                dirs = DIRECTIONS.BLACK_MOVES;
+        if (over < 0 || !hasSquare(state.enemyLo, state.enemyHi, over)) continue;
+        
+        // Landing squares: the next one for men, every empty one behind the piece for flying kings
+        let land = neighbour[base + over];
+        while (land >= 0 && !hasSquare(state.occupiedLo, state.occupiedHi, land)) {
+            foundJump = true;
+            
+            // The captured piece stops being a target but still occupies its square
+            const overLo = BIT_LO[over];
+            const overHi = BIT_HI[over];
+            state.enemyLo ^= overLo;
+            state.enemyHi ^= overHi;
+            state.captured.push(over);
+            
+            if (SQUARE_ROW[land] === state.crowningRow && !state.isKing) {
+                crownAndExtend(sequences, state, land);
             } else {
-                dirs = [];
+                extendCapture(sequences, state, land);
             }
-            console.warn('addNormalMovesForPiece: Unexpected currentPlayer value', position.currentPlayer, 'at', r, c, 'piece:', piece, 'using fallback dirs:', dirs);
+            
+            state.captured.pop();
+            state.enemyLo ^= overLo;
+            state.enemyHi ^= overHi;
+            
+            if (!state.isFlying) break;
+            land = neighbour[base + land];
         }
+    }
+    
+    // If no more jumps found, record the sequence
+    if (!foundJump && state.captured.length > 0) {
+        const sequence = {
+            from: SQUARE_COORDS[state.start],
+            to: SQUARE_COORDS[square],
+            captures: state.captured.map(captured => SQUARE_COORDS[captured])
+        };
+        if (state.crowned) sequence.crowned = true;
+        sequences.push(sequence);
+    }
+}
 
-        if (!dirs || !Array.isArray(dirs)) {
-            console.error('addNormalMovesForPiece: dirs is not iterable. position.currentPlayer=', position.currentPlayer, 'piece=', piece, 'at', r, c, 'dirs:', dirs);
-            return;
-        }
+/**
+ * Continues a capture as a king after a man was crowned on the promotion row (Russian rules)
+ */
+function crownAndExtend(sequences, state, square) {
+    const directions = state.directions;
+    state.isKing = true;
+    state.isFlying = state.flyingKings;
+    state.directions = state.kingDirections;
+    state.crowned = true;
+    
+    extendCapture(sequences, state, square);
+    
+    state.crowned = false;
+    state.directions = directions;
+    state.isFlying = false;
+    state.isKing = false;
+}
 
+/**
+ * Adds normal (non-capture) moves for the piece on a square
+ * @param {Array} moves - Receives the moves
+ * @param {Object} position - Bitboard position
+ * @param {number} square - Square 0-49 of the piece
+ */
+export function addNormalMovesForPiece(moves, position, square) {
+    const piece = pieceOn(position, square);
+    const neighbour = position.geometry.neighbour;
+    const occupiedLo = position.whiteLo | position.blackLo;
+    const occupiedHi = position.whiteHi | position.blackHi;
+    
+    if (piece === PIECE.WHITE_KING || piece === PIECE.BLACK_KING) {
+        // Flying king movement, or a single step where kings do not fly
+        const isFlying = position.rules.flyingKings;
+        for (const d of KING_DIRECTIONS) {
+            let to = neighbour[d * SQUARE_COUNT + square];
+            while (to >= 0 && !hasSquare(occupiedLo, occupiedHi, to)) {
+                moves.push({ from: SQUARE_COORDS[square], to: SQUARE_COORDS[to], captures: [] });
+                if (!isFlying) break;
+                to = neighbour[d * SQUARE_COUNT + to];
+            }
+        }
+    } else if (piece !== PIECE.NONE) {
+        const dirs = piece === PIECE.WHITE ? WHITE_DIRECTIONS : BLACK_DIRECTIONS;
         for (const d of dirs) {
-            const nr = r + d.dy;
-            const nc = c + d.dx;
-            if (isValidSquare(nr, nc) && position.pieces[nr][nc] === PIECE.NONE && isDarkSquare(nr, nc)) {
-                moves.push({
-                    from: { row: r, col: c },
-                    to: { row: nr, col: nc },
-                    captures: []
-                });
+            const to = neighbour[d * SQUARE_COUNT + square];
+            if (to >= 0 && !hasSquare(occupiedLo, occupiedHi, to)) {
+                moves.push({ from: SQUARE_COORDS[square], to: SQUARE_COORDS[to], captures: [] });
             }
         }
     }
@@ -274,32 +323,28 @@ export function addNormalMovesForPiece(moves, position, r, c) {
 
 /**
  * Gets captures available from a specific piece
+ * @param {Object} position - Bitboard position
+ * @param {Object} piecePos - Square of the piece ({row, col})
+ * @returns {Array} Capture moves of that piece
  */
 export function getPieceCapturesFrom(position, piecePos) {
     const captures = [];
-    const player = position.pieces[piecePos.row][piecePos.col] === PIECE.WHITE || 
-                   position.pieces[piecePos.row][piecePos.col] === PIECE.WHITE_KING ? 
-                   PLAYER.WHITE : PLAYER.BLACK;
-    
-    findCaptureSequences(
-        captures, 
-        position.pieces, 
-        piecePos, 
-        [], 
-        [],
-        new Set(),
-        player
-    );
-    
+    const square = getSquare(piecePos.row, piecePos.col);
+    if (square >= 0) {
+        findCaptureSequences(captures, position, square);
+    }
     return captures;
 }
 
 /**
  * Checks if a piece should be promoted
+ * @param {number} piece - PIECE value
+ * @param {number} row - Row the piece arrives on
+ * @param {number} [lastRow] - Black's promotion row, position.geometry.lastRow
  */
-export function shouldPromote(piece, row) {
+export function shouldPromote(piece, row, lastRow = BOARD_SIZE - 1) {
     return (piece === PIECE.WHITE && row === 0) || 
-           (piece === PIECE.BLACK && row === BOARD_SIZE - 1);
+           (piece === PIECE.BLACK && row === lastRow);
 }
 
 /**
@@ -354,49 +399,22 @@ export function isPlayerPiece(piece, player) {
  * Counts total pieces on board
  */
 export function countTotalPieces(position) {
-    let count = 0;
-    for (let r = 0; r < BOARD_SIZE; r++) {
-        for (let c = 0; c < BOARD_SIZE; c++) {
-            if (position.pieces[r][c] !== PIECE.NONE) count++;
-        }
-    }
-    return count;
+    return countBits(position.whiteLo | position.blackLo) + countBits(position.whiteHi | position.blackHi);
 }
 
 /**
  * Gets piece counts by type
  */
 export function getPieceCounts(position) {
-    const counts = {
-        [PLAYER.WHITE]: { men: 0, kings: 0, total: 0 },
-        [PLAYER.BLACK]: { men: 0, kings: 0, total: 0 }
-    };
-    
-    for (let r = 0; r < BOARD_SIZE; r++) {
-        for (let c = 0; c < BOARD_SIZE; c++) {
-            const piece = position.pieces[r][c];
-            switch (piece) {
-                case PIECE.WHITE:
-                    counts[PLAYER.WHITE].men++;
-                    counts[PLAYER.WHITE].total++;
-                    break;
-                case PIECE.WHITE_KING:
-                    counts[PLAYER.WHITE].kings++;
-                    counts[PLAYER.WHITE].total++;
-                    break;
-                case PIECE.BLACK:
-                    counts[PLAYER.BLACK].men++;
-                    counts[PLAYER.BLACK].total++;
-                    break;
-                case PIECE.BLACK_KING:
-                    counts[PLAYER.BLACK].kings++;
-                    counts[PLAYER.BLACK].total++;
-                    break;
-            }
-        }
-    }
+    const whiteKings = countBits(position.whiteLo & position.kingsLo) + countBits(position.whiteHi & position.kingsHi);
+    const blackKings = countBits(position.blackLo & position.kingsLo) + countBits(position.blackHi & position.kingsHi);
+    const whiteTotal = countBits(position.whiteLo) + countBits(position.whiteHi);
+    const blackTotal = countBits(position.blackLo) + countBits(position.blackHi);
     
-    return counts;
+    return {
+        [PLAYER.WHITE]: { men: whiteTotal - whiteKings, kings: whiteKings, total: whiteTotal },
+        [PLAYER.BLACK]: { men: blackTotal - blackKings, kings: blackKings, total: blackTotal }
+    };
 }
 
 /**
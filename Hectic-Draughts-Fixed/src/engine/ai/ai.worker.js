@@ -5,10 +5,41 @@
  * Version 2.0 - Modular Architecture
  */
 
-// Import the main AI module which includes all functionality
-import './ai.core.js';
+import { GrandmasterAI, createMessageHandler } from './ai.core.js';
+import { createOpeningBook } from './ai.book.js';
+import { loadTablebase } from './ai.tablebase.js';
+import OpeningBook from '../../utils/opening-book.js';
 
-// The ai.core.js module sets up the worker message handler and creates the AI instance
-// No additional code needed here - everything is handled in the modules
+// The AI's log and evaluation messages go straight to the main thread
+const ai = new GrandmasterAI({ onMessage: (message) => postMessage(message) });
+const handleMessage = createMessageHandler(ai, (message) => postMessage(message));
 
-console.log('Grandmaster AI Worker v2.0 - Modular Architecture Loaded');
\ No newline at end of file
+// The worker reports itself initialized once the opening book and tablebase are in place
+const bookLoaded = OpeningBook.getInstance().then(({ bookData }) => {
+    const book = createOpeningBook(bookData);
+    ai.setOpeningBook(book);
+    ai.log(`Opening book: ${book.size()} positions, ${book.skippedLines()} lines not playable`);
+}).catch((error) => ai.log(`Opening book not available: ${error.message}`));
+
+// The tablebase is built gzipped (see bin/tablebase.js); a server may already have unpacked it
+async function fetchTablebase() {
+    const response = await fetch(new URL('../../data/tablebase.bin.gz', import.meta.url));
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    if (bytes[0] !== 0x1f || bytes[1] !== 0x8b) return bytes;
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+const tablebaseLoaded = fetchTablebase().then((bytes) => {
+    const tablebase = loadTablebase(bytes);
+    ai.setTablebase(tablebase);
+    ai.log(`Endgame tablebase: ${tablebase.size()} positions, up to ${tablebase.maxPieces} pieces`);
+}).catch((error) => ai.log(`Endgame tablebase not available (npm run build:tablebase): ${error.message}`));
+
+self.onmessage = async (event) => {
+    if (event.data.type === 'initialize') await Promise.all([bookLoaded, tablebaseLoaded]);
+    handleMessage(event.data);
+};
+
+console.log('Grandmaster AI Worker v2.0 - Modular Architecture Loaded');
@@ -5,6 +5,11 @@
  * Grandmaster Edition
  */
 
+// Time the worker gets for a request before its search is stopped, and for the reply
+// to the stop after that
+const REQUEST_TIMEOUT = 30000;
+const STOP_TIMEOUT = 5000;
+
 export class AIController {
     constructor() {
         this.worker = null;
@@ -12,6 +17,15 @@ export class AIController {
         this.requestId = 0;
         this.initialized = false;
         this.initPromise = null;
+        this.analysisId = null; // Request id of the running analysis
+        
+        // Shared with the worker, whose searches stop once it holds their request id (see
+        // createMessageHandler); pages without cross-origin isolation have no SharedArrayBuffer,
+        // and there stopping a search restarts the worker
+        this.stopFlag = typeof SharedArrayBuffer === 'function' ? new Int32Array(new SharedArrayBuffer(4)) : null;
+        
+        // Settings messages sent to the worker by type, sent again to a restarted worker
+        this.settings = new Map();
     }
 
     /**
@@ -32,22 +46,29 @@ export class AIController {
                     
                     if (type === 'initialized') {
                         this.initialized = true;
+                        this.settings.forEach((data, settingType) => this.worker.postMessage({ type: settingType, data }));
                         console.log('AI Worker initialized successfully');
                         resolve();
-                    } else if (type === 'moveResult' && this.pendingRequests.has(requestId)) {
-                        const { resolve, reject } = this.pendingRequests.get(requestId);
+                    } else if ((type === 'moveResult' || type === 'drawResponse') && this.pendingRequests.has(requestId)) {
+                        const { resolve, reject, clearTimeout } = this.pendingRequests.get(requestId);
                         this.pendingRequests.delete(requestId);
+                        if (clearTimeout) clearTimeout();
                         
                         if (error) {
                             reject(new Error(error));
                         } else {
-                            resolve(data.move);
+                            resolve(data);
                         }
                     } else if (type === 'evaluation') {
                         // Handle evaluation updates for UI display
                         if (window.gameController && window.gameController.ui) {
                             window.gameController.ui.updateAnalysis(data);
                         }
+                    } else if (type === 'analysis') {
+                        // Reports of an analysis that was replaced or stopped are dropped
+                        if (data.requestId === this.analysisId && window.gameController && window.gameController.ui) {
+                            window.gameController.ui.updateAnalysisLines(data);
+                        }
                     } else if (type === 'log') {
                         console.log('[AI Worker]:', data.message);
                     }
@@ -61,7 +82,7 @@ export class AIController {
                 };
                 
                 // Initialize the worker
-                this.worker.postMessage({ type: 'initialize' });
+                this.worker.postMessage({ type: 'initialize', data: { stopBuffer: this.stopFlag && this.stopFlag.buffer } });
                 
             } catch (error) {
                 console.error('Failed to create AI Worker:', error);
@@ -81,19 +102,132 @@ export class AIController {
             await this.initialize();
         }
         
+        this.configure('setDifficulty', { level });
+    }
+
+    /**
+     * Set the rule variant the AI plays by
+     * @param {Object} variant - Rule variant, see variants.js
+     */
+    async setVariant(variant) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        this.configure('setVariant', { variant });
+    }
+
+    /**
+     * Replace the AI's opening book
+     * @param {Object|null} book - Book in the data/openings.json format, or null for no book
+     */
+    async setOpeningBook(book) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        this.configure('setOpeningBook', { book });
+    }
+
+    /**
+     * Send a settings message to the worker, and keep it for a restarted worker
+     * @param {string} type - Message type
+     * @param {Object} data - Message payload
+     */
+    configure(type, data) {
+        this.settings.set(type, data);
+        this.worker.postMessage({ type, data });
+    }
+
+    /**
+     * Get the best move for the current position
+     * @param {Game} position - Game in the current position
+     * @param {string[]} moveHistoryNotations - Move history in notation format
+     * @param {Object} [limits] - Search limits, e.g. the AI's game clock from GameClock.getSearchLimits
+     * @returns {Promise<Object>} Best move, and whether the AI resigns instead ({move, resign})
+     */
+    async getMove(position, moveHistoryNotations, limits = {}) {
+        return this.request('getMove', {
+            position: {
+                pieces: position.pieces,
+                currentPlayer: position.currentPlayer,
+                drawCounters: position.getDrawCounters()
+            },
+            moveHistoryNotations,
+            limits
+        }, 'AI move calculation timed out', Math.max(REQUEST_TIMEOUT, limits.moveTime || 0, limits.timeLeft || 0));
+    }
+
+    /**
+     * Analyse a position until stopped, replacing the running analysis; the best lines
+     * of every depth go to the UI as they are found
+     * @param {Game} position - Game in the position to analyse
+     * @param {number} lines - Number of lines to show
+     */
+    async analyze(position, lines) {
+        this.stopAnalysis();
+        if (!this.initialized) {
+            await this.initialize();
+        }
+        
+        this.analysisId = ++this.requestId;
         this.worker.postMessage({
-            type: 'setDifficulty',
-            data: { level }
+            type: 'analyze',
+            requestId: this.analysisId,
+            data: {
+                position: {
+                    pieces: position.pieces,
+                    currentPlayer: position.currentPlayer,
+                    drawCounters: position.getDrawCounters()
+                },
+                lines
+            }
         });
     }
 
     /**
-     * Get the best move for the current position
-     * @param {Object} position - Current game position
+     * Stop the running analysis
+     */
+    stopAnalysis() {
+        if (this.analysisId !== null) this.stopSearches();
+        this.analysisId = null;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'stopAnalysis' });
+        }
+    }
+
+    /**
+     * Offer the AI a draw
+     * @param {Game} position - Game in the current position
      * @param {string[]} moveHistoryNotations - Move history in notation format
-     * @returns {Promise<Object>} Best move
+     * @param {number} player - Side the AI plays
+     * @returns {Promise<Object>} The AI's answer ({accept, score, phase})
+     */
+    async offerDraw(position, moveHistoryNotations, player) {
+        return this.request('offerDraw', {
+            position: {
+                pieces: position.pieces,
+                currentPlayer: position.currentPlayer,
+                drawCounters: position.getDrawCounters()
+            },
+            moveHistoryNotations,
+            player
+        }, 'AI draw decision timed out');
+    }
+
+    /**
+     * Send a request to the worker and wait for its reply. A search still running when
+     * the time is up is stopped and answers with its best move so far; the request fails
+     * only if that answer does not come either
+     * @param {string} type - Request type
+     * @param {Object} data - Request payload
+     * @param {string} timeoutMessage - Error message if no reply comes in time
+     * @param {number} [timeLimit] - Time for the reply in ms
+     * @returns {Promise<Object>} Reply data
      */
-    async getMove(position, moveHistoryNotations) {
+    async request(type, data, timeoutMessage, timeLimit = REQUEST_TIMEOUT) {
+        // The worker searches one thing at a time, so the analysis makes way
+        this.stopAnalysis();
         if (!this.initialized) {
             await this.initialize();
         }
@@ -104,26 +238,17 @@ export class AIController {
             // Store the promise callbacks
             this.pendingRequests.set(requestId, { resolve, reject });
             
-            // Set a timeout
-            const timeout = setTimeout(() => {
-                if (this.pendingRequests.has(requestId)) {
-                    this.pendingRequests.delete(requestId);
-                    reject(new Error('AI move calculation timed out'));
-                }
-            }, 30000); // 30 second timeout
+            const fail = () => {
+                if (this.pendingRequests.delete(requestId)) reject(new Error(timeoutMessage));
+            };
+            let timeout = setTimeout(() => {
+                if (!this.stopFlag) fail(); // Restarting the worker leaves no move to wait for
+                this.stopSearches(requestId);
+                timeout = setTimeout(fail, STOP_TIMEOUT);
+            }, timeLimit);
             
             // Send the request to the worker
-            this.worker.postMessage({
-                type: 'getMove',
-                requestId,
-                data: {
-                    position: {
-                        pieces: position.pieces,
-                        currentPlayer: position.currentPlayer
-                    },
-                    moveHistoryNotations
-                }
-            });
+            this.worker.postMessage({ type, requestId, data });
             
             // Clear timeout on resolution
             this.pendingRequests.get(requestId).clearTimeout = () => clearTimeout(timeout);
@@ -131,21 +256,50 @@ export class AIController {
     }
 
     /**
-     * Abort the current search
+     * Stop the worker's searches up to a request within milliseconds, even in the middle
+     * of a move; without a stop flag the worker is replaced by a new one, failing the
+     * pending requests
+     * @param {number} [requestId] - Last request to stop, by default every request sent
+     */
+    stopSearches(requestId = this.requestId) {
+        if (this.stopFlag) {
+            Atomics.store(this.stopFlag, 0, Math.max(requestId, Atomics.load(this.stopFlag, 0)));
+        } else if (this.worker) {
+            this.restartWorker();
+        }
+    }
+
+    /**
+     * Abort the current search, e.g. when the game is paused; the worker is free for the
+     * next request within milliseconds
      */
     abortSearch() {
         if (this.worker) {
+            if (this.pendingRequests.size > 0) this.stopSearches();
             this.worker.postMessage({ type: 'abort' });
-            
-            // Reject all pending requests
-            this.pendingRequests.forEach(({ reject, clearTimeout }) => {
-                if (clearTimeout) clearTimeout();
-                reject(new Error('Search aborted'));
-            });
-            this.pendingRequests.clear();
+            this.rejectPendingRequests();
         }
     }
 
+    // Fails every request waiting for the worker
+    rejectPendingRequests() {
+        this.pendingRequests.forEach(({ reject, clearTimeout }) => {
+            if (clearTimeout) clearTimeout();
+            reject(new Error('Search aborted'));
+        });
+        this.pendingRequests.clear();
+    }
+
+    // Replaces the worker by a new one with the same settings
+    restartWorker() {
+        this.rejectPendingRequests();
+        this.worker.terminate();
+        this.worker = null;
+        this.initialized = false;
+        this.initPromise = null;
+        this.initialize().catch(error => console.error('Failed to restart AI Worker:', error));
+    }
+
     /**
      * Terminate the worker and clean up resources
      */
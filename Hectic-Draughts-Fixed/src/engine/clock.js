@@ -0,0 +1,224 @@
+/**
+ * Game clock for tournament time controls
+ * - Sudden death, Fischer increment, Bronstein delay and "N moves in T, then T2" periods
+ * - Time is read from an injectable clock function, so the clock runs the same in the
+ *   browser, in Node.js scripts and in tests
+ * @author codewithheck
+ */
+
+import { PLAYER } from './constants.js';
+
+const MINUTE = 60000;
+const SECOND = 1000;
+
+/*
+ * Time control fields:
+ * - periods: [{ time, moves }] - time (ms) added to the clock at the start of each
+ *   period and the moves it lasts; the last period without moves runs to the end of
+ *   the game, a last period with moves repeats
+ * - increment: ms added after every move (Fischer)
+ * - delay: ms of every move given back to the clock, at most the time the move took (Bronstein)
+ */
+export const TIME_CONTROLS = {
+    'blitz-5-3': Object.freeze({
+        id: 'blitz-5-3',
+        name: 'Blitz 5 min + 3 s',
+        periods: [{ time: 5 * MINUTE }],
+        increment: 3 * SECOND,
+        delay: 0
+    }),
+    'rapid-15-10': Object.freeze({
+        id: 'rapid-15-10',
+        name: 'Rapid 15 min + 10 s',
+        periods: [{ time: 15 * MINUTE }],
+        increment: 10 * SECOND,
+        delay: 0
+    }),
+    'bronstein-10-5': Object.freeze({
+        id: 'bronstein-10-5',
+        name: '10 min, 5 s delay',
+        periods: [{ time: 10 * MINUTE }],
+        increment: 0,
+        delay: 5 * SECOND
+    }),
+    'sudden-death-30': Object.freeze({
+        id: 'sudden-death-30',
+        name: '30 min sudden death',
+        periods: [{ time: 30 * MINUTE }],
+        increment: 0,
+        delay: 0
+    }),
+    'fmjd-classical': Object.freeze({
+        id: 'fmjd-classical',
+        name: 'FMJD 80 min + 1 min',
+        periods: [{ time: 80 * MINUTE }],
+        increment: MINUTE,
+        delay: 0
+    }),
+    'classical-40-90': Object.freeze({
+        id: 'classical-40-90',
+        name: '40 moves in 90 min, then 30 min + 30 s',
+        periods: [{ time: 90 * MINUTE, moves: 40 }, { time: 30 * MINUTE }],
+        increment: 30 * SECOND,
+        delay: 0
+    })
+};
+
+/**
+ * Resolves a time control id or object
+ * @param {string|Object} timeControl - Preset id, or time control object
+ * @returns {Object} Time control
+ * @throws {Error} If the id is unknown or the control has no periods
+ */
+export function getTimeControl(timeControl) {
+    if (typeof timeControl === 'string') {
+        const preset = TIME_CONTROLS[timeControl];
+        if (!preset) {
+            throw new Error(`Unknown time control: ${timeControl}`);
+        }
+        return preset;
+    }
+    if (!timeControl.periods || timeControl.periods.length === 0) {
+        throw new Error('A time control needs at least one period');
+    }
+    return { increment: 0, delay: 0, ...timeControl };
+}
+
+/**
+ * Clocks of both players under one time control. Only the clock of the side to
+ * move runs; press() ends a move and starts the opponent's clock.
+ */
+export class GameClock {
+    /**
+     * @param {string|Object} timeControl - Time control, see TIME_CONTROLS
+     * @param {Function} [now] - Returns the current time in ms
+     */
+    constructor(timeControl, now = () => Date.now()) {
+        this.now = now;
+        this.reset(timeControl);
+    }
+
+    /**
+     * Sets both clocks to the start of the first period and stops them
+     * @param {string|Object} [timeControl] - New time control, by default the current one
+     */
+    reset(timeControl = this.timeControl) {
+        this.timeControl = getTimeControl(timeControl);
+        const first = this.timeControl.periods[0];
+        this.remaining = { [PLAYER.WHITE]: first.time, [PLAYER.BLACK]: first.time };
+        this.period = { [PLAYER.WHITE]: 0, [PLAYER.BLACK]: 0 };
+        this.movesInPeriod = { [PLAYER.WHITE]: 0, [PLAYER.BLACK]: 0 };
+        this.running = null;   // Player whose clock runs
+        this.startedAt = 0;    // Time that clock was started
+    }
+
+    /**
+     * Starts the clock of a player, stopping the other one
+     * @param {number} player - PLAYER to move
+     */
+    start(player) {
+        this.stop();
+        this.running = player;
+        this.startedAt = this.now();
+    }
+
+    /**
+     * Stops the running clock, e.g. while the game is paused or over
+     */
+    stop() {
+        if (this.running === null) return;
+        this.remaining[this.running] -= this.now() - this.startedAt;
+        this.running = null;
+    }
+
+    /**
+     * Ends the move of a player: applies the delay or increment, enters the next
+     * period once its moves are played and starts the opponent's clock. A player whose
+     * flag has fallen gets no time back, so the flag stays down.
+     * @param {number} player - PLAYER who just moved
+     */
+    press(player) {
+        const used = this.running === player ? this.now() - this.startedAt : 0;
+        this.stop();
+        if (this.remaining[player] <= 0) {
+            this.start(player === PLAYER.WHITE ? PLAYER.BLACK : PLAYER.WHITE);
+            return;
+        }
+
+        const { periods, increment, delay } = this.timeControl;
+        this.remaining[player] += Math.min(used, delay) + increment;
+
+        const period = periods[this.period[player]];
+        if (period.moves && ++this.movesInPeriod[player] >= period.moves) {
+            this.period[player] = Math.min(this.period[player] + 1, periods.length - 1);
+            this.movesInPeriod[player] = 0;
+            this.remaining[player] += periods[this.period[player]].time;
+        }
+
+        this.start(player === PLAYER.WHITE ? PLAYER.BLACK : PLAYER.WHITE);
+    }
+
+    /**
+     * Gets the clock readings, e.g. to store with a move or across a page reload
+     * @returns {Object} Plain, JSON-safe state for setState; a running clock is read as stopped now
+     */
+    getState() {
+        return {
+            remaining: {
+                [PLAYER.WHITE]: this.getRemaining(PLAYER.WHITE),
+                [PLAYER.BLACK]: this.getRemaining(PLAYER.BLACK)
+            },
+            period: { ...this.period },
+            movesInPeriod: { ...this.movesInPeriod }
+        };
+    }
+
+    /**
+     * Sets the clocks to earlier readings; both clocks are stopped afterwards
+     * @param {Object} state - State from getState
+     */
+    setState(state) {
+        this.running = null;
+        for (const player of [PLAYER.WHITE, PLAYER.BLACK]) {
+            this.remaining[player] = state.remaining[player];
+            this.period[player] = state.period[player];
+            this.movesInPeriod[player] = state.movesInPeriod[player];
+        }
+    }
+
+    /**
+     * Gets the time left on a player's clock, including the move being played
+     * @param {number} player - PLAYER
+     * @returns {number} Remaining time in ms, negative once the flag has fallen
+     */
+    getRemaining(player) {
+        const remaining = this.remaining[player];
+        return this.running === player ? remaining - (this.now() - this.startedAt) : remaining;
+    }
+
+    /**
+     * Checks whether a player has run out of time
+     * @param {number} player - PLAYER
+     * @returns {boolean}
+     */
+    isFlagged(player) {
+        return this.getRemaining(player) <= 0;
+    }
+
+    /**
+     * Gets what the AI needs to plan its time, as search limits for getMove
+     * @param {number} player - PLAYER to move
+     * @returns {Object} {timeLeft, increment, movesToGo, periodTime}; increment includes
+     *   the Bronstein delay, movesToGo is undefined in the last period without moves
+     */
+    getSearchLimits(player) {
+        const { periods, increment, delay } = this.timeControl;
+        const period = periods[this.period[player]];
+        return {
+            timeLeft: Math.max(0, this.getRemaining(player)),
+            increment: increment + delay,
+            movesToGo: period.moves ? period.moves - this.movesInPeriod[player] : undefined,
+            periodTime: period.time
+        };
+    }
+}
@@ -30,6 +30,59 @@ export const GAME_STATE = {
     DRAW: 'draw'
 };
 
+// Reasons a game is drawn, see Game.getDrawReason
+export const DRAW_REASON = {
+    REPETITION: 'repetition',
+    KING_MOVES: 'king-moves',
+    SIXTEEN_MOVES: 'sixteen-move',
+    FIVE_MOVES: 'five-move'
+};
+
+// How a game ended, see Game.getTermination
+export const TERMINATION = {
+    NO_MOVES: 'no-moves',           // the side to move has no pieces or no legal moves
+    DRAW_RULE: 'draw-rule',         // drawn by one of the DRAW_REASON rules
+    RESIGNATION: 'resignation',
+    AGREEMENT: 'agreement',         // both players agreed to a draw
+    TIME_FORFEIT: 'time-forfeit'
+};
+
+// Logger that drops every message, for Game and History in scripts and tests
+export const QUIET_LOGGER = {
+    log() {},
+    warn() {},
+    error() {}
+};
+
+// FMJD draw rules, in moves by each player
+export const DRAW_RULES = {
+    KING_MOVES: 25,      // only kings moved, nothing captured
+    SIXTEEN_MOVES: 16,   // three pieces, at least one a king, against a lone king
+    FIVE_MOVES: 5        // two kings, or a king and a man, or a lone king against a lone king
+};
+
+/**
+ * Move limit of a king ending: 16 moves for three pieces, at least one of them a king,
+ * against a lone king; 5 moves for two kings, a king and a man, or a lone king against
+ * a lone king
+ * @param {Object} white - White's pieces ({men, kings})
+ * @param {Object} black - Black's pieces ({men, kings})
+ * @returns {number} Moves each player may make in the ending, 0 if no limit applies
+ */
+export function getEndgameLimit(white, black) {
+    const isLoneKing = side => side.kings === 1 && side.men === 0;
+    const limitAgainst = side => {
+        if (side.kings === 0) return 0;
+        const total = side.men + side.kings;
+        if (total === 3) return DRAW_RULES.SIXTEEN_MOVES;
+        return total <= 2 ? DRAW_RULES.FIVE_MOVES : 0;
+    };
+
+    if (isLoneKing(black)) return limitAgainst(white);
+    if (isLoneKing(white)) return limitAgainst(black);
+    return 0;
+}
+
 // Game Modes
 export const GAME_MODE = {
     NORMAL: 'normal',
@@ -78,6 +131,11 @@ export const DIRECTIONS = {
     KING_MOVES: [
         { dy: -1, dx: -1 }, { dy: -1, dx: 1 }, // Up-left, Up-right
         { dy: 1, dx: -1 }, { dy: 1, dx: 1 }    // Down-left, Down-right
+    ],
+    // Frisian captures along rows and columns; the next square of the same colour is two steps away
+    ORTHOGONAL: [
+        { dy: -2, dx: 0 }, { dy: 2, dx: 0 },   // Up, Down
+        { dy: 0, dx: -2 }, { dy: 0, dx: 2 }    // Left, Right
     ]
 };
 
@@ -87,23 +145,37 @@ export function isDarkSquare(row, col) {
     return (row + col) % 2 === 0;  // Changed from === 1 to === 0 for flipped board
 }
 
-// Square Numbering for Notation (1-50) - Corrected for horizontally flipped board
-export const SQUARE_NUMBERS = (function() {
-    const numbers = new Array(BOARD_SIZE * BOARD_SIZE).fill(0);
+// Square numbering of each board size, built on first use
+const squareNumberTables = new Map();
+
+/**
+ * Square numbering for notation (1-50 on 10x10, 1-32 on 8x8) - corrected for horizontally flipped board
+ * @param {number} [boardSize] - Squares along each side
+ * @returns {Array<number>} Number of every board index (row * boardSize + col), 0 for light squares
+ */
+export function getSquareNumbers(boardSize = BOARD_SIZE) {
+    let numbers = squareNumberTables.get(boardSize);
+    if (numbers) return numbers;
+    
+    numbers = new Array(boardSize * boardSize).fill(0);
     let count = 1;
     
     // For a horizontally flipped board, we number from right to left
     // This maintains the standard draughts numbering system but adapted for the flip
-    for (let row = 0; row < BOARD_SIZE; row++) {
+    for (let row = 0; row < boardSize; row++) {
         // Number from right to left for all rows
-        for (let col = BOARD_SIZE - 1; col >= 0; col--) {
+        for (let col = boardSize - 1; col >= 0; col--) {
             if (isDarkSquare(row, col)) {
-                numbers[row * BOARD_SIZE + col] = count++;
+                numbers[row * boardSize + col] = count++;
             }
         }
     }
+    squareNumberTables.set(boardSize, numbers);
     return numbers;
-})();
+}
+
+// Square Numbering for Notation (1-50) of the international board
+export const SQUARE_NUMBERS = getSquareNumbers(BOARD_SIZE);
 
 // Enhanced AI Parameters for Better Performance
 export const AI_PARAMS = {
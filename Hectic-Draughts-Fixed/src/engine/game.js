@@ -1,36 +1,64 @@
 /**
  * International Draughts Game Logic - ENHANCED VERSION
  * - Performance optimizations for faster move generation
- * - Better draw detection (50-move rule, blocked positions)
+ * - FMJD draw rules (25-move king rule, 16- and 5-move king endings, repetition)
+ * - Resignation, agreed draws and time forfeits, recorded with the result
  * - Enhanced move history with more metadata
  * - Position analysis helpers
  * - Improved game state tracking
+ * - Incremental Zobrist keys for repetition detection, shared with the AI
+ * - Rule variants (board size, capture and promotion rules) from variants.js
  * @author codewithheck
  * Enhanced for better gameplay
  */
 
 import {
-    BOARD_SIZE, PIECE, PLAYER, GAME_STATE, SQUARE_NUMBERS,
-    GAME_MODE, DIRECTIONS, isDarkSquare
+    PIECE, PLAYER, GAME_STATE, GAME_MODE, DIRECTIONS, DRAW_REASON, DRAW_RULES, TERMINATION,
+    getSquareNumbers, isDarkSquare, getEndgameLimit
 } from './constants.js';
+import { getVariant, selectCaptures } from './variants.js';
 import { generateFEN, parseFEN } from '../utils/fen-parser.js';
+import { computeBoardKey, getPositionKey, pieceKeyHi, pieceKeyLo } from './zobrist.js';
 
 export class Game {
-    constructor() { 
-        this.reset(); 
+    /**
+     * @param {string|Object} [variant] - Rule variant id or rules object, international by default
+     * @param {Object} [options]
+     * @param {Object} [options.logger] - Receives the log and error messages of the game and
+     *   its History; console by default, QUIET_LOGGER drops them
+     */
+    constructor(variant, { logger = console } = {}) { 
+        this.logger = logger;
+        this.setVariant(variant);
+    }
+    
+    /**
+     * Switches to another rule variant and starts a new game with it
+     * @param {string|Object} [variant] - Rule variant id or rules object, see getVariant
+     * @throws {Error} If the variant is unknown
+     */
+    setVariant(variant) {
+        this.variant = getVariant(variant);
+        this.boardSize = this.variant.boardSize;
+        this.reset();
+    }
+    
+    getVariant() {
+        return this.variant;
     }
     
     reset() {
-        this.pieces = Array(BOARD_SIZE).fill(null).map(() => Array(BOARD_SIZE).fill(PIECE.NONE));
-        this.currentPlayer = PLAYER.WHITE;
+        this.pieces = Array(this.boardSize).fill(null).map(() => Array(this.boardSize).fill(PIECE.NONE));
+        this.currentPlayer = this.variant.firstPlayer;
         this.gameState = GAME_STATE.ONGOING;
+        this.termination = null;
         this.moveHistory = [];
         this.capturedPieces = { [PLAYER.WHITE]: [], [PLAYER.BLACK]: [] };
         this.gameMode = GAME_MODE.NORMAL;
         
         // Enhanced game tracking
-        this.movesSinceCapture = 0;  // For 50-move rule
-        this.positionHistory = new Map();  // For threefold repetition
+        this.resetDrawCounters();
+        this.positionHistory = new Map();  // Zobrist key -> occurrences, for threefold repetition
         this.statistics = {
             totalMoves: 0,
             captures: { [PLAYER.WHITE]: 0, [PLAYER.BLACK]: 0 },
@@ -40,7 +68,7 @@ export class Game {
         };
         
         // Game options
-        this.maxCaptureRule = false;  // Default to optional maximum capture
+        this.maxCaptureRule = this.variant.majorityCapture;
         
         // Performance optimization: cache legal moves
         this.legalMovesCache = null;
@@ -51,15 +79,15 @@ export class Game {
     
     setupInitialPosition() {
         // Clear the board
-        for (let r = 0; r < BOARD_SIZE; r++) {
-            for (let c = 0; c < BOARD_SIZE; c++) {
+        for (let r = 0; r < this.boardSize; r++) {
+            for (let c = 0; c < this.boardSize; c++) {
                 this.pieces[r][c] = PIECE.NONE;
             }
         }
         
         // Place black pieces
-        for (let r = 0; r < 4; r++) {
-            for (let c = 0; c < BOARD_SIZE; c++) {
+        for (let r = 0; r < this.variant.pieceRows; r++) {
+            for (let c = 0; c < this.boardSize; c++) {
                 if (isDarkSquare(r, c)) {
                     this.pieces[r][c] = PIECE.BLACK;
                 }
@@ -67,8 +95,8 @@ export class Game {
         }
         
         // Place white pieces
-        for (let r = 6; r < BOARD_SIZE; r++) {
-            for (let c = 0; c < BOARD_SIZE; c++) {
+        for (let r = this.boardSize - this.variant.pieceRows; r < this.boardSize; r++) {
+            for (let c = 0; c < this.boardSize; c++) {
                 if (isDarkSquare(r, c)) {
                     this.pieces[r][c] = PIECE.WHITE;
                 }
@@ -76,6 +104,7 @@ export class Game {
         }
         
         // Record initial position
+        this.updateBoardKey();
         this.recordPosition();
     }
     
@@ -86,13 +115,36 @@ export class Game {
     
     setPiece(row, col, piece) { 
         if (this.isValidPosition(row, col)) {
+            // Keep the Zobrist board key in step: XOR the old piece out and the new one in
+            const oldPiece = this.pieces[row][col];
+            this.keyHi ^= pieceKeyHi(row, col, oldPiece) ^ pieceKeyHi(row, col, piece);
+            this.keyLo ^= pieceKeyLo(row, col, oldPiece) ^ pieceKeyLo(row, col, piece);
+            
             this.pieces[row][col] = piece;
             this.invalidateCache();
         }
     }
     
+    /**
+     * Recomputes the Zobrist board key after the whole board was replaced
+     */
+    updateBoardKey() {
+        const key = computeBoardKey(this.pieces);
+        this.keyHi = key.hi;
+        this.keyLo = key.lo;
+    }
+    
+    /**
+     * Gets the Zobrist key of the current position, side to move included
+     * @returns {number} Position key, the same the AI uses for this position
+     */
+    getPositionKey() {
+        return getPositionKey(this.keyHi, this.keyLo, this.currentPlayer);
+    }
+    
     makeMove(move, thinkingTime = 0) {
-        if (!this.isValidMove(move)) return false;
+        const legalMove = this.findLegalMove(move);
+        if (!legalMove) return false;
         
         const startTime = Date.now();
         const piece = this.getPiece(move.from.row, move.from.col);
@@ -116,6 +168,7 @@ export class Game {
             to: { ...move.to },
             piece,
             captures: move.captures ? [...move.captures] : [],
+            path: move.path ? [...move.path] : [{ ...move.from }, { ...move.to }],
             capturedPieces,
             notation: this.getMoveNotation(move),
             timestamp: Date.now(),
@@ -123,33 +176,37 @@ export class Game {
             player: this.currentPlayer,
             thinkingTime: thinkingTime || (Date.now() - startTime),
             wasPromotion: false,
-            previousFEN: this.getFEN()
+            previousFEN: this.getFEN(),
+            previousDrawCounters: this.getDrawCounters()
         };
         
-        // Execute the move
+        // Execute the move; captured pieces go first, as a king may end its capture
+        // on the square of a piece it took earlier in the sequence
         this.setPiece(move.from.row, move.from.col, PIECE.NONE);
-        this.setPiece(move.to.row, move.to.col, piece);
         
         // Remove captured pieces
         if (isCapture) {
-            move.captures.forEach(cap => {
+            capturedPieces.forEach(cap => {
                 this.setPiece(cap.row, cap.col, PIECE.NONE);
-                this.capturedPieces[this.currentPlayer].push(this.getPiece(cap.row, cap.col));
+                this.capturedPieces[this.currentPlayer].push(cap.piece);
             });
             this.statistics.captures[this.currentPlayer] += move.captures.length;
-            this.movesSinceCapture = 0;
-        } else {
-            this.movesSinceCapture++;
         }
         
-        // Handle promotion
-        if (this.shouldPromote(piece, move.to.row) && !this.canContinueCapturing(move.to.row, move.to.col)) {
+        this.setPiece(move.to.row, move.to.col, piece);
+        
+        // Handle promotion: on the promotion row, or crowned mid-capture where the variant allows it
+        if (this.shouldPromote(piece, move.to.row) || legalMove.crowned) {
             const newKing = piece === PIECE.WHITE ? PIECE.WHITE_KING : PIECE.BLACK_KING;
             this.setPiece(move.to.row, move.to.col, newKing);
             moveRecord.wasPromotion = true;
             this.statistics.promotions[this.currentPlayer]++;
         }
         
+        const movedMan = piece === PIECE.WHITE || piece === PIECE.BLACK;
+        this.updateDrawCounters(isCapture || movedMan);
+        moveRecord.drawCounters = this.getDrawCounters();
+        
         // Update game state
         if (this.gameMode === GAME_MODE.NORMAL) {
             this.currentPlayer = this.currentPlayer === PLAYER.WHITE ? PLAYER.BLACK : PLAYER.WHITE;
@@ -171,16 +228,35 @@ export class Game {
         return true;
     }
     
+    /**
+     * Takes back the last move, keeping the moves before it and their repetition counts
+     * @returns {boolean} False if there is no move to take back
+     */
     undoMove() {
-        if (this.moveHistory.length === 0) return false;
+        if (this.moveHistory.length === 0 || !this.moveHistory[this.moveHistory.length - 1].previousFEN) return false;
         
         const lastMove = this.moveHistory.pop();
+        const previousMove = this.moveHistory[this.moveHistory.length - 1];
         
-        // Restore previous position
-        if (lastMove.previousFEN) {
-            this.loadFEN(lastMove.previousFEN);
+        // The position left is no longer reached
+        const key = this.getPositionKey();
+        const count = this.positionHistory.get(key) || 0;
+        if (count > 1) {
+            this.positionHistory.set(key, count - 1);
+        } else {
+            this.positionHistory.delete(key);
         }
         
+        // Restore previous position
+        const position = parseFEN(lastMove.previousFEN, this.boardSize);
+        this.pieces = position.pieces;
+        this.currentPlayer = position.currentPlayer;
+        this.updateBoardKey();
+        this.capturedPieces[lastMove.player].splice(-lastMove.capturedPieces.length, lastMove.capturedPieces.length);
+        this.invalidateCache();
+        this.setDrawCounters(lastMove.previousDrawCounters || (previousMove && previousMove.drawCounters) ||
+            { kingMoves: 0, endgameLimit: this.getEndgameLimit(), endgameMoves: 0 });
+        
         // Update statistics
         this.statistics.totalMoves--;
         this.statistics.thinkingTime[lastMove.player] -= lastMove.thinkingTime;
@@ -207,6 +283,27 @@ export class Game {
         );
     }
     
+    /**
+     * Finds the legal move matching a move's squares; when several captures share
+     * the start and end square, the one taking the same pieces
+     * @param {Object} move - Move with from, to and optionally captures
+     * @returns {Object|null} The legal move, or null if the move is illegal
+     */
+    findLegalMove(move) {
+        const candidates = this.getLegalMoves().filter(m => 
+            m.from.row === move.from.row && 
+            m.from.col === move.from.col && 
+            m.to.row === move.to.row && 
+            m.to.col === move.to.col
+        );
+        if (candidates.length > 1 && move.captures) {
+            const key = m => m.captures.map(p => p.row * this.boardSize + p.col).sort((a, b) => a - b).join(',');
+            const exact = candidates.find(m => key(m) === key(move));
+            if (exact) return exact;
+        }
+        return candidates[0] || null;
+    }
+    
     getLegalMoves() {
         // Use cache if valid
         if (this.cacheValid && this.legalMovesCache) {
@@ -236,8 +333,8 @@ export class Game {
         
         // Optimize by checking pieces of current player only
         const playerPieces = [];
-        for (let r = 0; r < BOARD_SIZE; r++) {
-            for (let c = 0; c < BOARD_SIZE; c++) {
+        for (let r = 0; r < this.boardSize; r++) {
+            for (let c = 0; c < this.boardSize; c++) {
                 if (this.isPieceOfCurrentPlayer(this.pieces[r][c])) {
                     playerPieces.push({ row: r, col: c });
                 }
@@ -249,99 +346,95 @@ export class Game {
             this.findCaptureSequences(allCaptures, this.pieces, pos, [], []);
         }
         
-        // Apply maximum capture rule only if enabled
-        if (allCaptures.length > 0 && this.maxCaptureRule) {
-            const maxCaptures = Math.max(...allCaptures.map(move => move.captures.length));
-            return allCaptures.filter(move => move.captures.length === maxCaptures);
+        return selectCaptures(allCaptures, this.getRules(), pos => this.pieces[pos.row][pos.col]);
+    }
+
+    /**
+     * Directions a piece captures in under the current variant
+     * @param {number} piece - PIECE value
+     * @returns {Array} Steps to the next square along each capture line
+     */
+    getCaptureDirections(piece) {
+        const isKing = piece === PIECE.WHITE_KING || piece === PIECE.BLACK_KING;
+        let dirs = DIRECTIONS.KING_MOVES;
+        if (!isKing && !this.variant.menCaptureBackwards) {
+            dirs = piece === PIECE.WHITE ? DIRECTIONS.WHITE_MOVES : DIRECTIONS.BLACK_MOVES;
         }
-        
-        // If max capture rule is off, return all possible captures
-        return allCaptures;
+        return this.variant.orthogonalCaptures ? [...dirs, ...DIRECTIONS.ORTHOGONAL] : dirs;
     }
 
-    findCaptureSequences(sequences, pieces, currentPos, path, capturedSoFar) {
+    /**
+     * Finds every capture sequence of the piece on a square. Captured pieces stay on the
+     * board until the sequence ends (Turkish strike rule): they cannot be jumped twice and
+     * block the way, while the square the piece left may be crossed or landed on again.
+     * @param {Array} sequences - Receives the capture moves
+     * @param {Array} pieces - Board, with the capturing piece on currentPos
+     * @param {Object} currentPos - Square the piece has reached
+     * @param {Array} path - Squares the piece landed on before
+     * @param {Array} capturedSoFar - Squares of the pieces captured so far, in order
+     * @param {boolean} [crowned] - Whether the man was crowned during the sequence
+     */
+    findCaptureSequences(sequences, pieces, currentPos, path, capturedSoFar, crowned = false) {
         let foundJump = false;
         const piece = pieces[currentPos.row][currentPos.col];
         const isKing = piece === PIECE.WHITE_KING || piece === PIECE.BLACK_KING;
+        const isFlying = isKing && this.variant.flyingKings;
         
-        const dirs = DIRECTIONS.KING_MOVES;
-
-        for (const dir of dirs) {
-            if (isKing) {
-                // Flying king captures
-                let checkRow = currentPos.row + dir.dy;
-                let checkCol = currentPos.col + dir.dx;
-                let enemyPos = null;
+        for (const dir of this.getCaptureDirections(piece)) {
+            // Flying kings slide up to the first piece; men and short kings look at the next square
+            let checkRow = currentPos.row + dir.dy;
+            let checkCol = currentPos.col + dir.dx;
+            
+            while (isFlying && this.isValidPosition(checkRow, checkCol) && 
+                   pieces[checkRow][checkCol] === PIECE.NONE) {
+                checkRow += dir.dy;
+                checkCol += dir.dx;
+            }
+            
+            if (!this.isValidPosition(checkRow, checkCol) || 
+                !this.isOpponentPiece(pieces[checkRow][checkCol])) {
+                continue;
+            }
+            
+            const enemyPos = { row: checkRow, col: checkCol };
+            if (capturedSoFar.some(p => p.row === enemyPos.row && p.col === enemyPos.col)) continue;
+            
+            // Landing squares: the next one, or every empty one behind the piece for flying kings
+            let landRow = enemyPos.row + dir.dy;
+            let landCol = enemyPos.col + dir.dx;
+            
+            while (this.isValidPosition(landRow, landCol) && pieces[landRow][landCol] === PIECE.NONE) {
+                foundJump = true;
                 
-                while (this.isValidPosition(checkRow, checkCol)) {
-                    const checkPiece = pieces[checkRow][checkCol];
-                    
-                    if (checkPiece !== PIECE.NONE) {
-                        if (this.isOpponentPiece(checkPiece)) {
-                            enemyPos = { row: checkRow, col: checkCol };
-                            break;
-                        } else {
-                            break;
-                        }
-                    }
-                    
-                    checkRow += dir.dy;
-                    checkCol += dir.dx;
-                }
+                // Russian rules: a man reaching the promotion row goes on capturing as a king
+                const crowns = !isKing && this.variant.promoteDuringCapture && this.shouldPromote(piece, landRow);
                 
-                if (enemyPos && !capturedSoFar.some(p => p.row === enemyPos.row && p.col === enemyPos.col)) {
-                    let landRow = enemyPos.row + dir.dy;
-                    let landCol = enemyPos.col + dir.dx;
-                    
-                    while (this.isValidPosition(landRow, landCol) && pieces[landRow][landCol] === PIECE.NONE) {
-                        foundJump = true;
-                        
-                        const newPieces = pieces.map(row => [...row]);
-                        newPieces[currentPos.row][currentPos.col] = PIECE.NONE;
-                        newPieces[enemyPos.row][enemyPos.col] = PIECE.NONE;
-                        newPieces[landRow][landCol] = piece;
-                        
-                        this.findCaptureSequences(sequences, newPieces, 
-                            { row: landRow, col: landCol }, 
-                            [...path, currentPos], 
-                            [...capturedSoFar, enemyPos]);
-                        
-                        landRow += dir.dy;
-                        landCol += dir.dx;
-                    }
-                }
-            } else {
-                // Regular piece captures
-                const jumpOverPos = { row: currentPos.row + dir.dy, col: currentPos.col + dir.dx };
-                const landPos = { row: currentPos.row + 2 * dir.dy, col: currentPos.col + 2 * dir.dx };
-
-                if (this.isValidPosition(landPos.row, landPos.col) && 
-                    pieces[landPos.row][landPos.col] === PIECE.NONE && 
-                    this.isOpponentPiece(pieces[jumpOverPos.row][jumpOverPos.col])) {
-                    
-                    const alreadyCaptured = capturedSoFar.some(p => 
-                        p.row === jumpOverPos.row && p.col === jumpOverPos.col);
-                    
-                    if (!alreadyCaptured) {
-                        foundJump = true;
-                        const newPieces = pieces.map(row => [...row]);
-                        newPieces[currentPos.row][currentPos.col] = PIECE.NONE;
-                        newPieces[jumpOverPos.row][jumpOverPos.col] = PIECE.NONE;
-                        newPieces[landPos.row][landPos.col] = piece;
-
-                        this.findCaptureSequences(sequences, newPieces, landPos, 
-                            [...path, currentPos], [...capturedSoFar, jumpOverPos]);
-                    }
-                }
+                const newPieces = pieces.map(row => [...row]);
+                newPieces[currentPos.row][currentPos.col] = PIECE.NONE;
+                newPieces[landRow][landCol] = crowns ? 
+                    (piece === PIECE.WHITE ? PIECE.WHITE_KING : PIECE.BLACK_KING) : piece;
+                
+                this.findCaptureSequences(sequences, newPieces, 
+                    { row: landRow, col: landCol }, 
+                    [...path, currentPos], 
+                    [...capturedSoFar, enemyPos],
+                    crowned || crowns);
+                
+                if (!isFlying) break;
+                landRow += dir.dy;
+                landCol += dir.dx;
             }
         }
 
         if (!foundJump && capturedSoFar.length > 0) {
-            sequences.push({ 
+            const sequence = { 
                 from: path[0] || currentPos, 
                 to: currentPos, 
-                captures: capturedSoFar 
-            });
+                captures: capturedSoFar,
+                path: [...path, currentPos]  // Every landing square, for PDN disambiguation
+            };
+            if (crowned) sequence.crowned = true;
+            sequences.push(sequence);
         }
     }
     
@@ -360,8 +453,8 @@ export class Game {
     getNormalMoves() { 
         const moves = [];
         
-        for (let r = 0; r < BOARD_SIZE; r++) {
-            for (let c = 0; c < BOARD_SIZE; c++) {
+        for (let r = 0; r < this.boardSize; r++) {
+            for (let c = 0; c < this.boardSize; c++) {
                 if (this.isPieceOfCurrentPlayer(this.getPiece(r, c))) {
                     this.findNormalMoves(moves, r, c);
                 }
@@ -376,7 +469,7 @@ export class Game {
         const isKing = p === PIECE.WHITE_KING || p === PIECE.BLACK_KING;
         
         if (isKing) {
-            // Flying king movement
+            // Flying king movement, or a single step where kings do not fly
             const dirs = DIRECTIONS.KING_MOVES;
             
             for (const d of dirs) { 
@@ -389,6 +482,7 @@ export class Game {
                         captures: [] 
                     });
                     
+                    if (!this.variant.flyingKings) break;
                     nr += d.dy;
                     nc += d.dx;
                 }
@@ -416,86 +510,175 @@ export class Game {
         // Check for no legal moves (loss)
         if (this.getLegalMoves().length === 0) { 
             this.gameState = this.currentPlayer === PLAYER.WHITE ? GAME_STATE.BLACK_WIN : GAME_STATE.WHITE_WIN;
+            this.termination = TERMINATION.NO_MOVES;
             return;
         }
         
         // Check various draw conditions
-        if (this.isDrawByRepetition() || 
-            this.isDrawByMaterial() || 
-            this.isDrawBy50MoveRule() ||
-            this.isDrawByBlockade()) {
-            this.gameState = GAME_STATE.DRAW;
-            return;
+        this.drawReason = this.findDrawReason();
+        this.gameState = this.drawReason ? GAME_STATE.DRAW : GAME_STATE.ONGOING;
+        this.termination = this.drawReason ? TERMINATION.DRAW_RULE : null;
+    }
+    
+    /**
+     * Ends the game other than on the board
+     * @param {string} gameState - GAME_STATE result
+     * @param {string} termination - TERMINATION value saying how the game ended
+     * @throws {Error} If the game is already over
+     */
+    endGame(gameState, termination) {
+        if (this.gameState !== GAME_STATE.ONGOING) {
+            throw new Error(`Game is already over: ${this.gameState}`);
         }
-        
-        this.gameState = GAME_STATE.ONGOING;
+        this.gameState = gameState;
+        this.termination = termination;
+        this.drawReason = null;
+    }
+    
+    /**
+     * Ends the game with a win for the opponent of the resigning player
+     * @param {number} player - PLAYER who resigns
+     */
+    resign(player) {
+        this.endGame(player === PLAYER.WHITE ? GAME_STATE.BLACK_WIN : GAME_STATE.WHITE_WIN, TERMINATION.RESIGNATION);
+    }
+    
+    /**
+     * Ends the game with a win for the opponent of the player whose time ran out
+     * @param {number} player - PLAYER who lost on time
+     */
+    forfeitOnTime(player) {
+        this.endGame(player === PLAYER.WHITE ? GAME_STATE.BLACK_WIN : GAME_STATE.WHITE_WIN, TERMINATION.TIME_FORFEIT);
+    }
+    
+    /**
+     * Ends the game in a draw both players agreed to
+     */
+    agreeDraw() {
+        this.endGame(GAME_STATE.DRAW, TERMINATION.AGREEMENT);
+    }
+    
+    /**
+     * Gets how the game ended
+     * @returns {string|null} TERMINATION value, null while the game is ongoing
+     */
+    getTermination() {
+        return this.termination;
+    }
+    
+    /**
+     * Finds the rule, if any, by which the current position is drawn
+     * @returns {string|null} DRAW_REASON value
+     */
+    findDrawReason() {
+        if (this.isDrawByRepetition()) return DRAW_REASON.REPETITION;
+        if (this.kingMoves >= DRAW_RULES.KING_MOVES * 2) return DRAW_REASON.KING_MOVES;
+        if (this.endgameLimit > 0 && this.endgameMoves >= this.endgameLimit * 2) {
+            return this.endgameLimit === DRAW_RULES.SIXTEEN_MOVES ? DRAW_REASON.SIXTEEN_MOVES : DRAW_REASON.FIVE_MOVES;
+        }
+        return null;
     }
     
-    recordPosition() {
-        const fen = this.getFEN();
-        const count = this.positionHistory.get(fen) || 0;
-        this.positionHistory.set(fen, count + 1);
+    /**
+     * Gets why the game is drawn
+     * @returns {string|null} DRAW_REASON value, null unless the game is drawn
+     */
+    getDrawReason() {
+        return this.drawReason;
     }
     
-    isDrawByRepetition() { 
-        // Check if current position has occurred 3 times
-        const currentFEN = this.getFEN();
-        return (this.positionHistory.get(currentFEN) || 0) >= 3;
+    resetDrawCounters() {
+        this.kingMoves = 0;     // Plies with only kings moved and nothing captured, for the 25-move rule
+        this.endgameLimit = 0;  // Move limit of the king ending on the board, 0 if none
+        this.endgameMoves = 0;  // Plies played since that ending arose
+        this.drawReason = null;
     }
     
-    isDrawBy50MoveRule() {
-        // In draughts, it's typically 50 moves without capture or promotion
-        return this.movesSinceCapture >= 50;
+    /**
+     * Advances the draw counters after a move
+     * @param {boolean} resetsKingMoves - Whether a man moved or pieces were captured
+     */
+    updateDrawCounters(resetsKingMoves) {
+        this.kingMoves = resetsKingMoves ? 0 : this.kingMoves + 1;
+        
+        // An ending's count starts when it arises; a man crowned within it keeps the count going
+        const limit = this.getEndgameLimit();
+        this.endgameMoves = limit > 0 && limit === this.endgameLimit ? this.endgameMoves + 1 : 0;
+        this.endgameLimit = limit;
     }
     
-    isDrawByBlockade() {
-        // Check if all pieces are blocked (rare but possible)
-        const moves = this.getLegalMoves();
-        if (moves.length > 0) return false;
-        
-        // Switch to opponent and check their moves
-        this.currentPlayer = this.currentPlayer === PLAYER.WHITE ? PLAYER.BLACK : PLAYER.WHITE;
-        this.invalidateCache();
-        const opponentMoves = this.getLegalMoves();
-        this.currentPlayer = this.currentPlayer === PLAYER.WHITE ? PLAYER.BLACK : PLAYER.WHITE;
-        this.invalidateCache();
-        
-        return opponentMoves.length === 0;
+    /**
+     * Gets the draw counters, as stored with every move record
+     * @returns {Object} Counters for setDrawCounters
+     */
+    getDrawCounters() {
+        return {
+            kingMoves: this.kingMoves,
+            endgameLimit: this.endgameLimit,
+            endgameMoves: this.endgameMoves
+        };
     }
     
-    isDrawByMaterial() { 
-        let wk = 0, bk = 0, wp = 0, bp = 0;
-        
-        for (let r = 0; r < BOARD_SIZE; r++) {
-            for (let c = 0; c < BOARD_SIZE; c++) {
-                const p = this.getPiece(r, c);
-                if (p === PIECE.WHITE_KING) wk++;
-                else if (p === PIECE.BLACK_KING) bk++;
-                else if (p === PIECE.WHITE) wp++;
-                else if (p === PIECE.BLACK) bp++;
-            }
-        }
+    /**
+     * Restores the draw counters of a position, e.g. after loading it from a move record
+     * @param {Object} counters - Counters from getDrawCounters
+     */
+    setDrawCounters(counters) {
+        this.kingMoves = counters.kingMoves;
+        this.endgameLimit = counters.endgameLimit;
+        this.endgameMoves = counters.endgameMoves;
+        this.updateGameState();
+    }
+    
+    /**
+     * Move limit of the king ending on the board, see getEndgameLimit in constants.js
+     * @returns {number} Moves each player may still make in the ending, 0 if no limit applies
+     */
+    getEndgameLimit() {
+        const count = this.getPieceCount();
+        return getEndgameLimit(count[PLAYER.WHITE], count[PLAYER.BLACK]);
+    }
+    
+    /**
+     * Moves left before a draw rule ends the game, by the rule closest to it
+     * @returns {Object} { reason, movesLeft } with movesLeft in moves by each player
+     */
+    getDrawCountdown() {
+        const movesLeft = (limit, plies) => Math.ceil((limit * 2 - plies) / 2);
+        let countdown = {
+            reason: DRAW_REASON.KING_MOVES,
+            movesLeft: movesLeft(DRAW_RULES.KING_MOVES, this.kingMoves)
+        };
         
-        // No regular pieces left
-        if (wp === 0 && bp === 0) {
-            // Various king endgames that are draws
-            if ((wk === 1 && bk === 1) || 
-                (wk === 2 && bk === 1) || 
-                (wk === 1 && bk === 2) ||
-                (wk === 2 && bk === 2)) {
-                return true;
+        if (this.endgameLimit > 0) {
+            const endgameLeft = movesLeft(this.endgameLimit, this.endgameMoves);
+            if (endgameLeft <= countdown.movesLeft) {
+                countdown = {
+                    reason: this.endgameLimit === DRAW_RULES.SIXTEEN_MOVES ? DRAW_REASON.SIXTEEN_MOVES : DRAW_REASON.FIVE_MOVES,
+                    movesLeft: endgameLeft
+                };
             }
         }
-        
-        return false;
+        return countdown;
+    }
+    
+    recordPosition() {
+        const key = this.getPositionKey();
+        const count = this.positionHistory.get(key) || 0;
+        this.positionHistory.set(key, count + 1);
+    }
+    
+    isDrawByRepetition() { 
+        // Check if current position has occurred 3 times
+        return (this.positionHistory.get(this.getPositionKey()) || 0) >= 3;
     }
     
     // Position analysis helpers
     getMaterialBalance() {
         let whiteValue = 0, blackValue = 0;
         
-        for (let r = 0; r < BOARD_SIZE; r++) {
-            for (let c = 0; c < BOARD_SIZE; c++) {
+        for (let r = 0; r < this.boardSize; r++) {
+            for (let c = 0; c < this.boardSize; c++) {
                 const piece = this.getPiece(r, c);
                 switch (piece) {
                     case PIECE.WHITE: whiteValue += 100; break;
@@ -515,8 +698,8 @@ export class Game {
             [PLAYER.BLACK]: { men: 0, kings: 0, total: 0 }
         };
         
-        for (let r = 0; r < BOARD_SIZE; r++) {
-            for (let c = 0; c < BOARD_SIZE; c++) {
+        for (let r = 0; r < this.boardSize; r++) {
+            for (let c = 0; c < this.boardSize; c++) {
                 const piece = this.getPiece(r, c);
                 switch (piece) {
                     case PIECE.WHITE:
@@ -558,11 +741,14 @@ export class Game {
         return {
             ...this.statistics,
             duration,
+            result: this.gameState,
+            termination: this.termination,
+            drawReason: this.drawReason,
             currentPosition: {
                 material: this.getMaterialBalance(),
                 pieces: pieceCount,
                 phase: this.getGamePhase(),
-                movesSinceCapture: this.movesSinceCapture
+                drawCountdown: this.getDrawCountdown()
             },
             averageThinkingTime: {
                 [PLAYER.WHITE]: this.statistics.totalMoves > 0 ? 
@@ -579,13 +765,15 @@ export class Game {
     
     loadFEN(fen) { 
         try { 
-            const pos = parseFEN(fen);
+            const pos = parseFEN(fen, this.boardSize);
             this.pieces = pos.pieces;
             this.currentPlayer = pos.currentPlayer;
+            this.updateBoardKey();
             this.moveHistory = [];
             this.capturedPieces = { [PLAYER.WHITE]: [], [PLAYER.BLACK]: [] };
             this.positionHistory.clear();
-            this.movesSinceCapture = 0;
+            this.resetDrawCounters();
+            this.endgameLimit = this.getEndgameLimit();
             this.statistics = {
                 totalMoves: 0,
                 captures: { [PLAYER.WHITE]: 0, [PLAYER.BLACK]: 0 },
@@ -598,13 +786,13 @@ export class Game {
             this.updateGameState();
             return true;
         } catch (e) { 
-            console.error('FEN Error:', e.message);
+            this.logger.error('FEN Error:', e.message);
             return false;
         }
     }
     
     isValidPosition(r, c) { 
-        return r >= 0 && r < BOARD_SIZE && c >= 0 && c < BOARD_SIZE; 
+        return r >= 0 && r < this.boardSize && c >= 0 && c < this.boardSize; 
     }
     
     isPieceOfCurrentPlayer(p) { 
@@ -621,14 +809,15 @@ export class Game {
     
     getMoveNotation(move) { 
         if (!move || !move.from || !move.to) return '--';
-        const from = SQUARE_NUMBERS[move.from.row * BOARD_SIZE + move.from.col];
-        const to = SQUARE_NUMBERS[move.to.row * BOARD_SIZE + move.to.col];
+        const numbers = getSquareNumbers(this.boardSize);
+        const from = numbers[move.from.row * this.boardSize + move.from.col];
+        const to = numbers[move.to.row * this.boardSize + move.to.col];
         return (move.captures && move.captures.length > 0) ? 
             `${from}x${to}` : `${from}-${to}`;
     }
     
     shouldPromote(p, r) { 
-        return (p === PIECE.WHITE && r === 0) || (p === PIECE.BLACK && r === BOARD_SIZE - 1); 
+        return (p === PIECE.WHITE && r === 0) || (p === PIECE.BLACK && r === this.boardSize - 1); 
     }
     
     // New helper methods for game analysis
@@ -664,10 +853,6 @@ export class Game {
             this.moveHistory[this.moveHistory.length - 1] : null;
     }
     
-    getMovesSinceCapture() {
-        return this.movesSinceCapture;
-    }
-    
     // Game options methods
     setMaxCaptureRule(enabled) {
         this.maxCaptureRule = enabled;
@@ -677,4 +862,14 @@ export class Game {
     getMaxCaptureRule() {
         return this.maxCaptureRule;
     }
+    
+    /**
+     * Rules in force: the variant with the majority rule as switched for this game; its
+     * tie-breaks stay the variant's
+     * @returns {Object} Rules object, see variants.js
+     */
+    getRules() {
+        return this.maxCaptureRule === this.variant.majorityCapture ?
+            this.variant : { ...this.variant, majorityCapture: this.maxCaptureRule };
+    }
 }
\ No newline at end of file
@@ -1,5 +1,6 @@
 /**
  * History class for hectic-game - FULLY IMPLEMENTED
+ * - Variation tree: playing a different move from an earlier position creates a sideline
  * - Complete undo/redo functionality
  * - Proper state management
  * - Enhanced navigation features
@@ -8,27 +9,113 @@
  */
 
 export class History {
-    constructor(game) {
+    /**
+     * @param {Game} game - Game whose positions the history loads
+     * @param {Object} [options]
+     * @param {Object} [options.logger] - Receives the log messages, the game's logger by default
+     */
+    constructor(game, { logger = game.logger || console } = {}) {
         this.game = game;
-        this.history = [];
-        this.currentIndex = -1;
-        this.redoStack = []; // Store future moves for redo
+        this.logger = logger;
+        this.nextNodeId = 0;
+        this.root = this.createNode(null, null);
+        this.currentNode = this.root;
+        this.nodes = new Map([[this.root.id, this.root]]);
+        this.startFEN = null; // Custom starting position (null = standard start)
+    }
+
+    /**
+     * Creates a tree node
+     * @param {Object|null} move - Move record, null for the starting position
+     * @param {Object|null} parent - Parent node
+     * @returns {Object} Node with id, move, parent, children and ply
+     */
+    createNode(move, parent) {
+        return {
+            id: this.nextNodeId++,
+            move,
+            parent,
+            children: [],     // children[0] continues the main line, the others are sidelines
+            lastVisited: null, // Child followed by redo and by the current line
+            ply: parent ? parent.ply + 1 : 0
+        };
+    }
+
+    /**
+     * Restores the starting position of the game, keeping the capture rule in force
+     */
+    loadStartPosition() {
+        const maxCaptureRule = this.game.getMaxCaptureRule();
+        if (this.startFEN) {
+            this.game.loadFEN(this.startFEN);
+        } else {
+            this.game.reset();
+        }
+        this.game.setMaxCaptureRule(maxCaptureRule);
     }
 
     /**
-     * Records a move to the history
+     * Moves to a node and loads its position into the game
+     * @param {Object} node - Target node
+     */
+    goToNode(node) {
+        // Remember the branch taken at every level so redo can follow it back
+        for (let child = node; child.parent; child = child.parent) {
+            child.parent.lastVisited = child;
+        }
+
+        this.currentNode = node;
+        this.replayToNode(node);
+    }
+
+    /**
+     * Loads a node's position by replaying its moves from the start, so the game keeps
+     * the move history, repetition counts and draw counters of the line
+     * @param {Object} node - Target node
+     */
+    replayToNode(node) {
+        const moves = [];
+        for (let current = node; current.parent; current = current.parent) {
+            moves.unshift(current.move);
+        }
+
+        this.loadStartPosition();
+        for (const move of moves) {
+            if (!this.game.makeMove(move, move.thinkingTime)) {
+                // The rules in force no longer allow the line: fall back to the stored position
+                this.logger.log(`Cannot replay ${move.notation}, loading the position instead`);
+                this.game.loadFEN(node.move.fen);
+                if (node.move.drawCounters) {
+                    this.game.setDrawCounters(node.move.drawCounters);
+                }
+                return;
+            }
+        }
+    }
+
+    /**
+     * Records a move to the history.
+     * A move played from an earlier position starts a sideline instead of erasing the line.
      * @param {Object} moveRecord - Complete move record with FEN
+     * @returns {Object} The node holding the move
      */
     recordMove(moveRecord) {
-        // If we're in the middle of history and make a new move, clear the future
-        if (this.currentIndex < this.history.length - 1) {
-            this.history = this.history.slice(0, this.currentIndex + 1);
-            this.redoStack = []; // Clear redo stack when new move is made
+        const parent = this.currentNode;
+
+        // Replaying a move that is already in the tree just follows it
+        let node = parent.children.find(child =>
+            child.move.notation === moveRecord.notation && child.move.fen === moveRecord.fen
+        );
+
+        if (!node) {
+            node = this.createNode(moveRecord, parent);
+            parent.children.push(node);
+            this.nodes.set(node.id, node);
         }
 
-        this.history.push(moveRecord);
-        this.currentIndex = this.history.length - 1;
-        this.redoStack = []; // Clear redo stack after new move
+        parent.lastVisited = node;
+        this.currentNode = node;
+        return node;
     }
 
     /**
@@ -36,101 +123,93 @@ export class History {
      * @returns {boolean} True if undo was successful
      */
     undo() {
-        if (this.currentIndex <= 0) {
-            console.log('Cannot undo: at start of game');
+        if (!this.canUndo()) {
+            this.logger.log('Cannot undo: at start of game');
             return false;
         }
 
-        // Store current state for redo
-        const currentState = {
-            fen: this.game.getFEN(),
-            index: this.currentIndex
-        };
-        this.redoStack.push(currentState);
+        this.goToNode(this.currentNode.parent);
 
-        // Go back one move
-        this.currentIndex--;
-        
-        if (this.currentIndex === -1) {
-            // Return to starting position
-            this.game.reset();
-        } else {
-            // Load the previous position
-            const previousMove = this.history[this.currentIndex];
-            if (previousMove && previousMove.fen) {
-                this.game.loadFEN(previousMove.fen);
-            }
-        }
-
-        console.log(`Undid move, now at position ${this.currentIndex + 1}`);
+        this.logger.log(`Undid move, now at position ${this.getCurrentIndex() + 1}`);
         return true;
     }
 
     /**
-     * Redo the next move
+     * Redo the next move along the branch that was last visited
      * @returns {boolean} True if redo was successful
      */
     redo() {
-        if (this.redoStack.length === 0) {
-            console.log('Cannot redo: no future moves available');
+        const next = this.getContinuation(this.currentNode);
+        if (!next) {
+            this.logger.log('Cannot redo: no future moves available');
             return false;
         }
 
-        const nextState = this.redoStack.pop();
-        this.currentIndex = nextState.index;
-        
-        if (this.currentIndex < this.history.length) {
-            const nextMove = this.history[this.currentIndex];
-            if (nextMove && nextMove.fen) {
-                this.game.loadFEN(nextMove.fen);
-            }
-        }
+        this.goToNode(next);
 
-        console.log(`Redid move, now at position ${this.currentIndex + 1}`);
+        this.logger.log(`Redid move, now at position ${this.getCurrentIndex() + 1}`);
         return true;
     }
 
     /**
-     * Jump to a specific move in history
+     * Gets the child a line continues with
+     * @param {Object} node - Tree node
+     * @returns {Object|null} Last visited child, else the main line child
+     */
+    getContinuation(node) {
+        if (node.lastVisited && node.children.includes(node.lastVisited)) {
+            return node.lastVisited;
+        }
+        return node.children[0] || null;
+    }
+
+    /**
+     * Gets the nodes of the current line: from the start through the current
+     * node, continued along the last visited branches
+     * @returns {Array} Nodes of the line, starting position excluded
+     */
+    getLineNodes() {
+        const line = [];
+        for (let node = this.currentNode; node.parent; node = node.parent) {
+            line.unshift(node);
+        }
+        for (let node = this.getContinuation(this.currentNode); node; node = this.getContinuation(node)) {
+            line.push(node);
+        }
+        return line;
+    }
+
+    /**
+     * Jump to a specific move of the current line
      * @param {number} index - Move index to jump to (-1 for start)
      * @returns {boolean} True if jump was successful
      */
     jumpToMove(index) {
-        if (index < -1 || index >= this.history.length) {
-            console.log(`Cannot jump to move ${index}: out of range`);
+        const line = this.getLineNodes();
+        if (index < -1 || index >= line.length) {
+            this.logger.log(`Cannot jump to move ${index}: out of range`);
             return false;
         }
 
-        // Store current state for potential redo
-        if (index !== this.currentIndex) {
-            const currentState = {
-                fen: this.game.getFEN(),
-                index: this.currentIndex
-            };
-            
-            // Only add to redo stack if jumping backwards
-            if (index < this.currentIndex) {
-                this.redoStack.push(currentState);
-            } else {
-                // If jumping forward, clear redo stack
-                this.redoStack = [];
-            }
-        }
+        this.goToNode(index === -1 ? this.root : line[index]);
 
-        this.currentIndex = index;
+        this.logger.log(`Jumped to position ${index + 1}`);
+        return true;
+    }
 
-        if (index === -1) {
-            // Jump to start
-            this.game.reset();
-        } else {
-            // Jump to specific position
-            const targetMove = this.history[index];
-            if (targetMove && targetMove.fen) {
-                this.game.loadFEN(targetMove.fen);
-            }
+    /**
+     * Jump to any node of the tree, main line or sideline
+     * @param {number} nodeId - Node id
+     * @returns {boolean} True if jump was successful
+     */
+    jumpToNode(nodeId) {
+        const node = this.nodes.get(nodeId);
+        if (!node) {
+            this.logger.log(`Cannot jump to node ${nodeId}: not found`);
+            return false;
         }
 
-        console.log(`Jumped to position ${index + 1}`);
+        this.goToNode(node);
         return true;
     }
 
@@ -147,7 +226,7 @@ export class History {
      * @returns {boolean} True if successful
      */
     jumpToEnd() {
-        return this.jumpToMove(this.history.length - 1);
+        return this.jumpToMove(this.getLineNodes().length - 1);
     }
 
     /**
@@ -155,8 +234,8 @@ export class History {
      * @returns {boolean} True if successful
      */
     previousMove() {
-        if (this.currentIndex > -1) {
-            return this.jumpToMove(this.currentIndex - 1);
+        if (this.canUndo()) {
+            return this.jumpToMove(this.getCurrentIndex() - 1);
         }
         return false;
     }
@@ -166,36 +245,153 @@ export class History {
      * @returns {boolean} True if successful
      */
     nextMove() {
-        if (this.currentIndex < this.history.length - 1) {
-            return this.jumpToMove(this.currentIndex + 1);
+        if (this.canRedo()) {
+            return this.jumpToMove(this.getCurrentIndex() + 1);
+        }
+        return false;
+    }
+
+    /**
+     * Makes a sideline the main continuation of the position it branches from
+     * @param {number} nodeId - Any node of the sideline
+     * @returns {boolean} True if the sideline was promoted
+     */
+    promoteVariation(nodeId) {
+        const branch = this.getBranchStart(this.nodes.get(nodeId));
+        if (!branch) return false;
+
+        const siblings = branch.parent.children;
+        siblings.splice(siblings.indexOf(branch), 1);
+        siblings.unshift(branch);
+        return true;
+    }
+
+    /**
+     * Deletes a move and everything after it
+     * @param {number} nodeId - First node to delete
+     * @returns {boolean} True if the node was deleted
+     */
+    deleteVariation(nodeId) {
+        const node = this.nodes.get(nodeId);
+        if (!node || !node.parent) return false;
+
+        // Leave the deleted branch first if the current position is inside it
+        if (this.isAncestor(node, this.currentNode)) {
+            this.goToNode(node.parent);
+        }
+
+        const siblings = node.parent.children;
+        siblings.splice(siblings.indexOf(node), 1);
+        if (node.parent.lastVisited === node) {
+            node.parent.lastVisited = null;
+        }
+
+        const forget = n => {
+            this.nodes.delete(n.id);
+            n.children.forEach(forget);
+        };
+        forget(node);
+        return true;
+    }
+
+    /**
+     * Finds the node where a sideline branches off its parent's main continuation
+     * @param {Object} node - Node inside the sideline
+     * @returns {Object|null} First node of the sideline, or null if the node is on the main line
+     */
+    getBranchStart(node) {
+        for (let current = node; current && current.parent; current = current.parent) {
+            if (current.parent.children[0] !== current) {
+                return current;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Checks whether a node is the same as or an ancestor of another
+     * @param {Object} ancestor - Possible ancestor
+     * @param {Object} node - Node to test
+     * @returns {boolean}
+     */
+    isAncestor(ancestor, node) {
+        for (let current = node; current; current = current.parent) {
+            if (current === ancestor) return true;
         }
         return false;
     }
 
+    /**
+     * Checks whether a node lies on the main line
+     * @param {Object} node - Tree node
+     * @returns {boolean}
+     */
+    isMainLine(node) {
+        return this.getBranchStart(node) === null;
+    }
+
     /**
      * Clear all history
+     * @param {string|null} startFEN - Starting position of the new game (null = standard start)
      */
-    clear() {
-        this.history = [];
-        this.currentIndex = -1;
-        this.redoStack = [];
-        console.log('History cleared');
+    clear(startFEN = null) {
+        this.root = this.createNode(null, null);
+        this.currentNode = this.root;
+        this.nodes = new Map([[this.root.id, this.root]]);
+        this.startFEN = startFEN;
+        this.logger.log('History cleared');
     }
 
     /**
-     * Get the complete history
+     * Get the starting position of the game
+     * @returns {string|null} FEN of the custom start, or null for the standard start
+     */
+    getStartFEN() {
+        return this.startFEN;
+    }
+
+    /**
+     * Get the move records of the current line
      * @returns {Array} Array of move records
      */
     getHistory() {
-        return this.history;
+        return this.getLineNodes().map(node => node.move);
     }
 
     /**
-     * Get the current position index
+     * Get the move records of the main line
+     * @returns {Array} Array of move records
+     */
+    getMainLine() {
+        const moves = [];
+        for (let node = this.root.children[0]; node; node = node.children[0]) {
+            moves.push(node.move);
+        }
+        return moves;
+    }
+
+    /**
+     * Get the variation tree
+     * @returns {Object} Root node (starting position)
+     */
+    getTree() {
+        return this.root;
+    }
+
+    /**
+     * Get the node of the current position
+     * @returns {Object} Current node
+     */
+    getCurrentNode() {
+        return this.currentNode;
+    }
+
+    /**
+     * Get the current position index within the current line
      * @returns {number} Current index (-1 for start position)
      */
     getCurrentIndex() {
-        return this.currentIndex;
+        return this.currentNode.ply - 1;
     }
 
     /**
@@ -203,7 +399,7 @@ export class History {
      * @returns {boolean} True if can undo
      */
     canUndo() {
-        return this.currentIndex > -1;
+        return this.currentNode !== this.root;
     }
 
     /**
@@ -211,17 +407,18 @@ export class History {
      * @returns {boolean} True if can redo
      */
     canRedo() {
-        return this.redoStack.length > 0;
+        return this.currentNode.children.length > 0;
     }
 
     /**
-     * Get move at specific index
+     * Get move at specific index of the current line
      * @param {number} index - Move index
      * @returns {Object|null} Move record or null
      */
     getMoveAt(index) {
-        if (index >= 0 && index < this.history.length) {
-            return this.history[index];
+        const line = this.getLineNodes();
+        if (index >= 0 && index < line.length) {
+            return line[index].move;
         }
         return null;
     }
@@ -231,7 +428,7 @@ export class History {
      * @returns {Object|null} Current move record or null
      */
     getCurrentMove() {
-        return this.getMoveAt(this.currentIndex);
+        return this.currentNode.move;
     }
 
     /**
@@ -239,13 +436,49 @@ export class History {
      * @returns {Object} Statistics about the game history
      */
     getStatistics() {
+        const line = this.getLineNodes();
         return {
-            totalMoves: this.history.length,
-            currentPosition: this.currentIndex + 1,
+            totalMoves: line.length,
+            currentPosition: this.currentNode.ply,
             canUndo: this.canUndo(),
             canRedo: this.canRedo(),
-            redoMovesAvailable: this.redoStack.length
+            redoMovesAvailable: line.length - this.currentNode.ply,
+            variations: this.countVariations()
+        };
+    }
+
+    /**
+     * Counts the sidelines of the tree: every child after the first at a branch point
+     * @returns {number} Number of variations
+     */
+    countVariations() {
+        let count = 0;
+        for (const node of this.nodes.values()) {
+            count += Math.max(0, node.children.length - 1);
+        }
+        return count;
+    }
+
+    /**
+     * Replaces the history by a variation tree, e.g. a game read from PDN; the current
+     * position stays at the start
+     * @param {Object} tree - Root node ({move: null, children}), every child in the same form
+     *   with its move record, the first child continuing the main line
+     * @param {string|null} [startFEN] - Starting position of the tree (null = standard start)
+     */
+    loadTree(tree, startFEN = null) {
+        this.clear(startFEN);
+
+        // Move records are copied, as annotating a move changes its record
+        const build = (source, parent) => {
+            source.children.forEach(childData => {
+                const child = this.createNode({ ...childData.move }, parent);
+                parent.children.push(child);
+                this.nodes.set(child.id, child);
+                build(childData, child);
+            });
         };
+        build(tree, this.root);
     }
 
     /**
@@ -253,36 +486,75 @@ export class History {
      * @returns {string} JSON representation of history
      */
     exportHistory() {
+        const serialize = node => ({
+            move: node.move,
+            children: node.children.map(serialize)
+        });
+
+        const path = [];
+        for (let node = this.currentNode; node.parent; node = node.parent) {
+            path.unshift(node.parent.children.indexOf(node));
+        }
+
         return JSON.stringify({
-            history: this.history,
-            currentIndex: this.currentIndex,
+            startFEN: this.startFEN,
+            tree: serialize(this.root),
+            currentPath: path,
             timestamp: Date.now()
         }, null, 2);
     }
 
     /**
-     * Import history from JSON
+     * Converts a history saved in the old linear format, a list of move records with
+     * the index of the current move, to the tree format
+     * @param {Object} data - { history, currentIndex }
+     * @returns {Object} { startFEN, tree, currentPath }
+     */
+    convertLinearHistory(data) {
+        const tree = { move: null, children: [] };
+        let node = tree;
+        data.history.forEach(move => {
+            const child = { move, children: [] };
+            node.children.push(child);
+            node = child;
+        });
+
+        const last = data.history.length - 1;
+        const currentIndex = Number.isInteger(data.currentIndex) ? Math.min(data.currentIndex, last) : last;
+        return {
+            startFEN: null,
+            tree,
+            currentPath: Array(currentIndex + 1).fill(0)
+        };
+    }
+
+    /**
+     * Import history from JSON, in the tree format or the old linear format
      * @param {string} jsonData - JSON string to import
      * @returns {boolean} True if import was successful
      */
     importHistory(jsonData) {
         try {
-            const data = JSON.parse(jsonData);
-            if (data.history && Array.isArray(data.history)) {
-                this.history = data.history;
-                this.currentIndex = data.currentIndex || -1;
-                this.redoStack = []; // Clear redo stack on import
-                
-                // Validate current index
-                if (this.currentIndex >= this.history.length) {
-                    this.currentIndex = this.history.length - 1;
+            let data = JSON.parse(jsonData);
+            if (Array.isArray(data.history)) {
+                data = this.convertLinearHistory(data);
+            }
+            if (data.tree && Array.isArray(data.tree.children)) {
+                this.loadTree(data.tree, data.startFEN || null);
+
+                // Restore the current position, stopping at the first invalid step
+                let node = this.root;
+                for (const index of data.currentPath || []) {
+                    if (!node.children[index]) break;
+                    node = node.children[index];
                 }
-                
+                this.goToNode(node);
+
                 return true;
             }
         } catch (error) {
-            console.error('Failed to import history:', error);
+            this.logger.error('Failed to import history:', error);
         }
         return false;
     }
-}
\ No newline at end of file
+}
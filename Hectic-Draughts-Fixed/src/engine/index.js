@@ -0,0 +1,38 @@
+/**
+ * Hectic Draughts Engine - headless entry point
+ * Game rules, FEN/PDN and the Grandmaster AI without any DOM or worker globals,
+ * usable from the browser, a worker, Node.js scripts or a test runner.
+ * @author codewithheck
+ */
+
+// Rules and game state
+export { Game } from './game.js';
+export { History } from './history.js';
+export { GameClock, TIME_CONTROLS, getTimeControl } from './clock.js';
+export { PERFT_SUITE, perftGame, perftAI, divide, comparePerft } from './perft.js';
+export {
+    BOARD_SIZE, PIECE, PLAYER, GAME_STATE, GAME_MODE, DRAW_REASON, DRAW_RULES, TERMINATION,
+    QUIET_LOGGER, SQUARE_NUMBERS, isDarkSquare, getSquareNumbers
+} from './constants.js';
+export {
+    VARIANT, VARIANTS, DEFAULT_VARIANT, CAPTURE_PRIORITY, getVariant, getVariantByGameType, selectCaptures
+} from './variants.js';
+
+// Notation
+export { parseFEN, generateFEN, validateFEN, getPositionFromNumber } from '../utils/fen-parser.js';
+export {
+    PDN_RESULT, parsePDN, generatePDN, loadPDNGame, importPDN, getPDNResult, getInitialFEN
+} from '../utils/pdn.js';
+export {
+    NOTATION, formatSquare, parseSquare, formatMove, formatNotation, parseMove, formatFEN, toNumericFEN
+} from '../utils/notation.js';
+
+// AI
+export { GrandmasterAI, createMessageHandler } from './ai/ai.core.js';
+export { AI_PARAMS } from './ai/ai.params.js';
+export { createOpeningBook } from './ai/ai.book.js';
+export {
+    TABLEBASE_RESULT, generateTablebase, loadTablebase, getTablebaseClasses
+} from './ai/ai.tablebase.js';
+export { generateMoves, makeMove, getMoveNotation } from './ai/ai.utils.js';
+export { toBitboard, toPieces, pieceAt } from './ai/ai.bitboard.js';
@@ -0,0 +1,279 @@
+/**
+ * Perft - move generator verification
+ * - Counts the leaf nodes of the move tree to a given depth
+ * - Walks the Game generator and the AI generator side by side and reports
+ *   the first position where their moves or resulting positions differ
+ * - Known perft values for the international 10x10 game and English checkers
+ * - Every count follows a rule variant, international unless options.variant says otherwise
+ * @author codewithheck
+ */
+
+import { Game } from './game.js';
+import { BOARD_SIZE, getSquareNumbers } from './constants.js';
+import { getVariant } from './variants.js';
+import { generateMoves, makeMove } from './ai/ai.utils.js';
+import { toBitboard, toPieces } from './ai/ai.bitboard.js';
+import { parseFEN, generateFEN } from '../utils/fen-parser.js';
+
+export const INITIAL_FEN = 'W:W31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50:' +
+    'B1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20';
+
+/**
+ * Known perft values; counts[i] is the number of leaf nodes at depth i + 1.
+ * Moves count once per distinct from square, destination and set of captured pieces.
+ */
+export const PERFT_SUITE = [
+    {
+        name: 'Initial position',
+        fen: INITIAL_FEN,
+        counts: [9, 81, 658, 4265, 27117, 167140, 1049442]
+    },
+    {
+        // Flying king on the long diagonal 46-5
+        name: 'King on the long diagonal',
+        fen: 'W:W46K:B1,2,3,4',
+        counts: [9]
+    },
+    {
+        // Men capture backwards: 28x37 is the only move, then 3-8 or 3-9
+        name: 'Backward capture',
+        fen: 'W:W28:B3,32',
+        counts: [1, 2]
+    },
+    {
+        // Maximum capture: 27x9 (22 and 13) is forced over 27x16, then 3x14
+        name: 'Maximum capture',
+        fen: 'W:W27:B3,13,21,22',
+        counts: [1, 1]
+    },
+    {
+        // Turkish strike: taken pieces stay on the board until the capture ends and
+        // block the king, so it takes four of the five, never all of them
+        name: 'Turkish strike',
+        fen: 'W:W39K:B17,23,24,33,34',
+        counts: [7, 14, 96]
+    },
+    {
+        // Frisian majority by value: taking the king on 29 (33x24) outweighs taking the man on 28
+        name: 'Frisian capture value',
+        variant: 'frisian',
+        fen: 'W:W33:B28,29K',
+        counts: [1, 2]
+    },
+    {
+        name: 'English checkers, initial position',
+        variant: 'english',
+        fen: 'B:W21,22,23,24,25,26,27,28,29,30,31,32:B1,2,3,4,5,6,7,8,9,10,11,12',
+        counts: [7, 49, 302, 1469, 7361, 36768, 179740]
+    }
+];
+
+/**
+ * Gets the square number of a board position
+ * @param {Object} pos - Position with row and col
+ * @param {number} boardSize - Squares along each side of the board
+ * @returns {number} Square number
+ */
+function getSquareNumber(pos, boardSize) {
+    return getSquareNumbers(boardSize)[pos.row * boardSize + pos.col];
+}
+
+/**
+ * Identifies a move by origin, destination and the set of captured squares.
+ * Capture sequences reaching the same result by different routes share a key.
+ * @param {Object} move - Move with from, to and captures
+ * @param {number} [boardSize] - Squares along each side of the board
+ * @returns {string} e.g. "32-28" or "27x9:16,22"
+ */
+export function getMoveKey(move, boardSize = BOARD_SIZE) {
+    const from = getSquareNumber(move.from, boardSize);
+    const to = getSquareNumber(move.to, boardSize);
+
+    if (!move.captures || move.captures.length === 0) {
+        return `${from}-${to}`;
+    }
+
+    const captured = move.captures.map(pos => getSquareNumber(pos, boardSize)).sort((a, b) => a - b);
+    return `${from}x${to}:${captured.join(',')}`;
+}
+
+/**
+ * Removes moves that only differ in the route taken
+ * @param {Array} moves - Generated moves
+ * @param {number} boardSize - Squares along each side of the board
+ * @returns {Map} Moves by key, in generation order
+ */
+function uniqueMoves(moves, boardSize) {
+    const unique = new Map();
+    moves.forEach(move => {
+        const key = getMoveKey(move, boardSize);
+        if (!unique.has(key)) unique.set(key, move);
+    });
+    return unique;
+}
+
+/**
+ * Creates the Game used for perft
+ * @param {Object} options - Perft options
+ * @param {string|Object} [options.variant] - Rule variant
+ * @param {boolean} [options.maxCapture] - Maximum capture rule, the variant's by default
+ * @param {Object} [options.logger] - Logger of the Game, console by default
+ * @returns {Game}
+ */
+function createGame(options) {
+    const game = new Game(options.variant, { logger: options.logger });
+    if (options.maxCapture !== undefined) {
+        game.setMaxCaptureRule(options.maxCapture);
+    }
+    return game;
+}
+
+/**
+ * Counts leaf nodes with the Game generator
+ * @param {string} fen - Starting position
+ * @param {number} depth - Depth in plies
+ * @param {Object} [options]
+ * @param {string|Object} [options.variant] - Rule variant, international by default
+ * @param {boolean} [options.maxCapture] - Maximum capture rule for the Game, the variant's by default
+ * @param {Object} [options.logger] - Logger of the Game, console by default
+ * @returns {number} Number of leaf nodes
+ * @throws {Error} If the FEN is invalid
+ */
+export function perftGame(fen, depth, options = {}) {
+    const game = createGame(options);
+    if (!game.loadFEN(fen)) {
+        throw new Error(`Invalid FEN: ${fen}`);
+    }
+
+    const count = (currentFEN, remaining) => {
+        game.loadFEN(currentFEN);
+        const moves = [...uniqueMoves(game.getLegalMoves(), game.boardSize).values()];
+        if (remaining === 1) return moves.length;
+
+        let nodes = 0;
+        moves.forEach(move => {
+            game.loadFEN(currentFEN);
+            game.makeMove(move);
+            nodes += count(game.getFEN(), remaining - 1);
+        });
+        return nodes;
+    };
+
+    return depth <= 0 ? 1 : count(game.getFEN(), depth);
+}
+
+/**
+ * Counts leaf nodes with the AI generator
+ * @param {string} fen - Starting position
+ * @param {number} depth - Depth in plies
+ * @param {Object} [options]
+ * @param {string|Object} [options.variant] - Rule variant, international by default
+ * @returns {number} Number of leaf nodes
+ * @throws {Error} If the FEN is invalid
+ */
+export function perftAI(fen, depth, options = {}) {
+    const rules = getVariant(options.variant);
+    const count = (position, remaining) => {
+        const moves = [...uniqueMoves(generateMoves(position), rules.boardSize).values()];
+        if (remaining === 1) return moves.length;
+
+        let nodes = 0;
+        moves.forEach(move => {
+            nodes += count(makeMove(position, move), remaining - 1);
+        });
+        return nodes;
+    };
+
+    return depth <= 0 ? 1 : count(toBitboard(parseFEN(fen, rules.boardSize), rules), depth);
+}
+
+/**
+ * Perft split by root move
+ * @param {string} fen - Starting position
+ * @param {number} depth - Depth in plies (at least 1)
+ * @param {string} [generator='game'] - 'game' or 'ai'
+ * @param {Object} [options] - Options passed to perftGame and perftAI
+ * @returns {Array} Entries with move key and node count
+ */
+export function divide(fen, depth, generator = 'game', options = {}) {
+    if (generator === 'ai') {
+        const rules = getVariant(options.variant);
+        const position = toBitboard(parseFEN(fen, rules.boardSize), rules);
+        return [...uniqueMoves(generateMoves(position), rules.boardSize)].map(([key, move]) => ({
+            move: key,
+            nodes: perftAI(generateFEN(toPieces(makeMove(position, move))), depth - 1, options)
+        }));
+    }
+
+    const game = createGame(options);
+    if (!game.loadFEN(fen)) {
+        throw new Error(`Invalid FEN: ${fen}`);
+    }
+    return [...uniqueMoves(game.getLegalMoves(), game.boardSize)].map(([key, move]) => {
+        game.loadFEN(fen);
+        game.makeMove(move);
+        return { move: key, nodes: perftGame(game.getFEN(), depth - 1, options) };
+    });
+}
+
+/**
+ * Walks both generators in lockstep and stops at the first difference:
+ * a position where they generate different moves, or a move after which
+ * they reach different positions
+ * @param {string} fen - Starting position
+ * @param {number} depth - Depth in plies
+ * @param {Object} [options]
+ * @param {string|Object} [options.variant] - Rule variant, international by default
+ * @param {boolean} [options.maxCapture] - Maximum capture rule for the Game, the variant's by default
+ * @param {Object} [options.logger] - Logger of the Game, console by default
+ * @returns {Object} Leaf node count (up to the divergence) and the divergence, or null
+ * @throws {Error} If the FEN is invalid
+ */
+export function comparePerft(fen, depth, options = {}) {
+    const game = createGame(options);
+    if (!game.loadFEN(fen)) {
+        throw new Error(`Invalid FEN: ${fen}`);
+    }
+
+    let nodes = 0;
+    let divergence = null;
+
+    const walk = (currentFEN, position, remaining, line) => {
+        game.loadFEN(currentFEN);
+        const gameMoves = uniqueMoves(game.getLegalMoves(), game.boardSize);
+        const aiMoves = uniqueMoves(generateMoves(position), game.boardSize);
+
+        const onlyGame = [...gameMoves.keys()].filter(key => !aiMoves.has(key));
+        const onlyAI = [...aiMoves.keys()].filter(key => !gameMoves.has(key));
+        if (onlyGame.length > 0 || onlyAI.length > 0) {
+            divergence = { type: 'moves', fen: currentFEN, line, onlyGame, onlyAI };
+            return;
+        }
+
+        if (remaining === 1) {
+            nodes += gameMoves.size;
+            return;
+        }
+
+        for (const [key, move] of gameMoves) {
+            game.loadFEN(currentFEN);
+            game.makeMove(move);
+            const gameFEN = game.getFEN();
+            const aiPosition = makeMove(position, aiMoves.get(key));
+            const aiFEN = generateFEN(toPieces(aiPosition));
+
+            if (gameFEN !== aiFEN) {
+                divergence = { type: 'position', fen: currentFEN, line: [...line, key], gameFEN, aiFEN };
+                return;
+            }
+
+            walk(gameFEN, aiPosition, remaining - 1, [...line, key]);
+            if (divergence) return;
+        }
+    };
+
+    if (depth > 0) {
+        walk(game.getFEN(), toBitboard(parseFEN(fen, game.boardSize), game.getVariant()), depth, []);
+    }
+    return { nodes, divergence };
+}
@@ -0,0 +1,236 @@
+/**
+ * Rule variants for Game and the AI
+ * - A variant is a plain object of rule flags, so it can be posted to the AI worker as is
+ * - Game and the AI move generator read the same flags and generate the same moves
+ * - Boards are 8x8 or 10x10; both keep the dark-square layout and numbering of constants.js
+ * - selectCaptures applies the majority rule and its tie-breaks for both move generators
+ * @author codewithheck
+ */
+
+import { PIECE, PLAYER } from './constants.js';
+
+export const VARIANT = {
+    INTERNATIONAL: 'international',
+    BRAZILIAN: 'brazilian',
+    RUSSIAN: 'russian',
+    POOL: 'pool',
+    ENGLISH: 'english',
+    FRISIAN: 'frisian'
+};
+
+// Board sizes the square numbering and the AI bitboards support
+export const BOARD_SIZES = [8, 10];
+
+// Criteria of the majority rule, compared in the order a variant lists them
+export const CAPTURE_PRIORITY = {
+    PIECES: 'pieces',         // the most pieces
+    VALUE: 'value',           // the highest value, a king counting a little less than two men (Frisian)
+    BY_KING: 'byKing',        // with a king rather than a man
+    KINGS: 'kings',           // the most kings
+    FIRST_KING: 'firstKing'   // a king as early in the sequence as possible (Italian)
+};
+
+/*
+ * Rule flags:
+ * - boardSize: squares along each side
+ * - pieceRows: rows of men each side starts with
+ * - firstPlayer: PLAYER who moves first from the initial position (Black in English and Pool checkers)
+ * - menCaptureBackwards: men capture backwards as well as forwards
+ * - flyingKings: kings move and capture along whole diagonals
+ * - majorityCapture: the sequence capturing the most pieces is compulsory
+ * - capturePriority: what "the most" means under the majority rule, as CAPTURE_PRIORITY
+ *   criteria; later criteria break ties of earlier ones (Italian rules would be
+ *   pieces, byKing, kings, firstKing)
+ * - promoteDuringCapture: a man crossing the promotion row mid-capture is crowned
+ *   there and goes on capturing as a king
+ * - orthogonalCaptures: men and kings also capture along rows and columns
+ * - pdnGameType: GameType tag of the variant in PDN files
+ */
+export const VARIANTS = {
+    [VARIANT.INTERNATIONAL]: Object.freeze({
+        id: VARIANT.INTERNATIONAL,
+        name: 'International',
+        boardSize: 10,
+        pieceRows: 4,
+        firstPlayer: PLAYER.WHITE,
+        menCaptureBackwards: true,
+        flyingKings: true,
+        majorityCapture: true,
+        promoteDuringCapture: false,
+        orthogonalCaptures: false,
+        capturePriority: [CAPTURE_PRIORITY.PIECES],
+        pdnGameType: 20
+    }),
+    [VARIANT.BRAZILIAN]: Object.freeze({
+        id: VARIANT.BRAZILIAN,
+        name: 'Brazilian',
+        boardSize: 8,
+        pieceRows: 3,
+        firstPlayer: PLAYER.WHITE,
+        menCaptureBackwards: true,
+        flyingKings: true,
+        majorityCapture: true,
+        promoteDuringCapture: false,
+        orthogonalCaptures: false,
+        capturePriority: [CAPTURE_PRIORITY.PIECES],
+        pdnGameType: 26
+    }),
+    [VARIANT.RUSSIAN]: Object.freeze({
+        id: VARIANT.RUSSIAN,
+        name: 'Russian',
+        boardSize: 8,
+        pieceRows: 3,
+        firstPlayer: PLAYER.WHITE,
+        menCaptureBackwards: true,
+        flyingKings: true,
+        majorityCapture: false,
+        promoteDuringCapture: true,
+        orthogonalCaptures: false,
+        capturePriority: [CAPTURE_PRIORITY.PIECES],
+        pdnGameType: 25
+    }),
+    [VARIANT.POOL]: Object.freeze({
+        id: VARIANT.POOL,
+        name: 'Pool',
+        boardSize: 8,
+        pieceRows: 3,
+        firstPlayer: PLAYER.BLACK,
+        menCaptureBackwards: true,
+        flyingKings: true,
+        majorityCapture: false,
+        promoteDuringCapture: false,
+        orthogonalCaptures: false,
+        capturePriority: [CAPTURE_PRIORITY.PIECES],
+        pdnGameType: 23
+    }),
+    [VARIANT.ENGLISH]: Object.freeze({
+        id: VARIANT.ENGLISH,
+        name: 'English',
+        boardSize: 8,
+        pieceRows: 3,
+        firstPlayer: PLAYER.BLACK,
+        menCaptureBackwards: false,
+        flyingKings: false,
+        majorityCapture: false,
+        promoteDuringCapture: false,
+        orthogonalCaptures: false,
+        capturePriority: [CAPTURE_PRIORITY.PIECES],
+        pdnGameType: 21
+    }),
+    [VARIANT.FRISIAN]: Object.freeze({
+        id: VARIANT.FRISIAN,
+        name: 'Frisian',
+        boardSize: 10,
+        pieceRows: 4,
+        firstPlayer: PLAYER.WHITE,
+        menCaptureBackwards: true,
+        flyingKings: true,
+        majorityCapture: true,
+        promoteDuringCapture: false,
+        orthogonalCaptures: true,
+        capturePriority: [CAPTURE_PRIORITY.VALUE, CAPTURE_PRIORITY.BY_KING],
+        pdnGameType: 40
+    })
+};
+
+export const DEFAULT_VARIANT = VARIANTS[VARIANT.INTERNATIONAL];
+
+/**
+ * Resolves a variant id or rules object to a complete variant
+ * @param {string|Object} [variant] - Variant id, or rules object; missing flags come
+ *   from the preset with the same id, or from international rules
+ * @returns {Object} Frozen variant
+ * @throws {Error} If the id is unknown or the board size unsupported
+ */
+export function getVariant(variant = DEFAULT_VARIANT) {
+    if (typeof variant === 'string') {
+        const preset = VARIANTS[variant];
+        if (!preset) {
+            throw new Error(`Unknown rule variant: ${variant}`);
+        }
+        return preset;
+    }
+
+    if (Object.values(VARIANTS).includes(variant)) {
+        return variant;
+    }
+
+    const rules = Object.freeze({ ...(VARIANTS[variant.id] || DEFAULT_VARIANT), ...variant });
+    if (!BOARD_SIZES.includes(rules.boardSize)) {
+        throw new Error(`Unsupported board size: ${rules.boardSize}`);
+    }
+    if (!(rules.pieceRows > 0 && rules.pieceRows < rules.boardSize / 2)) {
+        throw new Error(`Invalid number of piece rows: ${rules.pieceRows}`);
+    }
+    if (rules.firstPlayer !== PLAYER.WHITE && rules.firstPlayer !== PLAYER.BLACK) {
+        throw new Error(`Invalid first player: ${rules.firstPlayer}`);
+    }
+    const criterion = rules.capturePriority.find(name => !CAPTURE_SCORES[name]);
+    if (criterion !== undefined) {
+        throw new Error(`Unknown capture priority: ${criterion}`);
+    }
+    return rules;
+}
+
+// More pieces than one sequence can ever capture
+const MAX_CAPTURED = 32;
+
+const isKing = piece => piece === PIECE.WHITE_KING || piece === PIECE.BLACK_KING;
+
+function countKings(move, getPiece) {
+    let kings = 0;
+    for (const pos of move.captures) {
+        if (isKing(getPiece(pos))) kings++;
+    }
+    return kings;
+}
+
+// Score of a capture under each criterion; higher is preferred
+const CAPTURE_SCORES = {
+    [CAPTURE_PRIORITY.PIECES]: move => move.captures.length,
+    [CAPTURE_PRIORITY.VALUE]: (move, getPiece) => {
+        // Men count 1 and kings a fraction less than 2: two men outweigh a king, two kings three men
+        const kings = countKings(move, getPiece);
+        return (move.captures.length + kings) * MAX_CAPTURED - kings;
+    },
+    [CAPTURE_PRIORITY.BY_KING]: (move, getPiece) => isKing(getPiece(move.from)) ? 1 : 0,
+    [CAPTURE_PRIORITY.KINGS]: countKings,
+    [CAPTURE_PRIORITY.FIRST_KING]: (move, getPiece) => {
+        const index = move.captures.findIndex(pos => isKing(getPiece(pos)));
+        return index < 0 ? 0 : move.captures.length - index;
+    }
+};
+
+/**
+ * Keeps the captures the majority rule of a variant allows. Game and the AI
+ * move generator both call this, so they always agree on the compulsory captures.
+ * @param {Array} captures - Capture moves, with from and the captured squares in order
+ * @param {Object} rules - Rule variant
+ * @param {Function} getPiece - Returns the PIECE on a {row, col} square before the move
+ * @returns {Array} Allowed captures; all of them where the variant has no majority rule
+ */
+export function selectCaptures(captures, rules, getPiece) {
+    if (!rules.majorityCapture || captures.length < 2) return captures;
+
+    let selected = captures;
+    for (const criterion of rules.capturePriority) {
+        const score = CAPTURE_SCORES[criterion];
+        let best = -Infinity;
+        for (const move of selected) {
+            best = Math.max(best, score(move, getPiece));
+        }
+        selected = selected.filter(move => score(move, getPiece) === best);
+        if (selected.length === 1) break;
+    }
+    return selected;
+}
+
+/**
+ * Finds the variant of a PDN GameType tag, e.g. "20" or "25,W,8,8,A0,0"
+ * @param {string} gameType - GameType tag value
+ * @returns {Object|null} Variant, or null if the game type is not supported
+ */
+export function getVariantByGameType(gameType) {
+    const type = parseInt(gameType, 10);
+    return Object.values(VARIANTS).find(variant => variant.pdnGameType === type) || null;
+}
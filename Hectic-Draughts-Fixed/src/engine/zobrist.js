@@ -0,0 +1,113 @@
+/**
+ * Zobrist hashing for draughts positions
+ * - 64-bit keys kept as two signed 32-bit halves (hi, lo)
+ * - Board keys cover the pieces only; the side to move is mixed in when the
+ *   position key is taken, so a position copied with the other side to move
+ *   keeps a valid board key
+ * - Shared by Game and the AI so both agree on the keys of a position
+ * - Smaller boards use the top-left corner of the 10x10 tables
+ * @author codewithheck
+ */
+
+import { BOARD_SIZE, PIECE, PLAYER } from './constants.js';
+
+const PIECE_TYPES = 5; // PIECE.NONE .. PIECE.BLACK_KING
+
+const KEYS_HI = new Int32Array(BOARD_SIZE * BOARD_SIZE * PIECE_TYPES);
+const KEYS_LO = new Int32Array(BOARD_SIZE * BOARD_SIZE * PIECE_TYPES);
+let SIDE_HI = 0;
+let SIDE_LO = 0;
+
+// Fixed seed: keys are identical in every thread and every session
+(function initializeKeys() {
+    let state = 0x9E3779B9;
+    const next = () => {
+        // xorshift32
+        state ^= state << 13;
+        state ^= state >>> 17;
+        state ^= state << 5;
+        return state | 0;
+    };
+
+    for (let square = 0; square < BOARD_SIZE * BOARD_SIZE; square++) {
+        for (let piece = 0; piece < PIECE_TYPES; piece++) {
+            const index = square * PIECE_TYPES + piece;
+            // PIECE.NONE keeps a zero key so empty squares need no special case
+            KEYS_HI[index] = piece === PIECE.NONE ? 0 : next();
+            KEYS_LO[index] = piece === PIECE.NONE ? 0 : next();
+        }
+    }
+    SIDE_HI = next();
+    SIDE_LO = next();
+})();
+
+/**
+ * Index of a piece on a square in the key tables
+ * @param {number} row - Board row
+ * @param {number} col - Board column
+ * @param {number} piece - PIECE value
+ * @returns {number} Table index
+ */
+export function getKeyIndex(row, col, piece) {
+    return (row * BOARD_SIZE + col) * PIECE_TYPES + piece;
+}
+
+/**
+ * High half of the key of a piece on a square
+ * @param {number} row - Board row
+ * @param {number} col - Board column
+ * @param {number} piece - PIECE value
+ * @returns {number} Signed 32-bit key half
+ */
+export function pieceKeyHi(row, col, piece) {
+    return KEYS_HI[getKeyIndex(row, col, piece)];
+}
+
+/**
+ * Low half of the key of a piece on a square
+ * @param {number} row - Board row
+ * @param {number} col - Board column
+ * @param {number} piece - PIECE value
+ * @returns {number} Signed 32-bit key half
+ */
+export function pieceKeyLo(row, col, piece) {
+    return KEYS_LO[getKeyIndex(row, col, piece)];
+}
+
+/**
+ * Computes the board key from scratch
+ * @param {Array} pieces - Board array, 10x10 or smaller
+ * @returns {Object} Key halves { hi, lo }
+ */
+export function computeBoardKey(pieces) {
+    let hi = 0;
+    let lo = 0;
+    for (let r = 0; r < pieces.length; r++) {
+        const row = pieces[r];
+        for (let c = 0; c < row.length; c++) {
+            const piece = row[c];
+            if (piece !== PIECE.NONE) {
+                const index = getKeyIndex(r, c, piece);
+                hi ^= KEYS_HI[index];
+                lo ^= KEYS_LO[index];
+            }
+        }
+    }
+    return { hi, lo };
+}
+
+/**
+ * Folds a board key and the side to move into one Map-friendly number.
+ * Keeps 53 of the 64 bits, so the result is an exact integer.
+ * @param {number} hi - High half of the board key
+ * @param {number} lo - Low half of the board key
+ * @param {number} currentPlayer - Side to move
+ * @returns {number} Position key
+ */
+export function getPositionKey(hi, lo, currentPlayer) {
+    if (currentPlayer === PLAYER.BLACK) {
+        hi ^= SIDE_HI;
+        lo ^= SIDE_LO;
+    }
+    return (hi >>> 11) * 4294967296 + (lo >>> 0);
+}
@@ -1,10 +1,34 @@
 import { Game } from './engine/game.js';
 import { Board } from './view/board.js';
 import { UI } from './view/ui.js';
+import { Settings } from './view/settings.js';
 import { AI } from './engine/aiController.js';  // Changed to use AIController
 import { History } from './engine/history.js';
 import { Notification } from './view/notification.js';
-import { PLAYER, GAME_STATE, PIECE, GAME_MODE, BOARD_SIZE } from './engine/constants.js';
+import { generatePDN, getPDNResult, loadPDNGame, parsePDN, findPDNMoves } from './utils/pdn.js';
+import { GameDatabase } from './utils/pdn-database.js';
+import OpeningBook from './utils/opening-book.js';
+import { PLAYER, GAME_STATE, PIECE, GAME_MODE, DRAW_REASON, TERMINATION, getSquareNumbers } from './engine/constants.js';
+import { getVariant, DEFAULT_VARIANT } from './engine/variants.js';
+import { formatFEN, toNumericFEN, formatNotation, parseMove, parseSquare } from './utils/notation.js';
+import { GameClock } from './engine/clock.js';
+import { saveCurrentGame, loadCurrentGame, clearCurrentGame, RecentGames } from './utils/game-storage.js';
+import { BookEditor, buildBookFromGames, saveStoredBook, loadStoredBook, clearStoredBook } from './utils/book-editor.js';
+
+const DRAW_MESSAGES = {
+    [DRAW_REASON.REPETITION]: "Draw by threefold repetition!",
+    [DRAW_REASON.KING_MOVES]: "Draw by the 25-move rule!",
+    [DRAW_REASON.SIXTEEN_MOVES]: "Draw by the 16-move rule!",
+    [DRAW_REASON.FIVE_MOVES]: "Draw by the 5-move rule!"
+};
+
+const TERMINATION_NAMES = {
+    [TERMINATION.NO_MOVES]: 'no moves left',
+    [TERMINATION.DRAW_RULE]: 'draw rule',
+    [TERMINATION.RESIGNATION]: 'resignation',
+    [TERMINATION.AGREEMENT]: 'agreement',
+    [TERMINATION.TIME_FORFEIT]: 'time forfeit'
+};
 
 class GameController {
     constructor() {
@@ -14,16 +38,23 @@ class GameController {
         this.ai = AI;  // Using the singleton instance
         this.history = new History(this.game);
         this.notification = new Notification();
+        this.settings = new Settings();
         this.isPlayerVsAI = true;
+        this.gameHeaders = {}; // PDN tags of a loaded game
+        this.database = null; // Games of a multi-game PDN file
+        this.databaseGameIndex = -1;
+        this.bookEditor = null; // Opening book being edited, created when the editor opens
+        this.recentGames = new RecentGames();
+        this.gameId = this.createGameId(); // Key of the game in the recent games
+        this.aiLevel = 3;
+        this.analysisActive = false; // Analysis of the current position runs until switched off
+        this.analysisLineCount = 3;
+        this.analyzedPosition = null; // FEN and line count of the running analysis
         
         // Enhanced tracking
         this.moveStartTime = null;
         this.gameTimer = null;
-        this.timeControl = {
-            enabled: false,
-            whiteTime: 60000, // 60 seconds in ms
-            blackTime: 60000
-        };
+        this.clock = null; // GameClock of a timed game, null when untimed
         
         // Edit mode
         this.editMode = false;
@@ -33,6 +64,7 @@ class GameController {
         this.gameInitialized = false;
         this.aiThinking = false;
         this.gameInProgress = true;
+        this.paused = false;
         
         this.initializeGame();
     }
@@ -50,15 +82,22 @@ async initializeGame() {
         
         updateLoadingStatus('Setting up UI...');
         this.ui.initialize();
+        this.ui.setSettingsPanel(this.settings.createSettingsPanel());
+        this.applySettings(this.settings.settings);
+        this.settings.addListener('settingsChanged', (settings) => this.applySettings(settings));
         
         updateLoadingStatus('Loading Grandmaster AI engine...');
         // Initialize AI with error handling
         await this.ai.initialize();
+        await this.loadStoredBook();
         
         updateLoadingStatus('Setting up game controls...');
         this.setupEventListeners();
         this.setupEditMode();
         
+        updateLoadingStatus('Restoring saved game...');
+        await this.offerSavedGame();
+        
         updateLoadingStatus('Finalizing...');
         this.updateView();
         this.startGameTimer();
@@ -99,7 +138,10 @@ async initializeGame() {
         this.board.on('squareSelected', (square) => this.handleSquareSelection(square));
         this.board.on('moveAttempt', (moveData) => this.handleMoveAttempt(moveData));
         this.board.on('dragDropMove', (moveData) => this.handleMoveAttempt(moveData));
+        this.ui.on('moveEntry', (text) => this.handleMoveEntry(text));
+        this.ui.on('playBookMove', (notation) => this.playNotation(notation));
         this.board.on('editSquare', (square) => this.handleEditSquare(square));
+        this.board.on('annotationDraw', (squares) => this.toggleDrawing(squares));
         
         // UI events
         this.ui.on('difficultyChange', (level) => this.handleDifficultyChange(level));
@@ -110,10 +152,39 @@ async initializeGame() {
         this.ui.on('lastMove', () => this.handleHistoryChange(() => this.history.jumpToEnd()));
         this.ui.on('prevMove', () => this.handleHistoryChange(() => this.history.previousMove()));
         this.ui.on('nextMove', () => this.handleHistoryChange(() => this.history.nextMove()));
+        this.ui.on('offerDraw', () => this.handleDrawOffer());
+        this.ui.on('resign', () => this.handleResign());
+        this.ui.on('pause', () => this.togglePause());
+        this.ui.on('showRecentGames', () => this.showRecentGames());
+        this.ui.on('resumeRecentGame', (id) => this.resumeRecentGame(id));
+        this.ui.on('showBook', () => this.showBookEditor());
+        this.ui.on('addBookLine', (fields) => this.addBookLine(fields));
+        this.ui.on('updateBookLine', ({ moves, fields }) => this.editBook(() => this.bookEditor.updateLine(moves, fields)));
+        this.ui.on('removeBookLine', (moves) => this.removeBookLine(moves));
+        this.ui.on('mergeBook', (text) => this.mergeBook(text));
+        this.ui.on('buildBook', (text) => this.buildBook(text));
+        this.ui.on('exportBook', () => this.exportBook());
+        this.ui.on('resetBook', () => this.resetBook());
         this.ui.on('jumpToMove', (index) => this.handleHistoryChange(() => this.history.jumpToMove(index)));
+        this.ui.on('jumpToNode', (nodeId) => this.handleHistoryChange(() => this.history.jumpToNode(nodeId)));
+        this.ui.on('promoteVariation', (nodeId) => this.handleHistoryChange(() => this.history.promoteVariation(nodeId)));
+        this.ui.on('deleteVariation', (nodeId) => this.handleHistoryChange(() => this.history.deleteVariation(nodeId)));
         this.ui.on('importFEN', () => this.importFEN());
         this.ui.on('exportFEN', () => this.exportFEN());
+        this.ui.on('importPDN', (text) => this.importPDN(text));
+        this.ui.on('exportPDN', () => this.exportPDN());
+        this.ui.on('filterDatabase', (criteria) => this.filterDatabase(criteria));
+        this.ui.on('filterCurrentPosition', () => this.ui.setDatabaseFENFilter(this.game.getFEN()));
+        this.ui.on('loadDatabaseGame', (index) => this.loadDatabaseGame(index));
         this.ui.on('savePNG', () => this.board.saveAsPNG());
+        this.ui.on('annotateGlyph', (glyph) => this.annotateGlyph(glyph));
+        this.ui.on('annotateComment', (comment) => this.annotateComment(comment));
+        this.ui.on('clearDrawings', () => this.clearDrawings());
+        this.ui.on('toggleAnalysis', () => this.toggleAnalysis());
+        this.ui.on('analysisLineCount', (count) => {
+            this.analysisLineCount = count;
+            this.updateAnalysis();
+        });
         
         // Game rule controls
         this.setupGameRuleControls();
@@ -129,19 +200,37 @@ async initializeGame() {
             if (this.aiThinking) {
                 this.ai.abortSearch();
             }
+            this.saveGame();
         });
     }
     
     setupGameRuleControls() {
+        // Rule variant select
+        const variantEl = document.getElementById('rule-variant');
+        if (variantEl) {
+            variantEl.value = this.game.getVariant().id;
+            
+            variantEl.addEventListener('change', async (e) => {
+                try {
+                    await this.applyVariant(getVariant(e.target.value));
+                    this.resetGame();
+                    this.notification.info(`${this.game.getVariant().name} rules. New game started.`, { duration: 3000 });
+                } catch (error) {
+                    console.error('Error changing rule variant:', error);
+                    this.notification.error('Failed to change rules', { duration: 2000 });
+                }
+            });
+        }
+        
         // Maximum capture rule checkbox
         const maxCaptureEl = document.getElementById('max-capture-rule');
         if (maxCaptureEl) {
-            // Set initial state to match game default (false)
-            maxCaptureEl.checked = false;
+            // Set initial state to match the rules of the game
+            maxCaptureEl.checked = this.game.getMaxCaptureRule();
             
-            maxCaptureEl.addEventListener('change', (e) => {
+            maxCaptureEl.addEventListener('change', async (e) => {
                 try {
-                    this.game.setMaxCaptureRule(e.target.checked);
+                    await this.applyCaptureRule(e.target.checked);
                     this.updateView(); // Refresh legal moves highlighting
                     const status = e.target.checked ? 'enabled' : 'disabled';
                     this.notification.info(`Maximum capture rule ${status}`, { duration: 2000 });
@@ -152,20 +241,17 @@ async initializeGame() {
             });
         }
         
-        // Time control checkbox
+        // Time control select
         const timeControlEl = document.getElementById('time-control');
         if (timeControlEl) {
             timeControlEl.addEventListener('change', (e) => {
                 try {
-                    this.timeControl.enabled = e.target.checked;
-                    if (this.timeControl.enabled) {
-                        this.timeControl.whiteTime = 60000;
-                        this.timeControl.blackTime = 60000;
-                        this.notification.info("Time control enabled: 60 seconds per move", { duration: 2000 });
+                    this.setTimeControl(e.target.value || null);
+                    if (this.clock) {
+                        this.notification.info(`Time control: ${this.clock.timeControl.name}`, { duration: 2000 });
                     } else {
                         this.notification.info("Time control disabled", { duration: 2000 });
                     }
-                    this.updateView();
                 } catch (error) {
                     console.error('Error setting time control:', error);
                     this.notification.error('Failed to update time control', { duration: 2000 });
@@ -174,9 +260,301 @@ async initializeGame() {
         }
     }
     
+    /**
+     * Sets both clocks to the start of a time control; the side to move's clock starts at once
+     * @param {string|null} timeControl - TIME_CONTROLS id, null for untimed games
+     */
+    setTimeControl(timeControl) {
+        this.clock = timeControl ? new GameClock(timeControl) : null;
+        this.updateView();
+        this.saveGame();
+    }
+    
+    /**
+     * Puts the clocks back to the start of the time control for a new game or position
+     */
+    resetClock() {
+        this.setPaused(false);
+        this.clock?.reset();
+        this.startGameTimer();
+        this.saveGame();
+    }
+    
+    /**
+     * Sets the clocks to their readings at the current position of the history
+     */
+    restoreHistoryClock() {
+        if (!this.clock) return;
+        
+        const move = this.history.getCurrentMove();
+        if (move && move.clock) {
+            this.clock.setState(move.clock);
+        } else {
+            this.clock.reset();
+        }
+    }
+    
+    /**
+     * Applies the settings of the settings panel to the board
+     * @param {Object} settings - All settings, see Settings.defaults
+     */
+    applySettings(settings) {
+        this.board.setHighlightMoves(settings.highlightMoves);
+        this.board.setDragDrop(settings.enableDragDrop);
+        
+        // Both rebuild the squares, so only on a change, and the position is shown again
+        if (settings.theme !== this.board.themeName) {
+            this.board.showSquareNumbers = settings.showNumbers;
+            this.board.setTheme(settings.theme);
+        } else if (settings.showNumbers !== this.board.showSquareNumbers) {
+            this.board.toggleSquareNumbers(settings.showNumbers);
+        }
+        if (this.gameInitialized) {
+            this.updateView();
+        }
+    }
+    
+    createGameId() {
+        return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+    
+    /**
+     * Builds a snapshot of the game for game-storage.js: the history tree, rules,
+     * clocks, AI level and how the game stands
+     * @returns {Object} Plain, JSON-safe snapshot
+     */
+    createSnapshot() {
+        const timeControl = this.clock?.timeControl;
+        return {
+            id: this.gameId,
+            savedAt: Date.now(),
+            white: this.gameHeaders.White || 'Player',
+            black: this.gameHeaders.Black || (this.isPlayerVsAI ? 'Hectic AI' : 'Player'),
+            moveCount: this.history.getHistory().length,
+            variant: this.game.getVariant(),
+            maxCaptureRule: this.game.getMaxCaptureRule(),
+            history: this.history.exportHistory(),
+            headers: this.gameHeaders,
+            aiLevel: this.aiLevel,
+            isPlayerVsAI: this.isPlayerVsAI,
+            result: this.game.gameState,
+            termination: this.game.getTermination(),
+            clock: this.clock ? { timeControl: timeControl.id || timeControl, state: this.clock.getState() } : null,
+            paused: this.paused
+        };
+    }
+    
+    /**
+     * Saves the game being played, so it can be resumed after a reload
+     */
+    saveGame() {
+        if (!this.gameInitialized || this.editMode) return;
+        saveCurrentGame(this.createSnapshot());
+    }
+    
+    /**
+     * Keeps the game in the recent games before it is replaced or once it ends
+     * @param {Object} [snapshot] - Game snapshot, by default of the current game
+     */
+    async archiveGame(snapshot = this.createSnapshot()) {
+        if (snapshot.moveCount === 0) return;
+        try {
+            await this.recentGames.save(snapshot);
+        } catch (error) {
+            console.error('Failed to store recent game:', error);
+        }
+    }
+    
+    /**
+     * Continues a saved game: rules, moves, clocks and AI level as they were saved
+     * @param {Object} snapshot - Game snapshot
+     * @throws {Error} If the moves cannot be restored
+     */
+    async restoreSnapshot(snapshot) {
+        const variant = getVariant(snapshot.variant);
+        if (variant.id !== this.game.getVariant().id) {
+            await this.applyVariant(variant);
+        }
+        await this.applyCaptureRule(snapshot.maxCaptureRule);
+        const maxCaptureEl = document.getElementById('max-capture-rule');
+        if (maxCaptureEl) maxCaptureEl.checked = snapshot.maxCaptureRule;
+        
+        if (!this.history.importHistory(snapshot.history)) {
+            throw new Error('The saved moves could not be restored');
+        }
+        this.gameId = snapshot.id;
+        this.gameHeaders = { ...snapshot.headers };
+        this.isPlayerVsAI = snapshot.isPlayerVsAI;
+        
+        if (snapshot.aiLevel !== this.aiLevel) {
+            this.aiLevel = snapshot.aiLevel;
+            await this.ai.setDifficulty(snapshot.aiLevel);
+            this.ui.setDifficulty(snapshot.aiLevel);
+        }
+        
+        // Resignations, agreed draws and time forfeits are not in the moves
+        if (snapshot.termination && snapshot.result !== GAME_STATE.ONGOING &&
+            this.game.gameState === GAME_STATE.ONGOING) {
+            this.game.endGame(snapshot.result, snapshot.termination);
+        }
+        this.gameInProgress = this.game.gameState === GAME_STATE.ONGOING;
+        
+        this.clock = snapshot.clock ? new GameClock(snapshot.clock.timeControl) : null;
+        if (this.clock) this.clock.setState(snapshot.clock.state);
+        const timeControlEl = document.getElementById('time-control');
+        if (timeControlEl) {
+            timeControlEl.value = typeof snapshot.clock?.timeControl === 'string' ? snapshot.clock.timeControl : '';
+        }
+        
+        this.setPaused(snapshot.paused && this.gameInProgress);
+        this.startGameTimer();
+        this.updateView();
+    }
+    
+    /**
+     * Offers to resume the game of the last visit; a declined game stays in the recent games
+     */
+    async offerSavedGame() {
+        const saved = loadCurrentGame();
+        if (!saved) return;
+        
+        // Without moves only the settings are worth restoring
+        const resume = saved.moveCount === 0 || this.ui.confirmAction(
+            `Resume your game from ${new Date(saved.savedAt).toLocaleString()} (${saved.moveCount} moves)?`);
+        
+        if (!resume) {
+            await this.archiveGame(saved);
+            clearCurrentGame();
+            return;
+        }
+        
+        try {
+            await this.restoreSnapshot(saved);
+            if (saved.moveCount > 0) {
+                this.notification.success("Saved game restored", { duration: 2000 });
+            }
+        } catch (error) {
+            console.error('Failed to restore saved game:', error);
+            this.notification.error('The saved game could not be restored', { duration: 3000 });
+            this.resetGame();
+        }
+    }
+    
+    async showRecentGames() {
+        try {
+            this.ui.updateRecentGames(await this.recentGames.list(), this.gameId);
+            this.ui.showRecentGames();
+        } catch (error) {
+            console.error('Failed to list recent games:', error);
+            this.notification.error('Recent games are not available', { duration: 3000 });
+        }
+    }
+    
+    async resumeRecentGame(id) {
+        if (this.aiThinking) {
+            this.notification.warning("Cannot load a game while AI is thinking", { duration: 2000 });
+            return;
+        }
+        
+        try {
+            const snapshot = await this.recentGames.get(id);
+            if (!snapshot) throw new Error(`Recent game ${id} not found`);
+            
+            await this.archiveGame();
+            await this.restoreSnapshot(snapshot);
+            this.saveGame();
+            this.ui.updateRecentGames(await this.recentGames.list(), this.gameId);
+            this.notification.success(`Loaded ${snapshot.white} vs ${snapshot.black}`, { duration: 2000 });
+            this.checkIfAITurn();
+        } catch (error) {
+            console.error('Failed to load recent game:', error);
+            this.notification.error('Failed to load the game', { duration: 3000 });
+        }
+    }
+    
+    /**
+     * Pauses or resumes the game. While paused the clocks stand still and no moves
+     * can be made; a running AI search is stopped and started again on resume.
+     */
+    togglePause() {
+        if (!this.paused && (!this.gameInProgress || this.editMode || this.game.gameState !== GAME_STATE.ONGOING)) {
+            return;
+        }
+        
+        this.setPaused(!this.paused);
+        if (this.paused && this.aiThinking) {
+            this.ai.abortSearch();
+            this.aiThinking = false;
+            this.notification.closeCurrent();
+        }
+        
+        this.updateView();
+        this.saveGame();
+        
+        if (this.paused) {
+            this.notification.info("Game paused", { duration: 2000 });
+        } else {
+            this.notification.info("Game resumed", { duration: 1500 });
+            this.checkIfAITurn();
+        }
+    }
+    
+    setPaused(paused) {
+        this.paused = paused;
+        this.ui.setPaused(paused);
+    }
+    
+    /**
+     * Runs the clock of the side to move while the game is being played, and stops it otherwise
+     */
+    syncClock() {
+        if (!this.clock) return;
+        
+        if (this.gameInProgress && !this.editMode && !this.paused && this.game.gameState === GAME_STATE.ONGOING) {
+            if (this.clock.running !== this.game.currentPlayer) {
+                this.clock.start(this.game.currentPlayer);
+            }
+        } else {
+            this.clock.stop();
+        }
+    }
+    
+    /**
+     * Switches the game, board and AI to another rule variant, leaving a fresh game
+     * @param {Object} variant - Rule variant, see variants.js
+     */
+    async applyVariant(variant) {
+        if (this.aiThinking) {
+            this.ai.abortSearch();
+            this.aiThinking = false;
+        }
+        
+        this.archiveGame();
+        this.game.setVariant(variant);
+        this.board.setBoardSize(variant.boardSize);
+        this.history.clear();
+        
+        const variantEl = document.getElementById('rule-variant');
+        if (variantEl) variantEl.value = variant.id;
+        const maxCaptureEl = document.getElementById('max-capture-rule');
+        if (maxCaptureEl) maxCaptureEl.checked = this.game.getMaxCaptureRule();
+        
+        await this.ai.setVariant(variant);
+    }
+    
+    /**
+     * Switches the majority capture rule of this game, for the AI as well
+     * @param {boolean} enabled - Whether the capture taking the most pieces is compulsory
+     */
+    async applyCaptureRule(enabled) {
+        this.game.setMaxCaptureRule(enabled);
+        await this.ai.setVariant(this.game.getRules());
+    }
+    
     async handleDifficultyChange(level) {
         try {
             await this.ai.setDifficulty(level);
+            this.aiLevel = level;
             this.isPlayerVsAI = true;
             this.notification.info(`AI level set to ${level}. New game started.`, { duration: 3000 });
             this.resetGame();
@@ -194,11 +572,13 @@ async initializeGame() {
                 this.aiThinking = false;
             }
             
+            this.archiveGame();
+            this.gameId = this.createGameId();
             this.game.reset();
             this.history.clear();
-            this.timeControl.whiteTime = 60000;
-            this.timeControl.blackTime = 60000;
+            this.gameHeaders = {};
             this.gameInProgress = true;
+            this.resetClock();
             this.updateView();
             
             // Small delay before checking AI turn to ensure UI is updated
@@ -211,7 +591,7 @@ async initializeGame() {
     }
     
     checkIfAITurn() {
-        if (!this.gameInitialized || !this.gameInProgress || this.editMode || this.aiThinking) {
+        if (!this.gameInitialized || !this.gameInProgress || this.editMode || this.aiThinking || this.paused) {
             return;
         }
         
@@ -221,7 +601,7 @@ async initializeGame() {
     }
     
     handleSquareSelection(square) {
-        if (!this.gameInProgress || this.aiThinking || this.editMode) return;
+        if (!this.gameInProgress || this.aiThinking || this.editMode || this.paused) return;
         
         try {
             const legalMoves = this.game.getLegalMoves().filter(m => 
@@ -239,16 +619,43 @@ async initializeGame() {
         }
     }
     
-    handleMoveAttempt(moveData) {
+    // Whether the player may move now; tells them why not
+    canPlayerMove() {
+        if (this.paused) {
+            this.notification.warning("The game is paused", { duration: 1500 });
+            return false;
+        }
+        
         if (!this.gameInProgress || this.aiThinking) {
             this.notification.warning("Please wait for AI to move", { duration: 1500 });
-            return;
+            return false;
         }
         
         if (this.isPlayerVsAI && this.game.currentPlayer !== PLAYER.WHITE) {
             this.notification.error("Not your turn!", { duration: 1500 });
-            return;
+            return false;
+        }
+        return true;
+    }
+    
+    // Plays a legal move of the player, once confirmed if the settings ask for it
+    playPlayerMove(move) {
+        if (this.settings.get('confirmMoves') &&
+            !this.ui.confirmAction(`Play ${this.formatMove(this.game.getMoveNotation(move))}?`)) {
+            this.board.clearSelection();
+            this.board.clearHighlights();
+            return false;
         }
+        this.executeMove(move);
+        return true;
+    }
+    
+    formatMove(notation) {
+        return formatNotation(notation, this.settings.get('notation'), this.game.boardSize);
+    }
+    
+    handleMoveAttempt(moveData) {
+        if (!this.canPlayerMove()) return;
         
         // Handle clicking the same square (deselect)
         if (moveData.from.row === moveData.to.row && moveData.from.col === moveData.to.col) {
@@ -267,7 +674,7 @@ async initializeGame() {
             );
             
             if (attemptedMove) {
-                this.executeMove(attemptedMove);
+                this.playPlayerMove(attemptedMove);
             } else {
                 this.notification.error("Invalid move.", { duration: 2000 });
                 this.board.clearSelection();
@@ -279,8 +686,61 @@ async initializeGame() {
         }
     }
     
+    handleMoveEntry(text) {
+        if (this.playNotation(text)) {
+            this.ui.clearMoveEntry();
+        }
+    }
+    
+    /**
+     * Plays a move given in notation, e.g. "32-28", "19x30" or "c3-d4", as typed in the
+     * move entry or picked in the opening explorer. A capture that several paths fit
+     * is asked again with the squares it passes through.
+     * @param {string} text - Move in either notation
+     * @returns {boolean} True if the move was played
+     */
+    playNotation(text) {
+        if (!text.trim() || !this.canPlayerMove()) return false;
+        
+        const { boardSize } = this.game;
+        const numbers = getSquareNumbers(boardSize);
+        const number = pos => numbers[pos.row * boardSize + pos.col];
+        
+        try {
+            let entered = { ...parseMove(text, boardSize), notation: text };
+            let candidates = findPDNMoves(this.game, entered);
+            
+            while (candidates.length > 1) {
+                const paths = candidates.map(m => this.formatMove((m.path || [m.from, m.to]).map(number).join('x')));
+                const via = this.ui.promptCaptureSquares(
+                    `${text} can be played as ${paths.join(' or ')}. Enter the squares the capture passes through:`);
+                if (!via) return false;
+                
+                const squares = entered.squares;
+                const passed = via.split(/[\s,x:-]+/).filter(Boolean).map(part => parseSquare(part, boardSize));
+                entered = { ...entered, squares: [squares[0], ...passed, squares[squares.length - 1]] };
+                candidates = findPDNMoves(this.game, entered);
+            }
+            
+            if (candidates.length === 0) {
+                this.notification.error(`Illegal move: ${text}`, { duration: 2000 });
+                return false;
+            }
+            return this.playPlayerMove(candidates[0]);
+        } catch (error) {
+            this.notification.error(error.message, { duration: 2000 });
+            return false;
+        }
+    }
+    
     executeMove(move) {
         try {
+            // A move made after the flag fell, before the timer noticed, loses on time
+            if (this.clock && this.clock.isFlagged(this.game.currentPlayer)) {
+                this.handleTimeOut(this.game.currentPlayer);
+                return;
+            }
+            
             // Calculate thinking time
             const thinkingTime = this.moveStartTime ? Date.now() - this.moveStartTime : 0;
             
@@ -291,24 +751,23 @@ async initializeGame() {
                 return;
             }
             
-            // Reset timer for the player who just moved
-            if (this.timeControl.enabled) {
-                if (this.game.currentPlayer === PLAYER.BLACK) { // Just moved was white
-                    this.timeControl.whiteTime = 60000; // Reset to 60 seconds
-                } else {
-                    this.timeControl.blackTime = 60000; // Reset to 60 seconds
-                }
-            }
-            
-            // Record move in history
             const lastMoveRecord = this.game.moveHistory[this.game.moveHistory.length - 1];
-            this.history.recordMove(lastMoveRecord);
+            
+            // Stop the mover's clock, adding any increment, and start the opponent's
+            this.clock?.press(lastMoveRecord.player);
+            
+            // Record move in history, with the clocks so undo and redo restore them
+            const node = this.history.recordMove(lastMoveRecord);
+            if (this.clock) {
+                node.move.clock = this.clock.getState();
+            }
+            this.saveGame();
             
             this.updateView();
             
-            // Check for 50-move rule warning
-            if (this.game.getMovesSinceCapture() >= 40) {
-                const movesLeft = 50 - this.game.getMovesSinceCapture();
+            // Warn as a draw rule runs out
+            const { movesLeft } = this.game.getDrawCountdown();
+            if (movesLeft <= 5 && this.game.gameState === GAME_STATE.ONGOING) {
                 this.notification.warning(`Warning: ${movesLeft} moves until automatic draw!`, { duration: 3000 });
             }
             
@@ -338,11 +797,13 @@ async initializeGame() {
         
         try {
             this.aiThinking = true;
+            this.stopAnalysis(); // Restarted on the position after the AI's move
             this.notification.info("Grandmaster AI is analyzing...", { duration: 0 });
             const aiStartTime = Date.now();
             
             const moveHistoryNotations = this.history.getHistory().map(h => h.notation);
-            const aiMove = await this.ai.getMove(this.game, moveHistoryNotations);
+            const limits = this.clock ? this.clock.getSearchLimits(PLAYER.BLACK) : {};
+            const { move: aiMove, resign } = await this.ai.getMove(this.game, moveHistoryNotations, limits);
             
             // Check if game state changed while AI was thinking
             if (!this.gameInProgress || this.game.gameState !== GAME_STATE.ONGOING) {
@@ -351,6 +812,14 @@ async initializeGame() {
                 return;
             }
             
+            if (resign) {
+                this.aiThinking = false;
+                this.notification.closeCurrent();
+                this.game.resign(PLAYER.BLACK);
+                this.handleGameOver();
+                return;
+            }
+            
             const aiThinkingTime = Date.now() - aiStartTime;
             this.notification.closeCurrent();
             
@@ -363,6 +832,7 @@ async initializeGame() {
                 // Execute AI move with a small delay for better UX
                 setTimeout(() => {
                     this.aiThinking = false;
+                    if (this.paused) return; // Searched again on resume
                     this.executeMove(aiMove);
                 }, 300);
             } else {
@@ -373,6 +843,7 @@ async initializeGame() {
             
         } catch (error) {
             this.aiThinking = false;
+            if (this.paused) return; // Pausing stops the search on purpose
             console.error('AI move error:', error);
             this.notification.error('AI encountered an error', { duration: 3000 });
         }
@@ -383,9 +854,17 @@ async initializeGame() {
             this.board.updatePosition(this.game);
             this.board.clearHighlights();
             this.board.clearSelection();
+            this.ui.setNotation(this.settings.get('notation'), this.game.boardSize);
             
             // Update move history with enhanced formatting
-            this.ui.updateMoveHistory(this.history.getHistory(), this.history.getCurrentIndex());
+            this.ui.updateMoveHistory(this.history.getTree(), this.history.getCurrentNode());
+            this.updateExplorer();
+            this.updateAnalysis();
+            
+            // Annotation of the move that led to this position
+            const currentMove = this.history.getCurrentMove();
+            this.board.showAnnotations(currentMove);
+            this.ui.updateAnnotationPanel(currentMove);
             
             // Update game statistics
             const stats = this.game.getGameStatistics();
@@ -399,8 +878,11 @@ async initializeGame() {
             // Note: AI evaluation updates are now handled via worker messages
             
             // Update timers if time control is enabled
-            if (this.timeControl.enabled) {
-                this.ui.updateTimers(this.timeControl.whiteTime, this.timeControl.blackTime);
+            this.syncClock();
+            if (this.clock) {
+                this.ui.updateTimers(this.clock.getRemaining(PLAYER.WHITE), this.clock.getRemaining(PLAYER.BLACK));
+            } else {
+                this.ui.resetTimers();
             }
             
         } catch (error) {
@@ -413,25 +895,15 @@ async initializeGame() {
         
         this.gameTimer = setInterval(() => {
             try {
-                if (this.timeControl.enabled && this.game.gameState === GAME_STATE.ONGOING && 
-                    !this.editMode && this.gameInProgress) {
+                if (this.clock && this.game.gameState === GAME_STATE.ONGOING && 
+                    !this.editMode && !this.paused && this.gameInProgress) {
                     
-                    // Only decrement time for the current player
-                    if (this.game.currentPlayer === PLAYER.WHITE && !this.aiThinking) {
-                        this.timeControl.whiteTime -= 100;
-                        if (this.timeControl.whiteTime <= 0) {
-                            this.timeControl.whiteTime = 0;
-                            this.handleTimeOut(PLAYER.WHITE);
-                        }
-                    } else if (this.game.currentPlayer === PLAYER.BLACK && this.aiThinking) {
-                        this.timeControl.blackTime -= 100;
-                        if (this.timeControl.blackTime <= 0) {
-                            this.timeControl.blackTime = 0;
-                            this.handleTimeOut(PLAYER.BLACK);
-                        }
+                    // Only the clock of the side to move runs
+                    if (this.clock.isFlagged(this.game.currentPlayer)) {
+                        this.handleTimeOut(this.game.currentPlayer);
                     }
                     
-                    this.ui.updateTimers(this.timeControl.whiteTime, this.timeControl.blackTime);
+                    this.ui.updateTimers(this.clock.getRemaining(PLAYER.WHITE), this.clock.getRemaining(PLAYER.BLACK));
                 }
             } catch (error) {
                 console.error('Timer error:', error);
@@ -442,7 +914,7 @@ async initializeGame() {
     handleTimeOut(player) {
         try {
             this.gameInProgress = false;
-            this.game.gameState = player === PLAYER.WHITE ? GAME_STATE.BLACK_WIN : GAME_STATE.WHITE_WIN;
+            this.game.forfeitOnTime(player);
             this.notification.error(`${player === PLAYER.WHITE ? 'White' : 'Black'} ran out of time!`, { duration: 5000 });
             this.handleGameOver();
         } catch (error) {
@@ -450,6 +922,72 @@ async initializeGame() {
         }
     }
     
+    async handleDrawOffer() {
+        if (!this.gameInProgress || this.editMode || this.game.gameState !== GAME_STATE.ONGOING) return;
+        
+        if (this.aiThinking) {
+            this.notification.warning("Please wait for AI to move", { duration: 1500 });
+            return;
+        }
+        
+        // Between two players the opponent answers at the board
+        if (!this.isPlayerVsAI) {
+            const opponent = this.game.currentPlayer === PLAYER.WHITE ? 'Black' : 'White';
+            if (this.ui.confirmAction(`${opponent}, do you accept the draw offer?`)) {
+                this.game.agreeDraw();
+                this.handleGameOver();
+            } else {
+                this.notification.info(`${opponent} declines the draw`, { duration: 2500 });
+            }
+            return;
+        }
+        
+        try {
+            this.aiThinking = true;
+            this.notification.info("AI is considering your draw offer...", { duration: 0 });
+            
+            const moveHistoryNotations = this.history.getHistory().map(h => h.notation);
+            const { accept } = await this.ai.offerDraw(this.game, moveHistoryNotations, PLAYER.BLACK);
+            
+            this.aiThinking = false;
+            this.notification.closeCurrent();
+            if (!this.gameInProgress || this.game.gameState !== GAME_STATE.ONGOING) return;
+            
+            if (accept) {
+                this.game.agreeDraw();
+                this.handleGameOver();
+            } else {
+                this.notification.info("AI declines the draw offer", { duration: 2500 });
+                this.checkIfAITurn();
+            }
+        } catch (error) {
+            this.aiThinking = false;
+            console.error('Draw offer error:', error);
+            this.notification.error('AI could not answer the draw offer', { duration: 3000 });
+        }
+    }
+    
+    handleResign() {
+        if (!this.gameInProgress || this.editMode || this.game.gameState !== GAME_STATE.ONGOING) return;
+        
+        // Against the AI the player always has White
+        const player = this.isPlayerVsAI ? PLAYER.WHITE : this.game.currentPlayer;
+        if (!this.ui.confirmAction(`Resign the game as ${player === PLAYER.WHITE ? 'White' : 'Black'}?`)) return;
+        
+        try {
+            if (this.aiThinking) {
+                this.ai.abortSearch();
+                this.aiThinking = false;
+                this.notification.closeCurrent();
+            }
+            this.game.resign(player);
+            this.handleGameOver();
+        } catch (error) {
+            console.error('Error resigning:', error);
+            this.notification.error('Failed to resign', { duration: 2000 });
+        }
+    }
+    
     handleUndo() {
         if (this.aiThinking) {
             this.notification.warning("Cannot undo while AI is thinking", { duration: 2000 });
@@ -458,14 +996,17 @@ async initializeGame() {
         
         try {
             if (this.history.undo()) {
+                this.restoreHistoryClock();
                 this.updateView();
                 this.notification.info("Move undone", { duration: 1500 });
                 
                 // In player vs AI, we might need to undo AI's move too
                 if (this.isPlayerVsAI && this.game.currentPlayer === PLAYER.BLACK && this.history.canUndo()) {
                     this.history.undo();
+                    this.restoreHistoryClock();
                     this.updateView();
                 }
+                this.saveGame();
             } else {
                 this.notification.warning("Cannot undo: at start of game", { duration: 1500 });
             }
@@ -483,7 +1024,9 @@ async initializeGame() {
         
         try {
             if (this.history.redo()) {
+                this.restoreHistoryClock();
                 this.updateView();
+                this.saveGame();
                 this.notification.info("Move redone", { duration: 1500 });
             } else {
                 this.notification.warning("Cannot redo: no future moves", { duration: 1500 });
@@ -502,7 +1045,15 @@ async initializeGame() {
         
         try {
             historyFunction();
+            // Positions reached by navigating can be played on, e.g. to try a sideline
+            this.gameInProgress = this.game.gameState === GAME_STATE.ONGOING;
+            this.restoreHistoryClock();
+            if (this.gameInProgress) this.startGameTimer();
             this.updateView();
+            this.saveGame();
+
+            // The AI plays on from the position reached, unless it is being analysed
+            if (!this.analysisActive) this.checkIfAITurn();
         } catch (error) {
             console.error('Error during history navigation:', error);
             this.notification.error('Failed to navigate history', { duration: 2000 });
@@ -513,28 +1064,27 @@ async initializeGame() {
         try {
             this.gameInProgress = false;
             clearInterval(this.gameTimer);
+            this.syncClock();
+            this.saveGame();
+            this.archiveGame();
             
             let message = "Game Over!";
+            const termination = this.game.getTermination();
             
-            if (this.game.gameState === GAME_STATE.WHITE_WIN) {
-                message = "White Wins!";
-            } else if (this.game.gameState === GAME_STATE.BLACK_WIN) {
-                message = "Black Wins!";
-            } else if (this.game.gameState === GAME_STATE.DRAW) {
-                // Determine draw reason
-                if (this.game.getMovesSinceCapture() >= 50) {
-                    message = "Draw by 50-move rule!";
-                    this.ui.showDrawReason('fifty-move');
-                } else if (this.game.isDrawByRepetition()) {
-                    message = "Draw by threefold repetition!";
-                    this.ui.showDrawReason('repetition');
-                } else if (this.game.isDrawByMaterial()) {
-                    message = "Draw by insufficient material!";
-                    this.ui.showDrawReason('material');
-                } else {
-                    message = "The game is a draw!";
-                    this.ui.showDrawReason('blockade');
+            if (this.game.gameState === GAME_STATE.WHITE_WIN || this.game.gameState === GAME_STATE.BLACK_WIN) {
+                const whiteWins = this.game.gameState === GAME_STATE.WHITE_WIN;
+                message = whiteWins ? "White Wins!" : "Black Wins!";
+                const loser = whiteWins ? 'Black' : 'White';
+                if (termination === TERMINATION.RESIGNATION) {
+                    message += ` ${loser} resigned.`;
+                } else if (termination === TERMINATION.TIME_FORFEIT) {
+                    message += ` ${loser} lost on time.`;
                 }
+            } else if (this.game.gameState === GAME_STATE.DRAW) {
+                const reason = this.game.getDrawReason();
+                message = termination === TERMINATION.AGREEMENT ? "Draw agreed!" :
+                    DRAW_MESSAGES[reason] || "The game is a draw!";
+                this.ui.showDrawReason(reason);
             }
             
             // Show game statistics
@@ -542,7 +1092,11 @@ async initializeGame() {
             const duration = Math.floor(stats.duration / 1000);
             const totalMoves = stats.totalMoves;
             
-            message += `\n\nGame duration: ${Math.floor(duration / 60)}:${(duration % 60).toString().padStart(2, '0')}`;
+            message += '\n';
+            if (stats.termination) {
+                message += `\nResult: ${getPDNResult(stats.result)} by ${TERMINATION_NAMES[stats.termination]}`;
+            }
+            message += `\nGame duration: ${Math.floor(duration / 60)}:${(duration % 60).toString().padStart(2, '0')}`;
             message += `\nTotal moves: ${totalMoves}`;
             message += `\nWhite captures: ${stats.captures[PLAYER.WHITE]}`;
             message += `\nBlack captures: ${stats.captures[PLAYER.BLACK]}`;
@@ -562,9 +1116,14 @@ async initializeGame() {
         
         try {
             const fen = await this.ui.getFENInput();
-            if (fen && this.game.loadFEN(fen)) {
-                this.history.clear();
+            const previous = this.createSnapshot();
+            // Algebraic squares are read as well, whatever the notation setting
+            if (fen && this.game.loadFEN(toNumericFEN(fen.trim(), this.game.boardSize))) {
+                this.archiveGame(previous);
+                this.gameId = this.createGameId();
+                this.history.clear(this.game.getFEN());
                 this.gameInProgress = true;
+                this.resetClock();
                 this.updateView();
                 this.notification.success("Position loaded from FEN.", { duration: 2000 });
                 this.checkIfAITurn();
@@ -579,13 +1138,381 @@ async initializeGame() {
     
     exportFEN() {
         try {
-            this.ui.showFEN(this.game.getFEN());
+            this.ui.showFEN(formatFEN(this.game.getFEN(), this.settings.get('notation'), this.game.boardSize));
         } catch (error) {
             console.error('Error exporting FEN:', error);
             this.notification.error('Failed to export FEN', { duration: 3000 });
         }
     }
     
+    async importPDN(text) {
+        if (this.aiThinking) {
+            this.notification.warning("Cannot import PDN while AI is thinking", { duration: 2000 });
+            return;
+        }
+        
+        try {
+            const games = parsePDN(text);
+            if (games.length === 0) {
+                throw new Error('No game found in PDN');
+            }
+            
+            // Files with several games open in the database browser
+            if (games.length > 1) {
+                await this.openDatabase(games);
+                return;
+            }
+            
+            await this.loadGame(loadPDNGame(games[0]));
+        } catch (error) {
+            console.error('Error importing PDN:', error);
+            this.notification.error(`Failed to import PDN: ${error.message}`, { duration: 4000 });
+        }
+    }
+    
+    /**
+     * Loads a replayed game with its variations into the history, positioned at its last move
+     * @param {Object} loaded - Game with startFEN, moves, tree and headers, as built by loadPDNGame
+     */
+    async loadGame(loaded) {
+        this.archiveGame();
+        this.gameId = this.createGameId();
+        
+        const variant = loaded.variant || loaded.game.getVariant();
+        if (variant.id !== this.game.getVariant().id) {
+            await this.applyVariant(variant);
+        }
+        
+        this.history.loadTree(loaded.tree, loaded.startFEN);
+        this.history.jumpToEnd();
+        if (loaded.moves.length === 0) {
+            this.game.loadFEN(loaded.startFEN);
+        }
+        
+        this.gameHeaders = { ...loaded.headers };
+        this.gameInProgress = this.game.gameState === GAME_STATE.ONGOING;
+        this.resetClock();
+        this.updateView();
+        
+        const white = loaded.headers.White || 'White';
+        const black = loaded.headers.Black || 'Black';
+        this.notification.success(`Loaded ${white} vs ${black} (${loaded.moves.length} moves)`, { duration: 3000 });
+        this.checkIfAITurn();
+    }
+    
+    async openDatabase(pdnGames) {
+        if (!this.database) {
+            this.database = new GameDatabase(await OpeningBook.getInstance());
+        }
+        
+        const count = this.database.load(pdnGames);
+        const invalid = this.database.getGames().filter(entry => entry.error).length;
+        this.databaseGameIndex = -1;
+        
+        this.ui.resetDatabaseFilters();
+        this.ui.updateDatabaseList(this.database.getGames(), count);
+        this.ui.showDatabase();
+        
+        const message = invalid > 0 ?
+            `Loaded ${count} games (${invalid} could not be replayed)` :
+            `Loaded ${count} games`;
+        this.notification.success(message, { duration: 3000 });
+    }
+    
+    filterDatabase(criteria) {
+        if (!this.database) return;
+        
+        try {
+            const entries = this.database.filter(criteria);
+            this.ui.updateDatabaseList(entries, this.database.getGames().length, this.databaseGameIndex);
+        } catch (error) {
+            this.notification.error(error.message, { duration: 3000 });
+        }
+    }
+    
+    async loadDatabaseGame(index) {
+        if (this.aiThinking) {
+            this.notification.warning("Cannot load a game while AI is thinking", { duration: 2000 });
+            return;
+        }
+        
+        const entry = this.database?.getGame(index);
+        if (!entry || entry.error) return;
+        
+        this.databaseGameIndex = index;
+        await this.loadGame(entry);
+        this.filterDatabase(this.ui.getDatabaseFilters());
+    }
+    
+    // Opening Book Methods
+    
+    // A book edited in this browser replaces the bundled one, for the page and the AI
+    async loadStoredBook() {
+        const stored = loadStoredBook();
+        if (!stored) return;
+        
+        (await OpeningBook.getInstance()).setBookData(stored);
+        await this.ai.setOpeningBook(stored);
+    }
+    
+    async showBookEditor() {
+        if (!this.bookEditor) {
+            this.bookEditor = new BookEditor((await OpeningBook.getInstance()).bookData);
+        }
+        this.ui.updateBookLines(this.bookEditor.getLines(), this.bookEditor.categories);
+        this.ui.showBook();
+    }
+    
+    /**
+     * Applies an edit to the book, then stores the book and hands it to the AI
+     * @param {Function} edit - Changes this.bookEditor; returns the line to select, if any
+     * @returns {boolean} True if the edit succeeded
+     */
+    editBook(edit) {
+        let selected;
+        try {
+            selected = edit();
+        } catch (error) {
+            this.notification.error(error.message, { duration: 3000 });
+            return false;
+        }
+        
+        const bookData = this.bookEditor.toJSON();
+        saveStoredBook(bookData);
+        OpeningBook.getInstance().then(book => {
+            book.setBookData(bookData);
+            this.updateExplorer();
+        });
+        this.ai.setOpeningBook(bookData);
+        
+        this.ui.updateBookLines(this.bookEditor.getLines(), this.bookEditor.categories, selected?.moves);
+        return true;
+    }
+    
+    // Move records from the start up to the current position
+    getMovesPlayed() {
+        return this.history.getHistory().slice(0, this.history.getCurrentIndex() + 1);
+    }
+    
+    // The opening book covers international draughts from the initial position
+    isBookGame() {
+        return this.game.getVariant().id === DEFAULT_VARIANT.id && !this.history.getStartFEN();
+    }
+    
+    /**
+     * Shows the opening played so far and the book moves of the current position. Book
+     * moves are found by position, so they show after transpositions and in games started
+     * from a FEN; the opening is named after the moves from the initial position.
+     */
+    async updateExplorer() {
+        if (this.game.getVariant().id !== DEFAULT_VARIANT.id) {
+            this.ui.updateExplorer(null, null, []);
+            return;
+        }
+        
+        try {
+            const book = await OpeningBook.getInstance();
+            const moves = this.isBookGame() ? this.getMovesPlayed().map(record => record.notation) : [];
+            const continuations = book.getContinuations({ pieces: this.game.pieces, currentPlayer: this.game.currentPlayer });
+            this.ui.updateExplorer(book.getOpeningName(moves), book.getEvaluation(moves), continuations);
+        } catch (error) {
+            console.error('Error updating opening explorer:', error);
+        }
+    }
+    
+    toggleAnalysis() {
+        this.analysisActive = !this.analysisActive;
+        this.ui.setAnalysisActive(this.analysisActive);
+        if (this.analysisActive) {
+            this.updateAnalysis();
+        } else {
+            this.stopAnalysis();
+            this.checkIfAITurn();
+        }
+    }
+    
+    // Restarts the analysis when the position changed; the AI's own search comes first
+    updateAnalysis() {
+        if (!this.analysisActive || this.aiThinking) return;
+        
+        if (this.editMode || this.game.gameState !== GAME_STATE.ONGOING) {
+            if (this.analyzedPosition !== null) this.ui.clearAnalysis();
+            this.stopAnalysis();
+            return;
+        }
+        
+        const key = `${this.game.getFEN()} ${this.analysisLineCount}`;
+        if (key === this.analyzedPosition) return;
+        this.analyzedPosition = key;
+        this.ui.clearAnalysis();
+        this.ai.analyze(this.game, this.analysisLineCount).catch(error => {
+            console.error('Error starting analysis:', error);
+        });
+    }
+    
+    stopAnalysis() {
+        this.analyzedPosition = null;
+        this.ai.stopAnalysis();
+    }
+    
+    // Adds the moves up to the current position as a book line
+    addBookLine(fields) {
+        if (!this.isBookGame()) {
+            this.notification.warning("The opening book holds international draughts games from the initial position", { duration: 3000 });
+            return;
+        }
+        
+        const moves = this.getMovesPlayed();
+        if (this.editBook(() => this.bookEditor.addLine(moves, fields))) {
+            this.notification.success(`Book line added (${moves.length} moves)`, { duration: 2000 });
+        }
+    }
+    
+    removeBookLine(moves) {
+        if (!this.ui.confirmAction(`Remove the book line ${moves.map(move => this.formatMove(move)).join(' ')}?`)) return;
+        this.editBook(() => { this.bookEditor.removeLine(moves); });
+    }
+    
+    mergeBook(text) {
+        let count = 0;
+        const merged = this.editBook(() => {
+            count = this.bookEditor.merge(JSON.parse(text));
+        });
+        if (merged) {
+            this.notification.success(`Merged ${count} book lines`, { duration: 2000 });
+        }
+    }
+    
+    // Adds the most played moves of a PDN collection, with their statistics
+    buildBook(text) {
+        let built = null;
+        const merged = this.editBook(() => {
+            built = buildBookFromGames(text);
+            if (built.games === 0) {
+                throw new Error('No international draughts games from the initial position found');
+            }
+            this.bookEditor.merge(built.book.toJSON());
+        });
+        if (!merged) return;
+        
+        const lines = built.book.getLines().length;
+        const message = built.skipped > 0 ?
+            `Built ${lines} book lines from ${built.games} games (${built.skipped} skipped)` :
+            `Built ${lines} book lines from ${built.games} games`;
+        this.notification.success(message, { duration: 3000 });
+    }
+    
+    exportBook() {
+        if (!this.bookEditor) return;
+        this.ui.downloadFile('openings.json', JSON.stringify(this.bookEditor.toJSON(), null, 2), 'application/json');
+    }
+    
+    // Discards the edited book and goes back to data/openings.json
+    async resetBook() {
+        if (!this.ui.confirmAction('Discard your changes to the opening book and use the bundled book?')) return;
+        
+        clearStoredBook();
+        const openingBook = await OpeningBook.getInstance();
+        await openingBook.initialize();
+        await this.ai.setOpeningBook(openingBook.bookData);
+        
+        this.bookEditor = new BookEditor(openingBook.bookData);
+        this.ui.updateBookLines(this.bookEditor.getLines(), this.bookEditor.categories);
+        this.updateExplorer();
+        this.notification.info('Using the bundled opening book', { duration: 2000 });
+    }
+    
+    exportPDN() {
+        try {
+            // The main line is the game, with every sideline as a variation; its result
+            // is known when the game was played to its end
+            const current = this.history.getCurrentNode();
+            const atEnd = current.children.length === 0 && this.history.isMainLine(current);
+            
+            const pdn = generatePDN(this.history.getTree(), {
+                variant: this.game.getVariant(),
+                startFEN: this.history.getStartFEN(),
+                result: atEnd ? getPDNResult(this.game.gameState) : undefined,
+                notation: this.settings.get('notation'),
+                headers: {
+                    Event: 'Hectic Draughts',
+                    White: 'Player',
+                    Black: this.isPlayerVsAI ? 'Hectic AI' : 'Player',
+                    ...this.gameHeaders
+                }
+            });
+            
+            this.ui.downloadFile(`draughts-game-${Date.now()}.pdn`, pdn);
+            this.notification.success("Game exported as PDN.", { duration: 2000 });
+        } catch (error) {
+            console.error('Error exporting PDN:', error);
+            this.notification.error('Failed to export PDN', { duration: 3000 });
+        }
+    }
+    
+    // Annotation Methods
+    annotateGlyph(glyph) {
+        const move = this.history.getCurrentMove();
+        if (!move) return;
+        
+        // Clicking the active glyph again removes it
+        if (move.glyph === glyph) {
+            delete move.glyph;
+        } else {
+            move.glyph = glyph;
+        }
+        this.updateView();
+        this.saveGame();
+    }
+    
+    annotateComment(comment) {
+        const move = this.history.getCurrentMove();
+        if (!move) return;
+        
+        const text = comment.trim();
+        if (text) {
+            move.comment = text;
+        } else {
+            delete move.comment;
+        }
+        this.updateView();
+        this.saveGame();
+    }
+    
+    // Same square toggles a highlight, two squares toggle an arrow
+    toggleDrawing({ from, to }) {
+        const move = this.history.getCurrentMove();
+        if (!move) {
+            this.notification.info("Play or select a move to annotate", { duration: 1500 });
+            return;
+        }
+        
+        if (from === to) {
+            const highlights = move.highlights || [];
+            move.highlights = highlights.includes(from) ?
+                highlights.filter(square => square !== from) :
+                [...highlights, from];
+        } else {
+            const arrows = move.arrows || [];
+            const exists = arrows.some(arrow => arrow.from === from && arrow.to === to);
+            move.arrows = exists ?
+                arrows.filter(arrow => arrow.from !== from || arrow.to !== to) :
+                [...arrows, { from, to }];
+        }
+        this.board.showAnnotations(move);
+        this.saveGame();
+    }
+    
+    clearDrawings() {
+        const move = this.history.getCurrentMove();
+        if (!move) return;
+        
+        delete move.arrows;
+        delete move.highlights;
+        this.board.showAnnotations(move);
+        this.saveGame();
+    }
+    
     // Edit Mode Methods
     setupEditMode() {
         const editPanel = document.getElementById('edit-panel');
@@ -604,8 +1531,8 @@ async initializeGame() {
         // Clear board button
         document.getElementById('clear-board')?.addEventListener('click', () => {
             try {
-                for (let r = 0; r < BOARD_SIZE; r++) {
-                    for (let c = 0; c < BOARD_SIZE; c++) {
+                for (let r = 0; r < this.game.boardSize; r++) {
+                    for (let c = 0; c < this.game.boardSize; c++) {
                         this.game.setPiece(r, c, PIECE.NONE);
                     }
                 }
@@ -640,21 +1567,13 @@ async initializeGame() {
                 this.toggleEditMode(false);
                 this.game.gameMode = GAME_MODE.NORMAL;
                 this.game.updateGameState();
-                this.history.clear();
                 this.gameInProgress = true;
                 
-                // Generate initial FEN and add to history
-                const initialFEN = this.game.getFEN();
-                this.history.recordMove({
-                    notation: 'Start',
-                    fen: initialFEN,
-                    from: null,
-                    to: null,
-                    piece: null,
-                    captures: [],
-                    player: this.game.currentPlayer,
-                    moveNumber: 0
-                });
+                // The edited position becomes the start of the game's history
+                this.history.clear(this.game.getFEN());
+                this.gameId = this.createGameId();
+                this.resetClock();
+                this.updateView();
                 
                 this.notification.success('Game started from custom position!', { duration: 3000 });
                 this.checkIfAITurn();
@@ -679,6 +1598,7 @@ async initializeGame() {
                     this.aiThinking = false;
                     this.notification.closeCurrent();
                 }
+                this.archiveGame();
                 
                 // Enter edit mode
                 this.board.setEditMode(true);
@@ -690,6 +1610,7 @@ async initializeGame() {
                 
                 // Stop game timer in edit mode
                 clearInterval(this.gameTimer);
+                this.syncClock();
             } else {
                 // Exit edit mode
                 this.board.setEditMode(false);
@@ -699,6 +1620,7 @@ async initializeGame() {
                 
                 // Restart game timer
                 this.startGameTimer();
+                this.syncClock();
             }
         } catch (error) {
             console.error('Error toggling edit mode:', error);
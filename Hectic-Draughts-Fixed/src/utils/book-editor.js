@@ -0,0 +1,440 @@
+/**
+ * Opening Book Editor
+ * - Edits books in the data/openings.json format: lines are added from a game's moves,
+ *   named, categorised, evaluated and removed, and other books are merged in
+ * - Builds a weighted book from PDN games, keeping how often each move was played
+ *   and how the games went on from it
+ * - Books are written with every variation repeating its parent line in full and with
+ *   numeric evaluations, as OpeningBook and the AI book read them
+ * @author codewithheck
+ */
+
+import { Game } from '../engine/game.js';
+import { DEFAULT_VARIANT } from '../engine/variants.js';
+import { getInitialFEN, loadPDNGame, parsePDN, PDN_RESULT } from './pdn.js';
+
+const BOOK_VERSION = '1.1.0';
+
+// Line fields edited in the book; others found in a loaded book are kept as they are
+export const LINE_FIELDS = ['name', 'description', 'category', 'evaluation'];
+
+const STORED_BOOK_KEY = 'draughts-opening-book';
+
+/**
+ * Gets the score of a move's games
+ * @param {Object} stats - Move statistics ({games, whiteWins, draws, blackWins})
+ * @returns {number|null} White's share of the points in the finished games, 0 to 1,
+ *   or null if none finished
+ */
+export function getWhiteScore(stats) {
+    const finished = stats ? stats.whiteWins + stats.draws + stats.blackWins : 0;
+    if (finished === 0) return null;
+    return (stats.whiteWins + stats.draws / 2) / finished;
+}
+
+// Move notations of a book line, stored as a string or as move objects
+function getLineMoves(node) {
+    const moves = node.moves;
+    if (!moves) return [];
+    if (Array.isArray(moves)) {
+        return moves.map(move => typeof move === 'string' ? { notation: move } : move)
+            .filter(move => move.notation);
+    }
+    return moves.split(' ').filter(move => move.trim()).map(notation => ({ notation }));
+}
+
+// Move of a written line: board indexes of the first and last square, as in
+// data/openings.json, and the move's statistics
+function toBookMove(node) {
+    const squares = node.notation.split(/[-x]/).map(n => parseInt(n, 10));
+    return {
+        from: squares[0] - 1,
+        to: squares[squares.length - 1] - 1,
+        notation: node.notation,
+        ...(node.stats || {})
+    };
+}
+
+function addStats(stats, more) {
+    return {
+        games: (stats?.games || 0) + (more.games || 0),
+        whiteWins: (stats?.whiteWins || 0) + (more.whiteWins || 0),
+        draws: (stats?.draws || 0) + (more.draws || 0),
+        blackWins: (stats?.blackWins || 0) + (more.blackWins || 0)
+    };
+}
+
+function createNode(notation, parent) {
+    return { notation, parent, children: [], stats: null, line: null };
+}
+
+/**
+ * Opening book held as a tree of moves. A node marked with line fields ends a
+ * book line; the book's openings and variations are rebuilt from those marks.
+ */
+export class BookEditor {
+    /**
+     * @param {Object} [bookData] - Book in the data/openings.json format
+     */
+    constructor(bookData = { openings: [] }) {
+        this.root = createNode(null, null);
+        this.version = bookData.version || BOOK_VERSION;
+        this.author = bookData.author || '';
+        this.metadata = { ...(bookData.metadata || {}) };
+        this.categories = { ...(bookData.categories || {}) };
+        this.merge(bookData);
+    }
+
+    /**
+     * Finds the node a sequence of moves leads to
+     * @param {string[]} notations - Moves from the initial position
+     * @param {boolean} [create] - Add the moves missing from the tree
+     * @param {Object} [from] - Node the moves are played from
+     * @returns {Object|null} Node, or null if the moves are not in the tree
+     */
+    findNode(notations, create = false, from = this.root) {
+        let node = from;
+        for (const notation of notations) {
+            let child = node.children.find(c => c.notation === notation);
+            if (!child) {
+                if (!create) return null;
+                child = createNode(notation, node);
+                node.children.push(child);
+            }
+            node = child;
+        }
+        return node;
+    }
+
+    getPath(node) {
+        const notations = [];
+        for (let n = node; n.parent; n = n.parent) {
+            notations.unshift(n.notation);
+        }
+        return notations;
+    }
+
+    /**
+     * Adds a line to the book, or updates the fields of a line already in it
+     * @param {Array} moves - Move notations, or move records of a game
+     * @param {Object} [fields] - Line fields, see LINE_FIELDS
+     * @returns {Object} Line, see getLines
+     * @throws {Error} If there are no moves or the evaluation is not a number
+     */
+    addLine(moves, fields = {}) {
+        const notations = moves.map(move => typeof move === 'string' ? move : move.notation);
+        if (notations.length === 0) {
+            throw new Error('A book line needs at least one move');
+        }
+
+        const values = this.validateFields(fields);
+        const node = this.findNode(notations, true);
+        node.line = { ...(node.line || {}) };
+        this.setFields(node, values);
+        return this.describe(node);
+    }
+
+    /**
+     * Sets the fields of a book line
+     * @param {string[]} notations - Moves of the line
+     * @param {Object} fields - Line fields, see LINE_FIELDS; empty values clear them
+     * @returns {Object} Line, see getLines
+     * @throws {Error} If the line is not in the book or the evaluation is not a number
+     */
+    updateLine(notations, fields) {
+        const node = this.findNode(notations);
+        if (!node || !node.line) {
+            throw new Error(`Not a book line: ${notations.join(' ')}`);
+        }
+        this.setFields(node, this.validateFields(fields));
+        return this.describe(node);
+    }
+
+    /**
+     * Checks line fields before they are set
+     * @param {Object} fields - Line fields, see LINE_FIELDS
+     * @returns {Object} Fields given, trimmed, with the evaluation as a number and
+     *   null for the ones to clear
+     * @throws {Error} If the evaluation is not a number
+     */
+    validateFields(fields) {
+        const values = {};
+        for (const field of LINE_FIELDS) {
+            if (!(field in fields)) continue;
+
+            let value = fields[field];
+            if (typeof value === 'string') value = value.trim();
+            if (value === '' || value === undefined) value = null;
+
+            if (field === 'evaluation' && value !== null) {
+                value = Number(value);
+                if (!Number.isFinite(value)) {
+                    throw new Error(`Invalid evaluation: ${fields[field]}`);
+                }
+            }
+            values[field] = value;
+        }
+        return values;
+    }
+
+    setFields(node, values) {
+        for (const [field, value] of Object.entries(values)) {
+            if (value === null) {
+                delete node.line[field];
+            } else {
+                node.line[field] = value;
+            }
+        }
+
+        if (node.line.category && !(node.line.category in this.categories)) {
+            this.categories[node.line.category] = '';
+        }
+    }
+
+    /**
+     * Removes a line from the book. Its variations stay, and moves only the line
+     * used leave the tree.
+     * @param {string[]} notations - Moves of the line
+     * @returns {boolean} True if the line was in the book
+     */
+    removeLine(notations) {
+        const node = this.findNode(notations);
+        if (!node || !node.line) return false;
+
+        node.line = null;
+        this.prune(node);
+        return true;
+    }
+
+    // Drops a node and its ancestors while no book line runs through them
+    prune(node) {
+        while (node.parent && !node.line && node.children.length === 0) {
+            const parent = node.parent;
+            parent.children = parent.children.filter(child => child !== node);
+            node = parent;
+        }
+    }
+
+    /**
+     * Merges a book into this one. Lines already in the book keep their fields and
+     * take the missing ones; move statistics of both books add up.
+     * @param {Object} bookData - Book in the data/openings.json format
+     * @returns {number} Number of lines merged
+     */
+    merge(bookData) {
+        const merged = new Set(); // Nodes given their statistics from this book
+        let count = 0;
+
+        // Variations either continue their parent line or repeat it up to where they branch off
+        const addNode = (bookNode, startPath, parentMoves) => {
+            const lineMoves = getLineMoves(bookNode);
+            const repeatsParent = parentMoves.length > 0 && lineMoves[0]?.notation === parentMoves[0].notation;
+            const start = repeatsParent ? startPath : [...startPath, ...parentMoves.map(move => move.notation)];
+
+            if (lineMoves.length > 0) {
+                let node = this.findNode(start, true);
+                for (const move of lineMoves) {
+                    node = this.findNode([move.notation], true, node);
+                    // Lines repeat the moves they share, with the same statistics
+                    if (move.games > 0 && !merged.has(node)) {
+                        merged.add(node);
+                        node.stats = addStats(node.stats, move);
+                    }
+                }
+
+                const { moves, variations, subvariations, engineEval, ...fields } = bookNode;
+                if (typeof fields.evaluation !== 'number' && engineEval) {
+                    fields.evaluation = parseFloat(String(engineEval).replace(/[^-+0-9.]/g, '')) || 0;
+                }
+                node.line = { ...fields, ...(node.line || {}) };
+                count++;
+            }
+
+            for (const variation of [...(bookNode.variations || []), ...(bookNode.subvariations || [])]) {
+                addNode(variation, start, lineMoves);
+            }
+        };
+
+        (bookData.openings || []).forEach(opening => addNode(opening, [], []));
+        for (const [name, description] of Object.entries(bookData.categories || {})) {
+            if (!this.categories[name]) this.categories[name] = description;
+        }
+        return count;
+    }
+
+    /**
+     * Adds or describes a category
+     * @param {string} name - Category, e.g. "Classical/Attacking"
+     * @param {string} [description] - What the category's openings have in common
+     */
+    setCategory(name, description = '') {
+        this.categories[name] = description;
+    }
+
+    /**
+     * Counts a game in the statistics of its first moves
+     * @param {string[]} notations - Moves of the game from the initial position
+     * @param {string} result - PDN result token
+     * @param {number} [maxPlies] - Moves counted
+     */
+    addGame(notations, result, maxPlies = notations.length) {
+        const score = {
+            games: 1,
+            whiteWins: result === PDN_RESULT.WHITE_WIN ? 1 : 0,
+            draws: result === PDN_RESULT.DRAW ? 1 : 0,
+            blackWins: result === PDN_RESULT.BLACK_WIN ? 1 : 0
+        };
+
+        let node = this.root;
+        for (const notation of notations.slice(0, maxPlies)) {
+            node = this.findNode([notation], true, node);
+            node.stats = addStats(node.stats, score);
+        }
+    }
+
+    /**
+     * Turns the counted games into book lines: moves played in fewer games are
+     * dropped, and a line ends wherever the remaining moves branch or stop
+     * @param {number} minGames - Games a move needs to stay in the book
+     */
+    markLines(minGames) {
+        const visit = (node) => {
+            node.children = node.children.filter(child => (child.stats?.games || 0) >= minGames);
+            node.children.forEach(visit);
+            if (node.parent && node.children.length !== 1 && !node.line) {
+                node.line = {};
+            }
+        };
+        visit(this.root);
+    }
+
+    // Line as shown in the editor
+    describe(node) {
+        let depth = 0;
+        for (let n = node.parent; n; n = n.parent) {
+            if (n.line) depth++;
+        }
+        return { ...node.line, moves: this.getPath(node), stats: node.stats, depth };
+    }
+
+    /**
+     * Gets the book lines, each followed by its variations
+     * @returns {Array} Lines with their fields, moves (notations), the statistics of
+     *   their last move and depth (the number of lines they are a variation of)
+     */
+    getLines() {
+        const lines = [];
+        const visit = (node) => {
+            if (node.line) lines.push(this.describe(node));
+            node.children.forEach(visit);
+        };
+        visit(this.root);
+        return lines;
+    }
+
+    /**
+     * Writes the book in the data/openings.json format
+     * @returns {Object} Book data
+     */
+    toJSON() {
+        const openings = [];
+        let lineCount = 0;
+
+        // Lines further down the tree are variations of the nearest line above them
+        const visit = (node, path, container) => {
+            if (!node.line) {
+                node.children.forEach(child => visit(child, [...path, child], container));
+                return;
+            }
+
+            const line = { ...node.line, moves: path.map(toBookMove), variations: [] };
+            container.push(line);
+            lineCount++;
+            node.children.forEach(child => visit(child, [...path, child], line.variations));
+            if (line.variations.length === 0) delete line.variations;
+        };
+        this.root.children.forEach(child => visit(child, [child], openings));
+
+        return {
+            version: this.version,
+            lastUpdated: new Date().toISOString().slice(0, 19).replace('T', ' '),
+            author: this.author,
+            openings,
+            categories: { ...this.categories },
+            metadata: {
+                ...this.metadata,
+                total_openings: openings.length,
+                total_variations: lineCount - openings.length
+            }
+        };
+    }
+}
+
+/**
+ * Builds a book from the first moves of PDN games. Only international draughts games
+ * from the initial position count; the others are skipped.
+ * @param {string|Array} source - PDN text or games as returned by parsePDN
+ * @param {Object} [options]
+ * @param {number} [options.maxPlies] - Moves of each game taken into the book
+ * @param {number} [options.minGames] - Games a move needs to be kept
+ * @returns {Object} Book editor with the lines, games counted and games skipped ({book, games, skipped})
+ */
+export function buildBookFromGames(source, { maxPlies = 20, minGames = 2 } = {}) {
+    const pdnGames = typeof source === 'string' ? parsePDN(source) : source;
+    const book = new BookEditor();
+    const initialFEN = getInitialFEN(DEFAULT_VARIANT);
+    let games = 0;
+    let skipped = 0;
+
+    for (const pdnGame of pdnGames) {
+        try {
+            // Only the moves going into the book are replayed
+            const loaded = loadPDNGame({ ...pdnGame, moves: pdnGame.moves.slice(0, maxPlies) }, new Game());
+            if (loaded.game.getVariant().id !== DEFAULT_VARIANT.id || loaded.startFEN !== initialFEN) {
+                skipped++;
+                continue;
+            }
+            book.addGame(loaded.moves.map(record => record.notation), pdnGame.headers.Result || pdnGame.result, maxPlies);
+            games++;
+        } catch (error) {
+            skipped++;
+        }
+    }
+
+    book.markLines(minGames);
+    return { book, games, skipped };
+}
+
+/**
+ * Saves an edited book, which then replaces data/openings.json in this browser
+ * @param {Object} bookData - Book data
+ */
+export function saveStoredBook(bookData) {
+    try {
+        localStorage.setItem(STORED_BOOK_KEY, JSON.stringify(bookData));
+    } catch (error) {
+        console.error('Failed to save opening book:', error);
+    }
+}
+
+/**
+ * Loads the edited book
+ * @returns {Object|null} Book data, or null if the bundled book is used
+ */
+export function loadStoredBook() {
+    try {
+        const stored = localStorage.getItem(STORED_BOOK_KEY);
+        return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+        console.error('Failed to load opening book:', error);
+        return null;
+    }
+}
+
+export function clearStoredBook() {
+    try {
+        localStorage.removeItem(STORED_BOOK_KEY);
+    } catch (error) {
+        console.error('Failed to clear opening book:', error);
+    }
+}
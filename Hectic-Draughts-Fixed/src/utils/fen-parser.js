@@ -1,17 +1,19 @@
 /**
  * FEN (Forsyth–Edwards Notation) Parser for International Draughts
+ * - Square numbers follow the board size: 1-50 on 10x10, 1-32 on 8x8
  * @author codewithheck
  * Created: 2025-06-16 20:40:12 UTC
  */
 
-import { PIECE, PLAYER, BOARD_SIZE, SQUARE_NUMBERS } from '../engine/constants.js';
+import { PIECE, PLAYER, BOARD_SIZE, getSquareNumbers } from '../engine/constants.js';
 
 /**
  * Validates a FEN string
  * @param {string} fen - FEN string to validate
+ * @param {number} [boardSize] - Squares along each side of the board
  * @returns {boolean}
  */
-export function validateFEN(fen) {
+export function validateFEN(fen, boardSize = BOARD_SIZE) {
     // Basic format check
     if (!/^[WB]:[WB][\d,K]*:[WB][\d,K]*$/.test(fen)) {
         return false;
@@ -25,7 +27,7 @@ export function validateFEN(fen) {
     }
 
     // Validate piece sections
-    if (!validatePieceSection(white, 'W') || !validatePieceSection(black, 'B')) {
+    if (!validatePieceSection(white, 'W', boardSize) || !validatePieceSection(black, 'B', boardSize)) {
         return false;
     }
 
@@ -43,9 +45,10 @@ export function validateFEN(fen) {
  * Validates a piece section of FEN string
  * @param {string} section - Piece section to validate
  * @param {string} color - Expected color (W or B)
+ * @param {number} boardSize - Squares along each side of the board
  * @returns {boolean}
  */
-function validatePieceSection(section, color) {
+function validatePieceSection(section, color, boardSize) {
     if (!section.startsWith(color)) {
         return false;
     }
@@ -56,7 +59,7 @@ function validatePieceSection(section, color) {
     }
 
     const pieces = section.substring(1).split(',');
-    const validSquares = new Set(SQUARE_NUMBERS.filter(n => n !== 0));
+    const validSquares = new Set(getSquareNumbers(boardSize).filter(n => n !== 0));
 
     for (const piece of pieces) {
         if (!piece) continue;
@@ -116,10 +119,11 @@ function hasOverlappingSquares(set1, set2) {
 /**
  * Parses a FEN string into a board position (with robust error handling)
  * @param {string} fen - FEN string to parse
+ * @param {number} [boardSize] - Squares along each side of the board
  * @returns {Object} Position object
  * @throws {Error} If FEN is invalid or malformed
  */
-export function parseFEN(fen) {
+export function parseFEN(fen, boardSize = BOARD_SIZE) {
     if (typeof fen !== 'string' || !fen.trim()) {
         throw new Error('FEN must be a non-empty string');
     }
@@ -134,23 +138,23 @@ export function parseFEN(fen) {
         throw new Error('Current player must be "W" or "B"');
     }
 
-    if (!validateFEN(fen)) {
+    if (!validateFEN(fen, boardSize)) {
         throw new Error('Invalid FEN string');
     }
 
     const position = {
-        pieces: Array(BOARD_SIZE).fill(null).map(() => Array(BOARD_SIZE).fill(PIECE.NONE)),
+        pieces: Array(boardSize).fill(null).map(() => Array(boardSize).fill(PIECE.NONE)),
         currentPlayer: player === 'W' ? PLAYER.WHITE : PLAYER.BLACK
     };
 
     try {
         // Place white pieces
         if (white.length > 1) {
-            placePieces(position.pieces, white.substring(1), true);
+            placePieces(position.pieces, white.substring(1), true, boardSize);
         }
         // Place black pieces
         if (black.length > 1) {
-            placePieces(position.pieces, black.substring(1), false);
+            placePieces(position.pieces, black.substring(1), false, boardSize);
         }
     } catch (e) {
         throw new Error('Error while placing pieces from FEN: ' + e.message);
@@ -164,14 +168,15 @@ export function parseFEN(fen) {
  * @param {Array<Array<number>>} board - Board array
  * @param {string} section - Piece section
  * @param {boolean} isWhite - Whether pieces are white
+ * @param {number} boardSize - Squares along each side of the board
  */
-function placePieces(board, section, isWhite) {
+function placePieces(board, section, isWhite, boardSize) {
     section.split(',').forEach(piece => {
         if (!piece) return;
 
         const isKing = piece.endsWith('K');
         const number = parseInt(isKing ? piece.slice(0, -1) : piece);
-        const position = getPositionFromNumber(number);
+        const position = getPositionFromNumber(number, boardSize);
 
         board[position.row][position.col] = isWhite ?
             (isKing ? PIECE.WHITE_KING : PIECE.WHITE) :
@@ -182,12 +187,14 @@ function placePieces(board, section, isWhite) {
 /**
  * Gets board position from square number
  * @param {number} number - Square number
+ * @param {number} [boardSize] - Squares along each side of the board
  * @returns {Object} Position object
  */
-function getPositionFromNumber(number) {
-    for (let row = 0; row < BOARD_SIZE; row++) {
-        for (let col = 0; col < BOARD_SIZE; col++) {
-            if (SQUARE_NUMBERS[row * BOARD_SIZE + col] === number) {
+export function getPositionFromNumber(number, boardSize = BOARD_SIZE) {
+    const numbers = getSquareNumbers(boardSize);
+    for (let row = 0; row < boardSize; row++) {
+        for (let col = 0; col < boardSize; col++) {
+            if (numbers[row * boardSize + col] === number) {
                 return { row, col };
             }
         }
@@ -197,16 +204,18 @@ function getPositionFromNumber(number) {
 
 /**
  * Generates a FEN string from a board position
- * @param {Object} position - Position object
+ * @param {Object} position - Position object; the board size is that of its pieces array
  * @returns {string} FEN string
  */
 export function generateFEN(position) {
+    const boardSize = position.pieces.length;
+    const numbers = getSquareNumbers(boardSize);
     let white = ['W'];
     let black = ['B'];
 
-    for (let row = 0; row < BOARD_SIZE; row++) {
-        for (let col = 0; col < BOARD_SIZE; col++) {
-            const squareNum = SQUARE_NUMBERS[row * BOARD_SIZE + col];
+    for (let row = 0; row < boardSize; row++) {
+        for (let col = 0; col < boardSize; col++) {
+            const squareNum = numbers[row * boardSize + col];
             if (squareNum === 0) continue;
 
             const piece = position.pieces[row][col];
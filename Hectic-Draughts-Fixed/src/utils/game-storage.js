@@ -0,0 +1,133 @@
+/**
+ * Game persistence
+ * - The game being played is kept in localStorage after every move, so it survives a reload
+ * - Finished and replaced games go to a "recent games" list in IndexedDB
+ * - Both hold plain snapshots built by the game controller (history tree, rules, clocks, AI level)
+ * @author codewithheck
+ */
+
+const CURRENT_GAME_KEY = 'draughts-current-game';
+
+const DB_NAME = 'hectic-draughts';
+const DB_VERSION = 1;
+const RECENT_STORE = 'recent-games';
+
+// Recent games kept; older ones are dropped as new ones are added
+const MAX_RECENT_GAMES = 30;
+
+/**
+ * Saves the game being played
+ * @param {Object} snapshot - Game snapshot
+ */
+export function saveCurrentGame(snapshot) {
+    try {
+        localStorage.setItem(CURRENT_GAME_KEY, JSON.stringify(snapshot));
+    } catch (error) {
+        console.error('Failed to save game:', error);
+    }
+}
+
+/**
+ * Loads the game that was being played before the page was closed
+ * @returns {Object|null} Game snapshot, or null if there is none
+ */
+export function loadCurrentGame() {
+    try {
+        const stored = localStorage.getItem(CURRENT_GAME_KEY);
+        return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+        console.error('Failed to load saved game:', error);
+        return null;
+    }
+}
+
+export function clearCurrentGame() {
+    try {
+        localStorage.removeItem(CURRENT_GAME_KEY);
+    } catch (error) {
+        console.error('Failed to clear saved game:', error);
+    }
+}
+
+// Wraps an IndexedDB request in a promise
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Recent games in IndexedDB, newest first
+ */
+export class RecentGames {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Opens the database, creating the store on first use
+     * @returns {Promise<IDBDatabase>}
+     * @throws {Error} If IndexedDB is not available
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(RECENT_STORE, { keyPath: 'id' });
+            store.createIndex('savedAt', 'savedAt');
+        };
+        this.dbPromise = promisify(request);
+        this.dbPromise.catch(() => { this.dbPromise = null; });
+        return this.dbPromise;
+    }
+
+    async store(mode) {
+        const db = await this.open();
+        return db.transaction(RECENT_STORE, mode).objectStore(RECENT_STORE);
+    }
+
+    /**
+     * Stores a game, replacing an earlier copy with the same id, and drops the
+     * oldest games beyond the limit
+     * @param {Object} snapshot - Game snapshot with its id and savedAt
+     * @returns {Promise<string>} Id of the stored game
+     */
+    async save(snapshot) {
+        const id = await promisify((await this.store('readwrite')).put(snapshot));
+
+        const games = await this.list();
+        for (const old of games.slice(MAX_RECENT_GAMES)) {
+            await this.remove(old.id);
+        }
+        return id;
+    }
+
+    /**
+     * Lists the recent games
+     * @returns {Promise<Array>} Snapshots, newest first
+     */
+    async list() {
+        const store = await this.store('readonly');
+        const games = await promisify(store.index('savedAt').getAll());
+        return games.reverse();
+    }
+
+    /**
+     * Gets one recent game
+     * @param {string} id - Game id
+     * @returns {Promise<Object|undefined>} Snapshot
+     */
+    async get(id) {
+        return promisify((await this.store('readonly')).get(id));
+    }
+
+    async remove(id) {
+        return promisify((await this.store('readwrite')).delete(id));
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * Square and move notation
+ * - Numeric: the square numbers of getSquareNumbers, 1-50 on 10x10 and 1-32 on 8x8
+ * - Algebraic: files a-j from White's left and ranks 1-10 from White's side, as read
+ *   in Russian and Brazilian draughts; a1 is square 46 on 10x10 and square 29 on 8x8
+ * - Moves and positions are stored numerically; this module only renders and parses
+ * @author codewithheck
+ */
+
+import { BOARD_SIZE, getSquareNumbers } from '../engine/constants.js';
+
+export const NOTATION = {
+    NUMERIC: 'numeric',
+    ALGEBRAIC: 'algebraic'
+};
+
+const FILES = 'abcdefghij';
+
+// Capture separator of each notation; moves are written with '-'
+const CAPTURE_SEPARATOR = {
+    [NOTATION.NUMERIC]: 'x',
+    [NOTATION.ALGEBRAIC]: ':'
+};
+
+const SQUARE_PATTERN = /^(?:\d{1,2}|[a-j]\d{1,2})$/;
+const ALGEBRAIC_SQUARE = /[a-j]\d{1,2}/g;
+
+/**
+ * Formats a square in a notation
+ * @param {number} number - Square number
+ * @param {string} [notation] - NOTATION value
+ * @param {number} [boardSize] - Squares along each side of the board
+ * @returns {string} E.g. "46" or "a1"
+ */
+export function formatSquare(number, notation = NOTATION.NUMERIC, boardSize = BOARD_SIZE) {
+    if (notation !== NOTATION.ALGEBRAIC) return String(number);
+
+    // Numbered rows run from Black's side; on even ones the first square is on the b-file
+    const perRow = boardSize / 2;
+    const row = Math.floor((number - 1) / perRow);
+    const index = (number - 1) % perRow;
+    const file = row % 2 === 0 ? index * 2 + 1 : index * 2;
+    return `${FILES[file]}${boardSize - row}`;
+}
+
+/**
+ * Parses a square in either notation
+ * @param {string} text - Square, e.g. "46" or "a1"
+ * @param {number} [boardSize] - Squares along each side of the board
+ * @returns {number} Square number
+ * @throws {Error} If the text is not a dark square of the board
+ */
+export function parseSquare(text, boardSize = BOARD_SIZE) {
+    const square = String(text).trim().toLowerCase();
+    const squareCount = boardSize * boardSize / 2;
+
+    if (/^\d+$/.test(square)) {
+        const number = parseInt(square, 10);
+        if (number < 1 || number > squareCount) {
+            throw new Error(`Invalid square: ${text}`);
+        }
+        return number;
+    }
+
+    const match = square.match(/^([a-j])(\d{1,2})$/);
+    const file = match ? FILES.indexOf(match[1]) : -1;
+    const rank = match ? parseInt(match[2], 10) : 0;
+    const row = boardSize - rank;
+
+    // Dark squares have a file on the other parity than their row
+    if (file < 0 || file >= boardSize || rank < 1 || rank > boardSize || (row + file) % 2 === 0) {
+        throw new Error(`Invalid square: ${text}`);
+    }
+    return row * (boardSize / 2) + Math.floor(file / 2) + 1;
+}
+
+/**
+ * Formats a move between board positions
+ * @param {Object} move - Move with from and to ({row, col}), and captures
+ * @param {string} [notation] - NOTATION value
+ * @param {number} [boardSize] - Squares along each side of the board
+ * @returns {string} E.g. "32-28", "19x30" or "c3:e5"
+ */
+export function formatMove(move, notation = NOTATION.NUMERIC, boardSize = BOARD_SIZE) {
+    if (!move || !move.from || !move.to) return '--';
+
+    const numbers = getSquareNumbers(boardSize);
+    const square = pos => formatSquare(numbers[pos.row * boardSize + pos.col], notation, boardSize);
+    const separator = move.captures && move.captures.length > 0 ? CAPTURE_SEPARATOR[notation] || 'x' : '-';
+    return `${square(move.from)}${separator}${square(move.to)}`;
+}
+
+/**
+ * Rewrites a numeric move, as stored in move records and PDN, in a notation
+ * @param {string} text - Numeric move, e.g. "32-28" or "28x19x8"
+ * @param {string} [notation] - NOTATION value
+ * @param {number} [boardSize] - Squares along each side of the board
+ * @returns {string} Move in the notation
+ */
+export function formatNotation(text, notation = NOTATION.NUMERIC, boardSize = BOARD_SIZE) {
+    if (notation !== NOTATION.ALGEBRAIC || !text) return text;
+
+    return text
+        .replace(/x/g, CAPTURE_SEPARATOR[notation])
+        .replace(/\d+/g, number => formatSquare(parseInt(number, 10), notation, boardSize));
+}
+
+/**
+ * Parses a move written in either notation
+ * @param {string} text - Move, e.g. "32-28", "19x30", "28x19x8", "c3-d4" or "c3:e5:g7"
+ * @param {number} [boardSize] - Squares along each side of the board
+ * @returns {Object} Square numbers from start to end, with any landing squares between,
+ *   and whether the move was written as a capture ({squares, isCapture})
+ * @throws {Error} If the text is not a move
+ */
+export function parseMove(text, boardSize = BOARD_SIZE) {
+    const move = String(text).trim().toLowerCase();
+    const parts = move.split(/[-x:]/);
+
+    if (parts.length < 2 || !parts.every(part => SQUARE_PATTERN.test(part))) {
+        throw new Error(`Invalid move: ${text}`);
+    }
+
+    return {
+        squares: parts.map(part => parseSquare(part, boardSize)),
+        isCapture: /[x:]/.test(move)
+    };
+}
+
+/**
+ * Rewrites the squares of a numeric FEN in a notation
+ * @param {string} fen - FEN string with numeric squares
+ * @param {string} [notation] - NOTATION value
+ * @param {number} [boardSize] - Squares along each side of the board
+ * @returns {string} FEN string, e.g. "W:Wa1,c1K:Bh10"
+ */
+export function formatFEN(fen, notation = NOTATION.NUMERIC, boardSize = BOARD_SIZE) {
+    if (notation !== NOTATION.ALGEBRAIC) return fen;
+    return fen.replace(/\d+/g, number => formatSquare(parseInt(number, 10), notation, boardSize));
+}
+
+/**
+ * Rewrites the algebraic squares of a FEN as square numbers, for parseFEN
+ * @param {string} fen - FEN string in either notation
+ * @param {number} [boardSize] - Squares along each side of the board
+ * @returns {string} FEN string with numeric squares
+ * @throws {Error} If an algebraic square is not a dark square of the board
+ */
+export function toNumericFEN(fen, boardSize = BOARD_SIZE) {
+    return fen.replace(ALGEBRAIC_SQUARE, square => String(parseSquare(square, boardSize)));
+}
@@ -7,9 +7,13 @@
  * Fixed by systematic review
  */
 
+import { createOpeningBook } from '../engine/ai/ai.book.js';
+import { toBitboard } from '../engine/ai/ai.bitboard.js';
+
 class OpeningBook {
     static instance = null;
     bookData = {};
+    positionBook = undefined; // Built from bookData when first needed, see getPositionBook
     
     constructor() {
         if (OpeningBook.instance) {
@@ -27,22 +31,18 @@ class OpeningBook {
     
     async initialize() {
         try {
-            // Fixed path - assuming the openings.json is in the same directory
-            const response = await fetch('openings.json');
+            // Relative to this module, so the page and the AI worker find the same file
+            const response = await fetch(new URL('../data/openings.json', import.meta.url));
             if (!response.ok) {
-                // Fallback path
-                const fallbackResponse = await fetch('src/data/openings.json');
-                if (!fallbackResponse.ok) {
-                    throw new Error(`Failed to load opening book: ${response.statusText}`);
-                }
-                this.bookData = await fallbackResponse.json();
-            } else {
-                this.bookData = await response.json();
+                throw new Error(`Failed to load opening book: ${response.statusText}`);
             }
+            this.bookData = await response.json();
+            this.positionBook = undefined;
             console.log('Opening book loaded successfully with', this.bookData.openings?.length || 0, 'openings');
         } catch (error) {
             console.warn('Opening book not available:', error);
             this.bookData = { openings: [] };
+            this.positionBook = undefined;
         }
     }
 
@@ -87,7 +87,7 @@ class OpeningBook {
         if (!openingNode.moves) return possibleMoves;
 
         // Parse the moves in this line
-        const lineMoves = openingNode.moves.split(' ').filter(m => m.trim());
+        const lineMoves = this.getLineMoves(openingNode);
         
         // Check if this line matches our move history so far
         let matches = true;
@@ -110,19 +110,11 @@ class OpeningBook {
 
             // Also check variations and subvariations
             const newDepth = depth + lineMoves.length;
+            const variations = [...(openingNode.variations || []), ...(openingNode.subvariations || [])];
             
-            if (openingNode.variations) {
-                for (const variation of openingNode.variations) {
-                    const variationMoves = this.findMovesInOpening(variation, moveHistory, newDepth);
-                    possibleMoves.push(...variationMoves);
-                }
-            }
-
-            if (openingNode.subvariations) {
-                for (const subvariation of openingNode.subvariations) {
-                    const subMoves = this.findMovesInOpening(subvariation, moveHistory, newDepth);
-                    possibleMoves.push(...subMoves);
-                }
+            for (const variation of variations) {
+                const variationDepth = this.repeatsLine(variation, lineMoves) ? depth : newDepth;
+                possibleMoves.push(...this.findMovesInOpening(variation, moveHistory, variationDepth));
             }
         }
 
@@ -136,10 +128,76 @@ class OpeningBook {
      */
     getFirstMove(moveSequence) {
         if (!moveSequence) return null;
-        const moves = moveSequence.split(' ').filter(m => m.trim());
+        const moves = this.getLineMoves({ moves: moveSequence });
         return moves.length > 0 ? moves[0] : null;
     }
 
+    /**
+     * Gets the move notations of an opening line.
+     * Lines are stored either as a space-separated string or as an array of move objects.
+     * @param {Object} openingNode - Opening or variation node
+     * @returns {string[]} Move notations of the line
+     */
+    getLineMoves(openingNode) {
+        const moves = openingNode.moves;
+        if (!moves) return [];
+        if (Array.isArray(moves)) {
+            return moves.map(move => typeof move === 'string' ? move : move.notation).filter(Boolean);
+        }
+        return moves.split(' ').filter(m => m.trim());
+    }
+
+    /**
+     * Gets the book of positions built from the lines, see createOpeningBook
+     * @returns {Object|null} Position book, or null if none of the lines can be played
+     */
+    getPositionBook() {
+        if (this.positionBook === undefined) {
+            try {
+                this.positionBook = createOpeningBook(this.bookData);
+            } catch (error) {
+                console.warn('Opening book not usable:', error.message);
+                this.positionBook = null;
+            }
+        }
+        return this.positionBook;
+    }
+
+    /**
+     * Gets the book moves of a position with what the book says about each. Moves are
+     * found by position, so transpositions and games started from a FEN find them too.
+     * @param {Object} position - International position ({pieces, currentPlayer})
+     * @returns {Object[]} Continuations ({notation, name, description, evaluation, lines,
+     *   stats}), most played first. Name, description and evaluation are those of the least
+     *   nested line playing the move; lines counts the book lines playing it and stats holds
+     *   its games in books built from PDN games.
+     */
+    getContinuations(position) {
+        const book = this.getPositionBook();
+        if (!book) return [];
+
+        return book.getMoves(toBitboard(position)).map(({ notation, lines, stats, line }) => ({
+            notation,
+            name: line.opening.name || line.node.name ? this.formatOpeningName(line.opening, line.node) : '',
+            description: line.node.description || line.opening.description || '',
+            evaluation: this.getLineEvaluation(line.node),
+            lines,
+            stats
+        }));
+    }
+
+    /**
+     * Checks whether a variation repeats its parent line up to where it branches off,
+     * rather than continuing it
+     * @param {Object} variation - Variation node
+     * @param {string[]} lineMoves - Move notations of the parent line
+     * @returns {boolean}
+     */
+    repeatsLine(variation, lineMoves) {
+        const variationMoves = this.getLineMoves(variation);
+        return lineMoves.length > 0 && variationMoves[0] === lineMoves[0];
+    }
+
     /**
      * Gets evaluation for current position if available
      * @param {string[]} moveHistory - Moves played so far
@@ -151,20 +209,12 @@ class OpeningBook {
         }
 
         // Find the deepest matching line
-        let bestMatch = null;
-        let maxDepth = 0;
-
-        for (const opening of this.bookData.openings) {
-            const match = this.findDeepestMatch(opening, moveHistory);
-            if (match && match.depth > maxDepth) {
-                maxDepth = match.depth;
-                bestMatch = match.node;
-            }
-        }
+        const bestMatch = this.identifyOpening(moveHistory)?.node;
+        const score = bestMatch ? this.getLineEvaluation(bestMatch) : null;
 
-        if (bestMatch && bestMatch.engineEval) {
+        if (score !== null) {
             return {
-                score: this.parseEvaluation(bestMatch.engineEval),
+                score,
                 source: 'opening_book',
                 opening: bestMatch.name || 'Unknown Opening'
             };
@@ -173,6 +223,54 @@ class OpeningBook {
         return null;
     }
 
+    /**
+     * Gets the evaluation of a line
+     * @param {Object} openingNode - Opening or variation node
+     * @returns {number|null} Numeric evaluation, or the engineEval string of older books
+     *   parsed, or null if the line has none
+     */
+    getLineEvaluation(openingNode) {
+        if (typeof openingNode.evaluation === 'number') return openingNode.evaluation;
+        return openingNode.engineEval ? this.parseEvaluation(openingNode.engineEval) : null;
+    }
+
+    /**
+     * Names the opening played in a game
+     * @param {string[]} moveHistory - Move notations played so far
+     * @returns {string|null} Opening name, including the variation when there is one, or
+     *   null when out of book or the book does not name the line
+     */
+    getOpeningName(moveHistory) {
+        const match = this.identifyOpening(moveHistory);
+        return match && (match.opening.name || match.node.name) ?
+            this.formatOpeningName(match.opening, match.node) : null;
+    }
+
+    formatOpeningName(opening, node) {
+        const openingName = opening.name || 'Unknown Opening';
+        return node !== opening && node.name ? `${openingName}: ${node.name}` : openingName;
+    }
+
+    /**
+     * Identifies the opening played in a game
+     * @param {string[]} moveHistory - Move notations played so far
+     * @returns {Object|null} Deepest match with depth, node and the opening it belongs to
+     */
+    identifyOpening(moveHistory) {
+        if (!this.bookData.openings || !moveHistory || moveHistory.length === 0) {
+            return null;
+        }
+
+        let bestMatch = null;
+        for (const opening of this.bookData.openings) {
+            const match = this.findDeepestMatch(opening, moveHistory);
+            if (match && (!bestMatch || match.depth > bestMatch.depth)) {
+                bestMatch = { ...match, opening };
+            }
+        }
+        return bestMatch;
+    }
+
     /**
      * Finds the deepest matching node in an opening tree
      * @param {Object} openingNode - Opening node to search
@@ -183,7 +281,7 @@ class OpeningBook {
     findDeepestMatch(openingNode, moveHistory, depth = 0) {
         if (!openingNode.moves) return null;
 
-        const lineMoves = openingNode.moves.split(' ').filter(m => m.trim());
+        const lineMoves = this.getLineMoves(openingNode);
         
         // Check if this line matches
         let matchLength = 0;
@@ -205,7 +303,8 @@ class OpeningBook {
         const variations = [...(openingNode.variations || []), ...(openingNode.subvariations || [])];
         
         for (const variation of variations) {
-            const varMatch = this.findDeepestMatch(variation, moveHistory, newDepth);
+            const variationDepth = this.repeatsLine(variation, lineMoves) ? depth : newDepth;
+            const varMatch = this.findDeepestMatch(variation, moveHistory, variationDepth);
             if (varMatch && (!bestMatch || varMatch.depth > bestMatch.depth)) {
                 bestMatch = varMatch;
             }
@@ -225,6 +324,15 @@ class OpeningBook {
         return parseFloat(numStr) || 0;
     }
 
+    /**
+     * Replaces the book, e.g. with one edited in the book editor
+     * @param {Object} bookData - Book in the data/openings.json format
+     */
+    setBookData(bookData) {
+        this.bookData = bookData;
+        this.positionBook = undefined;
+    }
+
     /**
      * Gets opening statistics
      * @returns {Object} Opening book statistics
@@ -0,0 +1,160 @@
+/**
+ * PDN Game Database
+ * - Holds every game of a multi-game PDN file
+ * - Filters games by player, result, opening and position reached
+ * @author codewithheck
+ */
+
+import { Game } from '../engine/game.js';
+import { DEFAULT_VARIANT } from '../engine/variants.js';
+import { loadPDNGame, normalizeFEN, parsePDN } from './pdn.js';
+
+export class GameDatabase {
+    /**
+     * @param {OpeningBook|null} openingBook - Book used to name the opening of each game
+     */
+    constructor(openingBook = null) {
+        this.openingBook = openingBook;
+        this.games = [];
+    }
+
+    /**
+     * Loads every game from PDN text, replacing the current contents
+     * @param {string|Array} source - PDN text or games as returned by parsePDN
+     * @returns {number} Number of games loaded
+     */
+    load(source) {
+        const pdnGames = typeof source === 'string' ? parsePDN(source) : source;
+        this.games = pdnGames.map((pdnGame, index) => this.createEntry(pdnGame, index));
+        return this.games.length;
+    }
+
+    /**
+     * Replays a PDN game and collects what the filters need
+     * @param {Object} pdnGame - Game as returned by parsePDN
+     * @param {number} index - Position of the game in the file
+     * @returns {Object} Database entry
+     */
+    createEntry(pdnGame, index) {
+        const headers = pdnGame.headers;
+        const entry = {
+            index,
+            headers,
+            white: headers.White || '?',
+            black: headers.Black || '?',
+            event: headers.Event || '',
+            date: headers.Date || '',
+            result: headers.Result || pdnGame.result || '*',
+            variant: null,
+            startFEN: null,
+            moves: [],
+            tree: null,
+            positions: new Set(),
+            opening: null,
+            error: null
+        };
+
+        try {
+            const loaded = loadPDNGame(pdnGame, new Game());
+            entry.variant = loaded.game.getVariant();
+            entry.startFEN = loaded.startFEN;
+            entry.moves = loaded.moves;
+            entry.tree = loaded.tree;
+
+            // Every position reached, in the canonical form produced by Game.getFEN
+            const startGame = new Game(entry.variant);
+            startGame.loadFEN(loaded.startFEN);
+            entry.positions.add(startGame.getFEN());
+            loaded.moves.forEach(record => entry.positions.add(record.fen));
+
+            // The opening book covers international draughts only
+            if (entry.variant.id === DEFAULT_VARIANT.id) {
+                entry.opening = this.identifyOpening(loaded.moves);
+            }
+        } catch (error) {
+            entry.error = error.message;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Names the opening of a game from its moves
+     * @param {Array} moves - Move records
+     * @returns {string|null} Opening name, including the variation when there is one
+     */
+    identifyOpening(moves) {
+        if (!this.openingBook) return null;
+        return this.openingBook.getOpeningName(moves.map(move => move.notation));
+    }
+
+    /**
+     * Filters the games
+     * @param {Object} criteria - Filter criteria, empty values are ignored
+     * @param {string} [criteria.player] - Part of the White or Black player name
+     * @param {string} [criteria.result] - PDN result token
+     * @param {string} [criteria.opening] - Part of the opening name
+     * @param {string} [criteria.fen] - Position that must be reached during the game
+     * @returns {Array} Matching entries
+     * @throws {Error} If the FEN criterion is invalid
+     */
+    filter(criteria = {}) {
+        const player = criteria.player?.trim().toLowerCase();
+        const opening = criteria.opening?.trim().toLowerCase();
+        const result = criteria.result;
+        const position = criteria.fen?.trim() ? this.canonicalFEN(criteria.fen) : null;
+
+        return this.games.filter(entry => {
+            if (player &&
+                !entry.white.toLowerCase().includes(player) &&
+                !entry.black.toLowerCase().includes(player)) {
+                return false;
+            }
+            if (result && entry.result !== result) {
+                return false;
+            }
+            if (opening && !(entry.opening || '').toLowerCase().includes(opening)) {
+                return false;
+            }
+            if (position && !entry.positions.has(position)) {
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Converts a FEN string to the form produced by Game.getFEN
+     * @param {string} fen - FEN string, PDN style or not
+     * @returns {string} Canonical FEN
+     * @throws {Error} If the FEN is invalid
+     */
+    canonicalFEN(fen) {
+        const game = new Game();
+        if (!game.loadFEN(normalizeFEN(fen))) {
+            throw new Error(`Invalid FEN: ${fen}`);
+        }
+        return game.getFEN();
+    }
+
+    /**
+     * Gets a game by its position in the file
+     * @param {number} index - Game index
+     * @returns {Object|null} Database entry or null
+     */
+    getGame(index) {
+        return this.games[index] || null;
+    }
+
+    /**
+     * Get all games
+     * @returns {Array} Database entries
+     */
+    getGames() {
+        return this.games;
+    }
+
+    clear() {
+        this.games = [];
+    }
+}
@@ -0,0 +1,754 @@
+/**
+ * PDN (Portable Draughts Notation) Reader and Writer for International Draughts
+ * - Writes complete games with tag pairs, move numbers, glyphs and comments
+ * - Writes the sidelines of a variation tree as nested ( ... ) variations and reads them back
+ * - Stores arrows and highlighted squares as [%arrow] and [%square] commands in comments
+ * - Reads single games or whole files of games
+ * - Replays every move through Game so only legal games are accepted
+ * - The GameType tag carries the rule variant and with it the board size and numbering
+ * - Moves and FEN squares are read in numeric or algebraic notation, and written in either
+ * @author codewithheck
+ */
+
+import { Game } from '../engine/game.js';
+import { PLAYER, BOARD_SIZE, GAME_STATE, getSquareNumbers } from '../engine/constants.js';
+import { getVariant, getVariantByGameType } from '../engine/variants.js';
+import { NOTATION, formatNotation, formatFEN, parseMove, toNumericFEN } from './notation.js';
+
+// Result tokens used by international draughts PDN
+export const PDN_RESULT = {
+    WHITE_WIN: '2-0',
+    BLACK_WIN: '0-2',
+    DRAW: '1-1',
+    UNKNOWN: '*'
+};
+
+// Seven tag roster, always written first and in this order
+const TAG_ORDER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+
+// Tags the writer manages itself
+const SETUP_TAGS = ['GameType', 'SetUp', 'FEN'];
+
+const LINE_WIDTH = 80;
+
+// Numeric annotation glyphs and their symbolic equivalents
+const NAG_GLYPHS = {
+    1: '!',
+    2: '?',
+    3: '!!',
+    4: '??',
+    5: '!?',
+    6: '?!'
+};
+
+// Drawing commands embedded in comments, e.g. {[%arrow 32-28,19-23] [%square 28] Strong}
+const ARROW_COMMAND = /\[%arrow\s+([^\]]*)\]/g;
+const SQUARE_COMMAND = /\[%square\s+([^\]]*)\]/g;
+
+// Tag pair with a quoted value, in which \" and \\ are escapes
+const TAG_PATTERN = /\[\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]/y;
+const RESULT_PATTERN = /^(2-0|0-2|1-1|0-0|1-0|0-1|\*)$/;
+const MOVE_NUMBER_PATTERN = /^\d+\.(\.\.)?/;
+const MOVE_PATTERN = /^((?:\d+|[a-j]\d+)(?:[-x:](?:\d+|[a-j]\d+))+)([!?]{1,2})?$/;
+
+// Starting position of each variant, by variant id
+const initialFENs = new Map();
+
+/**
+ * Gets the FEN of the standard starting position
+ * @param {string|Object} [variant] - Rule variant, international by default
+ * @returns {string} FEN string
+ */
+export function getInitialFEN(variant) {
+    const rules = getVariant(variant);
+    if (!initialFENs.has(rules.id)) {
+        initialFENs.set(rules.id, new Game(rules).getFEN());
+    }
+    return initialFENs.get(rules.id);
+}
+
+/**
+ * Maps a game state to its PDN result token
+ * @param {string} gameState - Value from GAME_STATE
+ * @returns {string} PDN result token
+ */
+export function getPDNResult(gameState) {
+    switch (gameState) {
+        case GAME_STATE.WHITE_WIN: return PDN_RESULT.WHITE_WIN;
+        case GAME_STATE.BLACK_WIN: return PDN_RESULT.BLACK_WIN;
+        case GAME_STATE.DRAW: return PDN_RESULT.DRAW;
+        default: return PDN_RESULT.UNKNOWN;
+    }
+}
+
+/**
+ * Gets the square number (1-50, or 1-32 on 8x8) of a board position
+ * @param {Object} pos - Position with row and col
+ * @param {number} [boardSize] - Squares along each side of the board
+ * @returns {number} Square number
+ */
+function getSquareNumber(pos, boardSize = BOARD_SIZE) {
+    return getSquareNumbers(boardSize)[pos.row * boardSize + pos.col];
+}
+
+/**
+ * Checks whether two moves capture exactly the same pieces
+ * @param {Object} a - First move
+ * @param {Object} b - Second move
+ * @returns {boolean}
+ */
+function hasSameCaptures(a, b) {
+    // Row-major board indexes order the pieces the same way on every board size
+    const key = move => (move.captures || []).map(p => p.row * BOARD_SIZE + p.col).sort((x, y) => x - y).join(',');
+    return key(a) === key(b);
+}
+
+/**
+ * Formats a move in PDN notation. Captures are written with their
+ * intermediate landing squares only when another legal capture shares
+ * the same start and end square.
+ * @param {Object} move - Move or move record
+ * @param {Array} legalMoves - Legal moves in the position the move is played from
+ * @param {number} [boardSize] - Squares along each side of the board
+ * @returns {string} PDN move, e.g. "32-28", "19x30" or "28x19x8"
+ */
+export function formatPDNMove(move, legalMoves = [], boardSize = BOARD_SIZE) {
+    const getNumber = pos => getSquareNumber(pos, boardSize);
+    const from = getNumber(move.from);
+    const to = getNumber(move.to);
+
+    if (!move.captures || move.captures.length === 0) {
+        return `${from}-${to}`;
+    }
+
+    const isAmbiguous = legalMoves.some(m =>
+        getNumber(m.from) === from &&
+        getNumber(m.to) === to &&
+        !hasSameCaptures(m, move)
+    );
+
+    if (isAmbiguous && move.path && move.path.length > 2) {
+        return move.path.map(getNumber).join('x');
+    }
+
+    return `${from}x${to}`;
+}
+
+/**
+ * Finds the legal moves a parsed PDN move may stand for
+ * @param {Game} game - Game in the position the move is played from
+ * @param {Object} pdnMove - Parsed move with a squares array
+ * @returns {Array} Matching legal moves, one per distinct set of captured pieces;
+ *   more than one if the move is ambiguous
+ */
+export function findPDNMoves(game, pdnMove) {
+    const squares = pdnMove.squares;
+    const from = squares[0];
+    const to = squares[squares.length - 1];
+    const via = squares.slice(1, -1);
+    const getNumber = pos => getSquareNumber(pos, game.boardSize);
+
+    let candidates = game.getLegalMoves().filter(m =>
+        getNumber(m.from) === from && getNumber(m.to) === to
+    );
+
+    // Intermediate squares must appear along the capture path, in order
+    if (via.length > 0) {
+        candidates = candidates.filter(m => {
+            const path = (m.path || []).map(getNumber);
+            let index = 0;
+            for (const square of path) {
+                if (square === via[index]) index++;
+            }
+            return index === via.length;
+        });
+
+        // A path listing every landing square is exact, even if a longer path also contains it
+        const exact = candidates.filter(m =>
+            (m.path || []).map(getNumber).join('x') === squares.join('x')
+        );
+        if (exact.length > 0) {
+            candidates = exact;
+        }
+    }
+
+    // Different paths capturing the same pieces lead to the same position
+    return candidates.filter((m, i) =>
+        candidates.findIndex(other => hasSameCaptures(other, m)) === i
+    );
+}
+
+/**
+ * Resolves a parsed PDN move against the legal moves of a game
+ * @param {Game} game - Game in the position the move is played from
+ * @param {Object} pdnMove - Parsed move with a squares array
+ * @returns {Object} The matching legal move
+ * @throws {Error} If the move is illegal or ambiguous
+ */
+export function resolvePDNMove(game, pdnMove) {
+    const candidates = findPDNMoves(game, pdnMove);
+
+    if (candidates.length === 0) {
+        throw new Error(`Illegal move: ${pdnMove.notation}`);
+    }
+    if (candidates.length > 1) {
+        throw new Error(`Ambiguous move: ${pdnMove.notation}`);
+    }
+
+    return candidates[0];
+}
+
+/**
+ * Converts a FEN string to the PDN form, where kings are prefixed with K
+ * @param {string} fen - FEN string as produced by generateFEN
+ * @returns {string} PDN FEN string
+ */
+export function toPDNFEN(fen) {
+    return fen.replace(/:([WB]),/g, ':$1').replace(/(\d+)K/g, 'K$1');
+}
+
+/**
+ * Normalizes a PDN FEN tag to the format understood by parseFEN.
+ * Accepts K prefixes or suffixes, square ranges, algebraic squares and a trailing period.
+ * @param {string} pdnFen - FEN value from a PDN tag
+ * @param {number} [boardSize] - Squares along each side of the board, for algebraic squares
+ * @returns {string} FEN string
+ * @throws {Error} If the FEN is malformed
+ */
+export function normalizeFEN(pdnFen, boardSize = BOARD_SIZE) {
+    const parts = toNumericFEN(pdnFen.replace(/\s+/g, '').replace(/\.$/, ''), boardSize).split(':');
+    const side = parts.shift();
+
+    if (side !== 'W' && side !== 'B') {
+        throw new Error(`Invalid side to move in FEN: ${pdnFen}`);
+    }
+
+    const sections = { W: [], B: [] };
+    for (const part of parts) {
+        const color = part[0];
+        if (!sections[color]) {
+            throw new Error(`Invalid piece section in FEN: ${part}`);
+        }
+
+        part.substring(1).split(',').filter(Boolean).forEach(item => {
+            const isKing = /K/i.test(item);
+            const range = item.replace(/K/gi, '').split('-').map(n => parseInt(n, 10));
+            const [first, last = first] = range;
+
+            for (let square = first; square <= last; square++) {
+                sections[color].push(isKing ? `${square}K` : `${square}`);
+            }
+        });
+    }
+
+    return `${side}:W${sections.W.join(',')}:B${sections.B.join(',')}`;
+}
+
+/**
+ * Generates a PDN game from a list of move records or a variation tree
+ * @param {Array|Object} moves - Move records as built by Game.makeMove, or the root of a
+ *   variation tree ({move, children} nodes as in History.getTree) whose first children make
+ *   the game and whose other children are written as variations
+ * @param {Object} options - Export options
+ * @param {string} [options.startFEN] - Starting position, defaults to the first move's previousFEN
+ * @param {string} [options.result] - PDN result token
+ * @param {Object} [options.headers] - Additional or overriding tag pairs
+ * @param {string|Object} [options.variant] - Rule variant of the game, international by default
+ * @param {string} [options.notation] - NOTATION of the moves and FEN tag, numeric by default
+ * @returns {string} PDN text
+ */
+export function generatePDN(moves, options = {}) {
+    const variant = getVariant(options.variant);
+    const notation = options.notation || NOTATION.NUMERIC;
+    const tree = Array.isArray(moves) ? toLineTree(moves.filter(m => m && m.from && m.to)) : moves;
+    const firstMove = tree.children[0] && tree.children[0].move;
+    const startFEN = options.startFEN || (firstMove && firstMove.previousFEN) || getInitialFEN(variant);
+    const result = options.result || PDN_RESULT.UNKNOWN;
+
+    const headers = {
+        Event: '?',
+        Site: '?',
+        Date: formatPDNDate(new Date()),
+        Round: '?',
+        White: '?',
+        Black: '?',
+        ...options.headers,
+        Result: result
+    };
+
+    const lines = TAG_ORDER.map(tag => formatTag(tag, headers[tag]));
+
+    Object.keys(headers)
+        .filter(tag => !TAG_ORDER.includes(tag) && !SETUP_TAGS.includes(tag))
+        .forEach(tag => lines.push(formatTag(tag, headers[tag])));
+
+    lines.push(formatTag('GameType', variant.pdnGameType));
+    if (startFEN !== getInitialFEN(variant)) {
+        lines.push(formatTag('SetUp', '1'));
+        lines.push(formatTag('FEN', formatFEN(toPDNFEN(startFEN), notation, variant.boardSize)));
+    }
+
+    lines.push('');
+    lines.push(...wrapTokens(buildMovetext(tree, startFEN, result, variant, notation)));
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Turns a list of move records into a variation tree of a single line
+ * @param {Array} records - Move records
+ * @returns {Object} Root node
+ */
+function toLineTree(records) {
+    const root = { move: null, children: [] };
+    records.reduce((parent, move) => {
+        const node = { move, children: [] };
+        parent.children.push(node);
+        return node;
+    }, root);
+    return root;
+}
+
+/**
+ * Builds the movetext tokens, replaying the game to disambiguate captures
+ * @param {Object} tree - Root of the variation tree
+ * @param {string} startFEN - Starting position
+ * @param {string} result - PDN result token
+ * @param {Object} variant - Rule variant
+ * @param {string} notation - NOTATION of the moves
+ * @returns {string[]} Movetext tokens
+ */
+function buildMovetext(tree, startFEN, result, variant, notation) {
+    const tokens = [];
+    const game = new Game(variant);
+    const canReplay = game.loadFEN(startFEN);
+    const firstPlayer = game.getVariant().firstPlayer;
+    const boardSize = game.boardSize;
+
+    // Plies are counted from the first player's move, so a game the other side starts
+    // begins at ply 1
+    const firstMove = tree.children[0] && tree.children[0].move;
+    const plyOffset = firstMove && firstMove.player !== firstPlayer ? 1 : 0;
+
+    // Copy of a game for a variation, null if the game cannot be replayed
+    const branch = game => {
+        const copy = new Game(variant);
+        return game && copy.loadFEN(game.getFEN()) ? copy : null;
+    };
+
+    // Writes a line from one of the parent's children on; a child other than the first
+    // is a variation. Every line, and every move after a variation, restates its number.
+    const writeLine = (parent, node, game, ply) => {
+        let showNumber = true;
+
+        while (node) {
+            const record = node.move;
+            const legalMoves = game ? game.getLegalMoves() : [];
+            const moveNumber = Math.floor((ply + plyOffset) / 2) + 1;
+
+            if (record.player === firstPlayer) {
+                tokens.push(`${moveNumber}.`);
+            } else if (showNumber) {
+                tokens.push(`${moveNumber}...`);
+            }
+            showNumber = false;
+
+            tokens.push(formatNotation(formatPDNMove(record, legalMoves, boardSize), notation, boardSize) + (record.glyph || ''));
+
+            const comment = formatPDNComment(record);
+            if (comment) {
+                tokens.push(`{${comment}}`);
+            }
+
+            // The parent's other children are played instead of this move
+            if (node === parent.children[0]) {
+                parent.children.slice(1).forEach(sideline => {
+                    const first = tokens.length;
+                    writeLine(parent, sideline, branch(game), ply);
+                    tokens[first] = `(${tokens[first]}`;
+                    tokens[tokens.length - 1] += ')';
+                    showNumber = true;
+                });
+            }
+
+            if (game && !game.makeMove(record)) game = null;
+            parent = node;
+            node = node.children[0];
+            ply++;
+        }
+    };
+
+    writeLine(tree, tree.children[0], canReplay ? game : null, 0);
+
+    tokens.push(result);
+    return tokens;
+}
+
+/**
+ * Builds the comment of a move, with its arrows and highlighted squares as commands
+ * @param {Object} record - Move record
+ * @returns {string|null} Comment text without braces, or null if there is nothing to write
+ */
+export function formatPDNComment(record) {
+    const parts = [];
+
+    if (record.arrows && record.arrows.length > 0) {
+        parts.push(`[%arrow ${record.arrows.map(arrow => `${arrow.from}-${arrow.to}`).join(',')}]`);
+    }
+    if (record.highlights && record.highlights.length > 0) {
+        parts.push(`[%square ${record.highlights.join(',')}]`);
+    }
+    if (record.comment) {
+        parts.push(record.comment.replace(/}/g, ''));
+    }
+
+    return parts.length > 0 ? parts.join(' ') : null;
+}
+
+/**
+ * Splits a PDN comment into its text and drawing commands
+ * @param {string} text - Comment text without braces
+ * @returns {Object} Comment text, arrows ({from, to} square numbers) and highlighted squares
+ */
+export function parsePDNComment(text) {
+    const arrows = [];
+    const highlights = [];
+    const squares = list => list.split(',').map(n => parseInt(n, 10)).filter(n => n >= 1 && n <= 50);
+
+    const comment = (text || '')
+        .replace(ARROW_COMMAND, (_, list) => {
+            list.split(',').forEach(item => {
+                const [from, to] = squares(item.replace('-', ','));
+                if (from && to) arrows.push({ from, to });
+            });
+            return '';
+        })
+        .replace(SQUARE_COMMAND, (_, list) => {
+            highlights.push(...squares(list));
+            return '';
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    return { comment: comment || null, arrows, highlights };
+}
+
+/**
+ * Parses PDN text containing one or more games
+ * @param {string} text - PDN text
+ * @returns {Array<Object>} Parsed games with headers, moves, result and comment. A move
+ *   followed by variations has them in its variations list, each a list of moves that
+ *   replaces it, in the same form
+ */
+export function parsePDN(text) {
+    const games = [];
+    let current = null;
+    let finished = true;
+
+    // Move lists of the open variations, the game's own moves first
+    let lines = [];
+    let pendingComment = null; // Comment opening a variation, given to its first move
+
+    const startGame = () => {
+        current = { headers: {}, moves: [], result: PDN_RESULT.UNKNOWN, comment: null };
+        games.push(current);
+        finished = false;
+        lines = [current.moves];
+        pendingComment = null;
+    };
+    const currentLine = () => lines[lines.length - 1];
+
+    for (const token of tokenizePDN(text)) {
+        switch (token.type) {
+            case 'tag':
+                if (finished || current.moves.length > 0 || lines.length > 1) startGame();
+                current.headers[token.name] = token.value;
+                break;
+
+            case 'move': {
+                if (finished) startGame();
+                // Algebraic squares depend on the board size of the game type
+                const variant = current.headers.GameType && getVariantByGameType(current.headers.GameType);
+                let move;
+                try {
+                    move = parseMove(token.value, variant ? variant.boardSize : BOARD_SIZE);
+                } catch (error) {
+                    // Not a square of this board; loadPDNGame reports the move as illegal
+                    move = { squares: [], isCapture: /[x:]/.test(token.value) };
+                }
+                currentLine().push({
+                    notation: token.value,
+                    ...move,
+                    glyph: token.glyph || null,
+                    comment: pendingComment,
+                    variations: []
+                });
+                pendingComment = null;
+                break;
+            }
+
+            case 'nag': {
+                const line = current && currentLine();
+                const last = line && line[line.length - 1];
+                if (last && !finished && NAG_GLYPHS[token.value]) {
+                    last.glyph = NAG_GLYPHS[token.value];
+                }
+                break;
+            }
+
+            case 'comment': {
+                if (finished) break;
+                const line = currentLine();
+                const last = line[line.length - 1];
+                if (!last && lines.length > 1) {
+                    pendingComment = pendingComment ? `${pendingComment} ${token.value}` : token.value;
+                    break;
+                }
+                const target = last || current;
+                target.comment = target.comment ? `${target.comment} ${token.value}` : token.value;
+                break;
+            }
+
+            case 'variationStart': {
+                // A variation replaces the last move of the line it is in
+                const line = current && !finished && currentLine();
+                const last = line && line[line.length - 1];
+                const variation = [];
+                if (last) last.variations.push(variation);
+                lines.push(variation);
+                break;
+            }
+
+            case 'variationEnd':
+                if (lines.length > 1) lines.pop();
+                pendingComment = null;
+                break;
+
+            case 'result':
+                // Results inside variations end the variation only
+                if (lines.length > 1) break;
+                if (finished) startGame();
+                current.result = token.value;
+                finished = true;
+                break;
+        }
+    }
+
+    return games;
+}
+
+/**
+ * Splits PDN text into tag, comment, move, NAG, variation start and end, and result tokens
+ * @param {string} text - PDN text
+ * @returns {Array<Object>} Tokens
+ */
+function tokenizePDN(text) {
+    const tokens = [];
+    let variationDepth = 0;
+    let i = 0;
+
+    while (i < text.length) {
+        const ch = text[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        if (ch === '[') {
+            // Tag values may hold brackets; text that is no tag is skipped up to its bracket
+            TAG_PATTERN.lastIndex = i;
+            const match = TAG_PATTERN.exec(text);
+            if (match) {
+                // Tags start the next game, closing any variation left open
+                variationDepth = 0;
+                tokens.push({ type: 'tag', name: match[1], value: match[2].replace(/\\(.)/g, '$1') });
+                i = TAG_PATTERN.lastIndex;
+            } else {
+                const end = text.indexOf(']', i);
+                i = end === -1 ? text.length : end + 1;
+            }
+            continue;
+        }
+
+        if (ch === '{') {
+            const end = text.indexOf('}', i);
+            const stop = end === -1 ? text.length : end;
+            tokens.push({ type: 'comment', value: text.substring(i + 1, stop).trim() });
+            i = stop + 1;
+            continue;
+        }
+
+        if (ch === ';') {
+            const end = text.indexOf('\n', i);
+            i = end === -1 ? text.length : end + 1;
+            continue;
+        }
+
+        if (ch === '(' || ch === ')') {
+            // Unmatched closing parentheses are dropped
+            if (ch === '(' || variationDepth > 0) {
+                variationDepth += ch === '(' ? 1 : -1;
+                tokens.push({ type: ch === '(' ? 'variationStart' : 'variationEnd' });
+            }
+            i++;
+            continue;
+        }
+
+        let end = i;
+        while (end < text.length && !/[\s{}()[\];]/.test(text[end])) end++;
+        const word = text.substring(i, end);
+        // Stray closing brackets and braces are dropped
+        i = word ? end : end + 1;
+
+        if (!word) continue;
+
+        if (RESULT_PATTERN.test(word)) {
+            tokens.push({ type: 'result', value: word });
+            continue;
+        }
+
+        if (/^\$\d+$/.test(word)) {
+            tokens.push({ type: 'nag', value: parseInt(word.substring(1), 10) });
+            continue;
+        }
+
+        const move = word.replace(MOVE_NUMBER_PATTERN, '').match(MOVE_PATTERN);
+        if (move) {
+            tokens.push({ type: 'move', value: move[1], glyph: move[2] });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Replays a parsed PDN game, validating every move, variations included
+ * @param {Object} pdnGame - Game as returned by parsePDN
+ * @param {Game} [game] - Game instance to replay into; switched to the variant of the
+ *   GameType tag, and kept on its own variant when the tag is missing
+ * @returns {Object} The game, its start FEN, headers, result, move records and variation
+ *   tree ({move, children} nodes, the first children being the game's moves, see
+ *   History.loadTree)
+ * @throws {Error} If the game type is unsupported, the FEN tag invalid or a move illegal
+ */
+export function loadPDNGame(pdnGame, game = new Game()) {
+    if (pdnGame.headers.GameType) {
+        const variant = getVariantByGameType(pdnGame.headers.GameType);
+        if (!variant) {
+            throw new Error(`Unsupported GameType: ${pdnGame.headers.GameType}`);
+        }
+        if (game.getVariant().id !== variant.id) {
+            game.setVariant(variant);
+        }
+    }
+
+    const startFEN = pdnGame.headers.FEN ?
+        normalizeFEN(pdnGame.headers.FEN, game.boardSize) : getInitialFEN(game.getVariant());
+
+    if (!game.loadFEN(startFEN)) {
+        throw new Error(`Invalid FEN tag: ${pdnGame.headers.FEN}`);
+    }
+
+    const tree = { move: null, children: [] };
+    replayPDNLine(game, pdnGame.moves, tree, startFEN);
+
+    return {
+        game,
+        startFEN,
+        headers: { ...pdnGame.headers },
+        result: pdnGame.result,
+        moves: game.moveHistory,
+        tree
+    };
+}
+
+/**
+ * Replays a line of PDN moves, adding them to a variation tree with their variations,
+ * which are replayed from the position before the move they replace
+ * @param {Game} game - Game in the position the line starts from
+ * @param {Array} pdnMoves - Moves of the line, as in parsePDN
+ * @param {Object} parent - Tree node of that position
+ * @param {string} startFEN - Starting position of the game
+ * @param {boolean} [isVariation] - Whether the line is a variation, for the error message
+ * @throws {Error} If a move is illegal
+ */
+function replayPDNLine(game, pdnMoves, parent, startFEN, isVariation = false) {
+    pdnMoves.forEach(pdnMove => {
+        const before = game.moveHistory.slice();
+        const ply = before.length + 1;
+        let move;
+        try {
+            move = resolvePDNMove(game, pdnMove);
+        } catch (error) {
+            throw new Error(`${error.message} (ply ${ply}${isVariation ? ', in a variation' : ''})`);
+        }
+
+        game.makeMove(move);
+
+        const record = game.moveHistory[game.moveHistory.length - 1];
+        if (pdnMove.glyph) record.glyph = pdnMove.glyph;
+        if (pdnMove.comment) {
+            const annotation = parsePDNComment(pdnMove.comment);
+            if (annotation.comment) record.comment = annotation.comment;
+            if (annotation.arrows.length > 0) record.arrows = annotation.arrows;
+            if (annotation.highlights.length > 0) record.highlights = annotation.highlights;
+        }
+
+        const node = { move: record, children: [] };
+        parent.children.push(node);
+
+        (pdnMove.variations || []).forEach(variation => {
+            const sideline = new Game(game.getVariant(), { logger: game.logger });
+            sideline.loadFEN(startFEN);
+            sideline.setMaxCaptureRule(game.getMaxCaptureRule());
+            before.forEach(previous => sideline.makeMove(previous));
+            replayPDNLine(sideline, variation, parent, startFEN, true);
+        });
+
+        parent = node;
+    });
+}
+
+/**
+ * Parses PDN text and replays its first game
+ * @param {string} text - PDN text
+ * @returns {Object} Loaded game, see loadPDNGame
+ * @throws {Error} If the text holds no game or the game is invalid
+ */
+export function importPDN(text) {
+    const games = parsePDN(text);
+    if (games.length === 0) {
+        throw new Error('No game found in PDN');
+    }
+    return loadPDNGame(games[0]);
+}
+
+// Formatting helpers
+
+function formatTag(name, value) {
+    const escaped = String(value ?? '?').replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    return `[${name} "${escaped}"]`;
+}
+
+function formatPDNDate(date) {
+    const pad = n => n.toString().padStart(2, '0');
+    return `${date.getFullYear()}.${pad(date.getMonth() + 1)}.${pad(date.getDate())}`;
+}
+
+function wrapTokens(tokens) {
+    const lines = [];
+    let line = '';
+
+    for (const token of tokens) {
+        if (line && line.length + token.length + 1 > LINE_WIDTH) {
+            lines.push(line);
+            line = token;
+        } else {
+            line = line ? `${line} ${token}` : token;
+        }
+    }
+
+    if (line) lines.push(line);
+    return lines;
+}
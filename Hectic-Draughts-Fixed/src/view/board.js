@@ -3,12 +3,42 @@
  * - Renders the wooden board and pieces using image assets
  * - Includes fully functional drag-and-drop logic that emits events
  * - Enhanced with visual indicators for game state
+ * - Shows annotation arrows and highlighted squares; right-click to draw them
+ * - Renders 10x10 boards on the wooden image and 8x8 boards with painted squares
  * - FIXED: Pieces now truly fill 80% of squares with aggressive sizing
+ * - Board themes, move highlighting, square numbers and drag-and-drop follow the settings
+ * - Keyboard play: arrow keys move a cursor over the squares, Enter or Space clicks the square
  * @author codewithheck
  * Enhanced for better gameplay experience
  */
 
-import { BOARD_SIZE, PIECE, isDarkSquare, SQUARE_NUMBERS } from '../engine/constants.js';
+import { BOARD_SIZE, PIECE, isDarkSquare, getSquareNumbers } from '../engine/constants.js';
+
+// Cursor steps of the arrow keys
+const CURSOR_KEYS = {
+    ArrowUp: { dy: -1, dx: 0 },
+    ArrowDown: { dy: 1, dx: 0 },
+    ArrowLeft: { dy: 0, dx: -1 },
+    ArrowRight: { dy: 0, dx: 1 }
+};
+
+const PIECE_NAMES = {
+    [PIECE.WHITE]: 'white man',
+    [PIECE.BLACK]: 'black man',
+    [PIECE.WHITE_KING]: 'white king',
+    [PIECE.BLACK_KING]: 'black king'
+};
+
+/*
+ * Board themes, by the theme setting: square colours, and the board image used on
+ * 10x10 boards. Without an image, or on other sizes, the squares are painted.
+ */
+const BOARD_THEMES = {
+    classic: { image: 'assets/images/flipped_board.jpg', light: '#e9d3a9', dark: '#8b5a2b' },
+    wood: { image: null, light: '#f0d9b5', dark: '#b58863' },
+    modern: { image: null, light: '#dee3e6', dark: '#5d7a92' },
+    contrast: { image: null, light: '#ffffff', dark: '#1a1a1a' }
+};
 
 export class Board {
     constructor() {
@@ -20,12 +50,19 @@ export class Board {
         this.totalBoardSize = 600;
         this.borderSize = 14;
         this.playingAreaSize = this.totalBoardSize - (this.borderSize * 2);
-        this.squareSize = this.playingAreaSize / BOARD_SIZE;
+        this.boardSize = BOARD_SIZE;
+        this.squareSize = this.playingAreaSize / this.boardSize;
         
         // Enhanced features
         this.showSquareNumbers = true;
+        this.highlightMoves = true;
+        this.dragDropEnabled = true;
+        this.themeName = 'classic';
+        this.theme = BOARD_THEMES.classic;
         this.lastMoveSquares = null;
         this.checkSquare = null;
+        this.annotationStart = null; // Square where a right-button drag began
+        this.cursor = null; // Square of the keyboard cursor
     }
 
     initialize() {
@@ -34,21 +71,47 @@ export class Board {
             console.error('Game board container not found'); 
             return; 
         }
+        // Focusable, so the keyboard cursor can be used; the cursor square is announced
+        this.container.tabIndex = 0;
+        this.container.setAttribute('role', 'application');
+        this.container.setAttribute('aria-label', 'Draughts board. Use the arrow keys to move and Enter to select.');
         this.createBoard();
         this.attachEventListeners();
     }
 
+    /**
+     * Rebuilds the board for another board size, e.g. when the rule variant changes
+     * @param {number} boardSize - Squares along each side
+     */
+    setBoardSize(boardSize) {
+        if (boardSize === this.boardSize) return;
+        this.boardSize = boardSize;
+        this.squareSize = this.playingAreaSize / boardSize;
+        this.selectedSquare = null;
+        this.lastMoveSquares = null;
+        this.cursor = null;
+        if (this.container) {
+            this.createBoard();
+        }
+    }
+
     createBoard() {
+        const { image, light, dark } = this.theme;
+        // The board image has a 10x10 grid; other sizes get a plain frame and painted squares
+        const paintSquares = !image || this.boardSize !== BOARD_SIZE;
+        const numbers = getSquareNumbers(this.boardSize);
+        
         this.container.innerHTML = '';
         this.container.style.position = 'relative';
         this.container.style.width = `${this.totalBoardSize}px`;
         this.container.style.height = `${this.totalBoardSize}px`;
-        this.container.style.backgroundImage = 'url("assets/images/flipped_board.jpg")';
+        this.container.style.backgroundImage = paintSquares ? 'none' : `url("${image}")`;
+        this.container.style.backgroundColor = paintSquares ? dark : '';
         this.container.style.backgroundSize = 'cover';
         this.container.style.backgroundPosition = 'center';
 
-        for (let row = 0; row < BOARD_SIZE; row++) {
-            for (let col = 0; col < BOARD_SIZE; col++) {
+        for (let row = 0; row < this.boardSize; row++) {
+            for (let col = 0; col < this.boardSize; col++) {
                 const square = document.createElement('div');
                 square.className = 'board-square';
                 square.style.position = 'absolute';
@@ -58,7 +121,9 @@ export class Board {
                 square.style.top = `${this.borderSize + (row * this.squareSize)}px`;
                 square.dataset.row = row;
                 square.dataset.col = col;
-                square.style.backgroundColor = 'transparent';
+                square.id = `square-${row}-${col}`;
+                square.style.backgroundColor = !paintSquares ? 'transparent' :
+                    (isDarkSquare(row, col) ? dark : light);
                 square.style.cursor = 'pointer';
                 
                 if (isDarkSquare(row, col)) {
@@ -66,7 +131,7 @@ export class Board {
                     
                     // Add square numbers if enabled
                     if (this.showSquareNumbers) {
-                        const number = SQUARE_NUMBERS[row * BOARD_SIZE + col];
+                        const number = numbers[row * this.boardSize + col];
                         const numberEl = document.createElement('div');
                         numberEl.className = 'square-number';
                         numberEl.textContent = number;
@@ -89,6 +154,21 @@ export class Board {
                 this.container.appendChild(square);
             }
         }
+        
+        // Arrow overlay above the pieces, transparent to the mouse
+        this.annotationLayer = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        this.annotationLayer.classList.add('annotation-layer');
+        this.annotationLayer.setAttribute('width', this.totalBoardSize);
+        this.annotationLayer.setAttribute('height', this.totalBoardSize);
+        this.annotationLayer.innerHTML = `
+            <defs>
+                <marker id="annotation-arrowhead" markerWidth="4" markerHeight="4" refX="2.5" refY="2" orient="auto">
+                    <path d="M0,0 L4,2 L0,4 Z" class="annotation-arrowhead"></path>
+                </marker>
+            </defs>`;
+        this.container.appendChild(this.annotationLayer);
+        
+        if (this.cursor) this.moveCursor(this.cursor.row, this.cursor.col);
     }
 
     attachEventListeners() {
@@ -122,6 +202,36 @@ export class Board {
             }
         });
 
+        // Right-click a square to highlight it, right-drag to draw an arrow
+        this.container.addEventListener('contextmenu', (event) => event.preventDefault());
+
+        this.container.addEventListener('mousedown', (event) => {
+            if (event.button !== 2 || this.editMode) return;
+            this.annotationStart = this.getSquareNumberFromEvent(event);
+        });
+
+        this.container.addEventListener('mouseup', (event) => {
+            if (event.button !== 2 || this.annotationStart === null) return;
+            
+            const from = this.annotationStart;
+            const to = this.getSquareNumberFromEvent(event);
+            this.annotationStart = null;
+            
+            if (from && to) {
+                this.emit('annotationDraw', { from, to });
+            }
+        });
+
+        // Keyboard cursor
+        this.container.addEventListener('keydown', (event) => this.handleKeyDown(event));
+        this.container.addEventListener('focus', () => {
+            if (!this.cursor) {
+                // Start on the selected square, or in the middle of the board
+                const start = this.selectedSquare || { row: this.boardSize / 2, col: this.boardSize / 2 };
+                this.moveCursor(start.row, start.col);
+            }
+        });
+
         // Drag and drop listeners
         this.container.addEventListener('dragstart', (event) => {
             const piece = event.target.closest('.piece');
@@ -222,6 +332,44 @@ export class Board {
         }
     }
 
+    handleKeyDown(event) {
+        if (event.altKey || event.ctrlKey || event.metaKey) return;
+        
+        const step = CURSOR_KEYS[event.key];
+        const cursor = this.cursor || { row: 0, col: 0 };
+        
+        if (step) {
+            this.moveCursor(
+                Math.min(this.boardSize - 1, Math.max(0, cursor.row + step.dy)),
+                Math.min(this.boardSize - 1, Math.max(0, cursor.col + step.dx))
+            );
+        } else if (event.key === 'Enter' || event.key === ' ') {
+            this.handleSquareClick(cursor.row, cursor.col);
+        } else if (event.key === 'Escape') {
+            this.clearSelection();
+            this.clearHighlights();
+        } else {
+            return;
+        }
+        event.preventDefault();
+    }
+    
+    moveCursor(row, col) {
+        this.container.querySelector('.keyboard-cursor')?.classList.remove('keyboard-cursor');
+        this.cursor = { row, col };
+        
+        const square = this.container.querySelector(`[data-row="${row}"][data-col="${col}"]`);
+        if (!square) return;
+        square.classList.add('keyboard-cursor');
+        
+        // Name the square and its piece for screen readers
+        const piece = square.querySelector('.piece');
+        const number = getSquareNumbers(this.boardSize)[row * this.boardSize + col];
+        square.setAttribute('aria-label', !isDarkSquare(row, col) ? 'Light square' :
+            `Square ${number}${piece ? `, ${PIECE_NAMES[piece.dataset.piece]}` : ''}`);
+        this.container.setAttribute('aria-activedescendant', square.id);
+    }
+    
     selectSquare(row, col) {
         this.clearSelection();
         this.selectedSquare = { row, col };
@@ -253,8 +401,8 @@ export class Board {
         this.container.querySelectorAll('.piece').forEach(p => p.remove());
         
         // Place pieces
-        for (let row = 0; row < BOARD_SIZE; row++) {
-            for (let col = 0; col < BOARD_SIZE; col++) {
+        for (let row = 0; row < this.boardSize; row++) {
+            for (let col = 0; col < this.boardSize; col++) {
                 const pieceType = game.getPiece(row, col);
                 if (pieceType && pieceType !== PIECE.NONE) {
                     this.createPiece(row, col, pieceType);
@@ -267,6 +415,8 @@ export class Board {
             const lastMove = game.moveHistory[game.moveHistory.length - 1];
             this.highlightLastMove(lastMove);
         }
+        
+        if (this.cursor) this.moveCursor(this.cursor.row, this.cursor.col);
     }
 
     createPiece(row, col, pieceType) {
@@ -275,6 +425,7 @@ export class Board {
         
         const pieceEl = document.createElement('div');
         pieceEl.className = 'piece';
+        pieceEl.dataset.piece = pieceType;
         
         // AGGRESSIVE SIZING: Make pieces 95% of square size to compensate for image padding
         const pieceSize = this.squareSize * 0.95;
@@ -308,7 +459,7 @@ export class Board {
             height: ${pieceSize}px !important; 
             left: ${offsetX}px; 
             top: ${offsetY}px; 
-            cursor: grab; 
+            cursor: ${this.dragDropEnabled ? 'grab' : 'pointer'}; 
             z-index: 10; 
             background-image: url("${imageUrl}"); 
             background-size: 100% 100% !important; 
@@ -320,7 +471,7 @@ export class Board {
             transition: transform 0.2s ease;
         `;
         
-        pieceEl.draggable = true;
+        pieceEl.draggable = this.dragDropEnabled;
         
         // Add hover effect
         pieceEl.addEventListener('mouseenter', () => {
@@ -338,6 +489,7 @@ export class Board {
 
     highlightLegalMoves(moves) {
         this.clearHighlights();
+        if (!this.highlightMoves) return;
         moves.forEach(move => {
             const square = this.container.querySelector(
                 `[data-row="${move.to.row}"][data-col="${move.to.col}"]`
@@ -384,6 +536,70 @@ export class Board {
         });
     }
 
+    getSquareNumberFromEvent(event) {
+        const square = event.target.closest('.board-square');
+        if (!square) return null;
+        
+        const row = parseInt(square.dataset.row, 10);
+        const col = parseInt(square.dataset.col, 10);
+        return isDarkSquare(row, col) ? getSquareNumbers(this.boardSize)[row * this.boardSize + col] : null;
+    }
+    
+    getSquarePosition(number) {
+        const index = getSquareNumbers(this.boardSize).indexOf(number);
+        return { row: Math.floor(index / this.boardSize), col: index % this.boardSize };
+    }
+    
+    getSquareCenter(number) {
+        const { row, col } = this.getSquarePosition(number);
+        return {
+            x: this.borderSize + (col + 0.5) * this.squareSize,
+            y: this.borderSize + (row + 0.5) * this.squareSize
+        };
+    }
+    
+    /**
+     * Shows the arrows and highlighted squares of an annotated move
+     * @param {Object|null} annotation - Move record with arrows and highlights (square numbers)
+     */
+    showAnnotations(annotation) {
+        this.clearAnnotations();
+        if (!annotation) return;
+        
+        (annotation.highlights || []).forEach(number => {
+            const { row, col } = this.getSquarePosition(number);
+            this.container.querySelector(`[data-row="${row}"][data-col="${col}"]`)
+                ?.classList.add('annotated-square');
+        });
+        
+        (annotation.arrows || []).forEach(arrow => {
+            const from = this.getSquareCenter(arrow.from);
+            const to = this.getSquareCenter(arrow.to);
+            
+            // Stop short of the target center so the head stays inside the square
+            const length = Math.hypot(to.x - from.x, to.y - from.y);
+            const shorten = Math.min(this.squareSize * 0.3, length / 2);
+            const endX = to.x - (to.x - from.x) * shorten / length;
+            const endY = to.y - (to.y - from.y) * shorten / length;
+            
+            const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+            line.setAttribute('x1', from.x);
+            line.setAttribute('y1', from.y);
+            line.setAttribute('x2', endX);
+            line.setAttribute('y2', endY);
+            line.setAttribute('marker-end', 'url(#annotation-arrowhead)');
+            line.classList.add('annotation-arrow');
+            this.annotationLayer.appendChild(line);
+        });
+    }
+    
+    clearAnnotations() {
+        this.container.querySelectorAll('.annotated-square').forEach(sq => {
+            sq.classList.remove('annotated-square');
+        });
+        this.annotationLayer?.querySelectorAll('.annotation-arrow').forEach(line => line.remove());
+    }
+
     setEditMode(enabled) { 
         this.editMode = enabled;
         if (enabled) {
@@ -398,6 +614,31 @@ export class Board {
         this.createBoard(); // Recreate board with/without numbers
     }
     
+    /**
+     * Repaints the board in another theme; like toggleSquareNumbers this rebuilds
+     * the squares, so the position has to be shown again afterwards
+     * @param {string} theme - Theme name, see BOARD_THEMES
+     */
+    setTheme(theme) {
+        this.themeName = theme in BOARD_THEMES ? theme : 'classic';
+        this.theme = BOARD_THEMES[this.themeName];
+        this.container.dataset.theme = this.themeName;
+        this.createBoard();
+    }
+    
+    setHighlightMoves(enabled) {
+        this.highlightMoves = enabled;
+        if (!enabled) this.clearHighlights();
+    }
+    
+    setDragDrop(enabled) {
+        this.dragDropEnabled = enabled;
+        this.container.querySelectorAll('.piece').forEach(piece => {
+            piece.draggable = enabled;
+            piece.style.cursor = enabled ? 'grab' : 'pointer';
+        });
+    }
+    
     async saveAsPNG() {
         if (typeof html2canvas !== 'undefined') {
             try {
@@ -21,6 +21,7 @@ export class Settings {
         
         this.settings = this.loadSettings();
         this.callbacks = new Map();
+        this.inputs = new Map(); // Panel controls by setting key
     }
 
     loadSettings() {
@@ -55,9 +56,21 @@ export class Settings {
 
     resetToDefaults() {
         this.settings = { ...this.defaults };
+        this.refreshPanel();
         this.saveSettings();
     }
 
+    // Shows the current values in the panel controls
+    refreshPanel() {
+        for (const [key, input] of this.inputs) {
+            if (input.type === 'checkbox') {
+                input.checked = this.settings[key];
+            } else {
+                input.value = this.settings[key];
+            }
+        }
+    }
+
     createSettingsPanel() {
         const panel = createElement('div', { class: 'settings-panel' });
 
@@ -139,6 +152,7 @@ export class Settings {
         });
         toggle.checked = this.settings[key];
         toggle.onchange = () => this.set(key, toggle.checked);
+        this.inputs.set(key, toggle);
 
         const title = createElement('span', { class: 'settings-title' }, { textContent: label });
         const desc = createElement('span', { class: 'settings-description' }, { textContent: description });
@@ -167,13 +181,15 @@ export class Settings {
         textContainer.appendChild(desc);
 
         const select = createElement('select', { class: 'settings-select' });
-        select.value = this.settings[key];
         select.onchange = () => this.set(key, select.value);
 
         for (const [value, text] of Object.entries(options)) {
             const option = createElement('option', { value }, { textContent: text });
             select.appendChild(option);
         }
+        // The value only sticks once its option exists
+        select.value = this.settings[key];
+        this.inputs.set(key, select);
 
         container.appendChild(textContainer);
         container.appendChild(select);
@@ -1,7 +1,58 @@
+import { PLAYER, GAME_STATE, DRAW_REASON, BOARD_SIZE } from '../engine/constants.js';
+import { getPDNResult } from '../utils/pdn.js';
+import { NOTATION, formatMove, formatNotation } from '../utils/notation.js';
+import { getWhiteScore } from '../utils/book-editor.js';
+
+// Name of each draw rule, as shown with its countdown and when it ends the game
+const DRAW_RULE_NAMES = {
+    [DRAW_REASON.KING_MOVES]: '25-move rule',
+    [DRAW_REASON.SIXTEEN_MOVES]: '16-move rule',
+    [DRAW_REASON.FIVE_MOVES]: '5-move rule'
+};
+
+// Evaluation of a book line, e.g. "+0.20"
+function formatBookEvaluation(value) {
+    return `${value > 0 ? '+' : ''}${value.toFixed(2)}`;
+}
+
+// Tablebase result for the side to move, e.g. "Tablebase win in 7"; distances are
+// counted in the moves of the side to move
+function formatTablebaseResult({ result, distance }) {
+    if (result === 'draw') return 'Tablebase draw';
+    return `Tablebase ${result} in ${Math.ceil(distance / 2)}`;
+}
+
+// Score of an analysis line, e.g. "+0.35" or "Tablebase win in 7"
+function formatAnalysisScore(line) {
+    if (line.tablebase) return formatTablebaseResult(line.tablebase);
+    const score = (line.score / 100).toFixed(2);
+    return score > 0 ? `+${score}` : score;
+}
+
+function getScoreColor(line) {
+    if (line.tablebase) {
+        return line.tablebase.result === 'win' ? '#2ecc71' :
+            line.tablebase.result === 'loss' ? '#e74c3c' :
+            '#666';
+    }
+    return line.score > 100 ? '#2ecc71' : line.score < -100 ? '#e74c3c' : '#666';
+}
+
+// Keys of the move navigation buttons, when no text field has the focus
+const NAVIGATION_KEYS = {
+    Home: 'firstMove',
+    ArrowLeft: 'prevMove',
+    ArrowRight: 'nextMove',
+    End: 'lastMove'
+};
+
 export class UI {
     constructor() { 
         this.listeners = new Map(); 
         this.lastUpdateTime = Date.now();
+        this.notation = NOTATION.NUMERIC;
+        this.boardSize = BOARD_SIZE;
+        this.selectedBookLine = null; // Moves of the book line being edited
     }
     
     initialize() {
@@ -14,18 +65,71 @@ export class UI {
             lastMove: document.getElementById('last-move'), 
             prevMove: document.getElementById('prev-move'), 
             nextMove: document.getElementById('next-move'), 
+            moveEntry: document.getElementById('move-entry'),
+            pause: document.getElementById('pause'),
+            offerDraw: document.getElementById('offer-draw'),
+            resign: document.getElementById('resign'),
             importFEN: document.getElementById('import-fen'), 
             exportFEN: document.getElementById('export-fen'), 
+            importPDN: document.getElementById('import-pdn'),
+            exportPDN: document.getElementById('export-pdn'),
             savePNG: document.getElementById('save-png'), 
             moveHistory: document.getElementById('move-history'), 
-            bestMove: document.getElementById('best-move'), 
-            evaluationScore: document.getElementById('evaluation-score'), 
             searchDepth: document.getElementById('search-depth'),
+            // Analysis lines
+            analysisToggle: document.getElementById('analysis-toggle'),
+            analysisLineCount: document.getElementById('analysis-line-count'),
+            analysisLines: document.getElementById('analysis-lines'),
+            // Opening explorer
+            openingName: document.getElementById('opening-name'),
+            explorerMoves: document.getElementById('explorer-moves'),
             // New elements for enhanced features
             blackCaptured: document.getElementById('black-captured'),
             whiteCaptured: document.getElementById('white-captured'),
             blackTimer: document.getElementById('black-timer'),
-            whiteTimer: document.getElementById('white-timer')
+            whiteTimer: document.getElementById('white-timer'),
+            // PDN game database
+            databasePanel: document.getElementById('database-panel'),
+            databaseList: document.getElementById('database-list'),
+            databaseCount: document.getElementById('database-count'),
+            closeDatabase: document.getElementById('close-database'),
+            filterPlayer: document.getElementById('filter-player'),
+            filterResult: document.getElementById('filter-result'),
+            filterOpening: document.getElementById('filter-opening'),
+            filterFEN: document.getElementById('filter-fen'),
+            filterCurrentPosition: document.getElementById('filter-current-position'),
+            // Recent games
+            recentGames: document.getElementById('recent-games'),
+            recentPanel: document.getElementById('recent-panel'),
+            recentList: document.getElementById('recent-list'),
+            closeRecent: document.getElementById('close-recent'),
+            // Opening book editor
+            openingBook: document.getElementById('opening-book'),
+            bookPanel: document.getElementById('book-panel'),
+            bookCount: document.getElementById('book-count'),
+            bookList: document.getElementById('book-list'),
+            closeBook: document.getElementById('close-book'),
+            bookName: document.getElementById('book-name'),
+            bookCategory: document.getElementById('book-category'),
+            bookCategories: document.getElementById('book-categories'),
+            bookEvaluation: document.getElementById('book-evaluation'),
+            bookDescription: document.getElementById('book-description'),
+            bookAddLine: document.getElementById('book-add-line'),
+            bookUpdateLine: document.getElementById('book-update-line'),
+            bookRemoveLine: document.getElementById('book-remove-line'),
+            bookMerge: document.getElementById('book-merge'),
+            bookBuild: document.getElementById('book-build'),
+            bookExport: document.getElementById('book-export'),
+            bookReset: document.getElementById('book-reset'),
+            // Settings
+            settings: document.getElementById('settings'),
+            settingsPanel: document.getElementById('settings-panel'),
+            settingsContent: document.getElementById('settings-content'),
+            closeSettings: document.getElementById('close-settings'),
+            // Annotation of the current move
+            glyphButtons: document.querySelectorAll('.glyph-btn'),
+            moveComment: document.getElementById('move-comment'),
+            clearDrawings: document.getElementById('clear-drawings')
         };
         this.attachEventListeners();
     }
@@ -39,66 +143,569 @@ export class UI {
         this.elements.lastMove?.addEventListener('click', () => this.emit('lastMove'));
         this.elements.prevMove?.addEventListener('click', () => this.emit('prevMove'));
         this.elements.nextMove?.addEventListener('click', () => this.emit('nextMove'));
+        this.elements.moveEntry?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.emit('moveEntry', this.elements.moveEntry.value);
+        });
+        document.addEventListener('keydown', (e) => this.handleShortcut(e));
+        this.elements.pause?.addEventListener('click', () => this.emit('pause'));
+        this.elements.offerDraw?.addEventListener('click', () => this.emit('offerDraw'));
+        this.elements.resign?.addEventListener('click', () => this.emit('resign'));
         this.elements.importFEN?.addEventListener('click', () => this.emit('importFEN'));
         this.elements.exportFEN?.addEventListener('click', () => this.emit('exportFEN'));
+        this.elements.importPDN?.addEventListener('change', (e) => this.readFileInput(e.target, 'importPDN'));
+        this.elements.exportPDN?.addEventListener('click', () => this.emit('exportPDN'));
         this.elements.savePNG?.addEventListener('click', () => this.emit('savePNG'));
+        
+        // Database filters
+        const emitFilter = () => this.emit('filterDatabase', this.getDatabaseFilters());
+        this.elements.filterPlayer?.addEventListener('input', emitFilter);
+        this.elements.filterOpening?.addEventListener('input', emitFilter);
+        this.elements.filterResult?.addEventListener('change', emitFilter);
+        this.elements.filterFEN?.addEventListener('change', emitFilter);
+        this.elements.filterCurrentPosition?.addEventListener('click', () => this.emit('filterCurrentPosition'));
+        this.elements.closeDatabase?.addEventListener('click', () => this.hideDatabase());
+        this.elements.recentGames?.addEventListener('click', () => this.emit('showRecentGames'));
+        this.elements.closeRecent?.addEventListener('click', () => this.hideRecentGames());
+        
+        // Opening book editor
+        this.elements.openingBook?.addEventListener('click', () => this.emit('showBook'));
+        this.elements.closeBook?.addEventListener('click', () => this.hideBook());
+        this.elements.bookAddLine?.addEventListener('click', () => this.emit('addBookLine', this.getBookFields()));
+        this.elements.bookUpdateLine?.addEventListener('click', () => {
+            if (this.selectedBookLine) {
+                this.emit('updateBookLine', { moves: this.selectedBookLine, fields: this.getBookFields() });
+            }
+        });
+        this.elements.bookRemoveLine?.addEventListener('click', () => {
+            if (this.selectedBookLine) this.emit('removeBookLine', this.selectedBookLine);
+        });
+        this.elements.bookMerge?.addEventListener('change', (e) => this.readFileInput(e.target, 'mergeBook'));
+        this.elements.bookBuild?.addEventListener('change', (e) => this.readFileInput(e.target, 'buildBook'));
+        this.elements.bookExport?.addEventListener('click', () => this.emit('exportBook'));
+        this.elements.bookReset?.addEventListener('click', () => this.emit('resetBook'));
+        
+        // Analysis
+        this.elements.analysisToggle?.addEventListener('click', () => this.emit('toggleAnalysis'));
+        this.elements.analysisLineCount?.addEventListener('change', (e) => this.emit('analysisLineCount', parseInt(e.target.value, 10)));
+        
+        this.elements.settings?.addEventListener('click', () => this.toggleSettings());
+        this.elements.closeSettings?.addEventListener('click', () => this.toggleSettings(false));
+        
+        // Annotations
+        this.elements.glyphButtons?.forEach(btn => {
+            btn.addEventListener('click', () => this.emit('annotateGlyph', btn.dataset.glyph));
+        });
+        this.elements.moveComment?.addEventListener('change', (e) => this.emit('annotateComment', e.target.value));
+        this.elements.clearDrawings?.addEventListener('click', () => this.emit('clearDrawings'));
+    }
+    
+    // Shows the annotation of the current move; disabled at the starting position
+    updateAnnotationPanel(move) {
+        this.elements.glyphButtons?.forEach(btn => {
+            btn.disabled = !move;
+            btn.classList.toggle('active', !!move && move.glyph === btn.dataset.glyph);
+        });
+        
+        if (this.elements.moveComment) {
+            this.elements.moveComment.disabled = !move;
+            // Keep what the user is typing
+            if (document.activeElement !== this.elements.moveComment) {
+                this.elements.moveComment.value = move?.comment || '';
+            }
+        }
+    }
+    
+    // PDN game database panel
+    showDatabase() {
+        if (this.elements.databasePanel) {
+            this.elements.databasePanel.style.display = 'flex';
+        }
+    }
+    
+    hideDatabase() {
+        if (this.elements.databasePanel) {
+            this.elements.databasePanel.style.display = 'none';
+        }
+    }
+    
+    showRecentGames() {
+        if (this.elements.recentPanel) {
+            this.elements.recentPanel.style.display = 'flex';
+        }
+    }
+    
+    hideRecentGames() {
+        if (this.elements.recentPanel) {
+            this.elements.recentPanel.style.display = 'none';
+        }
+    }
+    
+    /**
+     * Shows the opening of the game so far and the book moves of the position
+     * @param {string|null} openingName - Opening played, null when out of book
+     * @param {Object|null} evaluation - Book evaluation of the position, see OpeningBook.getEvaluation
+     * @param {Array} continuations - Book moves, see OpeningBook.getContinuations
+     */
+    updateExplorer(openingName, evaluation, continuations) {
+        if (this.elements.openingName) {
+            this.elements.openingName.textContent = openingName ?
+                (evaluation ? `${openingName} (${formatBookEvaluation(evaluation.score)})` : openingName) :
+                '--';
+        }
+        if (!this.elements.explorerMoves) return;
+        this.elements.explorerMoves.innerHTML = '';
+        
+        if (continuations.length === 0) {
+            const emptyEl = document.createElement('div');
+            emptyEl.className = 'explorer-empty';
+            emptyEl.textContent = 'No book moves';
+            this.elements.explorerMoves.appendChild(emptyEl);
+            return;
+        }
+        
+        continuations.forEach(continuation => {
+            const moveEl = document.createElement('button');
+            moveEl.className = 'explorer-move';
+            moveEl.title = continuation.description;
+            
+            const titleEl = document.createElement('div');
+            titleEl.className = 'entry-players';
+            const notationEl = document.createElement('span');
+            notationEl.textContent = formatNotation(continuation.notation, this.notation, this.boardSize);
+            const evaluationEl = document.createElement('span');
+            if (continuation.evaluation !== null) {
+                evaluationEl.textContent = formatBookEvaluation(continuation.evaluation);
+            }
+            titleEl.append(notationEl, evaluationEl);
+            
+            const score = getWhiteScore(continuation.stats);
+            const detailsEl = document.createElement('div');
+            detailsEl.className = 'entry-details';
+            detailsEl.textContent = [
+                continuation.name,
+                continuation.stats ?
+                    `${continuation.stats.games} games` :
+                    `${continuation.lines} ${continuation.lines === 1 ? 'line' : 'lines'}`,
+                score !== null ? `${Math.round(score * 100)}% for White` : null
+            ].filter(Boolean).join(' · ');
+            
+            moveEl.append(titleEl, detailsEl);
+            moveEl.addEventListener('click', () => this.emit('playBookMove', continuation.notation));
+            this.elements.explorerMoves.appendChild(moveEl);
+        });
+    }
+    
+    showBook() {
+        if (this.elements.bookPanel) {
+            this.elements.bookPanel.style.display = 'flex';
+        }
+    }
+    
+    hideBook() {
+        if (this.elements.bookPanel) {
+            this.elements.bookPanel.style.display = 'none';
+        }
+    }
+    
+    getBookFields() {
+        return {
+            name: this.elements.bookName?.value || '',
+            category: this.elements.bookCategory?.value || '',
+            evaluation: this.elements.bookEvaluation?.value || '',
+            description: this.elements.bookDescription?.value || ''
+        };
+    }
+    
+    // Book lines, each followed by its variations; the selected line fills the fields for editing
+    updateBookLines(lines, categories, selected = null) {
+        if (!this.elements.bookList) return;
+        this.elements.bookList.innerHTML = '';
+        this.selectBookLine(null);
+        
+        if (this.elements.bookCount) {
+            this.elements.bookCount.textContent = `(${lines.length} lines)`;
+        }
+        if (this.elements.bookCategories) {
+            this.elements.bookCategories.innerHTML = '';
+            Object.keys(categories).forEach(category => {
+                const optionEl = document.createElement('option');
+                optionEl.value = category;
+                this.elements.bookCategories.appendChild(optionEl);
+            });
+        }
+        
+        const selectedKey = selected ? selected.join(' ') : null;
+        lines.forEach(line => {
+            const entryEl = document.createElement('div');
+            entryEl.className = 'database-entry';
+            if (line.depth > 0) {
+                entryEl.classList.add('book-variation');
+                entryEl.style.marginLeft = `${line.depth * 12}px`;
+            }
+            
+            const titleEl = document.createElement('div');
+            titleEl.className = 'entry-players';
+            const nameEl = document.createElement('span');
+            nameEl.textContent = line.name || 'Unnamed line';
+            const evaluationEl = document.createElement('span');
+            if (typeof line.evaluation === 'number') {
+                evaluationEl.textContent = formatBookEvaluation(line.evaluation);
+            }
+            titleEl.append(nameEl, evaluationEl);
+            
+            const score = getWhiteScore(line.stats);
+            const detailsEl = document.createElement('div');
+            detailsEl.className = 'entry-details';
+            detailsEl.textContent = [
+                line.moves.map(move => formatNotation(move, this.notation, this.boardSize)).join(' '),
+                line.category,
+                line.stats ? `${line.stats.games} games` : null,
+                score !== null ? `${Math.round(score * 100)}% for White` : null
+            ].filter(Boolean).join(' · ');
+            
+            entryEl.append(titleEl, detailsEl);
+            entryEl.addEventListener('click', () => {
+                this.elements.bookList.querySelector('.current')?.classList.remove('current');
+                entryEl.classList.add('current');
+                this.selectBookLine(line);
+            });
+            
+            if (line.moves.join(' ') === selectedKey) {
+                entryEl.classList.add('current');
+                this.selectBookLine(line);
+            }
+            this.elements.bookList.appendChild(entryEl);
+        });
+    }
+    
+    selectBookLine(line) {
+        this.selectedBookLine = line ? line.moves : null;
+        
+        const values = {
+            bookName: line?.name,
+            bookCategory: line?.category,
+            bookEvaluation: line?.evaluation,
+            bookDescription: line?.description
+        };
+        for (const [key, value] of Object.entries(values)) {
+            if (this.elements[key]) this.elements[key].value = value ?? '';
+        }
+        
+        if (this.elements.bookUpdateLine) this.elements.bookUpdateLine.disabled = !line;
+        if (this.elements.bookRemoveLine) this.elements.bookRemoveLine.disabled = !line;
+    }
+    
+    // Move navigation and undo/redo from the keyboard; the board handles its own keys first
+    handleShortcut(event) {
+        if (event.defaultPrevented || event.altKey) return;
+        if (event.target.closest?.('input, textarea, select')) return;
+        
+        let action = null;
+        if (event.ctrlKey || event.metaKey) {
+            const key = event.key.toLowerCase();
+            if (key === 'z') action = event.shiftKey ? 'redo' : 'undo';
+            if (key === 'y') action = 'redo';
+        } else {
+            action = NAVIGATION_KEYS[event.key] || null;
+        }
+        
+        if (action) {
+            event.preventDefault();
+            this.emit(action);
+        }
+    }
+    
+    clearMoveEntry() {
+        if (this.elements.moveEntry) {
+            this.elements.moveEntry.value = '';
+        }
+    }
+    
+    promptCaptureSquares(message) {
+        return prompt(message);
+    }
+    
+    // Panel built by Settings.createSettingsPanel
+    setSettingsPanel(panel) {
+        if (!this.elements.settingsContent) return;
+        this.elements.settingsContent.innerHTML = '';
+        this.elements.settingsContent.appendChild(panel);
+    }
+    
+    toggleSettings(show = this.elements.settingsPanel?.style.display === 'none') {
+        if (this.elements.settingsPanel) {
+            this.elements.settingsPanel.style.display = show ? 'flex' : 'none';
+        }
+    }
+    
+    // Recent games, newest first; the game being played is marked
+    updateRecentGames(games, currentId = null) {
+        if (!this.elements.recentList) return;
+        this.elements.recentList.innerHTML = '';
+        
+        if (games.length === 0) {
+            this.elements.recentList.textContent = 'No recent games yet';
+            return;
+        }
+        
+        games.forEach(game => {
+            const entryEl = document.createElement('div');
+            entryEl.className = 'database-entry';
+            if (game.id === currentId) entryEl.classList.add('current');
+            
+            const playersEl = document.createElement('div');
+            playersEl.className = 'entry-players';
+            const namesEl = document.createElement('span');
+            namesEl.textContent = `${game.white} - ${game.black}`;
+            const resultEl = document.createElement('span');
+            resultEl.textContent = getPDNResult(game.result);
+            playersEl.append(namesEl, resultEl);
+            
+            const detailsEl = document.createElement('div');
+            detailsEl.className = 'entry-details';
+            detailsEl.textContent = [
+                game.variant.name,
+                new Date(game.savedAt).toLocaleString(),
+                `${game.moveCount} plies`,
+                game.result === GAME_STATE.ONGOING ? 'unfinished' : null
+            ].filter(Boolean).join(' · ');
+            
+            entryEl.append(playersEl, detailsEl);
+            entryEl.addEventListener('click', () => this.emit('resumeRecentGame', game.id));
+            
+            this.elements.recentList.appendChild(entryEl);
+        });
+    }
+    
+    setDifficulty(level) {
+        if (this.elements.difficultyLevel) {
+            this.elements.difficultyLevel.value = String(level);
+        }
+    }
+    
+    getDatabaseFilters() {
+        return {
+            player: this.elements.filterPlayer?.value || '',
+            result: this.elements.filterResult?.value || '',
+            opening: this.elements.filterOpening?.value || '',
+            fen: this.elements.filterFEN?.value || ''
+        };
+    }
+    
+    setDatabaseFENFilter(fen) {
+        if (this.elements.filterFEN) {
+            this.elements.filterFEN.value = fen;
+        }
+        this.emit('filterDatabase', this.getDatabaseFilters());
+    }
+    
+    resetDatabaseFilters() {
+        ['filterPlayer', 'filterResult', 'filterOpening', 'filterFEN'].forEach(key => {
+            if (this.elements[key]) this.elements[key].value = '';
+        });
+    }
+    
+    updateDatabaseList(entries, totalGames, currentIndex = -1) {
+        if (!this.elements.databaseList) return;
+        this.elements.databaseList.innerHTML = '';
+        
+        if (this.elements.databaseCount) {
+            this.elements.databaseCount.textContent = `(${entries.length}/${totalGames})`;
+        }
+        
+        entries.forEach(entry => {
+            const entryEl = document.createElement('div');
+            entryEl.className = 'database-entry';
+            if (entry.index === currentIndex) entryEl.classList.add('current');
+            if (entry.error) {
+                entryEl.classList.add('invalid');
+                entryEl.title = entry.error;
+            }
+            
+            const playersEl = document.createElement('div');
+            playersEl.className = 'entry-players';
+            const namesEl = document.createElement('span');
+            namesEl.textContent = `${entry.white} - ${entry.black}`;
+            const resultEl = document.createElement('span');
+            resultEl.textContent = entry.result;
+            playersEl.append(namesEl, resultEl);
+            
+            const detailsEl = document.createElement('div');
+            detailsEl.className = 'entry-details';
+            detailsEl.textContent = [entry.event, entry.date, entry.opening, `${entry.moves.length} plies`]
+                .filter(Boolean)
+                .join(' · ');
+            
+            entryEl.append(playersEl, detailsEl);
+            entryEl.addEventListener('click', () => {
+                if (!entry.error) this.emit('loadDatabaseGame', entry.index);
+            });
+            
+            this.elements.databaseList.appendChild(entryEl);
+        });
     }
     
-    // Enhanced move history with timing and promotion indicators
-    updateMoveHistory(history, currentIndex) {
+    // Move history as a variation tree: main line in rows, sidelines nested below the move they replace
+    updateMoveHistory(tree, currentNode) {
         if (!this.elements.moveHistory) return;
         this.elements.moveHistory.innerHTML = '';
         
-        for (let i = 0; i < history.length; i++) {
-            const moveRecord = history[i];
-            const isWhiteMove = i % 2 === 0;
-
-            if (isWhiteMove) {
-                const moveNumber = Math.floor(i / 2) + 1;
-                const rowEl = document.createElement('div');
+        // Offset for move numbers when Black moves first
+        const firstMove = tree.children[0]?.move;
+        const numberOffset = firstMove && firstMove.player === PLAYER.BLACK ? 1 : 0;
+        const context = { currentNode, numberOffset, currentEl: null };
+        
+        let rowEl = null;
+        let blackSlot = null;
+        for (let node = tree.children[0]; node; node = node.children[0]) {
+            const isWhiteMove = node.move.player !== PLAYER.BLACK;
+            
+            if (isWhiteMove || !rowEl) {
+                rowEl = document.createElement('div');
                 rowEl.className = 'move-entry';
-
-                const whiteMove = moveRecord;
-                const blackMove = history[i + 1];
-
-                // Enhanced notation with timing and promotion
-                let whiteNotation = this.formatMoveNotation(whiteMove);
-                let blackNotation = blackMove ? this.formatMoveNotation(blackMove) : '';
-
-                let whiteHTML = `<span>${whiteNotation}</span>`;
-                let blackHTML = blackMove ? `<span>${blackNotation}</span>` : '';
-
-                // Highlight current move
-                if (i === currentIndex) {
-                    whiteHTML = `<span style="background-color: #d4edda; border-radius: 3px; padding: 1px 3px;">${whiteNotation}</span>`;
-                }
-                if (i + 1 === currentIndex && blackMove) {
-                    blackHTML = `<span style="background-color: #d4edda; border-radius: 3px; padding: 1px 3px;">${blackNotation}</span>`;
-                }
-
-                rowEl.innerHTML = `<span style="color: #888; min-width: 25px; display: inline-block;">${moveNumber}.</span> <span style="display: inline-block; width: 120px;">${whiteHTML}</span> <span style="display: inline-block; width: 120px;">${blackHTML}</span>`;
                 
-                // Add click handlers for move navigation
-                rowEl.addEventListener('click', (e) => {
-                    const clickX = e.offsetX;
-                    const rowWidth = rowEl.offsetWidth;
-                    if (clickX < rowWidth / 2) {
-                        this.emit('jumpToMove', i);
-                    } else if (blackMove) {
-                        this.emit('jumpToMove', i + 1);
-                    }
-                });
+                const numberEl = document.createElement('span');
+                numberEl.className = 'move-number';
+                numberEl.textContent = `${this.getMoveNumber(node, numberOffset)}.`;
+                const whiteSlot = document.createElement('span');
+                whiteSlot.className = 'move-slot';
+                blackSlot = document.createElement('span');
+                blackSlot.className = 'move-slot';
+                rowEl.append(numberEl, whiteSlot, blackSlot);
                 
+                if (isWhiteMove) {
+                    whiteSlot.appendChild(this.createMoveToken(node, context));
+                } else {
+                    whiteSlot.textContent = '...';
+                }
                 this.elements.moveHistory.appendChild(rowEl);
             }
+            
+            if (!isWhiteMove) {
+                blackSlot.appendChild(this.createMoveToken(node, context));
+                rowEl = null;
+            }
+            
+            if (node.move.comment) {
+                this.elements.moveHistory.appendChild(this.createCommentElement(node.move.comment, 'div'));
+                rowEl = null;
+            }
+            
+            // Sidelines replacing this move
+            const sidelines = node.parent.children.slice(1);
+            if (sidelines.length > 0) {
+                sidelines.forEach(sideline => {
+                    this.elements.moveHistory.appendChild(this.createVariationElement(sideline, context));
+                });
+                rowEl = null;
+            }
+        }
+        
+        if (context.currentEl) {
+            context.currentEl.scrollIntoView({ block: 'nearest' });
+        } else if (currentNode === tree) {
+            this.elements.moveHistory.scrollTop = 0;
+        }
+    }
+    
+    getMoveNumber(node, numberOffset) {
+        return Math.floor((node.ply - 1 + numberOffset) / 2) + 1;
+    }
+    
+    // Clickable move of the tree
+    createMoveToken(node, context) {
+        const tokenEl = document.createElement('span');
+        tokenEl.className = 'move-token';
+        tokenEl.textContent = this.formatMoveNotation(node.move);
+        
+        if (node === context.currentNode) {
+            tokenEl.classList.add('current');
+            context.currentEl = tokenEl;
+        }
+        
+        tokenEl.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.emit('jumpToNode', node.id);
+        });
+        return tokenEl;
+    }
+    
+    createCommentElement(comment, tag) {
+        const commentEl = document.createElement(tag);
+        commentEl.className = 'move-comment';
+        commentEl.textContent = comment;
+        return commentEl;
+    }
+    
+    // Sideline block with its own nested sidelines, written inline
+    createVariationElement(firstNode, context) {
+        const variationEl = document.createElement('div');
+        variationEl.className = 'variation';
+        
+        const actionsEl = document.createElement('span');
+        actionsEl.className = 'variation-actions';
+        const promoteBtn = document.createElement('button');
+        promoteBtn.textContent = '⇧';
+        promoteBtn.title = 'Promote variation';
+        promoteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.emit('promoteVariation', firstNode.id);
+        });
+        const deleteBtn = document.createElement('button');
+        deleteBtn.textContent = '✕';
+        deleteBtn.title = 'Delete variation';
+        deleteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.emit('deleteVariation', firstNode.id);
+        });
+        actionsEl.append(promoteBtn, deleteBtn);
+        variationEl.appendChild(actionsEl);
+        
+        let showNumber = true;
+        for (let node = firstNode; node; node = node.children[0]) {
+            const isWhiteMove = node.move.player !== PLAYER.BLACK;
+            
+            if (isWhiteMove || showNumber) {
+                const numberEl = document.createElement('span');
+                numberEl.className = 'move-number';
+                numberEl.textContent = `${this.getMoveNumber(node, context.numberOffset)}.${isWhiteMove ? '' : '..'}`;
+                variationEl.appendChild(numberEl);
+            }
+            variationEl.appendChild(this.createMoveToken(node, context));
+            showNumber = false;
+            
+            if (node.move.comment) {
+                variationEl.appendChild(this.createCommentElement(node.move.comment, 'span'));
+                showNumber = true;
+            }
+            
+            // Nested sidelines, except for the first move whose alternatives belong to the parent line
+            if (node !== firstNode) {
+                const sidelines = node.parent.children.slice(1);
+                sidelines.forEach(sideline => {
+                    variationEl.appendChild(this.createVariationElement(sideline, context));
+                });
+                showNumber = sidelines.length > 0;
+            }
         }
-        this.elements.moveHistory.scrollTop = this.elements.moveHistory.scrollHeight;
+        
+        return variationEl;
+    }
+    
+    /**
+     * Sets how moves are written, see notation.js
+     * @param {string} notation - NOTATION value
+     * @param {number} boardSize - Squares along each side of the board
+     */
+    setNotation(notation, boardSize) {
+        this.notation = notation;
+        this.boardSize = boardSize;
     }
     
     formatMoveNotation(move) {
         if (!move || !move.notation) return '--';
         
-        let notation = move.notation;
+        let notation = formatNotation(move.notation, this.notation, this.boardSize) + (move.glyph || '');
         
         // Add promotion indicator
         if (move.wasPromotion) {
@@ -143,12 +750,12 @@ export class UI {
             balanceEl.style.color = balance > 0 ? '#2ecc71' : balance < 0 ? '#e74c3c' : '#666';
         }
         
-        // Update 50-move rule counter (if we add this element)
+        // Countdown of the draw rule closest to ending the game
         const moveRuleEl = document.getElementById('fifty-move-counter');
         if (moveRuleEl) {
-            const movesLeft = 50 - stats.currentPosition.movesSinceCapture;
-            moveRuleEl.textContent = `${movesLeft} moves until draw`;
-            if (movesLeft <= 10) {
+            const { reason, movesLeft } = stats.currentPosition.drawCountdown;
+            moveRuleEl.textContent = `${movesLeft} moves until draw (${DRAW_RULE_NAMES[reason]})`;
+            if (movesLeft <= 5) {
                 moveRuleEl.style.color = '#e74c3c';
                 moveRuleEl.style.fontWeight = 'bold';
             } else {
@@ -170,23 +777,9 @@ export class UI {
         }
     }
     
+    // Shows the line of the AI's own search
     updateAnalysis(evaluation) {
-        if (this.elements.bestMove && evaluation.bestMove) {
-            this.elements.bestMove.textContent = this.aiGetMoveNotation(evaluation.bestMove);
-        }
-        if (this.elements.evaluationScore && evaluation.score !== undefined) { 
-            const score = (evaluation.score / 100).toFixed(2); 
-            this.elements.evaluationScore.textContent = score > 0 ? `+${score}` : score;
-            
-            // Color code the evaluation
-            this.elements.evaluationScore.style.color = 
-                score > 1 ? '#2ecc71' : 
-                score < -1 ? '#e74c3c' : 
-                '#666';
-        }
-        if (this.elements.searchDepth && evaluation.depth !== undefined) {
-            this.elements.searchDepth.textContent = evaluation.depth;
-        }
+        this.showAnalysisLines([evaluation], evaluation.depth);
         
         // Show cache stats if available
         if (evaluation.cacheStats) {
@@ -197,6 +790,47 @@ export class UI {
         }
     }
     
+    // Shows the best lines of an analysis ({depth, lines}), best first
+    updateAnalysisLines(analysis) {
+        this.showAnalysisLines(analysis.lines, analysis.depth);
+    }
+    
+    setAnalysisActive(active) {
+        if (!this.elements.analysisToggle) return;
+        this.elements.analysisToggle.classList.toggle('active', active);
+        this.elements.analysisToggle.textContent = active ? 'Stop' : 'Analyse';
+    }
+    
+    clearAnalysis() {
+        this.showAnalysisLines([], 0);
+    }
+    
+    // Lines with their score and principal variation; scores are for the side to move
+    showAnalysisLines(lines, depth) {
+        if (this.elements.searchDepth && depth !== undefined) {
+            this.elements.searchDepth.textContent = depth;
+        }
+        if (!this.elements.analysisLines) return;
+        this.elements.analysisLines.innerHTML = '';
+        
+        lines.forEach(line => {
+            const lineEl = document.createElement('li');
+            lineEl.className = 'analysis-line';
+            
+            const scoreEl = document.createElement('span');
+            scoreEl.className = 'analysis-score';
+            scoreEl.textContent = formatAnalysisScore(line);
+            scoreEl.style.color = getScoreColor(line);
+            
+            const pvEl = document.createElement('span');
+            pvEl.className = 'analysis-pv';
+            pvEl.textContent = (line.pv || []).map(move => this.aiGetMoveNotation(move)).join(' ');
+            
+            lineEl.append(scoreEl, pvEl);
+            this.elements.analysisLines.appendChild(lineEl);
+        });
+    }
+    
     // Timer update method
     updateTimers(whiteTime, blackTime) {
         if (this.elements.whiteTimer) {
@@ -218,8 +852,28 @@ export class UI {
         }
     }
     
+    // Pause button and dimmed board while the game is paused
+    setPaused(paused) {
+        const button = this.elements.pause;
+        if (button) {
+            button.classList.toggle('active', paused);
+            button.title = paused ? 'Resume' : 'Pause';
+            button.querySelector('span').textContent = paused ? '▶' : '⏸';
+        }
+        document.body.classList.toggle('game-paused', paused);
+    }
+    
+    // Untimed games show no clock
+    resetTimers() {
+        for (const timer of [this.elements.whiteTimer, this.elements.blackTimer]) {
+            if (!timer) continue;
+            timer.textContent = '--:--';
+            timer.classList.remove('warning');
+        }
+    }
+    
     formatTime(milliseconds) {
-        const totalSeconds = Math.floor(milliseconds / 1000);
+        const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000));
         const minutes = Math.floor(totalSeconds / 60);
         const seconds = totalSeconds % 60;
         return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
@@ -228,17 +882,15 @@ export class UI {
     showDrawReason(reason) {
         let message = 'Game drawn by ';
         switch(reason) {
-            case 'repetition':
+            case DRAW_REASON.REPETITION:
                 message += 'threefold repetition';
                 break;
-            case 'fifty-move':
-                message += '50-move rule';
+            case DRAW_REASON.KING_MOVES:
+                message += `the ${DRAW_RULE_NAMES[reason]} (only kings moved, no captures)`;
                 break;
-            case 'material':
-                message += 'insufficient material';
-                break;
-            case 'blockade':
-                message += 'blockade - no legal moves';
+            case DRAW_REASON.SIXTEEN_MOVES:
+            case DRAW_REASON.FIVE_MOVES:
+                message += `the ${DRAW_RULE_NAMES[reason]} of the king ending`;
                 break;
             default:
                 message += 'agreement';
@@ -251,6 +903,10 @@ export class UI {
         }
     }
     
+    confirmAction(message) {
+        return confirm(message);
+    }
+    
     async getFENInput() { 
         return prompt('Enter FEN notation:'); 
     }
@@ -259,6 +915,30 @@ export class UI {
         prompt('FEN notation (copy this):', fen); 
     }
     
+    // Reads the file picked in a file input and emits its text
+    async readFileInput(input, event) {
+        const file = input.files && input.files[0];
+        if (!file) return;
+        
+        try {
+            const text = await file.text();
+            this.emit(event, text);
+        } catch (error) {
+            console.error('Failed to read file:', error);
+        } finally {
+            input.value = ''; // Allow the same file to be picked again
+        }
+    }
+    
+    downloadFile(filename, content, mimeType = 'text/plain') {
+        const blob = new Blob([content], { type: mimeType });
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+    
     on(event, cb) { 
         if (!this.listeners.has(event)) this.listeners.set(event, []); 
         this.listeners.get(event).push(cb); 
@@ -271,7 +951,6 @@ export class UI {
     }
     
     aiGetMoveNotation(move) { 
-        if (!move || !move.from || !move.to) return '--'; 
-        return `${move.from.row},${move.from.col} -> ${move.to.row},${move.to.col}`; 
+        return formatMove(move, this.notation, this.boardSize); 
     }
 }
\ No newline at end of file
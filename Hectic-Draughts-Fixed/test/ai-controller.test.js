@@ -0,0 +1,102 @@
+/**
+ * Tests for the AI controller stopping the worker's searches
+ * @author codewithheck
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Worker as ThreadWorker } from 'node:worker_threads';
+import { setTimeout as delay } from 'node:timers/promises';
+import { AIController } from '../src/engine/aiController.js';
+import { Game } from '../src/engine/game.js';
+import { QUIET_LOGGER } from '../src/engine/constants.js';
+
+// The browser worker, played by a thread answering the worker protocol without book and tablebase
+const WORKER_SCRIPT = `
+    const { parentPort, workerData } = require('node:worker_threads');
+    import(workerData.engine).then(({ GrandmasterAI, createMessageHandler }) => {
+        const post = message => parentPort.postMessage(message);
+        parentPort.on('message', createMessageHandler(new GrandmasterAI(), post));
+    });
+`;
+const ENGINE = new URL('../src/engine/ai/ai.core.js', import.meta.url).href;
+
+globalThis.Worker = class {
+    constructor() {
+        this.thread = new ThreadWorker(WORKER_SCRIPT, { eval: true, workerData: { engine: ENGINE } });
+        this.thread.on('message', data => this.onmessage({ data }));
+    }
+
+    postMessage(message) {
+        this.thread.postMessage(message);
+    }
+
+    terminate() {
+        this.thread.terminate();
+    }
+};
+
+/**
+ * Times a promise
+ * @param {Promise} promise - Promise to wait for
+ * @returns {Promise<number>} Milliseconds until it settled
+ */
+async function timeOf(promise) {
+    const start = Date.now();
+    await promise.catch(() => {});
+    return Date.now() - start;
+}
+
+test('a move request stops the running analysis at once', async () => {
+    const controller = new AIController();
+    const game = new Game('international', { logger: QUIET_LOGGER });
+    try {
+        await controller.analyze(game, 1);
+        await delay(3000);
+
+        const move = controller.getMove(game, [], { depth: 1 });
+        assert.ok(await timeOf(move) < 2000);
+        assert.ok((await move).move);
+    } finally {
+        controller.terminate();
+    }
+});
+
+test('without shared memory a stop restarts the worker with its settings', async () => {
+    const controller = new AIController();
+    controller.stopFlag = null;
+    const game = new Game('international', { logger: QUIET_LOGGER });
+    try {
+        await controller.setDifficulty(1);
+        await controller.analyze(game, 1);
+        const worker = controller.worker;
+        await delay(1000);
+
+        const move = controller.getMove(game, [], { depth: 1 });
+        assert.ok(await timeOf(move) < 2000);
+        assert.ok((await move).move);
+        assert.notEqual(controller.worker, worker);
+        assert.deepEqual(controller.settings.get('setDifficulty'), { level: 1 });
+    } finally {
+        controller.terminate();
+    }
+});
+
+test('pausing stops the AI search and frees the worker for the search on resume', async () => {
+    const controller = new AIController();
+    const game = new Game('international', { logger: QUIET_LOGGER });
+    try {
+        await controller.initialize();
+        const search = controller.getMove(game, [], { moveTime: 20000 });
+        await delay(1000);
+
+        controller.abortSearch();
+        await assert.rejects(search, /Search aborted/);
+
+        const move = controller.getMove(game, [], { depth: 1 });
+        assert.ok(await timeOf(move) < 2000);
+        assert.ok((await move).move);
+    } finally {
+        controller.terminate();
+    }
+});
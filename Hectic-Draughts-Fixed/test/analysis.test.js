@@ -0,0 +1,39 @@
+/**
+ * Tests for analyses that run until stopped
+ * @author codewithheck
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game } from '../src/engine/game.js';
+import { QUIET_LOGGER } from '../src/engine/constants.js';
+import { GrandmasterAI } from '../src/engine/ai/ai.core.js';
+import { AI_PARAMS } from '../src/engine/ai/ai.params.js';
+
+// Longest time given to the analysis to fill the evaluation and threat map caches
+const ANALYSIS_TIME = 60000;
+
+test('a long analysis keeps the caches within their limits', async () => {
+    const game = new Game('international', { logger: QUIET_LOGGER });
+    const ai = new GrandmasterAI();
+    const { EVAL_CACHE_SIZE, HEATMAP_CACHE_SIZE } = AI_PARAMS.CACHE;
+
+    // The analysis stops once both caches are full, and keeps searching a little longer
+    const start = Date.now();
+    let fullSince = null;
+    const analysis = ai.analyze({ pieces: game.pieces, currentPlayer: game.currentPlayer }, { lines: 1 });
+    const check = setInterval(() => {
+        if (fullSince === null && ai.evalCache.size >= EVAL_CACHE_SIZE && ai.heatmapCache.size >= HEATMAP_CACHE_SIZE) {
+            fullSince = Date.now();
+        }
+        if (Date.now() - start > ANALYSIS_TIME || (fullSince !== null && Date.now() - fullSince > 1000)) {
+            clearInterval(check);
+            ai.stopAnalysis();
+        }
+    }, 100);
+    assert.ok(await analysis);
+
+    assert.equal(ai.evalCache.size, EVAL_CACHE_SIZE);
+    assert.equal(ai.heatmapCache.size, HEATMAP_CACHE_SIZE);
+    assert.ok(ai.cache.getStats().size <= AI_PARAMS.CACHE.MAX_SIZE);
+});
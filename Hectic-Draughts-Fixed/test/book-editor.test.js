@@ -0,0 +1,130 @@
+/**
+ * Tests for the opening book editor and books built from games
+ * @author codewithheck
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOpeningBook } from '../src/engine/ai/ai.book.js';
+import {
+    BookEditor, buildBookFromGames, getWhiteScore, saveStoredBook, loadStoredBook, clearStoredBook
+} from '../src/utils/book-editor.js';
+
+// The browser's localStorage, kept in memory
+globalThis.localStorage = {
+    items: new Map(),
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    },
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    },
+    removeItem(key) {
+        this.items.delete(key);
+    }
+};
+
+const GAMES = `[Event "One"]
+[Result "2-0"]
+1. 32-28 19-23 2. 28x19 14x23 3. 37-32 2-0
+
+[Event "Two"]
+[Result "1-1"]
+1. 32-28 19-23 2. 28x19 14x23 1-1
+
+[Event "Three"]
+[Result "0-2"]
+1. 32-28 18-23 0-2
+
+[Event "Set up"]
+[Result "*"]
+[SetUp "1"]
+[FEN "W:W28:B19"]
+1. 28-23 *
+`;
+
+test('lines are added, edited and removed, and the written book loads', () => {
+    const editor = new BookEditor();
+    editor.addLine(['32-28', '19-23'], { name: 'Main', category: 'Classical', evaluation: '0.2' });
+    const variation = editor.addLine(['32-28', '19-23', '28x19', '14x23'], { name: 'Exchange ' });
+    assert.deepEqual(variation, {
+        name: 'Exchange', moves: ['32-28', '19-23', '28x19', '14x23'], stats: null, depth: 1
+    });
+    assert.deepEqual(editor.categories, { Classical: '' });
+
+    assert.throws(() => editor.addLine([]), /at least one move/);
+    assert.throws(() => editor.updateLine(['32-28', '19-23'], { evaluation: 'even' }), /Invalid evaluation: even/);
+    assert.throws(() => editor.updateLine(['32-28'], { name: 'Not a line' }), /Not a book line: 32-28/);
+
+    // Empty values clear a field
+    const main = editor.updateLine(['32-28', '19-23'], { category: '', evaluation: -0.1 });
+    assert.deepEqual([main.name, main.category, main.evaluation], ['Main', undefined, -0.1]);
+
+    const data = editor.toJSON();
+    assert.equal(data.openings.length, 1);
+    assert.deepEqual(data.openings[0].moves.map(move => [move.from, move.to, move.notation]),
+        [[31, 27, '32-28'], [18, 22, '19-23']]);
+    assert.deepEqual(data.openings[0].variations[0].moves.map(move => move.notation),
+        ['32-28', '19-23', '28x19', '14x23']);
+    assert.deepEqual([data.metadata.total_openings, data.metadata.total_variations], [1, 1]);
+    assert.equal(createOpeningBook(data).skippedLines(), 0);
+
+    // The variation stays when the line it branches from goes
+    assert.ok(editor.removeLine(['32-28', '19-23']));
+    assert.equal(editor.removeLine(['32-28', '19-23']), false);
+    assert.deepEqual(editor.getLines().map(line => [line.name, line.depth]), [['Exchange', 0]]);
+    assert.ok(editor.removeLine(['32-28', '19-23', '28x19', '14x23']));
+    assert.deepEqual(editor.root.children, []);
+});
+
+test('a merged book keeps the fields it has and adds up move statistics', () => {
+    const stats = { games: 4, whiteWins: 1, draws: 2, blackWins: 1 };
+    const editor = new BookEditor({ openings: [{ name: 'Mine', moves: [{ notation: '32-28', ...stats }] }] });
+    const merged = editor.merge({
+        openings: [{
+            name: 'Theirs',
+            description: 'From another book',
+            moves: [{ notation: '32-28', ...stats }],
+            variations: [{ name: 'Reply', engineEval: '+0.35', moves: '19-23' }]
+        }],
+        categories: { Classical: 'Central openings' }
+    });
+    assert.equal(merged, 2);
+
+    const lines = editor.getLines();
+    assert.deepEqual(lines.map(line => [line.name, line.moves.join(' '), line.depth]),
+        [['Mine', '32-28', 0], ['Reply', '32-28 19-23', 1]]);
+    assert.equal(lines[0].description, 'From another book');
+    assert.deepEqual(lines[0].stats, { games: 8, whiteWins: 2, draws: 4, blackWins: 2 });
+    assert.equal(lines[1].evaluation, 0.35);
+    assert.equal(editor.categories.Classical, 'Central openings');
+});
+
+test('a book built from games keeps the moves played often enough, with their results', () => {
+    const { book, games, skipped } = buildBookFromGames(GAMES, { maxPlies: 4, minGames: 2 });
+    assert.deepEqual([games, skipped], [3, 1]);
+
+    const lines = book.getLines();
+    assert.deepEqual(lines.map(line => line.moves.join(' ')), ['32-28 19-23 28x19 14x23']);
+    assert.deepEqual(lines[0].stats, { games: 2, whiteWins: 1, draws: 1, blackWins: 0 });
+    assert.equal(getWhiteScore(lines[0].stats), 0.75);
+    assert.equal(getWhiteScore({ games: 1, whiteWins: 0, draws: 0, blackWins: 0 }), null);
+
+    const data = book.toJSON();
+    assert.deepEqual(data.openings[0].moves[0], {
+        from: 31, to: 27, notation: '32-28', games: 3, whiteWins: 1, draws: 1, blackWins: 1
+    });
+    assert.equal(createOpeningBook(data).skippedLines(), 0);
+});
+
+test('an edited book is stored until cleared', () => {
+    assert.equal(loadStoredBook(), null);
+
+    const data = new BookEditor({ openings: [{ name: 'Main', moves: '32-28 19-23' }] }).toJSON();
+    saveStoredBook(data);
+    assert.deepEqual(loadStoredBook(), data);
+    assert.deepEqual(new BookEditor(loadStoredBook()).getLines().map(line => line.name), ['Main']);
+
+    clearStoredBook();
+    assert.equal(loadStoredBook(), null);
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for the bundled opening book
+ * @author codewithheck
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { Game } from '../src/engine/game.js';
+import { QUIET_LOGGER } from '../src/engine/constants.js';
+import { GrandmasterAI } from '../src/engine/ai/ai.core.js';
+import { createOpeningBook } from '../src/engine/ai/ai.book.js';
+import { toBitboard } from '../src/engine/ai/ai.bitboard.js';
+import OpeningBook from '../src/utils/opening-book.js';
+
+const bookData = JSON.parse(readFileSync(new URL('../src/data/openings.json', import.meta.url), 'utf8'));
+
+test('every line of the shipped book is playable', () => {
+    const book = createOpeningBook(bookData);
+    assert.ok(book.size() > 0);
+    assert.equal(book.skippedLines(), 0);
+});
+
+test('the AI plays a book move from the start position', async () => {
+    const game = new Game('international', { logger: QUIET_LOGGER });
+    const position = { pieces: game.pieces, currentPlayer: game.currentPlayer };
+    const book = createOpeningBook(bookData);
+
+    const ai = new GrandmasterAI();
+    ai.setDifficulty(1);
+    ai.setOpeningBook(book);
+    const move = await ai.getMove(position, []);
+    assert.ok(book.isBookMove(toBitboard(position), move));
+});
+
+test('a book without playable lines fails to load', () => {
+    const illegal = { openings: [{ name: 'Illegal', moves: '45-40 6-11' }] };
+    assert.throws(() => createOpeningBook(illegal), /no playable lines \(1 skipped\)/);
+});
+
+test('lines with an illegal move are left out of the book', () => {
+    const book = createOpeningBook({
+        openings: [
+            { moves: '32-28 18-23' },
+            // 28-23 is illegal, White must take 28x17; the legal moves before it and the
+            // variations of the line are left out too
+            { moves: '33-28 17-22 28-23', variations: [{ moves: '33-28 17-22 28x17' }] }
+        ]
+    });
+    assert.equal(book.skippedLines(), 1);
+
+    const game = new Game('international', { logger: QUIET_LOGGER });
+    const moves = book.getMoves(toBitboard({ pieces: game.pieces, currentPlayer: game.currentPlayer }));
+    assert.deepEqual(moves.map(entry => [entry.notation, entry.lines]), [['32-28', 1]]);
+});
+
+test('the shipped book names no openings', () => {
+    const hasLabels = node => ['name', 'description', 'category', 'evaluation'].some(field => field in node) ||
+        (node.variations || []).some(hasLabels);
+    assert.ok(!bookData.openings.some(hasLabels));
+
+    const openingBook = new OpeningBook();
+    openingBook.setBookData(bookData);
+    assert.equal(openingBook.getOpeningName(['32-28', '18-23']), null);
+});
+
+test('the explorer finds book moves by position', () => {
+    const openingBook = new OpeningBook();
+    openingBook.setBookData({
+        openings: [
+            { name: 'Left first', moves: '32-28 17-21 33-29 21-26' },
+            { name: 'Right first', moves: '33-29 17-21 32-28 21-27' }
+        ]
+    });
+
+    // Reached by the other line's move order, or from a FEN without any moves
+    const game = new Game('international', { logger: QUIET_LOGGER });
+    assert.ok(game.loadFEN('B:W28,29,31,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50:' +
+        'B1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,18,19,20,21'));
+    const continuations = openingBook.getContinuations({ pieces: game.pieces, currentPlayer: game.currentPlayer });
+    assert.deepEqual(continuations.map(c => [c.notation, c.name]), [
+        ['21-26', 'Left first'],
+        ['21-27', 'Right first']
+    ]);
+});
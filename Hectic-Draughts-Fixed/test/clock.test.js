@@ -0,0 +1,100 @@
+/**
+ * Tests for the game clock and its time controls
+ * @author codewithheck
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameClock } from '../src/engine/clock.js';
+import { PLAYER } from '../src/engine/constants.js';
+
+/**
+ * Creates a clock running on a time that only moves when told to
+ * @param {string|Object} timeControl - Time control, see TIME_CONTROLS
+ * @returns {Object} The clock and a function advancing the time by some ms
+ */
+function createClock(timeControl) {
+    let time = 0;
+    const clock = new GameClock(timeControl, () => time);
+    return { clock, advance: ms => { time += ms; } };
+}
+
+test('a Fischer increment is added after every move', () => {
+    const { clock, advance } = createClock('blitz-5-3');
+    clock.start(PLAYER.WHITE);
+
+    advance(10000);
+    assert.equal(clock.getRemaining(PLAYER.WHITE), 290000);
+    clock.press(PLAYER.WHITE);
+    assert.equal(clock.getRemaining(PLAYER.WHITE), 293000);
+    assert.equal(clock.running, PLAYER.BLACK);
+
+    advance(1000);
+    clock.press(PLAYER.BLACK);
+    assert.equal(clock.getRemaining(PLAYER.BLACK), 302000);
+    assert.equal(clock.getRemaining(PLAYER.WHITE), 293000);
+});
+
+test('a Bronstein delay gives back at most the time the move took', () => {
+    const { clock, advance } = createClock('bronstein-10-5');
+    clock.start(PLAYER.WHITE);
+
+    advance(3000);
+    clock.press(PLAYER.WHITE);
+    assert.equal(clock.getRemaining(PLAYER.WHITE), 600000);
+
+    advance(8000);
+    clock.press(PLAYER.BLACK);
+    assert.equal(clock.getRemaining(PLAYER.BLACK), 597000);
+});
+
+test('the next period is added once the moves of a period are played', () => {
+    const { clock, advance } = createClock({ periods: [{ time: 60000, moves: 2 }, { time: 30000 }] });
+    clock.start(PLAYER.WHITE);
+
+    for (let move = 0; move < 2; move++) {
+        assert.equal(clock.getSearchLimits(PLAYER.WHITE).movesToGo, 2 - move);
+        advance(10000);
+        clock.press(PLAYER.WHITE);
+        clock.press(PLAYER.BLACK);
+    }
+    assert.equal(clock.getRemaining(PLAYER.WHITE), 70000);
+    assert.deepEqual(clock.getSearchLimits(PLAYER.WHITE),
+        { timeLeft: 70000, increment: 0, movesToGo: undefined, periodTime: 30000 });
+});
+
+test('the flag falls when the time runs out and stays down after a move', () => {
+    const { clock, advance } = createClock({ periods: [{ time: 5000, moves: 1 }, { time: 60000 }], increment: 2000 });
+    clock.start(PLAYER.WHITE);
+
+    advance(4999);
+    assert.equal(clock.isFlagged(PLAYER.WHITE), false);
+    advance(1);
+    assert.equal(clock.isFlagged(PLAYER.WHITE), true);
+    assert.equal(clock.getSearchLimits(PLAYER.WHITE).timeLeft, 0);
+
+    // Neither the increment nor the next period bring the flag back up
+    advance(500);
+    clock.press(PLAYER.WHITE);
+    assert.equal(clock.getRemaining(PLAYER.WHITE), -500);
+    assert.equal(clock.isFlagged(PLAYER.WHITE), true);
+    assert.equal(clock.isFlagged(PLAYER.BLACK), false);
+});
+
+test('stopped clocks do not run, and their state can be restored', () => {
+    const { clock, advance } = createClock('rapid-15-10');
+    clock.start(PLAYER.WHITE);
+    advance(5000);
+    clock.stop();
+    advance(60000);
+    assert.equal(clock.getRemaining(PLAYER.WHITE), 895000);
+
+    const state = clock.getState();
+    clock.start(PLAYER.WHITE);
+    advance(1000);
+    clock.press(PLAYER.WHITE);
+
+    clock.setState(state);
+    assert.equal(clock.running, null);
+    assert.deepEqual(clock.getState(), state);
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests for the 25-move, 16-move and 5-move draw counters of Game
+ * @author codewithheck
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game } from '../src/engine/game.js';
+import { GAME_STATE, DRAW_REASON, DRAW_RULES, TERMINATION, QUIET_LOGGER } from '../src/engine/constants.js';
+
+/**
+ * Creates a game in a position
+ * @param {string} fen - Position
+ * @param {Object} [counters] - Draw counters to start from, see Game.setDrawCounters
+ * @returns {Game}
+ */
+function createGame(fen, counters = null) {
+    const game = new Game('international', { logger: QUIET_LOGGER });
+    assert.ok(game.loadFEN(fen));
+    if (counters) {
+        game.setDrawCounters({ kingMoves: 0, endgameLimit: game.getEndgameLimit(), endgameMoves: 0, ...counters });
+    }
+    return game;
+}
+
+/**
+ * Plays moves given in numeric notation
+ * @param {Game} game - Game to play in
+ * @param {Array<string>} notations - Moves such as "1-7"
+ */
+function play(game, notations) {
+    for (const notation of notations) {
+        const move = game.getLegalMoves().find(m => game.getMoveNotation(m) === notation);
+        assert.ok(move, `${notation} is legal`);
+        assert.ok(game.makeMove(move));
+    }
+}
+
+test('25 moves by each side with only kings moved and nothing captured draw the game', () => {
+    const game = createGame('W:W1K,2K,46:B49K,50K,5', { kingMoves: DRAW_RULES.KING_MOVES * 2 - 2 });
+    assert.equal(game.getEndgameLimit(), 0);
+
+    play(game, ['1-7']);
+    assert.deepEqual(game.getDrawCountdown(), { reason: DRAW_REASON.KING_MOVES, movesLeft: 1 });
+    assert.equal(game.gameState, GAME_STATE.ONGOING);
+
+    play(game, ['49-38']);
+    assert.equal(game.gameState, GAME_STATE.DRAW);
+    assert.equal(game.getDrawReason(), DRAW_REASON.KING_MOVES);
+    assert.equal(game.getTermination(), TERMINATION.DRAW_RULE);
+});
+
+test('a man move restarts the 25-move count', () => {
+    const game = createGame('W:W1K,2K,46:B49K,50K,5', { kingMoves: DRAW_RULES.KING_MOVES * 2 - 1 });
+
+    play(game, ['46-41']);
+    assert.equal(game.getDrawCounters().kingMoves, 0);
+    assert.equal(game.gameState, GAME_STATE.ONGOING);
+
+    play(game, ['49-38', '1-7']);
+    assert.equal(game.getDrawCounters().kingMoves, 2);
+});
+
+test('three kings against one are drawn after 16 moves each', () => {
+    const game = createGame('W:W1K,2K,3K:B46K', { endgameMoves: DRAW_RULES.SIXTEEN_MOVES * 2 - 2 });
+    assert.equal(game.getEndgameLimit(), DRAW_RULES.SIXTEEN_MOVES);
+
+    play(game, ['3-9']);
+    assert.deepEqual(game.getDrawCountdown(), { reason: DRAW_REASON.SIXTEEN_MOVES, movesLeft: 1 });
+
+    play(game, ['46-41']);
+    assert.equal(game.gameState, GAME_STATE.DRAW);
+    assert.equal(game.getDrawReason(), DRAW_REASON.SIXTEEN_MOVES);
+
+    // Taking the move back takes the draw back with it
+    game.undoMove();
+    assert.equal(game.gameState, GAME_STATE.ONGOING);
+    assert.equal(game.getDrawCounters().endgameMoves, DRAW_RULES.SIXTEEN_MOVES * 2 - 1);
+});
+
+test('two kings against one are drawn after 5 moves each', () => {
+    const game = createGame('W:W1K,2K:B46K', { endgameMoves: DRAW_RULES.FIVE_MOVES * 2 - 2 });
+    assert.equal(game.getEndgameLimit(), DRAW_RULES.FIVE_MOVES);
+
+    play(game, ['2-8', '46-41']);
+    assert.equal(game.gameState, GAME_STATE.DRAW);
+    assert.equal(game.getDrawReason(), DRAW_REASON.FIVE_MOVES);
+});
+
+test('the count of a king ending starts when a capture brings it about', () => {
+    // Four kings against one have no limit; taking one leaves three against one
+    const game = createGame('B:W1K,2K,3K,40K:B45K', { kingMoves: 10 });
+    assert.equal(game.getDrawCounters().endgameLimit, 0);
+
+    play(game, ['45x34']);
+    assert.deepEqual(game.getDrawCounters(), {
+        kingMoves: 0,
+        endgameLimit: DRAW_RULES.SIXTEEN_MOVES,
+        endgameMoves: 0
+    });
+    assert.deepEqual(game.getDrawCountdown(), { reason: DRAW_REASON.SIXTEEN_MOVES, movesLeft: DRAW_RULES.SIXTEEN_MOVES });
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests for keeping the current game and the recent games
+ * @author codewithheck
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { saveCurrentGame, loadCurrentGame, clearCurrentGame, RecentGames } from '../src/utils/game-storage.js';
+
+// The browser's localStorage, kept in memory
+globalThis.localStorage = {
+    items: new Map(),
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    },
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    },
+    removeItem(key) {
+        this.items.delete(key);
+    }
+};
+
+/**
+ * Creates a request of the browser's IndexedDB that succeeds after the caller has set its handlers
+ * @param {Function} getResult - Computes the result
+ * @returns {Object} Request
+ */
+function createRequest(getResult) {
+    const request = {};
+    queueMicrotask(() => {
+        request.result = getResult(request);
+        request.onsuccess?.();
+    });
+    return request;
+}
+
+/**
+ * Creates an in-memory IndexedDB with the object store features RecentGames uses
+ * @returns {Object} indexedDB
+ */
+function createIndexedDB() {
+    const databases = new Map();
+
+    const createObjectStore = ({ keyPath, records, indexes }) => ({
+        put: value => createRequest(() => {
+            records.set(value[keyPath], structuredClone(value));
+            return value[keyPath];
+        }),
+        get: key => createRequest(() => structuredClone(records.get(key))),
+        delete: key => createRequest(() => { records.delete(key); }),
+        index: name => ({
+            getAll: () => createRequest(() => [...records.values()]
+                .sort((a, b) => a[indexes.get(name)] - b[indexes.get(name)])
+                .map(value => structuredClone(value)))
+        })
+    });
+
+    return {
+        open: name => createRequest(request => {
+            let db = databases.get(name);
+            if (!db) {
+                const stores = new Map();
+                db = {
+                    createObjectStore(storeName, { keyPath }) {
+                        const store = { keyPath, records: new Map(), indexes: new Map() };
+                        stores.set(storeName, store);
+                        return { createIndex: (indexName, indexKeyPath) => store.indexes.set(indexName, indexKeyPath) };
+                    },
+                    transaction: storeName => ({ objectStore: () => createObjectStore(stores.get(storeName)) })
+                };
+                databases.set(name, db);
+                request.result = db;
+                request.onupgradeneeded?.();
+            }
+            return db;
+        })
+    };
+}
+
+test('the current game is kept across loads until cleared', () => {
+    const snapshot = { id: 'g1', tree: { children: [] }, level: 3, clock: null };
+    saveCurrentGame(snapshot);
+    assert.deepEqual(loadCurrentGame(), snapshot);
+
+    clearCurrentGame();
+    assert.equal(loadCurrentGame(), null);
+});
+
+test('a stored game that cannot be read or written is reported, not thrown', t => {
+    const error = t.mock.method(console, 'error', () => {});
+
+    localStorage.setItem('draughts-current-game', '{"id":');
+    assert.equal(loadCurrentGame(), null);
+
+    const setItem = t.mock.method(localStorage, 'setItem', () => {
+        throw new Error('QuotaExceededError');
+    });
+    assert.doesNotThrow(() => saveCurrentGame({ id: 'g2' }));
+    assert.equal(setItem.mock.callCount(), 1);
+    assert.equal(error.mock.callCount(), 2);
+    clearCurrentGame();
+});
+
+test('recent games are listed newest first and the oldest beyond 30 are dropped', async () => {
+    globalThis.indexedDB = createIndexedDB();
+    const recent = new RecentGames();
+
+    for (let i = 1; i <= 32; i++) {
+        assert.equal(await recent.save({ id: `g${i}`, savedAt: i, result: '*' }), `g${i}`);
+    }
+    const games = await recent.list();
+    assert.equal(games.length, 30);
+    assert.deepEqual([games[0].id, games[29].id], ['g32', 'g3']);
+    assert.equal(await recent.get('g1'), undefined);
+
+    // Saving a game again replaces its copy
+    await recent.save({ id: 'g10', savedAt: 40, result: '2-0' });
+    assert.deepEqual(await recent.get('g10'), { id: 'g10', savedAt: 40, result: '2-0' });
+    assert.equal((await recent.list())[0].id, 'g10');
+    assert.equal((await recent.list()).length, 30);
+
+    await recent.remove('g10');
+    assert.equal(await recent.get('g10'), undefined);
+    assert.equal((await recent.list()).length, 29);
+});
+
+test('recent games fail without IndexedDB and open once it is there', async () => {
+    delete globalThis.indexedDB;
+    const recent = new RecentGames();
+    await assert.rejects(recent.list(), /IndexedDB is not available/);
+
+    globalThis.indexedDB = createIndexedDB();
+    assert.deepEqual(await recent.list(), []);
+});
@@ -0,0 +1,18 @@
+/**
+ * Tests for the game state and draw rules of Game
+ * @author codewithheck
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game } from '../src/engine/game.js';
+import { GAME_STATE, TERMINATION, QUIET_LOGGER } from '../src/engine/constants.js';
+
+test('a side with no legal moves loses instead of drawing', () => {
+    const game = new Game('international', { logger: QUIET_LOGGER });
+    // The man on 46 is blocked by 41 and cannot take it, as 37 is occupied
+    assert.ok(game.loadFEN('W:W46:B37,41'));
+    assert.equal(game.gameState, GAME_STATE.BLACK_WIN);
+    assert.equal(game.getTermination(), TERMINATION.NO_MOVES);
+    assert.equal(game.getDrawReason(), null);
+});
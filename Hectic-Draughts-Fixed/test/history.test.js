@@ -0,0 +1,80 @@
+/**
+ * Tests for the variation tree of History
+ * @author codewithheck
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game } from '../src/engine/game.js';
+import { QUIET_LOGGER } from '../src/engine/constants.js';
+import { History } from '../src/engine/history.js';
+
+const createGame = () => new Game('international', { logger: QUIET_LOGGER });
+
+/**
+ * Plays moves given in numeric notation and records them
+ * @param {Game} game - Game to play in
+ * @param {History} history - History recording the moves
+ * @param {Array<string>} notations - Moves such as "32-28"
+ */
+function play(game, history, notations) {
+    for (const notation of notations) {
+        const move = game.getLegalMoves().find(m => game.getMoveNotation(m) === notation);
+        assert.ok(move, `${notation} is legal`);
+        assert.ok(game.makeMove(move));
+        history.recordMove(game.getLastMove());
+    }
+}
+
+test('getStatistics counts sidelines, not moves', () => {
+    const game = createGame();
+    const history = new History(game);
+    play(game, history, ['32-28', '19-23', '28x19', '14x23']);
+    assert.equal(history.getStatistics().variations, 0);
+
+    history.jumpToMove(0);
+    play(game, history, ['18-23']);
+    history.jumpToMove(0);
+    play(game, history, ['17-22']);
+    assert.equal(history.getStatistics().variations, 2);
+});
+
+test('navigating the tree keeps repetition and draw state', () => {
+    const game = createGame();
+    const history = new History(game);
+    play(game, history, ['32-28', '19-23', '28x19', '14x23']);
+
+    history.jumpToStart();
+    history.jumpToEnd();
+    assert.equal(game.moveHistory.length, 4);
+    assert.equal(game.getLastMove().notation, '14x23');
+    assert.equal(game.positionHistory.size, 5);
+    assert.equal(game.getFEN(), history.getCurrentMove().fen);
+});
+
+test('importHistory accepts the old linear format', () => {
+    const game = createGame();
+    const history = new History(game);
+    play(game, history, ['32-28', '19-23', '28x19']);
+    const moves = history.getHistory();
+
+    const restored = new History(createGame());
+    assert.ok(restored.importHistory(JSON.stringify({ history: moves, currentIndex: 1 })));
+    assert.equal(restored.getLineNodes().length, 3);
+    assert.equal(restored.getCurrentIndex(), 1);
+    assert.equal(restored.game.getFEN(), moves[1].fen);
+    assert.equal(restored.game.moveHistory.length, 2);
+});
+
+test('importHistory restores an exported tree', () => {
+    const game = createGame();
+    const history = new History(game);
+    play(game, history, ['32-28', '19-23']);
+    history.jumpToMove(0);
+    play(game, history, ['18-23']);
+
+    const restored = new History(createGame());
+    assert.ok(restored.importHistory(history.exportHistory()));
+    assert.equal(restored.getStatistics().variations, 1);
+    assert.equal(restored.game.getFEN(), game.getFEN());
+});
@@ -0,0 +1,121 @@
+/**
+ * Tests for the Hub protocol engine runner, talked to over its standard input and output
+ * @author codewithheck
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { createInterface } from 'node:readline';
+import { fileURLToPath } from 'node:url';
+
+const HUB = fileURLToPath(new URL('../bin/hub.js', import.meta.url));
+
+// The initial position in Hub notation: side to move and squares 1-50
+const START = `W${'b'.repeat(20)}${'e'.repeat(10)}${'w'.repeat(20)}`;
+
+/**
+ * Starts the engine runner
+ * @returns {Object} The process, send(line) and expect(pattern) resolving with the
+ *   first line from now on that matches, or failing after a timeout
+ */
+function startHub() {
+    const hub = spawn(process.execPath, [HUB], { stdio: ['pipe', 'pipe', 'inherit'] });
+    const lines = [];
+    let waiting = null;
+
+    const check = () => {
+        if (!waiting) return;
+        const index = lines.findIndex(line => waiting.pattern.test(line));
+        if (index === -1) return;
+        const [line] = lines.splice(0, index + 1).slice(-1);
+        const { resolve, timer } = waiting;
+        waiting = null;
+        clearTimeout(timer);
+        resolve(line);
+    };
+    createInterface({ input: hub.stdout }).on('line', line => {
+        lines.push(line);
+        check();
+    });
+
+    return {
+        process: hub,
+        send: line => hub.stdin.write(line + '\n'),
+        expect: (pattern, timeout = 10000) => new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                waiting = null;
+                reject(new Error(`No line matching ${pattern}, got: ${lines.join(' | ')}`));
+            }, timeout);
+            waiting = { pattern, resolve, timer };
+            check();
+        })
+    };
+}
+
+test('the engine introduces itself and answers pings', async () => {
+    const hub = startHub();
+    try {
+        hub.send('hub');
+        assert.match(await hub.expect(/^id /), /name=Hectic/);
+        assert.match(await hub.expect(/^param name=level/), /min=1 max=6/);
+        assert.match(await hub.expect(/^param name=variant/), /values="[^"]*international/);
+        await hub.expect(/^wait$/);
+
+        hub.send('init');
+        await hub.expect(/^ready$/);
+        hub.send('ping');
+        await hub.expect(/^pong$/);
+
+        hub.send('quit');
+        const [code] = await once(hub.process, 'exit');
+        assert.equal(code, 0);
+    } finally {
+        hub.process.kill();
+    }
+});
+
+test('go searches the position after the moves and reports info lines and the move', async () => {
+    const hub = startHub();
+    try {
+        hub.send('init');
+        await hub.expect(/^ready$/);
+
+        // After 32-28 19-23 White must take 28x19, written with the captured square
+        hub.send(`pos pos=${START} moves="32-28 19-23"`);
+        hub.send('level depth=3');
+        hub.send('go');
+        assert.equal(await hub.expect(/^done /), 'done move=28x19x23');
+
+        hub.send('pos fen="B:W28,33:B17,19"');
+        hub.send('go');
+        assert.match(await hub.expect(/^info /), /depth=\d+ score=-?\d+\.\d\d .*pv=\d+-\d+/);
+        assert.match(await hub.expect(/^done /), /^done move=(17|19)-\d+$/);
+    } finally {
+        hub.process.kill();
+    }
+});
+
+test('stop ends an analysis and reports its move at once', async () => {
+    const hub = startHub();
+    try {
+        hub.send('init');
+        await hub.expect(/^ready$/);
+        hub.send(`pos pos=${START}`);
+        hub.send('go analyze');
+        await hub.expect(/^info /);
+
+        const start = Date.now();
+        hub.send('stop');
+        assert.match(await hub.expect(/^done /), /^done move=\d+-\d+$/);
+        assert.ok(Date.now() - start < 2000);
+
+        // The next search is not stopped by the earlier stop
+        hub.send('level depth=2');
+        hub.send('go');
+        assert.match(await hub.expect(/^done /), /^done move=\d+-\d+$/);
+    } finally {
+        hub.process.kill();
+    }
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests for the engine-vs-engine match runner
+ * @author codewithheck
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Game } from '../src/engine/game.js';
+import { QUIET_LOGGER } from '../src/engine/constants.js';
+import { parsePDN, loadPDNGame } from '../src/utils/pdn.js';
+
+const MATCH = fileURLToPath(new URL('../bin/match.js', import.meta.url));
+const runMatch = args => promisify(execFile)(process.execPath, [MATCH, ...args], { timeout: 60000 });
+
+test('a match plays each start position with both colours and writes every game', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'match-'));
+    try {
+        const positions = join(dir, 'positions.txt');
+        const out = join(dir, 'match.pdn');
+        const config = join(dir, 'quick.json');
+        writeFileSync(positions, '# Short endings\nW:W28,33,38:B17,19,24\nW:W1K,2K:B45K\n');
+        writeFileSync(config, JSON.stringify({ name: 'Quick', level: 1, limits: { depth: 1 } }));
+
+        const { stdout } = await runMatch([
+            '--engine1', '2', '--engine2', config, '--games', '4', '--positions', positions,
+            '--depth', '2', '--max-moves', '20', '--out', out
+        ]);
+        assert.match(stdout, /^Level 2 vs Quick: 4 games, 2 start position\(s\)/);
+        assert.match(stdout, /Game 1: Level 2 - Quick /);
+        assert.match(stdout, /Game 2: Quick - Level 2 /);
+        const [, wins, draws, losses] = stdout.match(/W\/D\/L: (\d+)\/(\d+)\/(\d+)/).map(Number);
+        assert.equal(wins + draws + losses, 4);
+        assert.match(stdout, /Elo difference: /);
+
+        const games = parsePDN(readFileSync(out, 'utf8'));
+        assert.deepEqual(games.map(game => [game.headers.Round, game.headers.White, game.headers.FEN]), [
+            ['1', 'Level 2', 'W:W28,33,38:B17,19,24'],
+            ['2', 'Quick', 'W:W28,33,38:B17,19,24'],
+            ['3', 'Level 2', 'W:WK1,K2:BK45'],
+            ['4', 'Quick', 'W:WK1,K2:BK45']
+        ]);
+        for (const game of games) {
+            const loaded = loadPDNGame(game, new Game('international', { logger: QUIET_LOGGER }));
+            assert.ok(loaded.moves.length <= 40);
+        }
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('a match needs both engines', async () => {
+    await assert.rejects(runMatch(['--engine1', '2']), error => {
+        assert.equal(error.code, 1);
+        assert.match(error.stderr, /Both --engine1 and --engine2 are required/);
+        return true;
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests for numeric and algebraic notation
+ * @author codewithheck
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game } from '../src/engine/game.js';
+import { QUIET_LOGGER } from '../src/engine/constants.js';
+import {
+    NOTATION, formatSquare, parseSquare, formatMove, formatNotation, parseMove, formatFEN, toNumericFEN
+} from '../src/utils/notation.js';
+import { generatePDN, parsePDN, loadPDNGame } from '../src/utils/pdn.js';
+
+const { ALGEBRAIC } = NOTATION;
+
+test('algebraic squares start with a1 at White\'s lower left', () => {
+    assert.deepEqual([46, 47, 1, 5, 50, 36, 28].map(number => formatSquare(number, ALGEBRAIC)),
+        ['a1', 'c1', 'b10', 'j10', 'i1', 'a3', 'e5']);
+    assert.deepEqual([29, 32, 1, 4].map(number => formatSquare(number, ALGEBRAIC, 8)),
+        ['a1', 'g1', 'b8', 'h8']);
+    assert.equal(formatSquare(46), '46');
+});
+
+test('every square reads back as the number it was written from', () => {
+    for (const boardSize of [8, 10]) {
+        for (let number = 1; number <= boardSize * boardSize / 2; number++) {
+            assert.equal(parseSquare(formatSquare(number, ALGEBRAIC, boardSize), boardSize), number);
+            assert.equal(parseSquare(String(number), boardSize), number);
+        }
+    }
+    assert.equal(parseSquare(' A1 '), 46);
+});
+
+test('squares off the dark squares of the board are rejected', () => {
+    for (const square of ['0', '51', 'a2', 'b1', 'k1', 'a11', 'j0', '']) {
+        assert.throws(() => parseSquare(square), /Invalid square/, square);
+    }
+    assert.throws(() => parseSquare('33', 8), /Invalid square/);
+    assert.throws(() => parseSquare('i1', 8), /Invalid square/);
+});
+
+test('moves are written with - and captures with x or :', () => {
+    assert.equal(formatNotation('32-28', ALGEBRAIC), 'd4-e5');
+    assert.equal(formatNotation('28x19x8', ALGEBRAIC), 'e5:g7:e9');
+    assert.equal(formatNotation('32-28'), '32-28');
+
+    const game = new Game('international', { logger: QUIET_LOGGER });
+    assert.ok(game.loadFEN('W:W28:B23,13'));
+    const [capture] = game.getLegalMoves();
+    assert.equal(formatMove(capture), game.getMoveNotation(capture));
+    assert.equal(formatMove(capture, ALGEBRAIC), formatNotation(game.getMoveNotation(capture), ALGEBRAIC));
+});
+
+test('moves are read in either notation', () => {
+    assert.deepEqual(parseMove('32-28'), { squares: [32, 28], isCapture: false });
+    assert.deepEqual(parseMove('d4-e5'), { squares: [32, 28], isCapture: false });
+    assert.deepEqual(parseMove('28x19x8'), { squares: [28, 19, 8], isCapture: true });
+    assert.deepEqual(parseMove('E5:G7:E9'), { squares: [28, 19, 8], isCapture: true });
+    for (const move of ['32', '32-', 'a2-b3', '32-28!']) {
+        assert.throws(() => parseMove(move), /Invalid (move|square)/, move);
+    }
+});
+
+test('FEN squares are rewritten both ways', () => {
+    const fen = 'W:W31,46K:B1,5K';
+    assert.equal(formatFEN(fen, ALGEBRAIC), 'W:Wb4,a1K:Bb10,j10K');
+    assert.equal(toNumericFEN(formatFEN(fen, ALGEBRAIC)), fen);
+    assert.equal(toNumericFEN(fen), fen);
+});
+
+test('a PDN game written in algebraic notation is read back', () => {
+    const game = new Game('international', { logger: QUIET_LOGGER });
+    assert.ok(game.loadFEN('W:W28,33:B17,19'));
+    assert.ok(game.makeMove(game.getLegalMoves().find(move => game.getMoveNotation(move) === '33-29')));
+
+    const pdn = generatePDN(game.moveHistory, { notation: ALGEBRAIC });
+    assert.match(pdn, /^\[FEN "W:We5,f4:Bc7,g7"\]$/m);
+    assert.match(pdn, /^1\. f4-g5 \*$/m);
+
+    const loaded = loadPDNGame(parsePDN(pdn)[0], new Game('international', { logger: QUIET_LOGGER }));
+    assert.equal(loaded.startFEN, 'W:W28,33:B17,19');
+    assert.deepEqual(loaded.moves.map(move => move.notation), ['33-29']);
+});
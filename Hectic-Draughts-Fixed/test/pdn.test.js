@@ -0,0 +1,144 @@
+/**
+ * Tests for reading and writing PDN
+ * @author codewithheck
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game } from '../src/engine/game.js';
+import { QUIET_LOGGER } from '../src/engine/constants.js';
+import { History } from '../src/engine/history.js';
+import { generatePDN, parsePDN, loadPDNGame } from '../src/utils/pdn.js';
+
+const createGame = () => new Game('international', { logger: QUIET_LOGGER });
+
+/**
+ * Plays moves given in numeric notation and records them
+ * @param {Game} game - Game to play in
+ * @param {History} history - History recording the moves
+ * @param {Array<string>} notations - Moves such as "32-28"
+ */
+function play(game, history, notations) {
+    for (const notation of notations) {
+        const move = game.getLegalMoves().find(m => game.getMoveNotation(m) === notation);
+        assert.ok(move, `${notation} is legal`);
+        assert.ok(game.makeMove(move));
+        history.recordMove(game.getLastMove());
+    }
+}
+
+/**
+ * Describes a variation tree by its moves and annotations
+ * @param {Object} node - Tree node
+ * @returns {Array} One entry per child: [notation, glyph, comment, children]
+ */
+function describeTree(node) {
+    return node.children.map(child => [
+        child.move.notation,
+        child.move.glyph || null,
+        child.move.comment || null,
+        describeTree(child)
+    ]);
+}
+
+test('variations and annotations survive a PDN round trip', () => {
+    const game = createGame();
+    const history = new History(game);
+    play(game, history, ['32-28', '19-23', '28x19', '14x23']);
+    history.getCurrentMove().comment = 'Equal';
+
+    // A sideline at Black's first move, and one at White's first move with its own sideline
+    history.jumpToMove(0);
+    play(game, history, ['18-23', '37-32']);
+    history.getCurrentMove().glyph = '!?';
+    history.getCurrentMove().comment = 'Quiet';
+    history.jumpToStart();
+    play(game, history, ['33-28', '18-22']);
+    history.getCurrentMove().glyph = '?';
+    history.jumpToMove(0);
+    play(game, history, ['17-22']);
+
+    const pdn = generatePDN(history.getTree(), { headers: { Date: '2026.01.01' } });
+    assert.match(pdn, /1\. 32-28 \(1\. 33-28 18-22\? \(1\.\.\. 17-22\)\) 1\.\.\. 19-23 \(1\.\.\. 18-23 2\. 37-32!\?/);
+
+    const loaded = loadPDNGame(parsePDN(pdn)[0], createGame());
+    assert.deepEqual(loaded.moves.map(move => move.notation), ['32-28', '19-23', '28x19', '14x23']);
+
+    const imported = new History(createGame());
+    imported.loadTree(loaded.tree, loaded.startFEN);
+    assert.deepEqual(describeTree(imported.getTree()), describeTree(history.getTree()));
+    assert.equal(generatePDN(imported.getTree(), { headers: { Date: '2026.01.01' } }), pdn);
+});
+
+test('variations are read with their comments and replayed from their position', () => {
+    const [pdnGame] = parsePDN(`[GameType "20"]
+1. 32-28 $1 ({Or} 1. 33-28 18-23 {Sharp}) 19-23 (18-22) 2. 28x19 14x23 2-0`);
+
+    assert.equal(pdnGame.result, '2-0');
+    assert.equal(pdnGame.moves.length, 4);
+    assert.equal(pdnGame.moves[0].glyph, '!');
+    assert.deepEqual(pdnGame.moves[0].variations[0].map(move => [move.notation, move.comment]),
+        [['33-28', 'Or'], ['18-23', 'Sharp']]);
+
+    const { tree } = loadPDNGame(pdnGame, createGame());
+    assert.deepEqual(tree.children.map(node => node.move.notation), ['32-28', '33-28']);
+    assert.deepEqual(tree.children[0].children.map(node => node.move.notation), ['19-23', '18-22']);
+    assert.equal(tree.children[0].children[1].move.previousFEN, tree.children[0].move.fen);
+});
+
+test('an illegal move in a variation rejects the game', () => {
+    const [pdnGame] = parsePDN('1. 32-28 (1. 32-27 19-23 2. 28x19) 19-23 *');
+    assert.throws(() => loadPDNGame(pdnGame, createGame()), /ply 3, in a variation/);
+});
+
+test('tag values with quotes, backslashes and brackets are written escaped and read back', () => {
+    const headers = { Event: 'Cup [final]', White: 'Jan "Jr" de Vries', Black: 'C:\\players\\', Date: '2026.01.01' };
+    const pdn = generatePDN([], { headers, result: '1-1' });
+    assert.match(pdn, /^\[Event "Cup \[final\]"\]$/m);
+    assert.match(pdn, /^\[White "Jan \\"Jr\\" de Vries"\]$/m);
+    assert.match(pdn, /^\[Black "C:\\\\players\\\\"\]$/m);
+
+    const [pdnGame] = parsePDN(pdn);
+    assert.deepEqual(
+        Object.fromEntries(Object.keys(headers).map(name => [name, pdnGame.headers[name]])),
+        headers
+    );
+    assert.equal(pdnGame.headers.Result, '1-1');
+    assert.equal(pdnGame.result, '1-1');
+});
+
+test('a game from a position is written with SetUp and FEN tags and replayed from there', () => {
+    const game = createGame();
+    assert.ok(game.loadFEN('W:W28,33:B17,19'));
+    const history = new History(game);
+    play(game, history, ['28-22', '17x39']);
+    const record = history.getCurrentMove();
+    record.comment = 'Double capture';
+    record.arrows = [{ from: 17, to: 39 }];
+
+    const pdn = generatePDN(history.getMainLine(), { result: '0-2' });
+    assert.match(pdn, /^\[SetUp "1"\]\n\[FEN "W:W28,33:B17,19"\]$/m);
+    assert.match(pdn, /1\. 28-22 17x39 \{\[%arrow 17-39\] Double capture\} 0-2/);
+
+    const loaded = loadPDNGame(parsePDN(pdn)[0], createGame());
+    assert.equal(loaded.startFEN, 'W:W28,33:B17,19');
+    assert.equal(loaded.result, '0-2');
+    assert.deepEqual(loaded.moves.map(move => move.notation), ['28-22', '17x39']);
+    assert.equal(loaded.moves[1].comment, 'Double capture');
+    assert.deepEqual(loaded.moves[1].arrows, [{ from: 17, to: 39 }]);
+});
+
+test('each tag section starts a game, and line comments and stray brackets are skipped', () => {
+    const games = parsePDN(`; Two games
+[Event "First"]
+1. 32-28 ] 19-23 } 2-0
+
+[Event "Second"] [Round "2"]
+1. 33-28 ; 18-23 is not read
+17-22 *`);
+
+    assert.deepEqual(games.map(game => [game.headers.Event, game.result]), [['First', '2-0'], ['Second', '*']]);
+    assert.deepEqual(games[0].moves.map(move => move.notation), ['32-28', '19-23']);
+    assert.deepEqual(games[1].moves.map(move => move.notation), ['33-28', '17-22']);
+    assert.equal(games[1].headers.Round, '2');
+});
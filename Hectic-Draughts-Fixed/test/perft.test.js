@@ -0,0 +1,58 @@
+/**
+ * Tests for the bitboard move generator of the AI against the Game's, by perft
+ * @author codewithheck
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game } from '../src/engine/game.js';
+import { GAME_STATE, QUIET_LOGGER } from '../src/engine/constants.js';
+import { VARIANTS } from '../src/engine/variants.js';
+import { PERFT_SUITE, perftGame, perftAI, comparePerft } from '../src/engine/perft.js';
+
+// Deepest depth checked for each position, to keep the walk short
+const MAX_DEPTH = 4;
+
+test('both generators reach the known perft values', () => {
+    for (const { name, variant, fen, counts } of PERFT_SUITE) {
+        const depth = Math.min(counts.length, MAX_DEPTH);
+        const options = { variant, logger: QUIET_LOGGER };
+
+        const { nodes, divergence } = comparePerft(fen, depth, options);
+        assert.equal(divergence, null, name);
+        assert.equal(nodes, counts[depth - 1], name);
+        assert.equal(perftGame(fen, depth, options), counts[depth - 1], name);
+        assert.equal(perftAI(fen, depth, options), counts[depth - 1], name);
+    }
+});
+
+test('both generators agree in middle games and endings of every variant', () => {
+    for (const variant of Object.values(VARIANTS)) {
+        // Positions along one game, chosen the same way on every run
+        const game = new Game(variant, { logger: QUIET_LOGGER });
+        let seed = 5;
+        const fens = [];
+        while (game.gameState === GAME_STATE.ONGOING && game.moveHistory.length < 120) {
+            const moves = game.getLegalMoves();
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            game.makeMove(moves[seed % moves.length]);
+            if (game.moveHistory.length % 20 === 0) fens.push(game.getFEN());
+        }
+        assert.ok(fens.length > 0, variant.id);
+
+        for (const fen of fens) {
+            const { divergence } = comparePerft(fen, 3, { variant, logger: QUIET_LOGGER });
+            assert.equal(divergence, null, `${variant.id}: ${fen}`);
+        }
+    }
+});
+
+test('a difference between the generators is reported with its position', () => {
+    // Without the maximum capture rule the Game also allows 27x16; the AI keeps the variant's rule
+    const { divergence } = comparePerft('W:W27:B3,13,21,22', 2, { maxCapture: false, logger: QUIET_LOGGER });
+    assert.equal(divergence.type, 'moves');
+    assert.deepEqual(divergence.line, []);
+    assert.equal(divergence.onlyGame.length, 1);
+    assert.match(divergence.onlyGame[0], /^27x16/);
+    assert.deepEqual(divergence.onlyAI, []);
+});
@@ -0,0 +1,64 @@
+/**
+ * Tests for the resignation rules of the AI
+ * @author codewithheck
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game } from '../src/engine/game.js';
+import { GAME_STATE, QUIET_LOGGER } from '../src/engine/constants.js';
+import { GrandmasterAI } from '../src/engine/ai/ai.core.js';
+import { AI_PARAMS } from '../src/engine/ai/ai.params.js';
+import { generateTablebase } from '../src/engine/ai/ai.tablebase.js';
+
+/**
+ * Creates an AI playing at a level
+ * @param {number} level - Difficulty level
+ * @returns {GrandmasterAI}
+ */
+function createAI(level) {
+    const ai = new GrandmasterAI();
+    ai.setDifficulty(level);
+    return ai;
+}
+
+const toPosition = game => ({ pieces: game.pieces, currentPlayer: game.currentPlayer });
+
+test('low levels do not resign in a balanced game', async () => {
+    const game = new Game('international', { logger: QUIET_LOGGER });
+    const players = [createAI(1), createAI(2)];
+
+    for (let ply = 0; ply < 12 && game.gameState === GAME_STATE.ONGOING; ply++) {
+        const ai = players[ply % 2];
+        const move = await ai.getMove(toPosition(game), [], { depth: 3 });
+        assert.equal(ai.shouldResign(), false, `ply ${ply}`);
+        assert.ok(game.makeMove(move));
+    }
+});
+
+test('only levels from RESIGN_MIN_LEVEL resign a hopeless position', async () => {
+    const { RESIGN_MOVES, RESIGN_MIN_LEVEL } = AI_PARAMS.ADJUDICATION;
+    const game = new Game('international', { logger: QUIET_LOGGER });
+    assert.ok(game.loadFEN('W:W46:B1K,2K,3K,4K,5K,16,17,18,19,20'));
+
+    for (const level of [RESIGN_MIN_LEVEL - 1, RESIGN_MIN_LEVEL]) {
+        const ai = createAI(level);
+        for (let i = 0; i < RESIGN_MOVES; i++) {
+            assert.equal(ai.shouldResign(), false);
+            await ai.getMove(toPosition(game), [], { depth: 2 });
+        }
+        assert.equal(ai.hopelessMoves, RESIGN_MOVES);
+        assert.equal(ai.shouldResign(), level >= RESIGN_MIN_LEVEL, `level ${level}`);
+    }
+});
+
+test('every level resigns a tablebase loss', async () => {
+    const game = new Game('international', { logger: QUIET_LOGGER });
+    // 46-41 is forced and the king on 5 takes it
+    assert.ok(game.loadFEN('W:W46:B5K'));
+
+    const ai = createAI(1);
+    ai.setTablebase(generateTablebase({ maxPieces: 2 }));
+    await ai.getMove(toPosition(game), []);
+    assert.equal(ai.shouldResign(), true);
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for the endgame tablebase and its use by the search
+ * @author codewithheck
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game } from '../src/engine/game.js';
+import { GAME_STATE, QUIET_LOGGER } from '../src/engine/constants.js';
+import { GrandmasterAI } from '../src/engine/ai/ai.core.js';
+import { TABLEBASE_RESULT, generateTablebase } from '../src/engine/ai/ai.tablebase.js';
+import { toBitboard } from '../src/engine/ai/ai.bitboard.js';
+
+const tablebase = generateTablebase({ maxPieces: 3 });
+
+// Two kings against one, White wins in 7 plies; the ending allows 5 moves each
+const TWO_KINGS_WIN = 'W:W1K,2K:B45K';
+
+// Three kings against one off the long diagonal, White wins in 13 plies; the ending allows 16 moves each
+const THREE_KINGS_WIN = 'W:W2K,7K,35K:B1K';
+
+/**
+ * Creates a game in a position
+ * @param {string} fen - Position
+ * @param {number} [endgameMoves] - Plies already played in the king ending
+ * @returns {Game}
+ */
+function createGame(fen, endgameMoves = 0) {
+    const game = new Game('international', { logger: QUIET_LOGGER });
+    game.loadFEN(fen);
+    game.setDrawCounters({ kingMoves: 0, endgameLimit: game.getEndgameLimit(), endgameMoves });
+    return game;
+}
+
+const toPosition = game => ({
+    pieces: game.pieces,
+    currentPlayer: game.currentPlayer,
+    drawCounters: game.getDrawCounters()
+});
+
+test('wins longer than the rest of a king ending are draws', () => {
+    const position = toBitboard(toPosition(createGame(TWO_KINGS_WIN)));
+
+    assert.deepEqual(tablebase.probe(position), { result: TABLEBASE_RESULT.WIN, distance: 7 });
+    assert.deepEqual(tablebase.probe(position, 3), { result: TABLEBASE_RESULT.WIN, distance: 7 });
+    assert.deepEqual(tablebase.probe(position, 4), { result: TABLEBASE_RESULT.DRAW, distance: 0 });
+});
+
+test('tablebase wins are won in the game before the 5-move rule', () => {
+    const game = createGame(TWO_KINGS_WIN, 3);
+
+    while (game.gameState === GAME_STATE.ONGOING) {
+        const position = toBitboard(toPosition(game));
+        const best = tablebase.getBestMove(position, game.getDrawCounters().endgameMoves);
+        assert.ok(game.makeMove(best.move));
+    }
+    assert.equal(game.gameState, GAME_STATE.WHITE_WIN);
+});
+
+test('the AI scores a win the ending has no time left for as a draw', async () => {
+    const ai = new GrandmasterAI();
+    ai.setTablebase(tablebase);
+
+    await ai.getMove(toPosition(createGame(TWO_KINGS_WIN)), []);
+    assert.ok(ai.lastScore > 0);
+
+    await ai.getMove(toPosition(createGame(TWO_KINGS_WIN, 4)), []);
+    assert.equal(ai.lastScore, 0);
+});
+
+test('positions without the majority capture rule are not probed', async () => {
+    const game = createGame(TWO_KINGS_WIN);
+    game.setMaxCaptureRule(false);
+    assert.equal(tablebase.probe(toBitboard(toPosition(game), game.getRules())), null);
+
+    const results = [];
+    const probe = (...args) => {
+        const result = tablebase.probe(...args);
+        results.push(result);
+        return result;
+    };
+    const ai = new GrandmasterAI();
+    ai.setTablebase({ ...tablebase, probe });
+    ai.setVariant(game.getRules());
+    await ai.getMove(toPosition(game), [], { depth: 2 });
+    assert.ok(results.length > 0);
+    assert.ok(results.every(result => result === null));
+});
+
+test('infinite searches search tablebase and only-move positions', async () => {
+    for (const fen of [TWO_KINGS_WIN, 'W:W28,40:B23,5']) {
+        const depths = [];
+        const onMessage = ({ type, data }) => {
+            if (type === 'evaluation') depths.push(data.depth);
+        };
+        const ai = new GrandmasterAI({ onMessage });
+        ai.setTablebase(tablebase);
+
+        const move = await ai.getMove(toPosition(createGame(fen)), [], { infinite: true, depth: 3 });
+        assert.ok(move, fen);
+        assert.deepEqual(depths, [1, 2, 3], fen);
+    }
+});
+
+test('three kings win against a king off the long diagonal and draw against one on it', () => {
+    const kingEndings = generateTablebase({ maxPieces: 4, maxPiecesWithMen: 0 });
+    const probe = (fen, endgameMoves = 0) =>
+        kingEndings.probe(toBitboard(toPosition(createGame(fen))), endgameMoves);
+
+    assert.deepEqual(probe(THREE_KINGS_WIN), { result: TABLEBASE_RESULT.WIN, distance: 13 });
+    assert.equal(probe('W:W1K,2K,3K:B45K').result, TABLEBASE_RESULT.WIN);
+    // With the move, the lone king reaches the long diagonal
+    assert.equal(probe('B:W1K,2K,3K:B45K').result, TABLEBASE_RESULT.DRAW);
+    for (const square of [46, 37, 28, 5]) {
+        assert.equal(probe(`W:W1K,2K,3K:B${square}K`).result, TABLEBASE_RESULT.DRAW, `king on ${square}`);
+    }
+    assert.equal(probe('W:W1K,2K:B46K').result, TABLEBASE_RESULT.DRAW);
+
+    // 16 moves each: the win needs 13 of the 32 plies
+    assert.deepEqual(probe(THREE_KINGS_WIN, 19), { result: TABLEBASE_RESULT.WIN, distance: 13 });
+    assert.deepEqual(probe(THREE_KINGS_WIN, 20), { result: TABLEBASE_RESULT.DRAW, distance: 0 });
+
+    const game = createGame(THREE_KINGS_WIN, 19);
+    while (game.gameState === GAME_STATE.ONGOING) {
+        const best = kingEndings.getBestMove(toBitboard(toPosition(game)), game.getDrawCounters().endgameMoves);
+        assert.ok(game.makeMove(best.move));
+    }
+    assert.equal(game.gameState, GAME_STATE.WHITE_WIN);
+});
@@ -0,0 +1,34 @@
+/**
+ * Tests for the rule variant presets
+ * @author codewithheck
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game } from '../src/engine/game.js';
+import { PLAYER, QUIET_LOGGER } from '../src/engine/constants.js';
+import { VARIANT, VARIANTS, getVariant } from '../src/engine/variants.js';
+import { getInitialFEN, generatePDN } from '../src/utils/pdn.js';
+
+test('Black moves first in English and Pool checkers', () => {
+    for (const variant of Object.values(VARIANTS)) {
+        const game = new Game(variant, { logger: QUIET_LOGGER });
+        const black = variant.id === VARIANT.ENGLISH || variant.id === VARIANT.POOL;
+        assert.equal(game.currentPlayer, black ? PLAYER.BLACK : PLAYER.WHITE, variant.id);
+        assert.equal(getInitialFEN(variant)[0], black ? 'B' : 'W', variant.id);
+    }
+});
+
+test('custom rules take the first player of their preset', () => {
+    assert.equal(getVariant({ id: VARIANT.ENGLISH, majorityCapture: true }).firstPlayer, PLAYER.BLACK);
+    assert.throws(() => getVariant({ id: VARIANT.ENGLISH, firstPlayer: 3 }), /Invalid first player/);
+});
+
+test('PDN move numbers start with the first player', () => {
+    const game = new Game(VARIANT.ENGLISH, { logger: QUIET_LOGGER });
+    for (let i = 0; i < 3; i++) {
+        game.makeMove(game.getLegalMoves()[0]);
+    }
+    const pdn = generatePDN(game.moveHistory, { variant: game.getVariant() });
+    assert.match(pdn, /\n1\. \d+-\d+ \d+-\d+ 2\. \d+-\d+ \*/);
+});
@@ -0,0 +1,93 @@
+/**
+ * Tests for the incrementally updated Zobrist keys of Game and the AI
+ * @author codewithheck
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Game } from '../src/engine/game.js';
+import { GAME_STATE, QUIET_LOGGER } from '../src/engine/constants.js';
+import { VARIANTS } from '../src/engine/variants.js';
+import { computeBoardKey, getPositionKey } from '../src/engine/zobrist.js';
+import { toBitboard, computeKey } from '../src/engine/ai/ai.bitboard.js';
+import { generateMoves, makeMove, ensureBoardKey } from '../src/engine/ai/ai.utils.js';
+
+// Plies played from the initial position in each game
+const PLIES = 150;
+
+/**
+ * Creates a random number generator that gives the same numbers on every run
+ * @param {number} seed - Seed
+ * @returns {Function} Returns an integer in [0, n)
+ */
+function createRandom(seed) {
+    let state = seed;
+    return n => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state % n;
+    };
+}
+
+test('Game keeps its key and repetition counts right through moves and undos', () => {
+    for (const variant of Object.values(VARIANTS)) {
+        const random = createRandom(7);
+        const game = new Game(variant, { logger: QUIET_LOGGER });
+        const keys = [game.getPositionKey()];
+        const repetitions = [new Map(game.positionHistory)];
+
+        while (game.gameState === GAME_STATE.ONGOING && game.moveHistory.length < PLIES) {
+            const moves = game.getLegalMoves();
+            assert.ok(game.makeMove(moves[random(moves.length)]));
+
+            const key = computeBoardKey(game.pieces);
+            assert.deepEqual([game.keyHi, game.keyLo], [key.hi, key.lo], `${variant.id}, ply ${game.moveHistory.length}`);
+            keys.push(game.getPositionKey());
+            repetitions.push(new Map(game.positionHistory));
+        }
+        assert.ok(game.moveHistory.length > 20, variant.id);
+
+        while (game.undoMove()) {
+            const key = computeBoardKey(game.pieces);
+            assert.deepEqual([game.keyHi, game.keyLo], [key.hi, key.lo], variant.id);
+            assert.equal(game.getPositionKey(), keys[game.moveHistory.length], variant.id);
+            assert.deepEqual(game.positionHistory, repetitions[game.moveHistory.length], variant.id);
+        }
+        assert.equal(game.getFEN(), new Game(variant, { logger: QUIET_LOGGER }).getFEN(), variant.id);
+    }
+});
+
+test('AI moves update the key as a recomputation would and leave the position moved from alone', () => {
+    for (const variant of Object.values(VARIANTS)) {
+        const random = createRandom(11);
+        const game = new Game(variant, { logger: QUIET_LOGGER });
+        let position = ensureBoardKey(toBitboard({ pieces: game.pieces, currentPlayer: game.currentPlayer }, variant));
+
+        for (let ply = 0; ply < PLIES; ply++) {
+            const moves = generateMoves(position);
+            if (moves.length === 0) break;
+
+            const parentKey = [position.keyHi, position.keyLo];
+            for (const move of moves) {
+                const child = makeMove(position, move);
+                const key = computeKey(child);
+                assert.deepEqual([child.keyHi, child.keyLo], [key.hi, key.lo], `${variant.id}, ply ${ply}`);
+            }
+            assert.deepEqual([position.keyHi, position.keyLo], parentKey);
+            position = makeMove(position, moves[random(moves.length)]);
+        }
+    }
+});
+
+test('Game and the AI give a position the same key', () => {
+    const random = createRandom(3);
+    const game = new Game('international', { logger: QUIET_LOGGER });
+
+    while (game.gameState === GAME_STATE.ONGOING && game.moveHistory.length < PLIES) {
+        const position = toBitboard({ pieces: game.pieces, currentPlayer: game.currentPlayer });
+        const { hi, lo } = computeKey(position);
+        assert.equal(getPositionKey(hi, lo, position.currentPlayer), game.getPositionKey());
+
+        const moves = game.getLegalMoves();
+        game.makeMove(moves[random(moves.length)]);
+    }
+});